@@ -0,0 +1,354 @@
+/**
+ * Session analytics and the post-event HTML report.
+ *
+ * buildSessionAnalytics works on rows as the routes already have them: submissions formatted with
+ * ISO timestamps, and requester activity ({ submission_id, guest_id, kind, created_at }) with one
+ * row per guest request or upvote. Everything is computed here rather than in SQL so both storage
+ * backends give the same numbers.
+ */
+
+const { normalizeForMatching } = require('./matching');
+
+// Timeline bucket sizes in minutes
+const ANALYTICS_INTERVALS = [5, 15, 60];
+const DEFAULT_ANALYTICS_INTERVAL = 15;
+
+// Beyond this many buckets (a session spanning weeks) the timeline leaves out empty buckets
+const MAX_TIMELINE_BUCKETS = 2000;
+const TOP_LIMIT = 10;
+const BPM_BUCKET_SIZE = 10;
+
+const OPEN_STATUSES = ['pending-review', 'pending', 'up-next', 'now-playing'];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toTime(iso) {
+  const time = iso ? Date.parse(iso) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Requests and upvotes per bucket, from the first event to the last
+function buildTimeline(events, interval) {
+  if (events.length === 0) return [];
+
+  const size = interval * 60 * 1000;
+  const counts = new Map();
+  events.forEach(event => {
+    const start = Math.floor(event.time / size) * size;
+    const bucket = counts.get(start) || { requests: 0, upvotes: 0 };
+    bucket[event.kind === 'upvote' ? 'upvotes' : 'requests']++;
+    counts.set(start, bucket);
+  });
+
+  const starts = [...counts.keys()].sort((a, b) => a - b);
+  const first = starts[0];
+  const last = starts[starts.length - 1];
+  const allStarts = (last - first) / size + 1 > MAX_TIMELINE_BUCKETS
+    ? starts
+    : Array.from({ length: (last - first) / size + 1 }, (_, i) => first + i * size);
+
+  return allStarts.map(start => ({
+    start: new Date(start).toISOString(),
+    requests: counts.has(start) ? counts.get(start).requests : 0,
+    upvotes: counts.has(start) ? counts.get(start).upvotes : 0
+  }));
+}
+
+function artistKey(submission) {
+  const key = submission.normalized_key;
+  return key && key.includes('|') ? key.slice(key.lastIndexOf('|') + 1) : normalizeForMatching(submission.artist);
+}
+
+function buildTopArtists(submissions) {
+  const artists = new Map();
+  submissions.forEach(submission => {
+    const key = artistKey(submission);
+    const artist = artists.get(key) || { artist: submission.artist, requestCount: 0, tracks: 0 };
+    artist.requestCount += submission.request_count || 1;
+    artist.tracks++;
+    artists.set(key, artist);
+  });
+
+  return [...artists.values()]
+    .sort((a, b) => b.requestCount - a.requestCount || b.tracks - a.tracks)
+    .slice(0, TOP_LIMIT);
+}
+
+function buildTopTracks(submissions) {
+  return [...submissions]
+    .sort((a, b) => (b.request_count || 1) - (a.request_count || 1) || a.id - b.id)
+    .slice(0, TOP_LIMIT)
+    .map(submission => ({
+      id: submission.id,
+      songName: submission.song_name,
+      artist: submission.artist,
+      requestCount: submission.request_count || 1,
+      status: submission.status
+    }));
+}
+
+// BPM and key prefer the DJ's library over provider metadata, as the dashboard does
+function buildBpmDistribution(submissions) {
+  const values = submissions.map(submission => submission.library_bpm || submission.bpm).filter(bpm => bpm > 0);
+  const buckets = new Map();
+  values.forEach(bpm => {
+    const from = Math.floor(bpm / BPM_BUCKET_SIZE) * BPM_BUCKET_SIZE;
+    buckets.set(from, (buckets.get(from) || 0) + 1);
+  });
+
+  return {
+    known: values.length,
+    unknown: submissions.length - values.length,
+    min: values.length ? values.reduce((a, b) => Math.min(a, b)) : null,
+    max: values.length ? values.reduce((a, b) => Math.max(a, b)) : null,
+    median: median(values),
+    buckets: [...buckets.keys()].sort((a, b) => a - b).map(from => ({ from, to: from + BPM_BUCKET_SIZE - 1, count: buckets.get(from) }))
+  };
+}
+
+function camelotOrder(key) {
+  const match = /^(\d{1,2})([AB])$/.exec(key);
+  return match ? parseInt(match[1], 10) * 2 + (match[2] === 'B' ? 1 : 0) : Infinity;
+}
+
+function buildKeyDistribution(submissions) {
+  const keys = new Map();
+  submissions.forEach(submission => {
+    const key = submission.library_key_camelot || submission.key_camelot;
+    if (key) keys.set(key, (keys.get(key) || 0) + 1);
+  });
+  const known = [...keys.values()].reduce((sum, count) => sum + count, 0);
+
+  return {
+    known,
+    unknown: submissions.length - known,
+    counts: [...keys.keys()]
+      .sort((a, b) => camelotOrder(a) - camelotOrder(b) || a.localeCompare(b))
+      .map(key => ({ key, count: keys.get(key) }))
+  };
+}
+
+// Seconds from the first request to the track starting (or being marked played, when the DJ
+// skipped now-playing), for played requests
+function buildTimeToPlay(submissions) {
+  const durations = submissions
+    .filter(submission => submission.status === 'played')
+    .map(submission => {
+      const requested = toTime(submission.created_at);
+      const started = toTime(submission.now_playing_at) || toTime(submission.played_at);
+      return requested !== null && started !== null ? Math.round((started - requested) / 1000) : null;
+    })
+    .filter(seconds => seconds !== null && seconds >= 0);
+
+  return { count: durations.length, medianSeconds: median(durations) };
+}
+
+/**
+ * Analytics for one session. `interval` is the timeline bucket size in minutes (ANALYTICS_INTERVALS).
+ */
+function buildSessionAnalytics({ session, submissions, requesters, interval = DEFAULT_ANALYTICS_INTERVAL, now = new Date() }) {
+  const requested = new Set(requesters.filter(row => row.kind === 'request').map(row => row.submission_id));
+  const events = requesters
+    .map(row => ({ kind: row.kind, time: toTime(row.created_at) }))
+    // Requests saved before requesters were tracked only have the submission's own timestamp
+    .concat(submissions.filter(submission => !requested.has(submission.id)).map(submission => ({ kind: 'request', time: toTime(submission.created_at) })))
+    .filter(event => event.time !== null);
+  const times = events.map(event => event.time);
+
+  const countStatus = (status) => submissions.filter(submission => submission.status === status).length;
+  const played = countStatus('played');
+  const skipped = countStatus('skipped');
+
+  return {
+    session: { id: session.id, name: session.name, shortCode: session.short_code || null },
+    generatedAt: now.toISOString(),
+    interval,
+    firstRequestAt: times.length ? new Date(times.reduce((a, b) => Math.min(a, b))).toISOString() : null,
+    lastRequestAt: times.length ? new Date(times.reduce((a, b) => Math.max(a, b))).toISOString() : null,
+    totals: {
+      tracks: submissions.length,
+      requests: events.filter(event => event.kind !== 'upvote').length,
+      upvotes: events.filter(event => event.kind === 'upvote').length,
+      uniqueRequesters: new Set(requesters.filter(row => row.kind === 'request').map(row => row.guest_id)).size,
+      uniqueGuests: new Set(requesters.map(row => row.guest_id)).size
+    },
+    outcomes: {
+      played,
+      skipped,
+      rejected: countStatus('rejected'),
+      open: submissions.filter(submission => OPEN_STATUSES.includes(submission.status)).length,
+      // Share of the tracks the DJ got to (played or skipped) that were played
+      playedRatio: played + skipped > 0 ? played / (played + skipped) : null
+    },
+    timeToPlay: buildTimeToPlay(submissions),
+    timeline: buildTimeline(events, interval),
+    topArtists: buildTopArtists(submissions),
+    topTracks: buildTopTracks(submissions),
+    bpm: buildBpmDistribution(submissions),
+    keys: buildKeyDistribution(submissions)
+  };
+}
+
+// HTML report
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDuration(seconds) {
+  if (seconds === null) return '–';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatPercent(ratio) {
+  return ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+}
+
+// Times in the report are shown at the DJ's UTC offset (minutes east of UTC)
+function formatTime(iso, offsetMinutes, withDate) {
+  if (!iso) return '–';
+  const shifted = new Date(Date.parse(iso) + offsetMinutes * 60 * 1000).toISOString();
+  return withDate ? `${shifted.slice(0, 10)} ${shifted.slice(11, 16)}` : shifted.slice(11, 16);
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function barRows(rows, label, value) {
+  const max = rows.reduce((highest, row) => Math.max(highest, value(row)), 1);
+  return rows.map(row => `
+      <tr>
+        <td class="label">${escapeHtml(label(row))}</td>
+        <td class="bar"><span style="width: ${(value(row) / max * 100).toFixed(1)}%"></span></td>
+        <td class="num">${value(row)}</td>
+      </tr>`).join('');
+}
+
+function section(title, body) {
+  return `
+  <section>
+    <h2>${escapeHtml(title)}</h2>${body}
+  </section>`;
+}
+
+function emptyNote(text) {
+  return `\n    <p class="muted">${escapeHtml(text)}</p>`;
+}
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 880px; margin: 0 auto; padding: 32px 24px; }
+    h1 { margin: 0 0 4px; font-size: 28px; }
+    h2 { font-size: 18px; margin: 0 0 12px; }
+    section { margin-top: 32px; page-break-inside: avoid; }
+    .muted { color: #6b7280; }
+    .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 24px; }
+    .card { border: 1px solid #e5e7eb; border-radius: 12px; padding: 12px 16px; }
+    .card .value { font-size: 24px; font-weight: 700; }
+    .card .caption { font-size: 13px; color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f3f4f6; }
+    td.num, th.num { text-align: right; width: 64px; }
+    td.label { width: 30%; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 240px; }
+    td.bar span { display: block; height: 12px; background: #8b5cf6; border-radius: 6px; min-width: 2px; }
+    footer { margin-top: 40px; font-size: 12px; color: #9ca3af; }
+    @media print { body { padding: 0; } }`;
+
+/**
+ * Self-contained HTML recap of buildSessionAnalytics' output. `timezoneOffset` is minutes east of
+ * UTC (the negation of the browser's getTimezoneOffset()).
+ */
+function renderAnalyticsReport(analytics, { timezoneOffset = 0 } = {}) {
+  const { session, totals, outcomes, timeToPlay, bpm, keys } = analytics;
+  const sameDay = analytics.firstRequestAt && analytics.lastRequestAt &&
+    formatTime(analytics.firstRequestAt, timezoneOffset, true).slice(0, 10) === formatTime(analytics.lastRequestAt, timezoneOffset, true).slice(0, 10);
+  const period = analytics.firstRequestAt
+    ? `${formatTime(analytics.firstRequestAt, timezoneOffset, true)} – ${formatTime(analytics.lastRequestAt, timezoneOffset, !sameDay)} (${formatOffset(timezoneOffset)})`
+    : 'No requests yet';
+
+  const cards = [
+    [totals.requests, 'requests'],
+    [totals.uniqueRequesters, 'guests requested'],
+    [totals.upvotes, 'upvotes'],
+    [totals.tracks, 'different tracks'],
+    [outcomes.played, 'played'],
+    [formatPercent(outcomes.playedRatio), 'played vs. skipped'],
+    [formatDuration(timeToPlay.medianSeconds), 'median time to play'],
+    [bpm.median === null ? '–' : Math.round(bpm.median), 'median BPM']
+  ].map(([value, caption]) => `
+    <div class="card"><div class="value">${escapeHtml(value)}</div><div class="caption">${escapeHtml(caption)}</div></div>`).join('');
+
+  const timeline = analytics.timeline.length
+    ? `\n    <table>${barRows(analytics.timeline, row => formatTime(row.start, timezoneOffset, !sameDay), row => row.requests + row.upvotes)}\n    </table>
+    <p class="muted">Requests and upvotes per ${analytics.interval} minutes</p>`
+    : emptyNote('No requests yet.');
+
+  const topTracks = analytics.topTracks.length
+    ? `
+    <table>
+      <tr><th>Track</th><th>Artist</th><th>Status</th><th class="num">Requests</th></tr>${analytics.topTracks.map(track => `
+      <tr><td>${escapeHtml(track.songName)}</td><td>${escapeHtml(track.artist)}</td><td>${escapeHtml(track.status)}</td><td class="num">${track.requestCount}</td></tr>`).join('')}
+    </table>`
+    : emptyNote('No requests yet.');
+
+  const topArtists = analytics.topArtists.length
+    ? `\n    <table>${barRows(analytics.topArtists, row => row.artist, row => row.requestCount)}\n    </table>`
+    : emptyNote('No requests yet.');
+
+  const bpmChart = bpm.buckets.length
+    ? `\n    <table>${barRows(bpm.buckets, row => `${row.from}–${row.to}`, row => row.count)}\n    </table>
+    <p class="muted">Range ${bpm.min}–${bpm.max} BPM${bpm.unknown ? `; ${bpm.unknown} tracks without a BPM` : ''}</p>`
+    : emptyNote('No BPM data for these requests.');
+
+  const keyChart = keys.counts.length
+    ? `\n    <table>${barRows(keys.counts, row => row.key, row => row.count)}\n    </table>${keys.unknown ? `
+    <p class="muted">${keys.unknown} tracks without a key</p>` : ''}`
+    : emptyNote('No key data for these requests.');
+
+  const outcomeTable = `
+    <table>
+      <tr><td>Played</td><td class="num">${outcomes.played}</td></tr>
+      <tr><td>Skipped</td><td class="num">${outcomes.skipped}</td></tr>
+      <tr><td>Rejected</td><td class="num">${outcomes.rejected}</td></tr>
+      <tr><td>Still in the queue</td><td class="num">${outcomes.open}</td></tr>
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(session.name)} – Event Report</title>
+  <style>${REPORT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(session.name)}</h1>
+  <p class="muted">${escapeHtml(period)}</p>
+  <div class="cards">${cards}
+  </div>${section('Requests over time', timeline)}${section('Top tracks', topTracks)}${section('Top artists', topArtists)}${section('Outcomes', outcomeTable)}${section('BPM', bpmChart)}${section('Keys (Camelot)', keyChart)}
+  <footer>Generated by DJQ on ${escapeHtml(formatTime(analytics.generatedAt, timezoneOffset, true))} (${escapeHtml(formatOffset(timezoneOffset))})</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  DEFAULT_ANALYTICS_INTERVAL,
+  buildSessionAnalytics,
+  renderAnalyticsReport
+};
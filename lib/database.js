@@ -0,0 +1,147 @@
+/**
+ * Schema migrations, run against either storage backend (see lib/storage).
+ *
+ * Migrations live in migrations/ as numbered modules (listed in order in migrations/index.js):
+ *   { version: 3, name: 'add-foo', up }
+ * where `up` is an array of SQL statements or a function (db, callback) for anything that needs
+ * logic, such as backfills or rebuilding a table to rename a column. Versions start at 1 and
+ * have no gaps.
+ *
+ * Migration SQL is written once for both SQLite and PostgreSQL; the Postgres adapter maps
+ * INTEGER/DATETIME/AUTOINCREMENT column types, and `db.columns(table, cb)` replaces PRAGMA.
+ *
+ * Each pending migration runs in its own transaction together with its schema_version row, so
+ * a failed migration leaves the database at the previous version. The transaction takes a write
+ * lock first (BEGIN IMMEDIATE on SQLite, a lock on schema_version on Postgres), so several
+ * server instances and `npm run migrate` can't apply the same migration twice.
+ */
+
+function checkMigrationList(migrations) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${migration.name || index} has version ${migration.version}, expected ${index + 1}`);
+    }
+    if (typeof migration.up !== 'function' && !Array.isArray(migration.up)) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) has no up step`);
+    }
+  });
+}
+
+function runStatements(db, statements, callback) {
+  const next = (index) => {
+    if (index >= statements.length) return callback();
+    db.run(statements[index], (err) => (err ? callback(err) : next(index + 1)));
+  };
+  next(0);
+}
+
+function ensureVersionTable(db, callback) {
+  db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, callback);
+}
+
+function appliedVersions(db, callback) {
+  db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, new Map(rows.map(row => [row.version, row])));
+  });
+}
+
+function applyMigration(db, migration, callback) {
+  db.transaction((tx, done) => {
+    const lock = tx.dialect === 'postgres'
+      ? (next) => tx.run('LOCK TABLE schema_version IN EXCLUSIVE MODE', next)
+      : (next) => next();
+
+    lock((err) => {
+      if (err) return done(err);
+
+      // Another process may have applied it while this one waited for the lock
+      tx.get('SELECT version FROM schema_version WHERE version = ?', [migration.version], (err, row) => {
+        if (err) return done(err);
+        if (row) return done(null, false);
+
+        const up = Array.isArray(migration.up)
+          ? (next) => runStatements(tx, migration.up, next)
+          : (next) => migration.up(tx, next);
+
+        up((err) => {
+          if (err) return done(err);
+          tx.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name], (err) => {
+            done(err, true);
+          });
+        });
+      });
+    });
+  }, callback);
+}
+
+// Apply every pending migration in order. Callback receives (err, appliedMigrations); err names
+// the migration that failed, and the ones before it stay applied.
+function migrate(db, migrations, callback) {
+  try {
+    checkMigrationList(migrations);
+  } catch (error) {
+    return callback(error);
+  }
+
+  ensureVersionTable(db, (err) => {
+    if (err) return callback(err);
+
+    appliedVersions(db, (err, applied) => {
+      if (err) return callback(err);
+
+      const latest = Math.max(0, ...applied.keys());
+      if (latest > migrations.length) {
+        return callback(new Error(`Database is at schema version ${latest}, but this code only knows ${migrations.length} migrations`));
+      }
+
+      const done = [];
+      const pending = migrations.filter(migration => !applied.has(migration.version));
+      const next = (index) => {
+        if (index >= pending.length) return callback(null, done);
+
+        const migration = pending[index];
+        applyMigration(db, migration, (err, ran) => {
+          if (err) {
+            err.message = `Migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+            return callback(err, done);
+          }
+          if (ran) done.push(migration);
+          next(index + 1);
+        });
+      };
+      next(0);
+    });
+  });
+}
+
+// Every known migration with whether (and when) it was applied.
+// Callback receives (err, { version, latest, migrations: [{ version, name, appliedAt }] }).
+function getMigrationStatus(db, migrations, callback) {
+  ensureVersionTable(db, (err) => {
+    if (err) return callback(err);
+
+    appliedVersions(db, (err, applied) => {
+      if (err) return callback(err);
+
+      callback(null, {
+        version: Math.max(0, ...applied.keys()),
+        latest: migrations.length,
+        migrations: migrations.map(migration => ({
+          version: migration.version,
+          name: migration.name,
+          appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }))
+      });
+    });
+  });
+}
+
+module.exports = {
+  migrate,
+  getMigrationStatus
+};
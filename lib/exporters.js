@@ -0,0 +1,254 @@
+/**
+ * Session export formats.
+ *
+ * Every renderer takes the session export document built by the server:
+ *   { format: 'djq-session-export', version, exportedAt, session: {...}, submissions: [...] }
+ * where each submission has songName, artist, requestedBy, requestCount, status, bpm,
+ * keyCamelot, keyRegular, createdAt, playedAt, ... and an optional `location` (file path).
+ * Its `requesters` carry the answers to the session's custom form fields (lib/form-fields.js).
+ *
+ * Playlist formats (m3u, rekordbox, serato) leave out rejected and in-review requests.
+ * Tracks without a known file location are written as "Artist - Song" so DJ software can
+ * still show them (as missing files) and the DJ can relink them.
+ */
+
+const { formatAnswerValue } = require('./form-fields');
+
+const EXPORT_DOCUMENT_FORMAT = 'djq-session-export';
+const EXPORT_DOCUMENT_VERSION = 1;
+
+const PLAYLIST_EXCLUDED_STATUSES = ['rejected', 'pending-review'];
+
+function playlistTracks(document) {
+  return document.submissions.filter(submission => !PLAYLIST_EXCLUDED_STATUSES.includes(submission.status));
+}
+
+function trackLocation(submission) {
+  return submission.location || `${submission.artist} - ${submission.songName}`.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+// Form answers given with a submission's requests: [{ label, value }] with values as text
+function submissionAnswers(submission) {
+  return (submission.requesters || [])
+    .filter(requester => requester.kind === 'request')
+    .flatMap(requester => requester.answers || [])
+    .map(answer => ({ label: answer.label, value: formatAnswerValue(answer.value) }));
+}
+
+// 'Dedication: For Sam | Table: 12'
+function answerSummary(submission) {
+  return submissionAnswers(submission).map(answer => `${answer.label}: ${answer.value}`).join(' | ');
+}
+
+// CSV
+
+const CSV_COLUMNS = [
+  ['id', submission => submission.id],
+  ['song_name', submission => submission.songName],
+  ['artist', submission => submission.artist],
+  ['requested_by', submission => submission.requestedBy.join('; ')],
+  ['request_count', submission => submission.requestCount],
+  ['status', submission => submission.status],
+  ['reject_reason', submission => submission.rejectReason],
+  ['bpm', submission => submission.bpm],
+  ['key_camelot', submission => submission.keyCamelot],
+  ['key_regular', submission => submission.keyRegular],
+  ['created_at', submission => submission.createdAt],
+  ['status_updated_at', submission => submission.statusUpdatedAt],
+  ['played_at', submission => submission.playedAt],
+  ['spotify_id', submission => submission.spotifyId]
+];
+
+// Quote when needed; a leading =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One column per form field label, in the session's field order and then any older labels;
+// several requesters' answers to the same field are joined with '; '
+function answerColumns(document) {
+  const settings = (document.session && document.session.settings) || {};
+  const labels = (settings.formFields || []).map(field => field.label);
+  document.submissions.forEach(submission => {
+    submissionAnswers(submission).forEach(answer => labels.push(answer.label));
+  });
+
+  return [...new Set(labels)].map(label => [label, submission => submissionAnswers(submission)
+    .filter(answer => answer.label === label)
+    .map(answer => answer.value)
+    .join('; ')]);
+}
+
+function renderCsv(document) {
+  const columns = CSV_COLUMNS.concat(answerColumns(document));
+  const lines = [columns.map(([name]) => csvField(name)).join(',')];
+  document.submissions.forEach(submission => {
+    lines.push(columns.map(([, value]) => csvField(value(submission))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Extended M3U (UTF-8)
+
+function renderM3u(document) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${document.session.name}`];
+  playlistTracks(document).forEach(submission => {
+    const details = [
+      submission.bpm ? `${submission.bpm} BPM` : null,
+      submission.keyCamelot ? `Key ${submission.keyCamelot}` : null,
+      submission.requestedBy.length ? `Requested by ${submission.requestedBy.join(', ')}` : null,
+      answerSummary(submission),
+      submission.status
+    ].filter(Boolean);
+
+    lines.push(`#EXTINF:-1,${submission.artist} - ${submission.songName}`);
+    lines.push(`# ${details.join(' | ')}`);
+    lines.push(trackLocation(submission));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Rekordbox XML (File > Import > rekordbox xml)
+
+function xmlAttribute(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// "C# minor" -> "C#m", "A major" -> "A" (Rekordbox's Tonality notation)
+function rekordboxTonality(keyRegular) {
+  const match = /^([A-G][#b]?) (major|minor)$/.exec(keyRegular || '');
+  if (!match) return '';
+  return match[2] === 'minor' ? `${match[1]}m` : match[1];
+}
+
+function fileUrl(location) {
+  if (/^[a-z]+:\/\//i.test(location)) return location;
+  const path = location.replace(/\\/g, '/');
+  return `file://localhost${path.startsWith('/') ? '' : '/'}${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function renderRekordboxXml(document) {
+  const tracks = playlistTracks(document);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<DJ_PLAYLISTS Version="1.0.0">',
+    '  <PRODUCT Name="DJQ" Version="1.0" Company=""/>',
+    `  <COLLECTION Entries="${tracks.length}">`
+  ];
+
+  tracks.forEach(submission => {
+    const comments = [
+      submission.requestedBy.length ? `Requested by ${submission.requestedBy.join(', ')}` : null,
+      `${submission.requestCount} request${submission.requestCount === 1 ? '' : 's'}`,
+      answerSummary(submission),
+      submission.status
+    ].filter(Boolean).join(' | ');
+
+    const attributes = {
+      TrackID: submission.id,
+      Name: submission.songName,
+      Artist: submission.artist,
+      AverageBpm: submission.bpm ? submission.bpm.toFixed(2) : '',
+      Tonality: rekordboxTonality(submission.keyRegular),
+      Comments: comments,
+      DateAdded: (submission.createdAt || '').slice(0, 10)
+    };
+    if (submission.location) {
+      attributes.Location = fileUrl(submission.location);
+    }
+
+    const attributeText = Object.entries(attributes).map(([name, value]) => `${name}="${xmlAttribute(value)}"`).join(' ');
+    lines.push(`    <TRACK ${attributeText}/>`);
+  });
+
+  lines.push('  </COLLECTION>');
+  lines.push('  <PLAYLISTS>');
+  lines.push('    <NODE Type="0" Name="ROOT" Count="1">');
+  lines.push(`      <NODE Name="${xmlAttribute(document.session.name)}" Type="1" KeyType="0" Entries="${tracks.length}">`);
+  tracks.forEach(submission => lines.push(`        <TRACK Key="${submission.id}"/>`));
+  lines.push('      </NODE>');
+  lines.push('    </NODE>');
+  lines.push('  </PLAYLISTS>');
+  lines.push('</DJ_PLAYLISTS>');
+  return lines.join('\n') + '\n';
+}
+
+// Serato crate (_Serato_/Subcrates/<name>.crate): tagged binary records, each a 4-byte ASCII
+// tag and a big-endian length, with UTF-16BE strings
+
+function utf16be(text) {
+  const buffer = Buffer.from(String(text), 'utf16le');
+  buffer.swap16();
+  return buffer;
+}
+
+function seratoTag(tag, data) {
+  const header = Buffer.alloc(8);
+  header.write(tag, 0, 'ascii');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+function renderSeratoCrate(document) {
+  const parts = [seratoTag('vrsn', utf16be('1.0/Serato ScratchLive Crate'))];
+
+  // Columns shown when the crate is opened
+  ['song', 'artist', 'bpm', 'key', 'comment'].forEach(column => {
+    parts.push(seratoTag('ovct', Buffer.concat([
+      seratoTag('tvcn', utf16be(column)),
+      seratoTag('tvcw', utf16be('0'))
+    ])));
+  });
+
+  // Serato stores paths relative to the drive root
+  playlistTracks(document).forEach(submission => {
+    const location = trackLocation(submission).replace(/\\/g, '/').replace(/^([A-Za-z]:)?\//, '');
+    parts.push(seratoTag('otrk', seratoTag('ptrk', utf16be(location))));
+  });
+
+  return Buffer.concat(parts);
+}
+
+const EXPORT_FORMATS = {
+  json: {
+    extension: 'json',
+    contentType: 'application/json; charset=utf-8',
+    render: document => JSON.stringify(document, null, 2)
+  },
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    render: renderCsv
+  },
+  m3u: {
+    extension: 'm3u8',
+    contentType: 'audio/x-mpegurl; charset=utf-8',
+    render: renderM3u
+  },
+  rekordbox: {
+    extension: 'xml',
+    contentType: 'application/xml; charset=utf-8',
+    render: renderRekordboxXml
+  },
+  serato: {
+    extension: 'crate',
+    contentType: 'application/octet-stream',
+    render: renderSeratoCrate
+  }
+};
+
+module.exports = {
+  EXPORT_DOCUMENT_FORMAT,
+  EXPORT_DOCUMENT_VERSION,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,93 @@
+/**
+ * Storage for uploaded files (the resized background images), behind a small interface so the
+ * routes don't care where the bytes live:
+ *
+ *   put(key, buffer, callback)   write a file; keys are relative paths like 'backgrounds/<id>/640.jpg'
+ *   read(key, callback)          callback(err, buffer) - buffer is null when there's no such file
+ *   remove(keys, callback)       delete files; ones that are already gone are ignored
+ *
+ * Only the local disk backend exists today (UPLOADS_DIR, default ./uploads). Hosted platforms
+ * need a persistent disk for it; on Vercel it falls back to /tmp, which is wiped between
+ * deployments, like the default SQLite database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_UPLOADS_DIR = process.env.VERCEL ? '/tmp/uploads' : 'uploads';
+
+// Segments of letters, digits, '-', '_' and '.', never '..' - keys can't escape the root
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*(\/[A-Za-z0-9_-][A-Za-z0-9_.-]*)*$/;
+
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key) && !key.split('/').includes('..');
+}
+
+function createDiskFileStore(directory) {
+  const root = path.resolve(directory);
+
+  function resolveKey(key) {
+    if (!isValidKey(key)) throw new Error(`Invalid file key: ${key}`);
+    return path.join(root, ...key.split('/'));
+  }
+
+  function put(key, buffer, callback) {
+    let filePath;
+    try {
+      filePath = resolveKey(key);
+    } catch (error) {
+      return callback(error);
+    }
+
+    fs.mkdir(path.dirname(filePath), { recursive: true }, (err) => {
+      if (err) return callback(err);
+      // Write then rename, so a reader never sees half a file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFile(tempPath, buffer, (err) => {
+        if (err) return callback(err);
+        fs.rename(tempPath, filePath, (err) => callback(err || null));
+      });
+    });
+  }
+
+  function read(key, callback) {
+    let filePath;
+    try {
+      filePath = resolveKey(key);
+    } catch (error) {
+      return callback(null, null);
+    }
+
+    fs.readFile(filePath, (err, buffer) => {
+      if (err && err.code === 'ENOENT') return callback(null, null);
+      callback(err || null, err ? null : buffer);
+    });
+  }
+
+  function remove(keys, callback) {
+    const next = (index) => {
+      if (index >= keys.length) return callback(null);
+      let filePath;
+      try {
+        filePath = resolveKey(keys[index]);
+      } catch (error) {
+        return callback(error);
+      }
+      fs.rm(filePath, { force: true }, (err) => {
+        if (err) return callback(err);
+        // Drop the image's directory once it's empty
+        fs.rmdir(path.dirname(filePath), () => next(index + 1));
+      });
+    };
+    next(0);
+  }
+
+  return { kind: 'disk', root, put, read, remove };
+}
+
+// The deployment's file store; `directory` defaults to UPLOADS_DIR
+function createFileStore({ directory } = {}) {
+  return createDiskFileStore(directory || process.env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR);
+}
+
+module.exports = { isValidKey, createDiskFileStore, createFileStore };
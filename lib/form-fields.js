@@ -0,0 +1,191 @@
+/**
+ * Custom request form fields: extra questions the DJ adds to a session's guest form, like a
+ * dedication, a table number or the occasion.
+ *
+ * A field is { id, label, type, required, showOnDisplay } plus, by type:
+ *   text      maxLength (1-500, default 100)
+ *   choice    options (2-20 distinct strings)
+ *   checkbox  nothing else; a required checkbox must be ticked
+ *
+ * Definitions are stored as JSON on the session. Answers are stored per requester as a list of
+ * { id, label, value } with the label as it was asked, so exports still read right after the
+ * DJ renames or removes a field. Values are strings, or true for a ticked checkbox; unanswered
+ * optional fields are left out.
+ */
+
+const FIELD_TYPES = ['text', 'choice', 'checkbox'];
+const MAX_FORM_FIELDS = 10;
+const MAX_LABEL_LENGTH = 60;
+const MAX_OPTIONS = 20;
+const MAX_OPTION_LENGTH = 60;
+const DEFAULT_TEXT_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+
+const FIELD_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// 'Table #' -> 'table'; 'field' when nothing usable is left
+function slugify(label) {
+  const slug = label.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30).replace(/-+$/, '');
+  return slug || 'field';
+}
+
+// Validate the DJ's field definitions (an array, or null/[] for none). Fields without an id get
+// one from their label. Throws with a message for the DJ when something is wrong.
+function parseFormFields(value) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error('Form fields must be a list');
+  if (value.length > MAX_FORM_FIELDS) throw new Error(`A form can have at most ${MAX_FORM_FIELDS} extra fields`);
+
+  const ids = new Set();
+  return value.map((input, index) => {
+    if (!input || typeof input !== 'object') throw new Error(`Field ${index + 1} is not a field`);
+
+    const label = cleanText(input.label);
+    if (!label) throw new Error(`Field ${index + 1} needs a label`);
+    if (label.length > MAX_LABEL_LENGTH) throw new Error(`"${label.slice(0, 20)}..." is too long - labels can have ${MAX_LABEL_LENGTH} characters`);
+
+    if (!FIELD_TYPES.includes(input.type)) {
+      throw new Error(`"${label}" needs a type: ${FIELD_TYPES.join(', ')}`);
+    }
+
+    let id = input.id === undefined || input.id === null || input.id === '' ? null : input.id;
+    if (id !== null && (typeof id !== 'string' || !FIELD_ID_PATTERN.test(id))) {
+      throw new Error(`"${label}" has an invalid id`);
+    }
+    if (id !== null && ids.has(id)) throw new Error(`Two fields have the id "${id}"`);
+    if (id === null) {
+      const base = slugify(label);
+      id = base;
+      for (let suffix = 2; ids.has(id) || value.some(other => other && other.id === id); suffix++) {
+        id = `${base.slice(0, 27)}-${suffix}`;
+      }
+    }
+    ids.add(id);
+
+    const field = {
+      id,
+      label,
+      type: input.type,
+      required: !!input.required,
+      showOnDisplay: input.showOnDisplay === undefined ? true : !!input.showOnDisplay
+    };
+
+    if (input.type === 'text') {
+      const maxLength = input.maxLength === undefined || input.maxLength === null || input.maxLength === ''
+        ? DEFAULT_TEXT_LENGTH
+        : parseInt(input.maxLength, 10);
+      if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+        throw new Error(`"${label}" can allow 1 to ${MAX_TEXT_LENGTH} characters`);
+      }
+      field.maxLength = maxLength;
+    }
+
+    if (input.type === 'choice') {
+      const options = (Array.isArray(input.options) ? input.options : []).map(cleanText).filter(Boolean);
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new Error(`"${label}" needs 2 to ${MAX_OPTIONS} options`);
+      }
+      if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+        throw new Error(`Options for "${label}" can have ${MAX_OPTION_LENGTH} characters`);
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        throw new Error(`"${label}" has the same option twice`);
+      }
+      field.options = options;
+    }
+
+    return field;
+  });
+}
+
+// A stored JSON list; missing or bad JSON reads as an empty one
+function readJsonList(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// The stored definitions (sessions.form_fields) as a list
+function readFormFields(json) {
+  return readJsonList(json);
+}
+
+// Check a guest's answers ({ fieldId: value }) against the fields and return them in storage
+// form. Throws an error with `field` set to the field's id when an answer is missing or invalid.
+function validateAnswers(fields, input) {
+  const answers = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const invalid = (field, message) => Object.assign(new Error(message), { field: field.id });
+
+  return fields.reduce((result, field) => {
+    const raw = answers[field.id];
+    let value = null;
+
+    if (field.type === 'checkbox') {
+      if (raw !== undefined && raw !== null && typeof raw !== 'boolean') throw invalid(field, `"${field.label}" must be ticked or not`);
+      value = raw === true ? true : null;
+    } else if (raw !== undefined && raw !== null) {
+      if (typeof raw !== 'string') throw invalid(field, `"${field.label}" must be text`);
+      // One line, so answers fit table cells, playlist comments and the display
+      value = cleanText(raw) || null;
+    }
+
+    if (value === null) {
+      if (field.required) throw invalid(field, field.type === 'checkbox' ? `Please tick "${field.label}"` : `Please fill in "${field.label}"`);
+      return result;
+    }
+
+    if (field.type === 'text' && value.length > field.maxLength) {
+      throw invalid(field, `"${field.label}" can be at most ${field.maxLength} characters`);
+    }
+    if (field.type === 'choice') {
+      const option = field.options.find(candidate => candidate.toLowerCase() === value.toLowerCase());
+      if (!option) throw invalid(field, `Pick one of the options for "${field.label}"`);
+      value = option;
+    }
+
+    result.push({ id: field.id, label: field.label, value });
+    return result;
+  }, []);
+}
+
+// Stored answers (submission_requesters.answers) as a list
+function readAnswers(json) {
+  return readJsonList(json);
+}
+
+// Answers from an imported export, trimmed to what the form could have stored; anything that
+// isn't an answer is dropped
+function cleanImportedAnswers(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(answer => answer && cleanText(answer.label) && (answer.value === true || cleanText(answer.value)))
+    .slice(0, MAX_FORM_FIELDS)
+    .map(answer => ({
+      id: typeof answer.id === 'string' && FIELD_ID_PATTERN.test(answer.id) ? answer.id : slugify(cleanText(answer.label)),
+      label: cleanText(answer.label).slice(0, MAX_LABEL_LENGTH),
+      value: answer.value === true ? true : cleanText(answer.value).slice(0, MAX_TEXT_LENGTH)
+    }));
+}
+
+// An answer's value as text: 'Yes' for a ticked checkbox
+function formatAnswerValue(value) {
+  return value === true ? 'Yes' : String(value);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  MAX_FORM_FIELDS,
+  parseFormFields,
+  readFormFields,
+  validateAnswers,
+  readAnswers,
+  cleanImportedAnswers,
+  formatAnswerValue
+};
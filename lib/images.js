@@ -0,0 +1,85 @@
+/**
+ * Background image uploads: recognizing what was uploaded and rendering the sizes guests download.
+ *
+ * The type comes from the file's first bytes, not the Content-Type the browser declared. Each
+ * upload becomes progressive JPEGs at the BACKGROUND_WIDTHS that fit the original (never
+ * enlarged, plus the original width when it's smaller than the largest), turned upright
+ * from the EXIF orientation and without metadata, so phone photos don't publish where they
+ * were taken. Transparent areas are filled with black, the pages' default background.
+ */
+
+const sharp = require('sharp');
+
+const MAX_BACKGROUND_BYTES = 10 * 1024 * 1024;
+// Guards against tiny files that decode to enormous images
+const MAX_BACKGROUND_PIXELS = 50 * 1000 * 1000;
+// Phones, tablets/laptops and big screens (the venue display)
+const BACKGROUND_WIDTHS = [640, 1280, 1920];
+const JPEG_QUALITY = 78;
+
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'image/png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')) },
+  { type: 'image/webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const BACKGROUND_TYPES = IMAGE_SIGNATURES.map(signature => signature.type);
+
+// 'image/jpeg', 'image/png', 'image/gif' or 'image/webp', or null for anything else
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? signature.type : null;
+}
+
+// Widths to render for an image `width` pixels wide
+function variantWidths(width) {
+  const widths = BACKGROUND_WIDTHS.filter(candidate => candidate < width);
+  widths.push(Math.min(width, BACKGROUND_WIDTHS[BACKGROUND_WIDTHS.length - 1]));
+  return [...new Set(widths)];
+}
+
+// Callback receives (err, { width, height, variants: [{ width, height, buffer }] }) with the
+// upright original size and the variants smallest first. Files that can't be decoded fail
+// with err.invalidImage set.
+function renderBackgroundVariants(buffer, callback) {
+  const options = { limitInputPixels: MAX_BACKGROUND_PIXELS, failOn: 'error' };
+  const invalid = (error) => {
+    const err = new Error(/pixel limit/i.test(error.message)
+      ? 'That image has too many pixels - resize it below 50 megapixels'
+      : "That file couldn't be read as an image");
+    err.invalidImage = true;
+    return err;
+  };
+
+  sharp(buffer, options).metadata().then((metadata) => {
+    // Orientations 5-8 are rotated by 90 degrees, so width and height swap once upright
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    return Promise.all(variantWidths(width).map(variantWidth => sharp(buffer, options)
+      .rotate()
+      .resize({ width: variantWidth, withoutEnlargement: true })
+      .flatten({ background: '#000' })
+      .jpeg({ quality: JPEG_QUALITY, progressive: true, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true })
+      .then(({ data, info }) => ({ width: info.width, height: info.height, buffer: data }))
+    )).then(variants => ({ width, height, variants }));
+  }, (error) => {
+    throw invalid(error);
+  }).then(
+    (result) => callback(null, result),
+    (error) => callback(error.invalidImage ? error : invalid(error))
+  );
+}
+
+module.exports = {
+  MAX_BACKGROUND_BYTES,
+  BACKGROUND_WIDTHS,
+  BACKGROUND_TYPES,
+  detectImageType,
+  variantWidths,
+  renderBackgroundVariants
+};
@@ -0,0 +1,161 @@
+/**
+ * Request interpretation: turns free-text requests the metadata providers couldn't match
+ * ("that wonderwall song", "sweet caroline by neil diamon") into candidate tracks.
+ *
+ * Every interpreter implements the same interface:
+ *   name                              'openai' | 'local'
+ *   isAvailable()                     configured and usable
+ *   interpret({ songName, artist })   -> [{ songName, artist, confidence }]
+ *
+ * where confidence (0 to 1) is how sure the interpreter is that the guest meant that song.
+ * The local interpreter is rule-based and deterministic, so development and tests work offline.
+ *
+ * Guesses are only kept when the provider chain knows the track. A candidate's confidence is
+ * the interpreter's times how well the found track matches the guess (scoreTrackMatch), so a
+ * confident guess at a song no provider has never turns into a candidate.
+ */
+
+const { normalizeForMatching, scoreTrackMatch } = require('../matching');
+const { createOpenAIInterpreter } = require('./openai');
+const { createLocalInterpreter } = require('./local');
+
+const INTERPRETER_NAMES = ['openai', 'local'];
+
+// Candidates at or above this are applied without asking the DJ
+const AUTO_ACCEPT_CONFIDENCE = 0.8;
+
+// Guesses looked up per request, and candidates kept for the DJ
+const MAX_GUESSES = 5;
+const MAX_CANDIDATES = 3;
+
+const MAX_TEXT_LENGTH = 200;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function roundConfidence(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// An interpreter's answer as [{ songName, artist, confidence }]: anything without a title is
+// dropped, confidence is clamped to 0-1 (0.5 when missing) and repeats are left out
+function cleanGuesses(list) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : [])
+    .filter(guess => guess && typeof guess === 'object')
+    .map(guess => {
+      const confidence = Number(guess.confidence);
+      return {
+        songName: cleanText(guess.songName || guess.title),
+        artist: cleanText(guess.artist),
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+      };
+    })
+    .filter(guess => {
+      const key = `${normalizeForMatching(guess.songName)}|${normalizeForMatching(guess.artist)}`;
+      if (!guess.songName || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_GUESSES);
+}
+
+// Stored candidates (submissions.interpretation_candidates) as a list
+function readCandidates(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// config: { backend, openaiApiKey, openaiModel, client, matchThreshold }. backend is 'openai',
+// 'local' or 'none'; unset means OpenAI when an API key is configured, otherwise local.
+function createRequestInterpreter(config) {
+  const name = String(config.backend || (config.openaiApiKey ? 'openai' : 'local')).trim().toLowerCase();
+  const matchThreshold = config.matchThreshold || 0.75;
+
+  let backend = null;
+  if (name === 'openai') {
+    backend = createOpenAIInterpreter({ apiKey: config.openaiApiKey, model: config.openaiModel, client: config.client });
+  } else if (name === 'local') {
+    backend = createLocalInterpreter();
+  } else if (name !== 'none') {
+    console.warn(`⚠️  WARNING: Unknown request interpreter "${name}" - free-text requests won't be interpreted.`);
+  }
+
+  return {
+    name: backend ? backend.name : null,
+
+    isAvailable() {
+      return !!backend && backend.isAvailable();
+    },
+
+    // Candidate tracks for a request, most likely first: { songName, artist, confidence,
+    // provider, trackId, bpm, keyCamelot, keyRegular, explicit, isrc, metadataProvider }.
+    // `chain` is the session's provider chain. Rejects when the interpreter fails.
+    async interpret({ songName, artist }, chain) {
+      if (!this.isAvailable()) return [];
+
+      // The text as typed was already looked up before the interpreter was asked
+      const typedKey = `${normalizeForMatching(songName)}|${normalizeForMatching(artist)}`;
+      const guesses = cleanGuesses(await backend.interpret({ songName, artist }))
+        .filter(guess => `${normalizeForMatching(guess.songName)}|${normalizeForMatching(guess.artist)}` !== typedKey);
+
+      const candidates = [];
+      for (const guess of guesses) {
+        let track;
+        try {
+          track = await chain.enrich({ songName: guess.songName, artist: guess.artist });
+        } catch (error) {
+          // A provider failed; whatever it found before failing still counts
+          track = error.partial || null;
+        }
+
+        const match = track ? scoreTrackMatch(guess.songName, guess.artist, track) : 0;
+        if (match < matchThreshold) continue;
+
+        const confidence = roundConfidence(guess.confidence * match);
+        const existing = candidates.find(candidate => candidate.provider === track.provider && candidate.trackId === track.id);
+        if (existing) {
+          existing.confidence = Math.max(existing.confidence, confidence);
+          continue;
+        }
+
+        candidates.push({
+          songName: track.songName,
+          artist: track.artist,
+          confidence,
+          provider: track.provider,
+          trackId: track.id,
+          bpm: track.bpm || null,
+          keyCamelot: track.keyCamelot || null,
+          keyRegular: track.keyRegular || null,
+          explicit: track.explicit === undefined ? null : track.explicit,
+          isrc: track.isrc || null,
+          metadataProvider: track.featuresProvider || null
+        });
+      }
+
+      return candidates
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, MAX_CANDIDATES);
+    },
+
+    // Which interpreter this deployment uses
+    describe() {
+      return { name: backend ? backend.name : null, available: this.isAvailable() };
+    }
+  };
+}
+
+module.exports = {
+  INTERPRETER_NAMES,
+  AUTO_ACCEPT_CONFIDENCE,
+  cleanGuesses,
+  readCandidates,
+  createRequestInterpreter
+};
@@ -0,0 +1,65 @@
+/**
+ * Local request interpreter - rule-based, no network, the same answer every time.
+ *
+ * Handles the usual shapes of free-text requests:
+ *   "sweet caroline by neil diamon"   song and artist typed into the song field
+ *   "play that wonderwall song pls"   filler words around the title
+ *   song and artist swapped between the two fields
+ * Placeholder artists ("idk", "?", "unknown") are ignored. Typos are left to the provider
+ * chain's fuzzy matching, which checks every guess.
+ */
+
+const PLACEHOLDER_ARTIST = /^(?:\?+|-+|idk|i don'?t know|dunno|not sure|unknown|n\/?a|none|anyone|whoever|no idea)$/i;
+
+// Repeated, so "can you play that" and "song please" both come off
+const LEADING_FILLER = /^(?:(?:can|could) (?:you|u) play|please play|play|please|pls|plz|that|this|the one|the song)\s+/i;
+const TRAILING_FILLER = /\s+(?:song|track|tune|one|thing|please|pls|plz|again|thx|thanks)[!.?]*$/i;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+function stripFiller(text) {
+  let result = text;
+  let previous;
+  do {
+    previous = result;
+    const stripped = result.replace(LEADING_FILLER, '').replace(TRAILING_FILLER, '').trim();
+    // Never strip a request down to nothing ("One" by U2)
+    if (stripped) result = stripped;
+  } while (result !== previous);
+  return result;
+}
+
+function createLocalInterpreter() {
+  return {
+    name: 'local',
+
+    isAvailable() {
+      return true;
+    },
+
+    async interpret({ songName, artist }) {
+      const typedSong = cleanText(songName);
+      const typedArtist = cleanText(artist);
+      const knownArtist = PLACEHOLDER_ARTIST.test(typedArtist) ? '' : typedArtist;
+      const song = stripFiller(typedSong);
+      const guesses = [];
+
+      const byArtist = song.match(/^(.+?)\s+by\s+(.+)$/i);
+      if (byArtist) {
+        guesses.push({ songName: stripFiller(byArtist[1]), artist: byArtist[2], confidence: 0.9 });
+      }
+      if (song !== typedSong || knownArtist !== typedArtist) {
+        guesses.push({ songName: song, artist: knownArtist, confidence: knownArtist ? 0.8 : 0.7 });
+      }
+      if (typedSong && knownArtist) {
+        guesses.push({ songName: knownArtist, artist: typedSong, confidence: 0.6 });
+      }
+
+      return guesses;
+    }
+  };
+}
+
+module.exports = { createLocalInterpreter };
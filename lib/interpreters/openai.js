@@ -0,0 +1,63 @@
+/**
+ * OpenAI request interpreter.
+ *
+ * Asks a chat model (OPENAI_MODEL, gpt-4o-mini by default) which songs a guest most likely
+ * meant and reads its answer as JSON. Needs OPENAI_API_KEY; `client` can be passed instead
+ * (anything with chat.completions.create), e.g. a stand-in for tests.
+ */
+
+const { OpenAI } = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const INSTRUCTIONS = [
+  'You help a DJ read song requests that guests typed at a party.',
+  'Requests can be vague, misspelled, describe the song instead of naming it, or have the song and artist swapped.',
+  'Reply with JSON only: {"candidates": [{"songName": "...", "artist": "...", "confidence": 0.0}]}',
+  'List up to 3 real, released songs the guest most likely meant, most likely first.',
+  'confidence is your probability (0 to 1) that the guest meant that exact song.',
+  'Reply {"candidates": []} when you cannot tell.'
+].join('\n');
+
+function createOpenAIInterpreter({ apiKey, model, client }) {
+  let openai = client || null;
+
+  function getClient() {
+    if (!openai) {
+      openai = new OpenAI({ apiKey, timeout: REQUEST_TIMEOUT_MS, maxRetries: 1 });
+    }
+    return openai;
+  }
+
+  return {
+    name: 'openai',
+
+    isAvailable() {
+      return !!(client || apiKey);
+    },
+
+    async interpret({ songName, artist }) {
+      const completion = await getClient().chat.completions.create({
+        model: model || DEFAULT_MODEL,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: INSTRUCTIONS },
+          { role: 'user', content: JSON.stringify({ songName, artist }) }
+        ]
+      });
+
+      const message = completion && completion.choices && completion.choices[0] && completion.choices[0].message;
+      let answer;
+      try {
+        answer = JSON.parse(message && message.content);
+      } catch (error) {
+        throw new Error('OpenAI answered with something other than JSON');
+      }
+      return answer && Array.isArray(answer.candidates) ? answer.candidates : [];
+    }
+  };
+}
+
+module.exports = { createOpenAIInterpreter };
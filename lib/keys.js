@@ -0,0 +1,86 @@
+/**
+ * Musical key helpers shared by the metadata providers.
+ *
+ * Providers report keys as Spotify-style pitch class + mode (key 0-11, mode 1 = major,
+ * 0 = minor); these turn that into the regular and Camelot notation stored on submissions.
+ */
+
+const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MODE_NAMES = ['minor', 'major'];
+
+// Flats and alternative spellings used by catalogs and AcousticBrainz
+const KEY_ALIASES = {
+  'DB': 1, 'EB': 3, 'GB': 6, 'AB': 8, 'BB': 10,
+  'CB': 11, 'FB': 4, 'E#': 5, 'B#': 0
+};
+
+// Convert Spotify key and mode to Camelot key
+function convertToCamelotKey(key, mode) {
+  if (key === -1 || mode === -1) return null;
+  
+  // Camelot wheel mapping
+  // Major keys (mode = 1): 8A, 3A, 10A, 5A, 12A, 7A, 2A, 9A, 4A, 11A, 6A, 1A
+  // Minor keys (mode = 0): 5B, 12B, 7B, 2B, 9B, 4B, 11B, 6B, 1B, 8B, 3B, 10B
+  const camelotMajor = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
+  const camelotMinor = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+  
+  if (mode === 1) {
+    return `${camelotMajor[key]}A`;
+  } else {
+    return `${camelotMinor[key]}B`;
+  }
+}
+
+// "C# minor" style notation, or null when the key is unknown
+function formatRegularKey(key, mode) {
+  if (key === -1 || mode === -1 || key === null || key === undefined) return null;
+  return `${KEY_NAMES[key]} ${MODE_NAMES[mode]}`;
+}
+
+// Parse "C# minor", "Db major", "F#m" or "A" into { key, mode }
+function parseKeyName(name) {
+  const match = /^\s*([A-Ga-g])([#b♯♭]?)\s*(major|minor|maj|min|m)?\s*$/.exec(name || '');
+  if (!match) return null;
+  
+  const note = match[1].toUpperCase() + match[2].replace('♯', '#').replace('♭', 'b').toUpperCase();
+  const key = note in KEY_ALIASES ? KEY_ALIASES[note] : KEY_NAMES.indexOf(note);
+  if (key === -1) return null;
+  
+  const scale = (match[3] || 'major').toLowerCase();
+  return { key, mode: scale === 'minor' || scale === 'min' || scale === 'm' ? 0 : 1 };
+}
+
+// Camelot codes as DJ software writes them (Mixed In Key, Rekordbox: 8A = A minor, 8B = C major),
+// indexed by wheel number 1-12, as pitch classes
+const CAMELOT_WHEEL_MINOR = [8, 3, 10, 5, 0, 7, 2, 9, 4, 11, 6, 1];
+const CAMELOT_WHEEL_MAJOR = [11, 6, 1, 8, 3, 10, 5, 0, 7, 2, 9, 4];
+
+// Parse "8A" / "12B" (wheel notation from DJ software) into { key, mode }
+function parseCamelotName(name) {
+  const match = /^\s*(\d{1,2})\s*([AaBb])\s*$/.exec(name || '');
+  if (!match) return null;
+
+  const number = parseInt(match[1], 10);
+  if (number < 1 || number > 12) return null;
+
+  return match[2].toUpperCase() === 'A'
+    ? { key: CAMELOT_WHEEL_MINOR[number - 1], mode: 0 }
+    : { key: CAMELOT_WHEEL_MAJOR[number - 1], mode: 1 };
+}
+
+// Audio features in the shape stored on submissions
+function buildKeyFeatures(key, mode) {
+  return {
+    keyCamelot: convertToCamelotKey(key, mode),
+    keyRegular: formatRegularKey(key, mode)
+  };
+}
+
+module.exports = {
+  KEY_NAMES,
+  convertToCamelotKey,
+  formatRegularKey,
+  parseKeyName,
+  parseCamelotName,
+  buildKeyFeatures
+};
@@ -0,0 +1,313 @@
+/**
+ * DJ library files: parsing and matching requests against them.
+ *
+ * DJs upload their collection as exported by their DJ software:
+ *   rekordbox   Rekordbox XML (File > Export Collection in xml format)
+ *   itunes      iTunes / Music "Library.xml" (File > Library > Export Library)
+ *   csv         a header row with title (or name) and artist, optionally album, bpm, key,
+ *               isrc and location; comma, semicolon or tab separated
+ *
+ * parseLibrary() turns a file into tracks
+ *   { title, artist, album, bpm, keyCamelot, keyRegular, isrc, location }
+ * (fields the file doesn't have are null). createLibraryIndex() matches a request to one of
+ * them by ISRC, or by fuzzy title/artist with the same scoring as the metadata providers.
+ */
+
+const { parseKeyName, parseCamelotName, buildKeyFeatures } = require('./keys');
+const { normalizeForMatching, scoreTrackMatch } = require('./matching');
+
+const LIBRARY_FORMATS = ['rekordbox', 'itunes', 'csv'];
+const LIBRARY_MATCH_THRESHOLD = 0.85;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name.toLowerCase()];
+  });
+}
+
+// file://localhost/Users/dj/Music/a%20b.mp3 -> /Users/dj/Music/a b.mp3 (C:/... on Windows)
+function locationFromFileUrl(value) {
+  if (!value) return null;
+  if (!/^file:\/\//i.test(value)) return value;
+
+  let location = value.replace(/^file:\/\/(localhost)?/i, '');
+  try {
+    location = decodeURIComponent(location);
+  } catch (error) {
+    // Not valid percent-encoding - keep the path as written
+  }
+  return /^\/[A-Za-z]:\//.test(location) ? location.slice(1) : location;
+}
+
+function parseBpm(value) {
+  const bpm = parseFloat(value);
+  return bpm > 0 && bpm < 1000 ? Math.round(bpm) : null;
+}
+
+// Musical keys ("Am", "C# minor") or Camelot codes ("8A")
+function parseLibraryKey(value) {
+  const parsed = parseKeyName(value) || parseCamelotName(value);
+  return parsed ? buildKeyFeatures(parsed.key, parsed.mode) : { keyCamelot: null, keyRegular: null };
+}
+
+function normalizeIsrc(value) {
+  const isrc = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc) ? isrc : null;
+}
+
+// Tracks without a title can't be matched, so they're dropped
+function toLibraryTrack(fields) {
+  const title = String(fields.title || '').trim();
+  if (!title) return null;
+
+  return {
+    title: title,
+    artist: String(fields.artist || '').trim(),
+    album: fields.album ? String(fields.album).trim() : null,
+    bpm: parseBpm(fields.bpm),
+    ...parseLibraryKey(fields.key),
+    isrc: normalizeIsrc(fields.isrc),
+    location: fields.location || null
+  };
+}
+
+// Rekordbox XML: <COLLECTION> holds one <TRACK Name="" Artist="" AverageBpm="" Tonality="" Location=""> per track
+// (playlists further down only reference them by Key)
+
+function xmlAttributes(text) {
+  const attributes = {};
+  const pattern = /([A-Za-z_][\w.-]*)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+}
+
+function parseRekordboxXml(text) {
+  const collection = /<COLLECTION\b[^>]*>([\s\S]*?)<\/COLLECTION>/.exec(text);
+  if (!collection) {
+    throw new Error('No COLLECTION found in the Rekordbox XML');
+  }
+
+  const tracks = [];
+  const pattern = /<TRACK\b([^>]*)>/g;
+  let match;
+  while ((match = pattern.exec(collection[1]))) {
+    const attributes = xmlAttributes(match[1]);
+    tracks.push(toLibraryTrack({
+      title: attributes.Name,
+      artist: attributes.Artist,
+      album: attributes.Album,
+      bpm: attributes.AverageBpm,
+      key: attributes.Tonality,
+      isrc: attributes.ISRC,
+      location: locationFromFileUrl(attributes.Location)
+    }));
+  }
+  return tracks.filter(Boolean);
+}
+
+// iTunes / Music library plist: a "Tracks" dict of <key>id</key><dict>...</dict> entries,
+// followed by "Playlists"
+
+function parseItunesXml(text) {
+  const start = text.indexOf('<key>Tracks</key>');
+  if (start === -1) {
+    throw new Error('No Tracks found in the iTunes library XML');
+  }
+  const end = text.indexOf('<key>Playlists</key>', start);
+  const section = text.slice(start, end === -1 ? text.length : end);
+
+  const tracks = [];
+  const trackPattern = /<key>\d+<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+  let trackMatch;
+  while ((trackMatch = trackPattern.exec(section))) {
+    const fields = {};
+    const fieldPattern = /<key>([^<]*)<\/key>\s*(?:<(string|integer|real|date)>([^<]*)<\/\2>|<(true|false)\s*\/>)/g;
+    let fieldMatch;
+    while ((fieldMatch = fieldPattern.exec(trackMatch[1]))) {
+      fields[decodeXml(fieldMatch[1])] = fieldMatch[4] ? fieldMatch[4] === 'true' : decodeXml(fieldMatch[3]);
+    }
+
+    // Podcasts and videos aren't part of a DJ's crate
+    if (fields.Podcast || fields.Movie || fields['TV Show'] || fields['Music Video']) continue;
+
+    tracks.push(toLibraryTrack({
+      title: fields.Name,
+      artist: fields.Artist,
+      album: fields.Album,
+      bpm: fields.BPM,
+      location: locationFromFileUrl(fields.Location)
+    }));
+  }
+  return tracks.filter(Boolean);
+}
+
+// CSV
+
+const CSV_HEADERS = {
+  title: ['title', 'name', 'song', 'song name', 'track', 'track title', 'track name'],
+  artist: ['artist', 'artists', 'artist name'],
+  album: ['album', 'album title'],
+  bpm: ['bpm', 'tempo', 'average bpm'],
+  key: ['key', 'initial key', 'musical key', 'tonality', 'camelot'],
+  isrc: ['isrc'],
+  location: ['location', 'path', 'file', 'file path', 'filename', 'file name']
+};
+
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseCsv(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best);
+  const [header, ...rows] = parseCsvRows(text, delimiter);
+  if (!header) {
+    throw new Error('The CSV is empty');
+  }
+
+  const headerNames = header.map(name => name.trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/^#\s*/, ''));
+  const columns = {};
+  Object.entries(CSV_HEADERS).forEach(([field, names]) => {
+    const index = headerNames.findIndex(name => names.includes(name));
+    if (index !== -1) columns[field] = index;
+  });
+  if (columns.title === undefined) {
+    throw new Error('The CSV needs a title (or name) column');
+  }
+
+  return rows
+    .map(cells => {
+      const fields = {};
+      Object.entries(columns).forEach(([field, index]) => {
+        fields[field] = cells[index] === undefined ? null : cells[index].trim();
+      });
+      return toLibraryTrack({ ...fields, location: locationFromFileUrl(fields.location) });
+    })
+    .filter(Boolean);
+}
+
+const LIBRARY_PARSERS = {
+  rekordbox: parseRekordboxXml,
+  itunes: parseItunesXml,
+  csv: parseCsv
+};
+
+function detectLibraryFormat(text) {
+  const head = text.slice(0, 4096);
+  if (/<DJ_PLAYLISTS\b/.test(head)) return 'rekordbox';
+  if (/<plist\b|<!DOCTYPE plist/.test(head)) return 'itunes';
+  if (/^\s*</.test(head)) return null;
+  return 'csv';
+}
+
+// Parse an uploaded library file. format is detected from the content when not given.
+// Throws on files that aren't a supported library export.
+function parseLibrary(text, format) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const libraryFormat = format || detectLibraryFormat(content);
+  if (!LIBRARY_PARSERS[libraryFormat]) {
+    throw new Error('Unrecognized library file - expected a Rekordbox XML, iTunes/Music library XML or CSV export');
+  }
+
+  return { format: libraryFormat, tracks: LIBRARY_PARSERS[libraryFormat](content) };
+}
+
+// Matcher over library tracks (parsed tracks, or rows with title/artist/isrc). Fuzzy matching
+// only scores tracks sharing a title or artist word with the request, so big libraries stay fast.
+function createLibraryIndex(tracks) {
+  const byIsrc = new Map();
+  const byWord = new Map();
+
+  tracks.forEach(track => {
+    if (track.isrc && !byIsrc.has(track.isrc)) {
+      byIsrc.set(track.isrc, track);
+    }
+
+    const words = new Set(`${normalizeForMatching(track.title)} ${normalizeForMatching(track.artist)}`.split(' ').filter(Boolean));
+    words.forEach(word => {
+      if (!byWord.has(word)) byWord.set(word, []);
+      byWord.get(word).push(track);
+    });
+  });
+
+  return {
+    size: tracks.length,
+
+    // Best library track for a request, or null
+    match({ songName, artist, isrc }) {
+      const normalizedIsrc = normalizeIsrc(isrc);
+      if (normalizedIsrc && byIsrc.has(normalizedIsrc)) {
+        return byIsrc.get(normalizedIsrc);
+      }
+
+      const candidates = new Set();
+      `${normalizeForMatching(songName)} ${normalizeForMatching(artist)}`.split(' ').filter(Boolean).forEach(word => {
+        (byWord.get(word) || []).forEach(track => candidates.add(track));
+      });
+
+      // Ties go to the copy with a BPM (libraries often hold several versions of a track)
+      let best = null;
+      let bestScore = 0;
+      candidates.forEach(track => {
+        const score = scoreTrackMatch(songName, artist, { songName: track.title, artist: track.artist });
+        if (score < LIBRARY_MATCH_THRESHOLD) return;
+        if (!best || score > bestScore || (score === bestScore && !best.bpm && track.bpm)) {
+          best = track;
+          bestScore = score;
+        }
+      });
+      return best;
+    }
+  };
+}
+
+module.exports = {
+  LIBRARY_FORMATS,
+  parseLibrary,
+  createLibraryIndex
+};
@@ -0,0 +1,70 @@
+/**
+ * Text matching helpers for duplicate detection, request policies and catalog lookups.
+ */
+
+// Normalize free text for matching: lowercase, no accents, no "(feat. ...)"/"- Remastered" suffixes,
+// no punctuation and no leading "the"
+function normalizeForMatching(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s*[\(\[][^\)\]]*[\)\]]/g, ' ')
+    .replace(/\s+-\s+.*(remaster|version|edit|mix|live|mono|stereo).*$/, ' ')
+    .replace(/\b(feat|ft|featuring)\b.*$/, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/^\s*the\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Edit-distance similarity between two strings, 0 (different) to 1 (identical).
+// Swapped adjacent letters count as one edit, since that's the most common typo.
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  
+  const distances = [];
+  for (let i = 0; i <= a.length; i++) {
+    distances[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        distances[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  
+  return 1 - distances[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+// How well a candidate track matches a requested song/artist, 0 to 1.
+// The title carries more weight; an empty requested artist doesn't count against.
+function scoreTrackMatch(songName, artist, candidate) {
+  const title = textSimilarity(normalizeForMatching(songName), normalizeForMatching(candidate.songName));
+  if (!artist) return title;
+  
+  const requestedArtist = normalizeForMatching(artist);
+  const candidateArtist = normalizeForMatching(candidate.artist);
+  const artistScore = ` ${candidateArtist} `.includes(` ${requestedArtist} `)
+    ? 1
+    : textSimilarity(requestedArtist, candidateArtist);
+  
+  return title * 0.6 + artistScore * 0.4;
+}
+
+module.exports = {
+  normalizeForMatching,
+  textSimilarity,
+  scoreTrackMatch
+};
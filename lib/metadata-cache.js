@@ -0,0 +1,213 @@
+/**
+ * Persistent cache for metadata provider lookups (`metadata_cache` table).
+ *
+ * Entries are keyed by provider, kind and either the track ID or the normalized query:
+ *   spotify:search:<query>|<limit>    spotify:track:<id>    spotify:features:<id>
+ *   spotify:find:<song>|<artist>
+ * Empty results are cached too, for a shorter time, so tracks without audio features
+ * don't cost a call on every request. Provider errors are never cached.
+ *
+ * Identical lookups already in flight share one provider call, and search results prime
+ * the track/features entries so picking a suggestion doesn't fetch the same track again.
+ */
+
+const { normalizeForMatching } = require('./matching');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTLS_MS = {
+  search: 24 * HOUR_MS,
+  find: 7 * 24 * HOUR_MS,
+  track: 30 * 24 * HOUR_MS,
+  features: 30 * 24 * HOUR_MS
+};
+const EMPTY_RESULT_TTL_MS = HOUR_MS;
+const EXPIRED_SWEEP_INTERVAL_MS = HOUR_MS;
+
+// Search keys only fold case and spacing - "the killers" and "killers" are different searches
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function isEmptyResult(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+function createMetadataCache(db) {
+  const inFlight = new Map();
+  const counters = new Map();
+  const since = new Date().toISOString();
+
+  function count(provider, kind, field) {
+    const name = `${provider}:${kind}`;
+    if (!counters.has(name)) {
+      counters.set(name, { provider, kind, hits: 0, misses: 0, coalesced: 0 });
+    }
+    counters.get(name)[field]++;
+  }
+
+  function read(cacheKey) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT value FROM metadata_cache WHERE cache_key = ? AND expires_at > ?',
+        [cacheKey, Date.now()],
+        (err, row) => (err ? reject(err) : resolve(row ? { value: JSON.parse(row.value) } : null))
+      );
+    });
+  }
+
+  function write(provider, kind, keyPart, value) {
+    const ttl = isEmptyResult(value) ? EMPTY_RESULT_TTL_MS : CACHE_TTLS_MS[kind];
+    db.run(
+      `INSERT INTO metadata_cache (cache_key, provider, kind, value, expires_at) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (cache_key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, created_at = CURRENT_TIMESTAMP`,
+      [`${provider}:${kind}:${keyPart}`, provider, kind, JSON.stringify(value === undefined ? null : value), Date.now() + ttl],
+      (err) => {
+        if (err) {
+          console.error('Error writing metadata cache:', err.message);
+        }
+      }
+    );
+  }
+
+  // Cached, coalesced provider call. A failing cache read falls through to the provider.
+  function lookup(provider, kind, keyPart, fetch, onFetched) {
+    const cacheKey = `${provider}:${kind}:${keyPart}`;
+    if (inFlight.has(cacheKey)) {
+      count(provider, kind, 'coalesced');
+      return inFlight.get(cacheKey);
+    }
+
+    const pending = (async () => {
+      const cached = await read(cacheKey).catch(error => {
+        console.error('Error reading metadata cache:', error.message);
+        return null;
+      });
+      if (cached) {
+        count(provider, kind, 'hits');
+        return cached.value;
+      }
+
+      count(provider, kind, 'misses');
+      const value = await fetch();
+      write(provider, kind, keyPart, value);
+      if (onFetched) onFetched(value);
+      return value;
+    })().finally(() => inFlight.delete(cacheKey));
+
+    inFlight.set(cacheKey, pending);
+    return pending;
+  }
+
+  // Same interface as the provider, with every lookup going through the cache
+  function wrap(provider) {
+    const name = provider.name;
+
+    // Suggestions carry full track data (and features when the provider has them)
+    function primeFromSearch(tracks) {
+      (tracks || []).forEach(track => {
+        if (!track.id) return;
+        write(name, 'track', track.id, track);
+        if (track.bpm || track.keyCamelot) {
+          write(name, 'features', track.id, { bpm: track.bpm, keyCamelot: track.keyCamelot, keyRegular: track.keyRegular });
+        }
+      });
+    }
+
+    return {
+      name,
+      isAvailable: () => provider.isAvailable(),
+
+      search(query, options = {}) {
+        const limit = options.limit || 10;
+        return lookup(name, 'search', `${normalizeQuery(query)}|${limit}`,
+          () => provider.search(query, { ...options, limit }), primeFromSearch);
+      },
+
+      findTrack(songName, artist) {
+        return lookup(name, 'find', `${normalizeForMatching(songName)}|${normalizeForMatching(artist)}`,
+          () => provider.findTrack(songName, artist));
+      },
+
+      getTrack(id) {
+        return lookup(name, 'track', id, () => provider.getTrack(id));
+      },
+
+      getAudioFeatures(id) {
+        return lookup(name, 'features', id, () => provider.getAudioFeatures(id));
+      }
+    };
+  }
+
+  // Hit rates since startup plus what's stored, per provider and kind
+  function getStats() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT provider, kind, COUNT(*) AS entries, SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) AS expired
+         FROM metadata_cache GROUP BY provider, kind ORDER BY provider, kind`,
+        [Date.now()],
+        (err, rows) => {
+          if (err) return reject(err);
+
+          const hitRate = (hits, misses) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null);
+          const lookups = Array.from(counters.values()).map(counter => ({
+            ...counter,
+            hitRate: hitRate(counter.hits, counter.misses)
+          }));
+          const totals = lookups.reduce((sum, counter) => ({
+            hits: sum.hits + counter.hits,
+            misses: sum.misses + counter.misses,
+            coalesced: sum.coalesced + counter.coalesced
+          }), { hits: 0, misses: 0, coalesced: 0 });
+
+          resolve({
+            since,
+            totals: { ...totals, hitRate: hitRate(totals.hits, totals.misses) },
+            lookups,
+            entries: rows
+          });
+        }
+      );
+    });
+  }
+
+  // Delete cached entries, optionally only one provider and/or kind. Resolves to the number deleted.
+  function purge({ provider, kind } = {}) {
+    const conditions = [];
+    const params = [];
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM metadata_cache${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+        params,
+        function(err) {
+          if (err) return reject(err);
+          resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  const sweep = setInterval(() => {
+    db.run('DELETE FROM metadata_cache WHERE expires_at <= ?', [Date.now()], (err) => {
+      if (err) {
+        console.error('Error removing expired metadata cache entries:', err.message);
+      }
+    });
+  }, EXPIRED_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return { wrap, getStats, purge };
+}
+
+module.exports = {
+  CACHE_KINDS: Object.keys(CACHE_TTLS_MS),
+  createMetadataCache
+};
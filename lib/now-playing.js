@@ -0,0 +1,82 @@
+/**
+ * Now-playing ingestion: reading the track DJ software reports and finding the request it plays.
+ *
+ * A report is { songName (or title), artist, isrc }. It matches the session's open request with
+ * the same ISRC, or else the one whose title and artist (as looked up, or as the guest typed
+ * them) score highest with scoreTrackMatch, if that's at least NOW_PLAYING_MATCH_THRESHOLD.
+ * Ties go to the most requested, then the oldest request.
+ */
+
+const { normalizeForMatching, scoreTrackMatch } = require('./matching');
+
+const NOW_PLAYING_MATCH_THRESHOLD = 0.85;
+// Bridges often report the same track every few seconds; reports of the track already at the
+// top of the history within this window are ignored
+const REPEAT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TEXT_LENGTH = 200;
+
+// Statuses a playing track can advance: anything still in the queue
+const MATCHABLE_STATUSES = ['pending-review', 'pending', 'up-next', 'now-playing'];
+
+function cleanText(value) {
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function normalizeIsrc(value) {
+  const isrc = cleanText(value).replace(/-/g, '').toUpperCase();
+  return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc) ? isrc : null;
+}
+
+// Validate a now-playing report. Throws with a message for the bridge's log.
+function parseNowPlaying(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const songName = cleanText(body.songName !== undefined ? body.songName : body.title);
+  if (!songName) throw new Error('songName (or title) is required');
+
+  return { songName, artist: cleanText(body.artist), isrc: normalizeIsrc(body.isrc) };
+}
+
+function matchScore(track, submission) {
+  if (track.isrc && submission.isrc && normalizeIsrc(submission.isrc) === track.isrc) return 1;
+
+  const typed = submission.original_song_name
+    ? scoreTrackMatch(track.songName, track.artist, { songName: submission.original_song_name, artist: submission.original_artist })
+    : 0;
+  return Math.max(typed, scoreTrackMatch(track.songName, track.artist, { songName: submission.song_name, artist: submission.artist }));
+}
+
+// The session's request a reported track plays: { submission, score }, or null.
+// submissions: the session's rows, oldest first (any status; only open ones are considered).
+function findPlayedSubmission(track, submissions) {
+  let best = null;
+  submissions.forEach(submission => {
+    if (!MATCHABLE_STATUSES.includes(submission.status)) return;
+
+    const score = matchScore(track, submission);
+    if (score < NOW_PLAYING_MATCH_THRESHOLD) return;
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && (submission.request_count || 1) > (best.submission.request_count || 1))
+    ) {
+      best = { submission, score };
+    }
+  });
+  return best && { submission: best.submission, score: Math.round(best.score * 100) / 100 };
+}
+
+// Whether a report repeats the latest history entry ({ songName, artist, playedAt } with playedAt
+// in milliseconds) recently enough to ignore
+function isRepeat(track, latest, now = Date.now()) {
+  if (!latest || !(now - latest.playedAt < REPEAT_WINDOW_MS)) return false;
+  return normalizeForMatching(latest.songName) === normalizeForMatching(track.songName) &&
+    normalizeForMatching(latest.artist) === normalizeForMatching(track.artist);
+}
+
+module.exports = {
+  NOW_PLAYING_MATCH_THRESHOLD,
+  parseNowPlaying,
+  findPlayedSubmission,
+  isRepeat
+};
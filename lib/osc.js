@@ -0,0 +1,130 @@
+/**
+ * Minimal OSC 1.0 over UDP, for DJ software and bridges that speak OSC rather than HTTP.
+ *
+ * Messages and bundles are decoded; arguments of type s (string), i (int32), f (float32),
+ * T/F (true/false) and N (nil) are supported. Packets with anything else are dropped.
+ */
+
+const dgram = require('dgram');
+
+// Strings are null-terminated and padded to a multiple of 4 bytes
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  return { value: buffer.toString('utf8', offset, end), offset: (end + 4) & ~3 };
+}
+
+function readMessage(buffer) {
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith('/')) throw new Error('OSC addresses start with /');
+
+  const args = [];
+  if (address.offset >= buffer.length) return { address: address.value, args };
+
+  const tags = readString(buffer, address.offset);
+  if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tags');
+
+  let offset = tags.offset;
+  for (const tag of tags.value.slice(1)) {
+    if (tag === 's') {
+      const string = readString(buffer, offset);
+      args.push(string.value);
+      offset = string.offset;
+    } else if (tag === 'i') {
+      args.push(buffer.readInt32BE(offset));
+      offset += 4;
+    } else if (tag === 'f') {
+      args.push(buffer.readFloatBE(offset));
+      offset += 4;
+    } else if (tag === 'T' || tag === 'F') {
+      args.push(tag === 'T');
+    } else if (tag === 'N') {
+      args.push(null);
+    } else {
+      throw new Error(`Unsupported OSC type tag "${tag}"`);
+    }
+  }
+  return { address: address.value, args };
+}
+
+// The messages in a packet: [{ address, args }]. Throws on malformed packets.
+function parseOscPacket(buffer) {
+  if (buffer.toString('utf8', 0, 8) !== '#bundle\0') {
+    return [readMessage(buffer)];
+  }
+
+  // #bundle, an 8-byte time tag, then size-prefixed elements
+  const messages = [];
+  let offset = 16;
+  while (offset < buffer.length) {
+    const size = buffer.readInt32BE(offset);
+    offset += 4;
+    if (size <= 0 || offset + size > buffer.length) throw new Error('Truncated OSC bundle');
+    messages.push(...parseOscPacket(buffer.subarray(offset, offset + size)));
+    offset += size;
+  }
+  return messages;
+}
+
+// Encode a message, e.g. to send one from a bridge script written in Node
+function encodeOscMessage(address, args = []) {
+  const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc(4 - (buffer.length % 4))]);
+  const string = (value) => pad(Buffer.from(String(value), 'utf8'));
+  let tags = ',';
+  const parts = args.map(arg => {
+    if (typeof arg === 'number' && Number.isInteger(arg)) {
+      tags += 'i';
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(arg);
+      return buffer;
+    }
+    if (typeof arg === 'number') {
+      tags += 'f';
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(arg);
+      return buffer;
+    }
+    if (typeof arg === 'boolean' || arg === null) {
+      tags += arg === null ? 'N' : arg ? 'T' : 'F';
+      return Buffer.alloc(0);
+    }
+    tags += 's';
+    return string(arg);
+  });
+  return Buffer.concat([string(address), string(tags), ...parts]);
+}
+
+// Listen for OSC on a UDP port. onMessage({ address, args }, remote) is called for every
+// message; malformed packets are logged and dropped. Resolves to { port, close() } once bound.
+function startOscListener({ port, host = '0.0.0.0', onMessage }) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+
+    socket.on('message', (packet, remote) => {
+      let messages;
+      try {
+        messages = parseOscPacket(packet);
+      } catch (error) {
+        console.log(`Dropped OSC packet from ${remote.address}: ${error.message}`);
+        return;
+      }
+      messages.forEach(message => onMessage(message, remote));
+    });
+
+    socket.once('error', reject);
+    socket.bind(port, host, () => {
+      socket.removeListener('error', reject);
+      socket.on('error', (error) => console.error('OSC listener error:', error));
+      resolve({
+        port: socket.address().port,
+        close: () => new Promise(done => socket.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseOscPacket,
+  encodeOscMessage,
+  startOscListener
+};
@@ -0,0 +1,176 @@
+/**
+ * Metadata provider layer.
+ *
+ * Every provider implements the same interface:
+ *   name                          'spotify' | 'musicbrainz' | 'local'
+ *   isAvailable()                 configured and usable
+ *   search(query, { limit })      -> [track]
+ *   findTrack(songName, artist)   -> track | null (best match for free text)
+ *   getTrack(id)                  -> track | null
+ *   getAudioFeatures(id)          -> { bpm, keyCamelot, keyRegular } | null
+ *
+ * where a track is { provider, id, songName, artist, album, explicit, isrc, bpm, keyCamelot, keyRegular }
+ * (fields a provider doesn't know are null).
+ *
+ * A chain is an ordered list of provider names. search() uses the first provider that
+ * returns results; enrich() starts from the provider a track was picked from and fills
+ * missing BPM/key/explicit from the rest of the chain, matched by song and artist.
+ */
+
+const { createSpotifyProvider } = require('./spotify');
+const { createMusicBrainzProvider } = require('./musicbrainz');
+const { createLocalCatalogProvider } = require('./local-catalog');
+
+const PROVIDER_NAMES = ['spotify', 'musicbrainz', 'local'];
+const CACHED_PROVIDERS = ['spotify', 'musicbrainz'];
+const ENRICHED_FIELDS = ['bpm', 'keyCamelot', 'keyRegular', 'explicit', 'isrc', 'album'];
+
+// "spotify, local" or ['spotify', 'local'] -> known, de-duplicated names (null when empty)
+function parseProviderList(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter((name, index, all) => PROVIDER_NAMES.includes(name) && all.indexOf(name) === index);
+  return names.length > 0 ? names : null;
+}
+
+function isComplete(track) {
+  return !!(track && track.bpm && track.keyCamelot);
+}
+
+// Copy fields the result is missing from another source; remember who supplied features
+function fillMissing(result, source, providerName) {
+  if (!source) return result;
+  ENRICHED_FIELDS.forEach(field => {
+    if ((result[field] === null || result[field] === undefined) && source[field] !== null && source[field] !== undefined) {
+      result[field] = source[field];
+      if (field === 'bpm' || field === 'keyCamelot') {
+        result.featuresProvider = result.featuresProvider || providerName;
+      }
+    }
+  });
+  return result;
+}
+
+function createMetadataProviders(config) {
+  const providers = {
+    spotify: createSpotifyProvider({
+      clientId: config.spotifyClientId,
+      clientSecret: config.spotifyClientSecret
+    }),
+    musicbrainz: createMusicBrainzProvider({
+      musicBrainzUrl: config.musicBrainzUrl,
+      acousticBrainzUrl: config.acousticBrainzUrl,
+      userAgent: config.userAgent
+    }),
+    local: createLocalCatalogProvider({
+      catalogPath: config.localCatalogPath
+    })
+  };
+
+  // Network providers go through the persistent cache; the local catalog is already in memory
+  if (config.cache) {
+    CACHED_PROVIDERS.forEach(name => {
+      providers[name] = config.cache.wrap(providers[name]);
+    });
+  }
+
+  const defaultNames = parseProviderList(config.defaultChain) || ['spotify', 'local'];
+
+  // Provider failures are logged and treated as "no data" so the chain can fall back;
+  // failed provider names are collected in `failures` when given
+  async function attempt(failures, provider, method, ...args) {
+    try {
+      return await provider[method](...args);
+    } catch (error) {
+      console.error(`Metadata provider ${provider.name} ${method} failed:`, error.message);
+      if (failures && !failures.includes(provider.name)) failures.push(provider.name);
+      return null;
+    }
+  }
+
+  function getChain(names) {
+    const chainNames = parseProviderList(names) || defaultNames;
+    const chainProviders = () => chainNames.map(name => providers[name]).filter(provider => provider.isAvailable());
+
+    return {
+      names: chainNames,
+
+      async search(query, options = {}) {
+        for (const provider of chainProviders()) {
+          const tracks = await attempt(null, provider, 'search', query, options);
+          if (tracks && tracks.length > 0) return tracks;
+        }
+        return [];
+      },
+
+      // Full metadata for a request: { provider, id } when picked from suggestions,
+      // otherwise matched from songName/artist. Returns null when nothing matched.
+      // Rejects (error.retryable) when a provider failed and BPM/key are still missing,
+      // so background jobs can try again later.
+      async enrich({ provider: providerName, id, songName, artist }) {
+        let result = null;
+        const failures = [];
+        const origin = providerName && id ? providers[providerName] : null;
+
+        if (origin && origin.isAvailable()) {
+          const track = await attempt(failures, origin, 'getTrack', id);
+          result = { provider: origin.name, id, songName, artist, featuresProvider: null, ...(track || {}) };
+          ENRICHED_FIELDS.forEach(field => {
+            if (result[field] === undefined) result[field] = null;
+          });
+          if (!isComplete(result)) {
+            fillMissing(result, await attempt(failures, origin, 'getAudioFeatures', id), origin.name);
+          }
+          if (result.bpm || result.keyCamelot) {
+            result.featuresProvider = result.featuresProvider || origin.name;
+          }
+        }
+
+        for (const provider of chainProviders()) {
+          if (isComplete(result) && result.explicit !== null) break;
+          if (origin && provider.name === origin.name) continue;
+
+          const match = await attempt(failures, provider, 'findTrack', result ? result.songName : songName, result ? result.artist : artist);
+          if (!match) continue;
+
+          if (!isComplete(match)) {
+            fillMissing(match, await attempt(failures, provider, 'getAudioFeatures', match.id), provider.name);
+          }
+
+          if (result) {
+            fillMissing(result, match, provider.name);
+          } else {
+            result = { featuresProvider: match.bpm || match.keyCamelot ? provider.name : null, ...match };
+          }
+        }
+
+        if (failures.length > 0 && !isComplete(result)) {
+          const error = new Error(`Metadata lookup failed: ${failures.join(', ')}`);
+          error.retryable = true;
+          error.partial = result;
+          throw error;
+        }
+
+        return result;
+      }
+    };
+  }
+
+  return {
+    PROVIDER_NAMES,
+    defaultNames,
+    parseProviderList,
+    getChain,
+
+    // Which providers are configured on this deployment
+    describe() {
+      return PROVIDER_NAMES.map(name => ({ name, available: providers[name].isAvailable() }));
+    }
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  parseProviderList,
+  createMetadataProviders
+};
@@ -0,0 +1,151 @@
+/**
+ * Local catalog metadata provider - works with no network.
+ *
+ * Reads tracks from a JSON file (an array of tracks) or a SQLite database (a `tracks`
+ * table) once, on first use. Each track has:
+ *   songName (or title / song_name), artist, album, bpm, key ("C# minor", "Am", "Db"),
+ *   isrc, explicit, and an optional id (defaults to its position in the file).
+ *
+ * Keys are given as musical keys and converted with the same Camelot mapping as Spotify
+ * data, so catalog and Spotify BPM/key columns stay comparable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { parseKeyName, buildKeyFeatures } = require('../keys');
+const { normalizeForMatching, textSimilarity, scoreTrackMatch } = require('../matching');
+
+const FIND_TRACK_THRESHOLD = 0.8;
+
+function loadJsonCatalog(catalogPath) {
+  const entries = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error('Catalog JSON must be an array of tracks');
+  }
+  return Promise.resolve(entries);
+}
+
+function loadSqliteCatalog(catalogPath) {
+  return new Promise((resolve, reject) => {
+    const catalogDb = new sqlite3.Database(catalogPath, sqlite3.OPEN_READONLY, (err) => {
+      if (err) return reject(err);
+
+      catalogDb.all('SELECT * FROM tracks', (err, rows) => {
+        catalogDb.close();
+        if (err) return reject(err);
+        resolve(rows);
+      });
+    });
+  });
+}
+
+function toTrack(entry, index) {
+  const parsedKey = entry.key ? parseKeyName(entry.key) : null;
+  const songName = entry.songName || entry.song_name || entry.title;
+
+  return {
+    provider: 'local',
+    id: String(entry.id || index + 1),
+    songName: songName,
+    artist: entry.artist || '',
+    album: entry.album || null,
+    explicit: entry.explicit === undefined || entry.explicit === null ? null : !!entry.explicit,
+    isrc: entry.isrc || null,
+    bpm: entry.bpm ? Math.round(entry.bpm) : null,
+    ...(parsedKey ? buildKeyFeatures(parsedKey.key, parsedKey.mode) : { keyCamelot: null, keyRegular: null }),
+    // Precomputed for searching
+    normalizedTitle: normalizeForMatching(songName),
+    normalizedArtist: normalizeForMatching(entry.artist)
+  };
+}
+
+function publicTrack(track) {
+  const { normalizedTitle, normalizedArtist, ...rest } = track;
+  return rest;
+}
+
+function createLocalCatalogProvider({ catalogPath }) {
+  let loading = null;
+
+  function getTracks() {
+    if (!loading) {
+      const resolvedPath = path.resolve(catalogPath);
+      const load = /\.(db|sqlite|sqlite3)$/i.test(resolvedPath) ? loadSqliteCatalog : loadJsonCatalog;
+      loading = load(resolvedPath)
+        .then(entries => {
+          const tracks = entries
+            .map(toTrack)
+            .filter(track => track.songName);
+          console.log(`Local catalog loaded: ${tracks.length} tracks from ${resolvedPath}`);
+          return tracks;
+        })
+        .catch(error => {
+          console.error('Error loading local catalog:', error.message);
+          loading = null;
+          return [];
+        });
+    }
+    return loading;
+  }
+
+  return {
+    name: 'local',
+
+    isAvailable() {
+      return !!catalogPath && fs.existsSync(catalogPath);
+    },
+
+    // Every query word must start a word of the title or artist; titles that start
+    // with the query rank first, then by similarity
+    async search(query, { limit = 10 } = {}) {
+      const normalizedQuery = normalizeForMatching(query);
+      if (!normalizedQuery) return [];
+      const queryWords = normalizedQuery.split(' ');
+
+      const tracks = await getTracks();
+      return tracks
+        .filter(track => {
+          const words = `${track.normalizedTitle} ${track.normalizedArtist}`.split(' ');
+          return queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+        })
+        .map(track => ({
+          track,
+          score: textSimilarity(normalizedQuery, track.normalizedTitle) + (track.normalizedTitle.startsWith(normalizedQuery) ? 1 : 0)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(result => publicTrack(result.track));
+    },
+
+    async findTrack(songName, artist) {
+      const tracks = await getTracks();
+      let best = null;
+      let bestScore = 0;
+
+      tracks.forEach(track => {
+        const score = scoreTrackMatch(songName, artist, track);
+        if (score > bestScore) {
+          best = track;
+          bestScore = score;
+        }
+      });
+
+      return best && bestScore >= FIND_TRACK_THRESHOLD ? publicTrack(best) : null;
+    },
+
+    async getTrack(id) {
+      const tracks = await getTracks();
+      const track = tracks.find(candidate => candidate.id === String(id));
+      return track ? publicTrack(track) : null;
+    },
+
+    async getAudioFeatures(id) {
+      const track = await this.getTrack(id);
+      if (!track || (!track.bpm && !track.keyCamelot)) return null;
+      return { bpm: track.bpm, keyCamelot: track.keyCamelot, keyRegular: track.keyRegular };
+    }
+  };
+}
+
+module.exports = { createLocalCatalogProvider };
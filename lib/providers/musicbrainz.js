@@ -0,0 +1,115 @@
+/**
+ * MusicBrainz + AcousticBrainz-style metadata provider.
+ *
+ * Search and lookup use the MusicBrainz recording API (track IDs are recording MBIDs).
+ * BPM and key come from an AcousticBrainz-compatible low-level endpoint,
+ * GET {acousticBrainzUrl}/api/v1/{mbid}/low-level, which can point at a self-hosted
+ * mirror of the AcousticBrainz data dumps.
+ *
+ * MusicBrainz allows one request per second per client, so calls are serialized.
+ */
+
+const axios = require('axios');
+const { parseKeyName, buildKeyFeatures } = require('../keys');
+
+const MUSICBRAINZ_MIN_INTERVAL_MS = 1100;
+
+function createMusicBrainzProvider({ musicBrainzUrl, acousticBrainzUrl, userAgent }) {
+  let queue = Promise.resolve();
+  let lastRequestAt = 0;
+
+  // Serialize MusicBrainz calls and keep them at least a second apart
+  function throttled(task) {
+    const run = queue.then(async () => {
+      const wait = lastRequestAt + MUSICBRAINZ_MIN_INTERVAL_MS - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      lastRequestAt = Date.now();
+      return task();
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function musicBrainzGet(path, params) {
+    return throttled(async () => {
+      const response = await axios.get(`${musicBrainzUrl}/ws/2/${path}`, {
+        params: { ...params, fmt: 'json' },
+        headers: { 'User-Agent': userAgent },
+        timeout: 5000
+      });
+      return response.data;
+    });
+  }
+
+  function toTrack(recording) {
+    const credits = recording['artist-credit'] || [];
+    const release = recording.releases && recording.releases[0];
+    return {
+      provider: 'musicbrainz',
+      id: recording.id,
+      songName: recording.title,
+      artist: credits.map(credit => credit.name + (credit.joinphrase || '')).join('').trim(),
+      album: release ? release.title : null,
+      explicit: null,
+      isrc: recording.isrcs && recording.isrcs[0] ? recording.isrcs[0] : null,
+      bpm: null,
+      keyCamelot: null,
+      keyRegular: null
+    };
+  }
+
+  // Lucene query syntax: quote the values and escape quotes inside them
+  function quote(value) {
+    return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  return {
+    name: 'musicbrainz',
+
+    isAvailable() {
+      return true;
+    },
+
+    async search(query, { limit = 10 } = {}) {
+      const data = await musicBrainzGet('recording', { query, limit });
+      return (data.recordings || []).map(toTrack);
+    },
+
+    async findTrack(songName, artist) {
+      const query = artist
+        ? `recording:${quote(songName)} AND artist:${quote(artist)}`
+        : `recording:${quote(songName)}`;
+      const data = await musicBrainzGet('recording', { query, limit: 1 });
+      return data.recordings && data.recordings.length > 0 ? toTrack(data.recordings[0]) : null;
+    },
+
+    async getTrack(id) {
+      return toTrack(await musicBrainzGet(`recording/${encodeURIComponent(id)}`, { inc: 'artist-credits+releases+isrcs' }));
+    },
+
+    async getAudioFeatures(id) {
+      if (!acousticBrainzUrl) return null;
+
+      try {
+        const response = await axios.get(`${acousticBrainzUrl}/api/v1/${encodeURIComponent(id)}/low-level`, { timeout: 5000 });
+        const { rhythm = {}, tonal = {} } = response.data || {};
+        const parsedKey = tonal.key_key ? parseKeyName(`${tonal.key_key} ${tonal.key_scale || 'major'}`) : null;
+
+        return {
+          bpm: rhythm.bpm ? Math.round(rhythm.bpm) : null,
+          ...(parsedKey ? buildKeyFeatures(parsedKey.key, parsedKey.mode) : { keyCamelot: null, keyRegular: null })
+        };
+      } catch (error) {
+        // 404 just means there is no analysis for this recording
+        if (!error.response || error.response.status !== 404) {
+          console.error('Error getting AcousticBrainz features:', error.message);
+        }
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createMusicBrainzProvider };
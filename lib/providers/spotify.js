@@ -0,0 +1,134 @@
+/**
+ * Spotify metadata provider.
+ *
+ * Search and track lookup use the Web API with client credentials. Audio features
+ * (BPM/key) are deprecated for new Spotify apps, so getAudioFeatures often returns
+ * null - the provider chain then falls back to the next provider for BPM/key.
+ */
+
+const axios = require('axios');
+const { convertToCamelotKey, formatRegularKey } = require('../keys');
+
+function createSpotifyProvider({ clientId, clientSecret }) {
+  let spotifyAccessToken = null;
+  let tokenExpiry = null;
+
+  async function getSpotifyAccessToken() {
+    if (spotifyAccessToken && tokenExpiry && Date.now() < tokenExpiry) {
+      return spotifyAccessToken;
+    }
+
+    try {
+      const response = await axios.post('https://accounts.spotify.com/api/token',
+        'grant_type=client_credentials',
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': 'Basic ' + Buffer.from(clientId + ':' + clientSecret).toString('base64')
+          }
+        }
+      );
+
+      spotifyAccessToken = response.data.access_token;
+      tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // 1 minute buffer
+      return spotifyAccessToken;
+    } catch (error) {
+      console.error('Error getting Spotify access token:', error.message);
+      return null;
+    }
+  }
+
+  async function spotifyGet(url) {
+    const token = await getSpotifyAccessToken();
+    if (!token) throw new Error('No Spotify token available');
+
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    return response.data;
+  }
+
+  function toTrack(track) {
+    return {
+      provider: 'spotify',
+      id: track.id,
+      songName: track.name,
+      artist: track.artists.map(a => a.name).join(', '),
+      album: track.album ? track.album.name : null,
+      explicit: typeof track.explicit === 'boolean' ? track.explicit : null,
+      isrc: track.external_ids ? track.external_ids.isrc || null : null,
+      popularity: track.popularity,
+      bpm: null,
+      keyCamelot: null,
+      keyRegular: null
+    };
+  }
+
+  function toAudioFeatures(features) {
+    if (!features) return null;
+    return {
+      bpm: features.tempo ? Math.round(features.tempo) : null,
+      keyCamelot: convertToCamelotKey(features.key, features.mode),
+      keyRegular: formatRegularKey(features.key, features.mode)
+    };
+  }
+
+  return {
+    name: 'spotify',
+
+    isAvailable() {
+      return !!(clientId && clientSecret);
+    },
+
+    // Search for tracks, with BPM/key from the batch audio-features endpoint when it still answers
+    async search(query, { limit = 10 } = {}) {
+      const data = await spotifyGet(`https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=track&limit=${limit}`);
+      const tracks = (data.tracks && data.tracks.items ? data.tracks.items : []).map(toTrack);
+      if (tracks.length === 0) return tracks;
+
+      try {
+        const featuresData = await spotifyGet(`https://api.spotify.com/v1/audio-features?ids=${tracks.map(track => track.id).join(',')}`);
+        (featuresData.audio_features || []).forEach((features, index) => {
+          if (features && features.tempo) {
+            Object.assign(tracks[index], toAudioFeatures(features));
+          }
+        });
+      } catch (error) {
+        console.error('Error fetching audio features for suggestions:', error.message);
+        // Continue without BPM if this fails
+      }
+
+      return tracks;
+    },
+
+    // Best match for free text
+    async findTrack(songName, artist) {
+      const query = artist ? `track:${songName} artist:${artist}` : songName;
+      const data = await spotifyGet(`https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=track&limit=1`);
+      const items = data.tracks && data.tracks.items ? data.tracks.items : [];
+      return items.length > 0 ? toTrack(items[0]) : null;
+    },
+
+    async getTrack(id) {
+      return toTrack(await spotifyGet(`https://api.spotify.com/v1/tracks/${encodeURIComponent(id)}`));
+    },
+
+    // Get audio features (BPM and key) from Spotify
+    async getAudioFeatures(id) {
+      try {
+        console.log(`Fetching audio features for track: ${id}`);
+        return toAudioFeatures(await spotifyGet(`https://api.spotify.com/v1/audio-features/${encodeURIComponent(id)}`));
+      } catch (error) {
+        console.error('Error getting Spotify audio features:', error.message);
+        if (error.response) {
+          console.error('Spotify API response:', error.response.status, error.response.data);
+        }
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createSpotifyProvider };
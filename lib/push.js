@@ -0,0 +1,117 @@
+/**
+ * Web Push notifications for guests following their requests on the tracking page.
+ *
+ * The deployment's VAPID key pair (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, generate one with
+ * `npx web-push generate-vapid-keys`) signs every push; without it push is disabled and the
+ * tracking page just polls. Guests are told when a request of theirs moves to up-next and
+ * again when it starts playing. Subscriptions the push service reports as gone are deleted.
+ */
+
+const webpush = require('web-push');
+
+// Statuses worth a notification, with what it says
+const STATUS_NOTIFICATIONS = {
+  'up-next': { title: "You're up next! 🎶", verb: 'is coming up next' },
+  'now-playing': { title: 'Your song is playing 🎉', verb: 'is playing now' }
+};
+
+// A "you're up next" that arrives an hour late is noise, so push services may drop it after this
+const PUSH_TTL_SECONDS = 30 * 60;
+// Push services answer 404/410 for subscriptions that expired or were revoked
+const GONE_STATUS_CODES = [404, 410];
+const MAX_ENDPOINT_LENGTH = 1000;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+={0,2}$/;
+
+// A PushSubscription as the browser serializes it ({ endpoint, keys: { p256dh, auth } }), or
+// null when it isn't one. Only https endpoints are accepted so the server can't be pointed
+// at internal addresses.
+function parsePushSubscription(value) {
+  if (!value || typeof value !== 'object' || !value.keys || typeof value.keys !== 'object') return null;
+
+  const { endpoint } = value;
+  const { p256dh, auth } = value.keys;
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH) return null;
+  try {
+    if (new URL(endpoint).protocol !== 'https:') return null;
+  } catch (error) {
+    return null;
+  }
+
+  const validKey = (key, maxLength) => typeof key === 'string' && key.length <= maxLength && BASE64URL_PATTERN.test(key);
+  if (!validKey(p256dh, 200) || !validKey(auth, 100)) return null;
+
+  return { endpoint, p256dh, auth };
+}
+
+// The notification for a submission row that moved to its current status, or null if that
+// status doesn't get one. `tag` lets "playing now" replace "up next" on the guest's lock screen.
+function buildStatusNotification(submission) {
+  const notification = STATUS_NOTIFICATIONS[submission.status];
+  if (!notification) return null;
+
+  return {
+    title: notification.title,
+    body: `${submission.song_name} by ${submission.artist} ${notification.verb}`,
+    tag: `djq-request-${submission.id}`
+  };
+}
+
+// guests: a guest repository (lib/repositories/guests.js); vapid: { publicKey, privateKey, subject };
+// trackingPath(sessionId, guestId): the page a notification opens (each guest has their own).
+// `send` defaults to web-push's sendNotification and returns a promise.
+function createPushNotifier({ guests, vapid, trackingPath, send = webpush.sendNotification }) {
+  const enabled = !!(vapid && vapid.publicKey && vapid.privateKey);
+  const vapidDetails = enabled
+    ? { subject: vapid.subject || 'mailto:djq@example.com', publicKey: vapid.publicKey, privateKey: vapid.privateKey }
+    : null;
+
+  function deliver(subscription, notification) {
+    const target = { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } };
+    const payload = { ...notification, url: trackingPath(subscription.session_id, subscription.guest_id) };
+    return send(target, JSON.stringify(payload), {
+      vapidDetails,
+      TTL: PUSH_TTL_SECONDS,
+      urgency: 'high',
+      // Push services replace an undelivered message with the same topic
+      topic: notification.tag.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32)
+    }).then(
+      () => 'sent',
+      (error) => {
+        if (GONE_STATUS_CODES.includes(error.statusCode)) {
+          return new Promise((resolve) => {
+            guests.deletePushSubscription(subscription.endpoint, null, (err) => {
+              if (err) console.error('Error removing expired push subscription:', err);
+              resolve('removed');
+            });
+          });
+        }
+        console.error(`Push to ${new URL(subscription.endpoint).host} failed:`, error.statusCode || error.message);
+        return 'failed';
+      }
+    );
+  }
+
+  // Push a notification to everyone who requested the submission.
+  // Callback receives (err, { sent, removed, failed }).
+  function notifyRequesters(submissionId, notification, callback) {
+    const counts = { sent: 0, removed: 0, failed: 0 };
+    if (!enabled) return callback(null, counts);
+
+    guests.listPushSubscriptionsForSubmission(submissionId, (err, subscriptions) => {
+      if (err) return callback(err);
+
+      Promise.all(subscriptions.map(subscription => deliver(subscription, notification))).then((results) => {
+        results.forEach(result => counts[result]++);
+        callback(null, counts);
+      });
+    });
+  }
+
+  return {
+    enabled,
+    publicKey: enabled ? vapid.publicKey : null,
+    notifyRequesters
+  };
+}
+
+module.exports = { parsePushSubscription, buildStatusNotification, createPushNotifier };
@@ -0,0 +1,96 @@
+/**
+ * Dashboard access beyond the admin key: co-host invites (session_invites, keyed by the hash of
+ * the invite token) and the audit log of who changed what. Roles are in lib/roles.js.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+const INVITE_COLUMNS = 'id, session_id, role, label, created_at, last_used_at, revoked_at';
+
+function createAccessRepository(db) {
+  // invite: { sessionId, tokenHash, role, label }. Callback receives (err, id).
+  function createInvite(invite, callback) {
+    db.run(
+      'INSERT INTO session_invites (session_id, token_hash, role, label) VALUES (?, ?, ?, ?)',
+      [invite.sessionId, invite.tokenHash, invite.role, invite.label],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // The session's invite with this token, unless it was revoked
+  function findActiveInvite(sessionId, tokenHash, callback) {
+    db.get(
+      `SELECT ${INVITE_COLUMNS} FROM session_invites WHERE session_id = ? AND token_hash = ? AND revoked_at IS NULL`,
+      [sessionId, tokenHash],
+      (err, row) => callback(err, row || null)
+    );
+  }
+
+  // Every invite the session has handed out, revoked ones included, newest first
+  function listInvites(sessionId, callback) {
+    db.all(`SELECT ${INVITE_COLUMNS} FROM session_invites WHERE session_id = ? ORDER BY id DESC`, [sessionId], callback);
+  }
+
+  function countActiveInvites(sessionId, callback) {
+    db.get(
+      'SELECT COUNT(*) AS count FROM session_invites WHERE session_id = ? AND revoked_at IS NULL',
+      [sessionId],
+      (err, row) => callback(err, row ? Number(row.count) : 0)
+    );
+  }
+
+  function markInviteUsed(id, callback) {
+    db.run('UPDATE session_invites SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id], (err) => callback(err));
+  }
+
+  // Callback receives (err, invite) - the revoked invite, or null if there was no active one
+  function revokeInvite(sessionId, id, callback) {
+    db.run(
+      'UPDATE session_invites SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = ? AND id = ? AND revoked_at IS NULL',
+      [sessionId, id],
+      function(err) {
+        if (err || this.changes === 0) return callback(err, null);
+        db.get(`SELECT ${INVITE_COLUMNS} FROM session_invites WHERE id = ?`, [id], (err, row) => callback(err, row || null));
+      }
+    );
+  }
+
+  // entry: { sessionId, actorLabel, actorRole, inviteId, action, summary, details }; details is
+  // stored as JSON and comes back parsed
+  function recordAudit(entry, callback) {
+    db.run(
+      `INSERT INTO audit_log (session_id, actor_label, actor_role, invite_id, action, summary, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.sessionId, entry.actorLabel, entry.actorRole, entry.inviteId || null,
+        entry.action, entry.summary, entry.details ? JSON.stringify(entry.details) : null
+      ],
+      (err) => callback(err)
+    );
+  }
+
+  // The session's latest audit entries, newest first
+  function listAudit(sessionId, limit, callback) {
+    db.all(
+      'SELECT * FROM audit_log WHERE session_id = ? ORDER BY id DESC LIMIT ?',
+      [sessionId, limit],
+      (err, rows) => callback(err, rows ? rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null })) : undefined)
+    );
+  }
+
+  return {
+    createInvite,
+    findActiveInvite,
+    listInvites,
+    countActiveInvites,
+    markInviteUsed,
+    revokeInvite,
+    recordAudit,
+    listAudit
+  };
+}
+
+module.exports = { createAccessRepository };
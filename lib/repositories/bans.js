@@ -0,0 +1,55 @@
+/**
+ * Guest bans (guest_bans): guests, and optionally their network, the DJ stopped taking
+ * requests from for a session.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createBanRepository(db) {
+  // The ban covering a guest ({ guestId, ipHash }) by their ID or IP, or null
+  function findForGuest(sessionId, identity, callback) {
+    db.get(
+      'SELECT id FROM guest_bans WHERE session_id = ? AND (guest_id = ? OR ip_hash = ?)',
+      [sessionId, identity.guestId, identity.ipHash],
+      (err, row) => callback(err, row || null)
+    );
+  }
+
+  // ban: { sessionId, guestId, ipHash, userName, reason }. Callback receives (err, id).
+  function create(ban, callback) {
+    db.run(
+      'INSERT INTO guest_bans (session_id, guest_id, ip_hash, user_name, reason) VALUES (?, ?, ?, ?, ?)',
+      [ban.sessionId, ban.guestId, ban.ipHash || null, ban.userName || null, ban.reason || null],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // Newest first, without the guest's identity; includes_ip tells whether the network is banned too
+  function list(sessionId, callback) {
+    db.all(
+      'SELECT id, user_name, reason, ip_hash IS NOT NULL AS includes_ip, created_at FROM guest_bans WHERE session_id = ? ORDER BY created_at DESC, id DESC',
+      [sessionId],
+      (err, rows) => callback(err, rows ? rows.map(row => ({ ...row, includes_ip: !!row.includes_ip })) : undefined)
+    );
+  }
+
+  // Callback receives (err, removed)
+  function remove(sessionId, id, callback) {
+    db.run('DELETE FROM guest_bans WHERE id = ? AND session_id = ?', [id, sessionId], function(err) {
+      if (err) return callback(err);
+      callback(null, this.changes > 0);
+    });
+  }
+
+  return {
+    findForGuest,
+    create,
+    list,
+    remove
+  };
+}
+
+module.exports = { createBanRepository };
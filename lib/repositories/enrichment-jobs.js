@@ -0,0 +1,102 @@
+/**
+ * The background enrichment queue (enrichment_jobs): one job per submission whose BPM, key and
+ * explicit flag still need looking up. The worker that runs them is in server.js.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createEnrichmentJobRepository(db) {
+  // Queue (or restart) jobs for one submission, or every submission in a session (missingOnly:
+  // rows still without BPM or key), and mark those submissions queued.
+  // jobs: { sessionId, submissionId, missingOnly, applyPolicies, nextAttemptAt }.
+  // Callback receives (err, queuedCount).
+  function queueJobs(jobs, callback) {
+    const conditions = ['session_id = ?'];
+    const params = [jobs.sessionId];
+    if (jobs.submissionId) {
+      conditions.push('id = ?');
+      params.push(jobs.submissionId);
+    }
+    if (jobs.missingOnly) {
+      conditions.push('(bpm IS NULL OR key_camelot IS NULL)');
+    }
+    const where = conditions.join(' AND ');
+
+    db.run(
+      `INSERT INTO enrichment_jobs (submission_id, session_id, apply_policies, next_attempt_at)
+       SELECT id, session_id, ?, ? FROM submissions WHERE ${where}
+       ON CONFLICT(submission_id) DO UPDATE SET
+         status = 'queued', attempts = 0, last_error = NULL,
+         apply_policies = excluded.apply_policies,
+         next_attempt_at = excluded.next_attempt_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      [jobs.applyPolicies ? 1 : 0, jobs.nextAttemptAt, ...params],
+      function(err) {
+        if (err) return callback(err);
+        const queuedCount = this.changes;
+
+        db.run(`UPDATE submissions SET enrichment_status = 'queued' WHERE ${where}`, params, (err) => {
+          if (err) return callback(err);
+          callback(null, queuedCount);
+        });
+      }
+    );
+  }
+
+  // Queued jobs whose time has come, soonest first
+  function listDueJobs(now, limit, callback) {
+    db.all(
+      "SELECT * FROM enrichment_jobs WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT ?",
+      [now, limit],
+      callback
+    );
+  }
+
+  // Mark a job running and count the attempt
+  function startJob(id, callback) {
+    db.run(
+      "UPDATE enrichment_jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id],
+      (err) => callback(err)
+    );
+  }
+
+  // Put a failed job back in the queue until nextAttemptAt (epoch ms)
+  function retryJob(id, nextAttemptAt, error, callback) {
+    db.run(
+      "UPDATE enrichment_jobs SET status = 'queued', next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [nextAttemptAt, error, id],
+      (err) => callback(err)
+    );
+  }
+
+  // status: 'done' or 'failed'
+  function finishJob(id, status, error, callback) {
+    db.run(
+      'UPDATE enrichment_jobs SET status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, error || null, id],
+      (err) => callback(err)
+    );
+  }
+
+  function deleteJob(id, callback) {
+    db.run('DELETE FROM enrichment_jobs WHERE id = ?', [id], (err) => callback(err));
+  }
+
+  // Jobs interrupted by a restart go back in the queue
+  function requeueInterrupted(callback) {
+    db.run("UPDATE enrichment_jobs SET status = 'queued' WHERE status = 'running'", [], (err) => callback(err));
+  }
+
+  return {
+    queueJobs,
+    listDueJobs,
+    startJob,
+    retryJob,
+    finishJob,
+    deleteJob,
+    requeueInterrupted
+  };
+}
+
+module.exports = { createEnrichmentJobRepository };
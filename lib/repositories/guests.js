@@ -0,0 +1,78 @@
+/**
+ * Guest request tracking: the private tracking links guests get when they request a song
+ * (guest_trackers, keyed by the token's hash) and their Web Push subscriptions.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createGuestRepository(db) {
+  // One tracker per guest and session; saving it again is a no-op
+  function saveTracker(sessionId, guestId, tokenHash, callback) {
+    db.run(
+      'INSERT INTO guest_trackers (token_hash, session_id, guest_id) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [tokenHash, sessionId, guestId],
+      (err) => callback(err)
+    );
+  }
+
+  function findTracker(tokenHash, callback) {
+    db.get('SELECT * FROM guest_trackers WHERE token_hash = ?', [tokenHash], (err, row) => callback(err, row || null));
+  }
+
+  // A browser re-subscribing gets a new endpoint or fresh keys; the endpoint identifies it
+  function savePushSubscription(subscription, callback) {
+    db.run(
+      `INSERT INTO push_subscriptions (session_id, guest_id, endpoint, p256dh, auth) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (endpoint) DO UPDATE SET session_id = excluded.session_id, guest_id = excluded.guest_id,
+         p256dh = excluded.p256dh, auth = excluded.auth`,
+      [subscription.sessionId, subscription.guestId, subscription.endpoint, subscription.p256dh, subscription.auth],
+      (err) => callback(err)
+    );
+  }
+
+  // The guest's other subscribed browsers (a re-subscribing endpoint doesn't count against itself)
+  function countPushSubscriptions(sessionId, guestId, exceptEndpoint, callback) {
+    db.get(
+      'SELECT COUNT(*) AS count FROM push_subscriptions WHERE session_id = ? AND guest_id = ? AND endpoint <> ?',
+      [sessionId, guestId, exceptEndpoint],
+      (err, row) => callback(err, row ? Number(row.count) : 0)
+    );
+  }
+
+  // Subscriptions of everyone who requested the submission
+  function listPushSubscriptionsForSubmission(submissionId, callback) {
+    db.all(
+      `SELECT p.* FROM push_subscriptions p
+       WHERE p.guest_id IN (
+         SELECT r.guest_id FROM submission_requesters r
+         WHERE r.submission_id = ? AND r.session_id = p.session_id AND r.kind = 'request'
+       )
+       ORDER BY p.id ASC`,
+      [submissionId],
+      callback
+    );
+  }
+
+  // guestId limits the delete to that guest's subscription (guests unsubscribing themselves);
+  // null removes it outright (the push service said it's gone). Callback receives (err, deleted).
+  function deletePushSubscription(endpoint, guestId, callback) {
+    const sql = guestId === null
+      ? 'DELETE FROM push_subscriptions WHERE endpoint = ?'
+      : 'DELETE FROM push_subscriptions WHERE endpoint = ? AND guest_id = ?';
+    db.run(sql, guestId === null ? [endpoint] : [endpoint, guestId], function(err) {
+      if (err) return callback(err);
+      callback(null, this.changes > 0);
+    });
+  }
+
+  return {
+    saveTracker,
+    findTracker,
+    savePushSubscription,
+    countPushSubscriptions,
+    listPushSubscriptionsForSubmission,
+    deletePushSubscription
+  };
+}
+
+module.exports = { createGuestRepository };
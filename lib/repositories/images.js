@@ -0,0 +1,50 @@
+/**
+ * Uploaded background images (background_images), one per session. Rows describe the variants
+ * kept in the file store; `variants` is stored as JSON and comes back parsed.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function parseRow(row) {
+  return row ? { ...row, variants: JSON.parse(row.variants) } : null;
+}
+
+function createImageRepository(db) {
+  function findBackground(sessionId, callback) {
+    db.get('SELECT * FROM background_images WHERE session_id = ?', [sessionId], (err, row) => callback(err, parseRow(row)));
+  }
+
+  // image: { id, sessionId, sourceType, width, height, variants }. Replaces the session's
+  // current image; callback receives (err, previous) so its files can be removed.
+  function replaceBackground(image, callback) {
+    db.transaction((tx, done) => {
+      tx.get('SELECT * FROM background_images WHERE session_id = ?', [image.sessionId], (err, previous) => {
+        if (err) return done(err);
+        tx.run('DELETE FROM background_images WHERE session_id = ?', [image.sessionId], (err) => {
+          if (err) return done(err);
+          tx.run(
+            'INSERT INTO background_images (id, session_id, source_type, width, height, variants) VALUES (?, ?, ?, ?, ?, ?)',
+            [image.id, image.sessionId, image.sourceType, image.width, image.height, JSON.stringify(image.variants)],
+            (err) => done(err, parseRow(previous))
+          );
+        });
+      });
+    }, callback);
+  }
+
+  // Callback receives (err, removed) - the deleted row, or null if the session had no image
+  function deleteBackground(sessionId, callback) {
+    findBackground(sessionId, (err, image) => {
+      if (err || !image) return callback(err, null);
+      db.run('DELETE FROM background_images WHERE id = ?', [image.id], (err) => callback(err, err ? null : image));
+    });
+  }
+
+  return {
+    findBackground,
+    replaceBackground,
+    deleteBackground
+  };
+}
+
+module.exports = { createImageRepository };
@@ -0,0 +1,79 @@
+/**
+ * DJ libraries (libraries, library_tracks): one uploaded collection per session, with its
+ * tracks. Parsing and matching are in lib/library.js.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createLibraryRepository(db) {
+  function findBySession(sessionId, callback) {
+    db.get('SELECT * FROM libraries WHERE session_id = ?', [sessionId], (err, row) => callback(err, row || null));
+  }
+
+  // The library's tracks, in the shape createLibraryIndex reads
+  function listTracks(libraryId, callback) {
+    db.all(
+      'SELECT id, title, artist, bpm, key_camelot, key_regular, isrc, location FROM library_tracks WHERE library_id = ?',
+      [libraryId],
+      callback
+    );
+  }
+
+  // Replace the session's library with { fileName, format, tracks } (tracks as lib/library.js
+  // parses them). Callback receives (err, library).
+  function replace(sessionId, library, callback) {
+    db.transaction((tx, done) => {
+      tx.run('DELETE FROM library_tracks WHERE session_id = ?', [sessionId], (err) => {
+        if (err) return done(err);
+
+        tx.run('DELETE FROM libraries WHERE session_id = ?', [sessionId], (err) => {
+          if (err) return done(err);
+
+          tx.run(
+            'INSERT INTO libraries (session_id, file_name, format, track_count) VALUES (?, ?, ?, ?)',
+            [sessionId, library.fileName, library.format, library.tracks.length],
+            function(err) {
+              if (err) return done(err);
+              const libraryId = this.lastID;
+
+              tx.insertMany(
+                'library_tracks',
+                ['library_id', 'session_id', 'title', 'artist', 'album', 'bpm', 'key_camelot', 'key_regular', 'isrc', 'location'],
+                library.tracks.map(track => [
+                  libraryId, sessionId, track.title, track.artist, track.album, track.bpm,
+                  track.keyCamelot, track.keyRegular, track.isrc, track.location
+                ]),
+                (err) => done(err, libraryId)
+              );
+            }
+          );
+        });
+      });
+    }, (err, libraryId) => {
+      if (err) return callback(err);
+      db.get('SELECT * FROM libraries WHERE id = ?', [libraryId], callback);
+    });
+  }
+
+  // Remove the session's library and its tracks together. Callback receives (err, removed).
+  function remove(sessionId, callback) {
+    db.transaction((tx, done) => {
+      tx.run('DELETE FROM library_tracks WHERE session_id = ?', [sessionId], (err) => {
+        if (err) return done(err);
+        tx.run('DELETE FROM libraries WHERE session_id = ?', [sessionId], function(err) {
+          if (err) return done(err);
+          done(null, this.changes > 0);
+        });
+      });
+    }, callback);
+  }
+
+  return {
+    findBySession,
+    listTracks,
+    replace,
+    remove
+  };
+}
+
+module.exports = { createLibraryRepository };
@@ -0,0 +1,53 @@
+/**
+ * Played-track history (played_tracks): every track reported as playing in a session, requested
+ * or not, with the request it matched. See lib/now-playing.js.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createPlayedTrackRepository(db) {
+  // track: { sessionId, songName, artist, isrc, submissionId, matchScore, source }.
+  // Callback receives (err, id).
+  function record(track, callback) {
+    db.run(
+      `INSERT INTO played_tracks (session_id, song_name, artist, isrc, submission_id, match_score, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        track.sessionId,
+        track.songName,
+        track.artist || null,
+        track.isrc || null,
+        track.submissionId || null,
+        track.matchScore === undefined ? null : track.matchScore,
+        track.source
+      ],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  function findById(id, callback) {
+    db.get('SELECT * FROM played_tracks WHERE id = ?', [id], (err, row) => callback(err, row || null));
+  }
+
+  // The session's most recent track, or null
+  function findLatest(sessionId, callback) {
+    db.get('SELECT * FROM played_tracks WHERE session_id = ? ORDER BY id DESC LIMIT 1', [sessionId], (err, row) => callback(err, row || null));
+  }
+
+  // The session's history, newest first
+  function list(sessionId, limit, callback) {
+    db.all('SELECT * FROM played_tracks WHERE session_id = ? ORDER BY id DESC LIMIT ?', [sessionId, limit], callback);
+  }
+
+  return {
+    record,
+    findById,
+    findLatest,
+    list
+  };
+}
+
+module.exports = { createPlayedTrackRepository };
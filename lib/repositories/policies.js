@@ -0,0 +1,81 @@
+/**
+ * Request policy lists: the session's do-not-play list (do_not_play) and the log of requests a
+ * policy refused (blocked_requests). The rules themselves are session settings (see settings.js).
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+function createPolicyRepository(db) {
+  // order: 'newest' (dashboard) or 'oldest' (exports, and checking requests)
+  function listDoNotPlay(sessionId, order, callback) {
+    const orderBy = order === 'oldest' ? 'created_at ASC, id ASC' : 'created_at DESC, id DESC';
+    db.all(
+      `SELECT id, artist, track, match_type, created_at FROM do_not_play WHERE session_id = ? ORDER BY ${orderBy}`,
+      [sessionId],
+      callback
+    );
+  }
+
+  // entry: { artist, track, matchType }. Callback receives (err, id).
+  function addDoNotPlay(sessionId, entry, callback) {
+    db.run(
+      'INSERT INTO do_not_play (session_id, artist, track, match_type) VALUES (?, ?, ?, ?)',
+      [sessionId, entry.artist || null, entry.track || null, entry.matchType],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // Several entries at once (imports)
+  function addDoNotPlayEntries(sessionId, entries, callback) {
+    db.insertMany(
+      'do_not_play',
+      ['session_id', 'artist', 'track', 'match_type'],
+      entries.map(entry => [sessionId, entry.artist || null, entry.track || null, entry.matchType]),
+      (err) => callback(err)
+    );
+  }
+
+  // Callback receives (err, removed)
+  function removeDoNotPlay(sessionId, id, callback) {
+    db.run('DELETE FROM do_not_play WHERE id = ? AND session_id = ?', [id, sessionId], function(err) {
+      if (err) return callback(err);
+      callback(null, this.changes > 0);
+    });
+  }
+
+  // blocked: { sessionId, songName, artist, userName, spotifyId, rule, detail }.
+  // Callback receives (err, id).
+  function logBlocked(blocked, callback) {
+    db.run(
+      'INSERT INTO blocked_requests (session_id, song_name, artist, user_name, spotify_id, rule, detail) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [blocked.sessionId, blocked.songName, blocked.artist, blocked.userName || null, blocked.spotifyId || null, blocked.rule, blocked.detail],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // Newest first
+  function listBlocked(sessionId, limit, callback) {
+    db.all(
+      'SELECT id, song_name, artist, user_name, rule, detail, created_at FROM blocked_requests WHERE session_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [sessionId, limit],
+      callback
+    );
+  }
+
+  return {
+    listDoNotPlay,
+    addDoNotPlay,
+    addDoNotPlayEntries,
+    removeDoNotPlay,
+    logBlocked,
+    listBlocked
+  };
+}
+
+module.exports = { createPolicyRepository };
@@ -0,0 +1,149 @@
+/**
+ * Session rows: creation, admin credentials, request intake and archiving.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ * Callbacks follow the storage API: rows come back with snake_case columns as stored.
+ */
+
+// Every table with a session_id column; archiving moves their rows to the permanent ID
+const SESSION_SCOPED_TABLES = [
+  'submissions', 'submission_requesters', 'guest_bans', 'do_not_play', 'blocked_requests',
+  'enrichment_jobs', 'libraries', 'library_tracks', 'guest_trackers', 'push_subscriptions', 'background_images',
+  'session_invites', 'audit_log', 'webhooks', 'webhook_deliveries', 'played_tracks'
+];
+
+function createSessionRepository(db) {
+  function findById(id, callback) {
+    db.get('SELECT * FROM sessions WHERE id = ?', [id], callback);
+  }
+
+  function exists(id, callback) {
+    db.get('SELECT id FROM sessions WHERE id = ?', [id], (err, row) => callback(err, !!row));
+  }
+
+  function listActive(callback) {
+    db.all('SELECT * FROM sessions WHERE is_active = 1 ORDER BY created_at DESC', [], callback);
+  }
+
+  function create(session, callback) {
+    db.run(
+      `INSERT INTO sessions (id, name, welcome_message, subtitle_message, background, admin_secret_hash, recovery_key_hash, admin_secret_rotated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        session.id, session.name, session.welcomeMessage, session.subtitleMessage, session.background,
+        session.adminSecretHash, session.recoveryKeyHash
+      ],
+      (err) => callback(err)
+    );
+  }
+
+  function setAdminSecret(id, adminSecretHash, callback) {
+    db.run(
+      'UPDATE sessions SET admin_secret_hash = ?, admin_secret_rotated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [adminSecretHash, id],
+      (err) => callback(err)
+    );
+  }
+
+  // Set credentials on a session that has none. Callback receives (err, claimed).
+  function claim(id, adminSecretHash, recoveryKeyHash, callback) {
+    db.run(
+      'UPDATE sessions SET admin_secret_hash = ?, recovery_key_hash = ?, admin_secret_rotated_at = CURRENT_TIMESTAMP WHERE id = ? AND admin_secret_hash IS NULL',
+      [adminSecretHash, recoveryKeyHash, id],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // Latest archived session that had this short code and either credential
+  function findArchived(shortCode, adminSecretHash, recoveryKeyHash, callback) {
+    db.get(
+      `SELECT * FROM sessions
+       WHERE short_code = ? AND archived_at IS NOT NULL AND (admin_secret_hash = ? OR recovery_key_hash = ?)
+       ORDER BY archived_at DESC LIMIT 1`,
+      [shortCode, adminSecretHash, recoveryKeyHash],
+      callback
+    );
+  }
+
+  // opensAt/closesAt are 'YYYY-MM-DD HH:MM:SS' UTC strings or null
+  function updateIntake(id, { requestStatus, opensAt, closesAt }, callback) {
+    db.run(
+      'UPDATE sessions SET request_status = ?, opens_at = ?, closes_at = ?, last_activity_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [requestStatus, opensAt, closesAt, id],
+      (err) => callback(err)
+    );
+  }
+
+  // Live sessions with no activity since `cutoff` ('YYYY-MM-DD HH:MM:SS' UTC): no DJ intake
+  // change, no schedule after it, and no request created or moved on after it
+  function findIdleSince(cutoff, callback) {
+    db.all(
+      `SELECT s.* FROM sessions s
+       WHERE s.archived_at IS NULL
+         AND COALESCE(s.last_activity_at, s.created_at) < ?
+         AND (s.opens_at IS NULL OR s.opens_at < ?)
+         AND (s.closes_at IS NULL OR s.closes_at < ?)
+         AND NOT EXISTS (
+           SELECT 1 FROM submissions
+           WHERE session_id = s.id AND (created_at >= ? OR status_updated_at >= ?)
+         )`,
+      [cutoff, cutoff, cutoff, cutoff, cutoff],
+      callback
+    );
+  }
+
+  // Move a session row (as read with SELECT *) and everything in it to archivedId in one
+  // transaction. The new row is written first so foreign keys hold throughout.
+  function archive(session, archivedId, callback) {
+    db.transaction((tx, done) => {
+      const columns = Object.keys(session);
+      const values = columns.map(column => (column === 'id' ? archivedId : session[column]));
+
+      tx.run(
+        `INSERT INTO sessions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        values,
+        (err) => {
+          if (err) return done(err);
+
+          const moveRows = (index) => {
+            if (index >= SESSION_SCOPED_TABLES.length) {
+              return tx.run('DELETE FROM sessions WHERE id = ?', [session.id], (err) => {
+                if (err) return done(err);
+                tx.run(
+                  `UPDATE sessions SET short_code = ?, is_active = 0, archived_at = CURRENT_TIMESTAMP, request_status = 'closed'
+                   WHERE id = ?`,
+                  [session.id, archivedId],
+                  (err) => done(err)
+                );
+              });
+            }
+
+            tx.run(`UPDATE ${SESSION_SCOPED_TABLES[index]} SET session_id = ? WHERE session_id = ?`, [archivedId, session.id], (err) => {
+              if (err) return done(err);
+              moveRows(index + 1);
+            });
+          };
+          moveRows(0);
+        }
+      );
+    }, callback);
+  }
+
+  return {
+    findById,
+    exists,
+    listActive,
+    create,
+    setAdminSecret,
+    claim,
+    findArchived,
+    updateIntake,
+    findIdleSince,
+    archive
+  };
+}
+
+module.exports = { SESSION_SCOPED_TABLES, createSessionRepository };
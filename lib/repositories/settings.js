@@ -0,0 +1,66 @@
+/**
+ * Per-session settings: guest page text, limits, moderation, provider chain, request
+ * policies and custom form fields. They are columns of the sessions row; this maps them to the names the API uses.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+// API name -> sessions column
+const SETTINGS_COLUMNS = {
+  welcomeMessage: 'welcome_message',
+  subtitleMessage: 'subtitle_message',
+  background: 'background',
+  moderationRequired: 'moderation_required',
+  metadataProviders: 'metadata_providers',
+  requestsPerHour: 'limit_requests_per_hour',
+  maxOpenPerGuest: 'limit_open_per_guest',
+  maxOpenRequests: 'limit_open_requests',
+  blockExplicit: 'policy_block_explicit',
+  minBpm: 'policy_min_bpm',
+  maxBpm: 'policy_max_bpm',
+  maxPerArtist: 'policy_max_per_artist',
+  blockedMessage: 'policy_blocked_message',
+  displayShowNames: 'display_show_names',
+  displayShowQueue: 'display_show_queue',
+  formFields: 'form_fields'
+};
+
+function createSettingsRepository(db) {
+  // Guest-facing settings plus what the guest page needs for intake; null when there's no session
+  function get(sessionId, callback) {
+    db.get(
+      `SELECT name, welcome_message, subtitle_message, background, limit_requests_per_hour, limit_open_per_guest,
+         limit_open_requests, moderation_required, metadata_providers, request_status, opens_at, closes_at, archived_at,
+         display_show_names, display_show_queue, form_fields
+       FROM sessions WHERE id = ?`,
+      [sessionId],
+      (err, row) => callback(err, row || null)
+    );
+  }
+
+  // The session's metadata provider chain ('spotify,local'), or null for the deployment default
+  function getProviderChain(sessionId, callback) {
+    db.get('SELECT metadata_providers FROM sessions WHERE id = ?', [sessionId || null], (err, row) => {
+      callback(err, row ? row.metadata_providers : null);
+    });
+  }
+
+  // Write the given settings (keys of SETTINGS_COLUMNS, already validated); undefined ones are left alone.
+  // Booleans are stored as 1/0.
+  function update(sessionId, settings, callback) {
+    const names = Object.keys(settings).filter(name => settings[name] !== undefined);
+    const unknown = names.find(name => !SETTINGS_COLUMNS[name]);
+    if (unknown) return callback(new Error(`Unknown setting: ${unknown}`));
+    if (names.length === 0) return callback(null);
+
+    db.run(
+      `UPDATE sessions SET ${names.map(name => `${SETTINGS_COLUMNS[name]} = ?`).join(', ')} WHERE id = ?`,
+      [...names.map(name => (typeof settings[name] === 'boolean' ? (settings[name] ? 1 : 0) : settings[name])), sessionId],
+      (err) => callback(err)
+    );
+  }
+
+  return { get, getProviderChain, update };
+}
+
+module.exports = { SETTINGS_COLUMNS, createSettingsRepository };
@@ -0,0 +1,502 @@
+/**
+ * Song requests (submissions) and the guests behind them (submission_requesters).
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ * Rows come back as stored (snake_case, SQLite-style timestamps); formatting for the API
+ * stays with the routes. Requesters' form answers (see lib/form-fields.js) come back parsed.
+ */
+
+const { readAnswers } = require('../form-fields');
+
+// Statuses still waiting in the queue, as an SQL list
+const OPEN_STATUSES_SQL = "('pending-review', 'pending', 'up-next', 'now-playing')";
+
+// The order approved requests come up in: now-playing, up-next, then the rest by popularity
+const PLAY_ORDER_SQL = `CASE status WHEN 'now-playing' THEN 0 WHEN 'up-next' THEN 1 ELSE 2 END,
+         COALESCE(request_count, 1) DESC, created_at ASC, id ASC`;
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+function createSubmissionRepository(db) {
+  function findById(id, callback) {
+    db.get('SELECT * FROM submissions WHERE id = ?', [id], callback);
+  }
+
+  function findInSession(sessionId, id, callback) {
+    db.get('SELECT * FROM submissions WHERE id = ? AND session_id = ?', [id, sessionId], callback);
+  }
+
+  // A request guests can still upvote
+  function findUpvotable(sessionId, id, callback) {
+    db.get(
+      "SELECT * FROM submissions WHERE id = ? AND session_id = ? AND status IN ('pending', 'up-next', 'now-playing')",
+      [id, sessionId],
+      callback
+    );
+  }
+
+  function listByIds(ids, callback) {
+    if (ids.length === 0) return callback(null, []);
+    db.all(`SELECT * FROM submissions WHERE id IN (${placeholders(ids)})`, ids, callback);
+  }
+
+  // order: 'newest' (dashboard) or 'oldest' (exports)
+  function listBySession(sessionId, order, callback) {
+    const orderBy = order === 'oldest' ? 'created_at ASC, id ASC' : 'created_at DESC, id DESC';
+    db.all(`SELECT * FROM submissions WHERE session_id = ? ORDER BY ${orderBy}`, [sessionId], callback);
+  }
+
+  // Requests that can still be played: pending, up-next and now-playing
+  function listPlayable(sessionId, callback) {
+    db.all(
+      "SELECT * FROM submissions WHERE session_id = ? AND status IN ('pending', 'up-next', 'now-playing')",
+      [sessionId],
+      callback
+    );
+  }
+
+  // Everyone who requested or upvoted anything in the session, oldest first, with their answers
+  function listRequesters(sessionId, callback) {
+    db.all(
+      'SELECT submission_id, user_name, kind, answers, created_at FROM submission_requesters WHERE session_id = ? ORDER BY created_at ASC, id ASC',
+      [sessionId],
+      (err, rows) => callback(err, rows ? rows.map(row => ({ ...row, answers: readAnswers(row.answers) })) : undefined)
+    );
+  }
+
+  // One submission's requesters, oldest first, in the listRequesters shape without submission_id
+  function listSubmissionRequesters(submissionId, callback) {
+    db.all(
+      'SELECT user_name, kind, answers, created_at FROM submission_requesters WHERE submission_id = ? ORDER BY created_at ASC, id ASC',
+      [submissionId],
+      (err, rows) => callback(err, rows ? rows.map(row => ({ ...row, answers: readAnswers(row.answers) })) : undefined)
+    );
+  }
+
+  // The guest who first requested a submission (not the upvoters): { guest_id, ip_hash, user_name } or null
+  function findOriginalRequester(sessionId, submissionId, callback) {
+    db.get(
+      "SELECT guest_id, ip_hash, user_name FROM submission_requesters WHERE submission_id = ? AND session_id = ? AND kind = 'request' ORDER BY created_at ASC, id ASC LIMIT 1",
+      [submissionId, sessionId],
+      (err, row) => callback(err, row || null)
+    );
+  }
+
+  // Form answers given with requests for these submissions, oldest first:
+  // [{ submission_id, user_name, answers }], only requesters who answered something
+  function listAnswers(submissionIds, callback) {
+    if (submissionIds.length === 0) return callback(null, []);
+    db.all(
+      `SELECT submission_id, user_name, answers FROM submission_requesters
+       WHERE submission_id IN (${placeholders(submissionIds)}) AND kind = 'request' AND answers IS NOT NULL
+       ORDER BY created_at ASC, id ASC`,
+      submissionIds,
+      (err, rows) => callback(err, rows ? rows.map(row => ({ ...row, answers: readAnswers(row.answers) })).filter(row => row.answers.length) : undefined)
+    );
+  }
+
+  // Every guest request and upvote in the session, oldest first, for analytics. Guest IDs stay
+  // server-side; listRequesters is what goes to the dashboard.
+  function listRequesterActivity(sessionId, callback) {
+    db.all(
+      'SELECT submission_id, guest_id, kind, created_at FROM submission_requesters WHERE session_id = ? ORDER BY created_at ASC, id ASC',
+      [sessionId],
+      callback
+    );
+  }
+
+  // The oldest open request for the same track: same Spotify ID, same provider track, or same
+  // normalized song/artist. track is { provider, id } or null.
+  function findOpenDuplicate(sessionId, track, normalizedKey, callback) {
+    const matches = ['normalized_key = ?'];
+    const params = [normalizedKey];
+    if (track && track.provider === 'spotify') {
+      matches.push('spotify_id = ?');
+      params.push(track.id);
+    }
+    if (track) {
+      matches.push('(track_provider = ? AND track_id = ?)');
+      params.push(track.provider, track.id);
+    }
+
+    db.get(
+      `SELECT * FROM submissions
+       WHERE session_id = ? AND status IN ${OPEN_STATUSES_SQL} AND (${matches.join(' OR ')})
+       ORDER BY created_at ASC, id ASC LIMIT 1`,
+      [sessionId, ...params],
+      callback
+    );
+  }
+
+  // Insert a row from column -> value pairs. Callback receives (err, id).
+  function create(values, callback) {
+    const columns = Object.keys(values);
+    db.run(
+      `INSERT INTO submissions (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+      columns.map(column => values[column]),
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // Store a finished lookup. enrichment: { metadata, libraryTrack, interpretation, status } -
+  // metadata (the merged track data) fills in what it found, the library match is replaced
+  // and status is the job's outcome ('done' or 'failed').
+  function recordEnrichment(id, enrichment, callback) {
+    const { metadata, libraryTrack, interpretation } = enrichment;
+    db.run(
+      `UPDATE submissions SET
+        song_name = COALESCE(?, song_name),
+        artist = COALESCE(?, artist),
+        bpm = COALESCE(?, bpm),
+        key_camelot = COALESCE(?, key_camelot),
+        key_regular = COALESCE(?, key_regular),
+        metadata_provider = COALESCE(?, metadata_provider),
+        track_provider = COALESCE(track_provider, ?),
+        track_id = COALESCE(track_id, ?),
+        spotify_id = COALESCE(spotify_id, ?),
+        isrc = COALESCE(?, isrc),
+        library_track_id = ?,
+        library_bpm = ?,
+        library_key_camelot = ?,
+        library_location = ?,
+        interpretation_status = COALESCE(?, interpretation_status),
+        interpretation_candidates = COALESCE(?, interpretation_candidates),
+        spotify_fetched = 1,
+        enrichment_status = ?
+      WHERE id = ?`,
+      [
+        metadata ? metadata.songName : null,
+        metadata ? metadata.artist : null,
+        metadata ? metadata.bpm : null,
+        metadata ? metadata.keyCamelot : null,
+        metadata ? metadata.keyRegular : null,
+        metadata ? metadata.metadataProvider : null,
+        metadata ? metadata.provider : null,
+        metadata ? metadata.trackId : null,
+        metadata && metadata.provider === 'spotify' ? metadata.trackId : null,
+        metadata ? metadata.isrc : null,
+        libraryTrack ? libraryTrack.id : null,
+        libraryTrack ? libraryTrack.bpm : null,
+        libraryTrack ? libraryTrack.key_camelot : null,
+        libraryTrack ? libraryTrack.location : null,
+        interpretation ? interpretation.status : null,
+        interpretation ? JSON.stringify(interpretation.candidates) : null,
+        enrichment.status,
+        id
+      ],
+      (err) => callback(err)
+    );
+  }
+
+  // Link a request to its library track (a library_tracks row, or null) and take the BPM/key it
+  // supplies (libraryData: { bpm, keyCamelot, keyRegular }, or null when it has neither).
+  // BPM/key an earlier library match supplied is cleared when the new one doesn't supply it.
+  function setLibraryMatch(id, track, libraryData, callback) {
+    const bpm = libraryData ? libraryData.bpm || null : null;
+    const keyCamelot = libraryData ? libraryData.keyCamelot || null : null;
+    const keyRegular = keyCamelot ? libraryData.keyRegular : null;
+    const supplies = libraryData ? 1 : 0;
+    db.run(
+      `UPDATE submissions SET
+        library_track_id = ?,
+        library_bpm = ?,
+        library_key_camelot = ?,
+        library_location = ?,
+        bpm = CASE WHEN CAST(? AS INTEGER) IS NOT NULL THEN ? WHEN ? = 0 AND metadata_provider = 'library' THEN NULL ELSE bpm END,
+        key_camelot = CASE WHEN CAST(? AS TEXT) IS NOT NULL THEN ? WHEN ? = 0 AND metadata_provider = 'library' THEN NULL ELSE key_camelot END,
+        key_regular = CASE WHEN CAST(? AS TEXT) IS NOT NULL THEN ? WHEN ? = 0 AND metadata_provider = 'library' THEN NULL ELSE key_regular END,
+        metadata_provider = CASE WHEN ? = 1 THEN 'library' WHEN metadata_provider = 'library' THEN NULL ELSE metadata_provider END
+      WHERE id = ?`,
+      [
+        track ? track.id : null,
+        track ? track.bpm : null,
+        track ? track.key_camelot : null,
+        track ? track.location : null,
+        bpm, bpm, supplies,
+        keyCamelot, keyCamelot, supplies,
+        keyCamelot, keyRegular, supplies,
+        supplies,
+        id
+      ],
+      (err) => callback(err)
+    );
+  }
+
+  // Set a request's status and the timestamps that go with it. Callback receives (err, changed).
+  function setStatus(sessionId, id, status, rejectReason, callback) {
+    db.run(
+      `UPDATE submissions SET
+        status = ?,
+        status_updated_at = CURRENT_TIMESTAMP,
+        now_playing_at = CASE WHEN ? = 'now-playing' THEN CURRENT_TIMESTAMP WHEN ? IN ('played', 'skipped') THEN now_playing_at ELSE NULL END,
+        played_at = CASE WHEN ? = 'played' THEN COALESCE(played_at, CURRENT_TIMESTAMP) ELSE NULL END,
+        reject_reason = ?
+      WHERE id = ? AND session_id = ?`,
+      [status, status, status, status, status === 'rejected' ? rejectReason || null : null, id, sessionId],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // The DJ's choice for an interpreted request: a candidate ({ songName, artist, provider, trackId })
+  // or null to go back to what the guest typed. Looked-up data is cleared for the next lookup.
+  function settleInterpretation(sessionId, id, candidate, callback) {
+    db.run(
+      `UPDATE submissions SET
+        song_name = COALESCE(?, original_song_name, song_name),
+        artist = COALESCE(?, original_artist, artist),
+        track_provider = ?,
+        track_id = ?,
+        spotify_id = ?,
+        bpm = NULL,
+        key_camelot = NULL,
+        key_regular = NULL,
+        metadata_provider = NULL,
+        isrc = NULL,
+        library_track_id = NULL,
+        library_bpm = NULL,
+        library_key_camelot = NULL,
+        library_location = NULL,
+        interpretation_status = ?
+      WHERE id = ? AND session_id = ?`,
+      [
+        candidate ? candidate.songName : null,
+        candidate ? candidate.artist : null,
+        candidate ? candidate.provider : null,
+        candidate ? candidate.trackId : null,
+        candidate && candidate.provider === 'spotify' ? candidate.trackId : null,
+        candidate ? 'confirmed' : 'dismissed',
+        id,
+        sessionId
+      ],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // IDs of the session's now-playing requests other than exceptId
+  function listNowPlayingIds(sessionId, exceptId, callback) {
+    db.all("SELECT id FROM submissions WHERE session_id = ? AND status = 'now-playing' AND id != ?", [sessionId, exceptId], (err, rows) => {
+      callback(err, rows ? rows.map(row => row.id) : undefined);
+    });
+  }
+
+  function markPlayed(ids, callback) {
+    if (ids.length === 0) return callback(null);
+    db.run(
+      `UPDATE submissions SET status = 'played', status_updated_at = CURRENT_TIMESTAMP, played_at = CURRENT_TIMESTAMP
+       WHERE id IN (${placeholders(ids)})`,
+      ids,
+      (err) => callback(err)
+    );
+  }
+
+  // Mark pending requests as played (never touches rows the DJ already moved on).
+  // Callback receives (err, changedCount).
+  function markPendingPlayed(sessionId, ids, callback) {
+    if (ids.length === 0) return callback(null, 0);
+    db.run(
+      `UPDATE submissions SET status = 'played', status_updated_at = CURRENT_TIMESTAMP, played_at = CURRENT_TIMESTAMP
+       WHERE session_id = ? AND status = 'pending' AND id IN (${placeholders(ids)})`,
+      [sessionId, ...ids],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes);
+      }
+    );
+  }
+
+  function countOpen(sessionId, callback) {
+    db.get(`SELECT COUNT(*) AS count FROM submissions WHERE session_id = ? AND status IN ${OPEN_STATUSES_SQL}`, [sessionId], (err, row) => {
+      callback(err, row ? row.count : undefined);
+    });
+  }
+
+  // Requests (not rejected) whose normalized artist is normalizedArtist (see buildNormalizedKey)
+  function countForArtist(sessionId, normalizedArtist, callback) {
+    db.get(
+      "SELECT COUNT(*) AS count FROM submissions WHERE session_id = ? AND status != 'rejected' AND normalized_key LIKE ?",
+      [sessionId, `%|${normalizedArtist}`],
+      (err, row) => callback(err, row ? row.count : undefined)
+    );
+  }
+
+  // Requests matched to a library track
+  function countLibraryMatches(sessionId, callback) {
+    db.get('SELECT COUNT(*) AS count FROM submissions WHERE session_id = ? AND library_track_id IS NOT NULL', [sessionId], (err, row) => {
+      callback(err, row ? row.count : undefined);
+    });
+  }
+
+  // Record a guest against a submission, with their form answers (a list, or null). Callback
+  // receives (err, inserted); inserted is false when this guest already requested or upvoted it.
+  function recordRequester(submissionId, sessionId, identity, userName, kind, answers, callback) {
+    db.run(
+      `INSERT INTO submission_requesters (submission_id, session_id, guest_id, ip_hash, user_name, kind, answers) VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (submission_id, guest_id) DO NOTHING`,
+      [submissionId, sessionId, identity.guestId, identity.ipHash, userName || null, kind, answers && answers.length ? JSON.stringify(answers) : null],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // Requesters carried over by an import: [{ guestId, userName, kind, answers, createdAt }]
+  function importRequesters(submissionId, sessionId, requesters, callback) {
+    db.insertMany(
+      'submission_requesters',
+      ['submission_id', 'session_id', 'guest_id', 'user_name', 'kind', 'answers', 'created_at'],
+      requesters.map(requester => [
+        submissionId, sessionId, requester.guestId, requester.userName || null, requester.kind,
+        requester.answers && requester.answers.length ? JSON.stringify(requester.answers) : null,
+        requester.createdAt
+      ]),
+      (err) => callback(err)
+    );
+  }
+
+  function incrementRequestCount(id, callback) {
+    db.run('UPDATE submissions SET request_count = COALESCE(request_count, 1) + 1 WHERE id = ?', [id], (err) => callback(err));
+  }
+
+  // Requests made since `since` ('YYYY-MM-DD HH:MM:SS' UTC) by the guest and by their IP, with the
+  // oldest of each: { guest_count, guest_oldest, ip_count, ip_oldest }
+  function countRecentRequests(sessionId, identity, since, callback) {
+    db.get(
+      `SELECT
+         SUM(CASE WHEN guest_id = ? THEN 1 ELSE 0 END) AS guest_count,
+         MIN(CASE WHEN guest_id = ? THEN created_at END) AS guest_oldest,
+         SUM(CASE WHEN ip_hash = ? THEN 1 ELSE 0 END) AS ip_count,
+         MIN(CASE WHEN ip_hash = ? THEN created_at END) AS ip_oldest
+       FROM submission_requesters
+       WHERE session_id = ? AND kind = 'request' AND created_at >= ?`,
+      [identity.guestId, identity.guestId, identity.ipHash, identity.ipHash, sessionId, since],
+      callback
+    );
+  }
+
+  // The guest's own requests still in the queue
+  function countOpenForGuest(sessionId, guestId, callback) {
+    db.get(
+      `SELECT COUNT(*) AS count FROM submission_requesters r
+       JOIN submissions s ON s.id = r.submission_id
+       WHERE r.session_id = ? AND r.guest_id = ? AND r.kind = 'request' AND s.status IN ${OPEN_STATUSES_SQL}`,
+      [sessionId, guestId],
+      (err, row) => callback(err, row ? row.count : undefined)
+    );
+  }
+
+  // Public queue: open requests by popularity, flagged when guestId requested or upvoted them
+  function listQueue(sessionId, guestId, callback) {
+    db.all(
+      `SELECT s.id, s.song_name, s.artist, s.status, COALESCE(s.request_count, 1) AS request_count,
+         EXISTS (SELECT 1 FROM submission_requesters r WHERE r.submission_id = s.id AND r.guest_id = ?) AS requested_by_me
+       FROM submissions s
+       WHERE s.session_id = ? AND s.status IN ('pending', 'up-next', 'now-playing')
+       ORDER BY request_count DESC, s.created_at ASC, s.id ASC
+       LIMIT 50`,
+      [guestId || '', sessionId],
+      callback
+    );
+  }
+
+  // What the venue display shows, in play order (pending-review requests aren't approved yet,
+  // so they never appear)
+  function listForDisplay(sessionId, limit, callback) {
+    db.all(
+      `SELECT id, song_name, artist, user_name, status, COALESCE(request_count, 1) AS request_count
+       FROM submissions
+       WHERE session_id = ? AND status IN ('now-playing', 'up-next', 'pending')
+       ORDER BY ${PLAY_ORDER_SQL}
+       LIMIT ?`,
+      [sessionId, limit],
+      callback
+    );
+  }
+
+  // IDs of the requests waiting to be played (up-next, then pending) in play order, for queue positions
+  function listWaitingIds(sessionId, callback) {
+    db.all(
+      `SELECT id FROM submissions WHERE session_id = ? AND status IN ('up-next', 'pending') ORDER BY ${PLAY_ORDER_SQL}`,
+      [sessionId],
+      (err, rows) => callback(err, rows ? rows.map(row => row.id) : [])
+    );
+  }
+
+  // The guest's latest requests (not upvotes)
+  function listGuestRequests(sessionId, guestId, callback) {
+    db.all(
+      `SELECT s.id, s.song_name, s.artist, s.status, s.reject_reason, s.status_updated_at, r.created_at
+       FROM submission_requesters r
+       JOIN submissions s ON s.id = r.submission_id
+       WHERE r.session_id = ? AND r.guest_id = ? AND r.kind = 'request'
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT 20`,
+      [sessionId, guestId],
+      callback
+    );
+  }
+
+  // Delete the session's requests with their requesters and enrichment jobs (which reference
+  // them, so they go first). Callback receives (err, deletedCount).
+  function deleteBySession(sessionId, callback) {
+    db.run('DELETE FROM submission_requesters WHERE session_id = ?', [sessionId], (err) => {
+      if (err) return callback(err);
+      db.run('DELETE FROM enrichment_jobs WHERE session_id = ?', [sessionId], (err) => {
+        if (err) return callback(err);
+        db.run('DELETE FROM submissions WHERE session_id = ?', [sessionId], function(err) {
+          if (err) return callback(err);
+          callback(null, this.changes);
+        });
+      });
+    });
+  }
+
+  return {
+    findById,
+    findInSession,
+    findUpvotable,
+    listByIds,
+    listBySession,
+    listPlayable,
+    listRequesters,
+    listSubmissionRequesters,
+    findOriginalRequester,
+    listAnswers,
+    listRequesterActivity,
+    findOpenDuplicate,
+    create,
+    recordEnrichment,
+    setLibraryMatch,
+    setStatus,
+    settleInterpretation,
+    listNowPlayingIds,
+    markPlayed,
+    markPendingPlayed,
+    countOpen,
+    countForArtist,
+    countLibraryMatches,
+    recordRequester,
+    importRequesters,
+    incrementRequestCount,
+    countRecentRequests,
+    countOpenForGuest,
+    listQueue,
+    listForDisplay,
+    listWaitingIds,
+    listGuestRequests,
+    deleteBySession
+  };
+}
+
+module.exports = { createSubmissionRepository };
@@ -0,0 +1,167 @@
+/**
+ * Outbound webhooks: each session's subscriptions (webhooks) and their delivery log
+ * (webhook_deliveries), which is also the queue the delivery worker in lib/webhooks.js reads.
+ * `events` is stored as JSON and comes back parsed.
+ *
+ * `db` is a storage handle from lib/storage, or the `tx` handle inside a transaction.
+ */
+
+const DELIVERY_COLUMNS = `d.id, d.webhook_id, d.session_id, d.event, d.status, d.attempts, d.next_attempt_at,
+  d.response_status, d.last_error, d.created_at, d.delivered_at`;
+
+function parseRow(row) {
+  return row ? { ...row, events: JSON.parse(row.events) } : null;
+}
+
+function createWebhookRepository(db) {
+  // webhook: { sessionId, url, format, events, secret, active }. Callback receives (err, id).
+  function createWebhook(webhook, callback) {
+    db.run(
+      'INSERT INTO webhooks (session_id, url, format, events, secret, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+      [webhook.sessionId, webhook.url, webhook.format, JSON.stringify(webhook.events), webhook.secret, webhook.active === false ? 0 : 1],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  function findWebhook(sessionId, id, callback) {
+    db.get('SELECT * FROM webhooks WHERE session_id = ? AND id = ?', [sessionId, id], (err, row) => callback(err, parseRow(row)));
+  }
+
+  function listWebhooks(sessionId, callback) {
+    db.all('SELECT * FROM webhooks WHERE session_id = ? ORDER BY id ASC', [sessionId], (err, rows) => {
+      callback(err, rows ? rows.map(parseRow) : undefined);
+    });
+  }
+
+  function countWebhooks(sessionId, callback) {
+    db.get('SELECT COUNT(*) AS count FROM webhooks WHERE session_id = ?', [sessionId], (err, row) => {
+      callback(err, row ? Number(row.count) : 0);
+    });
+  }
+
+  // changes: { url, format, events, active }. Callback receives (err, changed).
+  function updateWebhook(sessionId, id, changes, callback) {
+    db.run(
+      'UPDATE webhooks SET url = ?, format = ?, events = ?, is_active = ? WHERE session_id = ? AND id = ?',
+      [changes.url, changes.format, JSON.stringify(changes.events), changes.active ? 1 : 0, sessionId, id],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // Removes the webhook and its delivery log. Callback receives (err, deleted).
+  function deleteWebhook(sessionId, id, callback) {
+    db.transaction((tx, done) => {
+      tx.run('DELETE FROM webhook_deliveries WHERE webhook_id = ? AND session_id = ?', [id, sessionId], (err) => {
+        if (err) return done(err);
+        tx.run('DELETE FROM webhooks WHERE session_id = ? AND id = ?', [sessionId, id], function(err) {
+          done(err, !err && this.changes > 0);
+        });
+      });
+    }, callback);
+  }
+
+  // The session's active webhooks subscribed to an event, with the session's name for presets
+  function listSubscribers(sessionId, event, callback) {
+    db.all(
+      `SELECT w.*, s.name AS session_name FROM webhooks w JOIN sessions s ON s.id = w.session_id
+       WHERE w.session_id = ? AND w.is_active = 1 ORDER BY w.id ASC`,
+      [sessionId],
+      (err, rows) => callback(err, rows ? rows.map(parseRow).filter(webhook => webhook.events.includes(event)) : undefined)
+    );
+  }
+
+  // delivery: { webhookId, sessionId, event, body, nextAttemptAt }. Callback receives (err, id).
+  function queueDelivery(delivery, callback) {
+    db.run(
+      'INSERT INTO webhook_deliveries (webhook_id, session_id, event, body, next_attempt_at) VALUES (?, ?, ?, ?, ?)',
+      [delivery.webhookId, delivery.sessionId, delivery.event, delivery.body, delivery.nextAttemptAt],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      }
+    );
+  }
+
+  // Queued deliveries whose time has come, oldest first, with what's needed to send them
+  function listDueDeliveries(now, limit, callback) {
+    db.all(
+      `SELECT ${DELIVERY_COLUMNS}, d.body, w.url, w.secret FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'queued' AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at ASC, d.id ASC LIMIT ?`,
+      [now, limit],
+      callback
+    );
+  }
+
+  // Claim a queued delivery for sending. Callback receives (err, claimed) - false when another
+  // worker got there first.
+  function claimDelivery(id, callback) {
+    db.run(
+      "UPDATE webhook_deliveries SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'queued'",
+      [id],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, this.changes > 0);
+      }
+    );
+  }
+
+  // result: { status: 'delivered' | 'queued' | 'failed', responseStatus, error, nextAttemptAt }
+  function recordAttempt(id, result, callback) {
+    db.run(
+      `UPDATE webhook_deliveries SET
+        status = ?,
+        response_status = ?,
+        last_error = ?,
+        next_attempt_at = COALESCE(?, next_attempt_at),
+        delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = ?`,
+      [result.status, result.responseStatus || null, result.error || null, result.nextAttemptAt || null, result.status, id],
+      (err) => callback(err)
+    );
+  }
+
+  // Deliveries interrupted by a restart go back in the queue
+  function requeueInterrupted(callback) {
+    db.run("UPDATE webhook_deliveries SET status = 'queued' WHERE status = 'sending'", [], (err) => callback(err));
+  }
+
+  // The session's latest deliveries, newest first, optionally for one webhook
+  function listDeliveries(sessionId, webhookId, limit, callback) {
+    const conditions = ['d.session_id = ?'];
+    const params = [sessionId];
+    if (webhookId) {
+      conditions.push('d.webhook_id = ?');
+      params.push(webhookId);
+    }
+    db.all(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries d WHERE ${conditions.join(' AND ')} ORDER BY d.id DESC LIMIT ?`,
+      [...params, limit],
+      callback
+    );
+  }
+
+  return {
+    createWebhook,
+    findWebhook,
+    listWebhooks,
+    countWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    listSubscribers,
+    queueDelivery,
+    listDueDeliveries,
+    claimDelivery,
+    recordAttempt,
+    requeueInterrupted,
+    listDeliveries
+  };
+}
+
+module.exports = { createWebhookRepository };
@@ -0,0 +1,87 @@
+/**
+ * Who may do what on a session's dashboard.
+ *
+ * The admin key (issued when the session is created) makes its holder the owner. Owners can
+ * invite co-hosts with a role of their own:
+ *
+ *   owner      everything: settings, policies, form fields, imports, clearing and archiving,
+ *              invites and the audit log
+ *   dj         running the night: any status change, queue order, enrichment, bans, pausing
+ *              requests, the library, exports and reports
+ *   moderator  approving and rejecting requests - nothing else
+ *
+ * Routes ask for a permission rather than a role, so the matrix lives here. Every role can
+ * read the dashboard (requests, settings, policies, bans, the library).
+ */
+
+// Most to least powerful
+const ROLES = ['owner', 'dj', 'moderator'];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  dj: 'DJ',
+  moderator: 'Moderator'
+};
+
+// The least powerful role that has each permission
+const PERMISSIONS = {
+  review: 'moderator',
+  queue: 'dj',
+  guests: 'dj',
+  intake: 'dj',
+  library: 'dj',
+  reports: 'dj',
+  settings: 'owner',
+  clear: 'owner',
+  team: 'owner'
+};
+
+const MAX_INVITE_LABEL_LENGTH = 40;
+const MAX_ACTIVE_INVITES = 25;
+
+function hasPermission(role, permission) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && permission in PERMISSIONS && rank <= ROLES.indexOf(PERMISSIONS[permission]);
+}
+
+// Every permission the role has, for the dashboard to show the right controls
+function listPermissions(role) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+// Moderators approve requests awaiting review and reject those still waiting; roles with the
+// queue permission can set any status
+function canSetStatus(role, fromStatus, toStatus) {
+  if (hasPermission(role, 'queue')) return true;
+  if (!hasPermission(role, 'review')) return false;
+  if (toStatus === 'pending') return fromStatus === 'pending-review';
+  if (toStatus === 'rejected') return ['pending-review', 'pending'].includes(fromStatus);
+  return false;
+}
+
+// Validate an owner's invite ({ role, label }). Throws with a message for the DJ.
+function parseInvite(input) {
+  const body = input && typeof input === 'object' ? input : {};
+  if (!ROLES.includes(body.role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const label = typeof body.label === 'string' ? body.label.replace(/\s+/g, ' ').trim() : '';
+  if (!label) throw new Error('Give the invite a name, like who it is for');
+  if (label.length > MAX_INVITE_LABEL_LENGTH) {
+    throw new Error(`Invite names can have ${MAX_INVITE_LABEL_LENGTH} characters`);
+  }
+
+  return { role: body.role, label };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  MAX_ACTIVE_INVITES,
+  hasPermission,
+  listPermissions,
+  canSetStatus,
+  parseInvite
+};
@@ -0,0 +1,72 @@
+/**
+ * Storage backend selection.
+ *
+ * DATABASE_URL picks the database:
+ *   (unset)                  SQLite file song_requests.db (/tmp/song_requests.db on Vercel)
+ *   sqlite:<path>            SQLite file at <path>
+ *   postgres://... or postgresql://...   PostgreSQL
+ *
+ * Both backends expose the same callback API, modelled on sqlite3's so routes read the same
+ * whichever is configured:
+ *   get(sql, params, cb(err, row))         all(sql, params, cb(err, rows))
+ *   run(sql, params, cb(err))              with this.lastID / this.changes in cb
+ *   transaction(work(tx, done), cb(err, result))   tx has the same methods; done(err) rolls back
+ *   insertMany(table, columns, rows, cb)   bulk insert of value arrays
+ *   columns(table, cb(err, names))         close(cb)
+ *   dialect                                'sqlite' or 'postgres'
+ * SQL uses `?` placeholders and has to be valid in both: no INSERT OR ..., datetime(),
+ * scalar MIN/MAX or other SQLite-only functions. Compute times in JS and pass them as params.
+ */
+
+const path = require('path');
+const { createSqliteStorage } = require('./sqlite');
+
+// On Vercel, use /tmp (writable but not persistent) - set DATABASE_URL to keep data there
+const DEFAULT_SQLITE_PATH = process.env.VERCEL ? '/tmp/song_requests.db' : 'song_requests.db';
+
+// Describe DATABASE_URL (or a bare file path) as { dialect, location }
+function parseDatabaseUrl(databaseUrl) {
+  const url = (databaseUrl || '').trim();
+
+  if (!url) {
+    return { dialect: 'sqlite', location: DEFAULT_SQLITE_PATH };
+  }
+  if (/^postgres(ql)?:\/\//i.test(url)) {
+    return { dialect: 'postgres', location: url };
+  }
+  if (/^sqlite:/i.test(url)) {
+    return { dialect: 'sqlite', location: url.replace(/^sqlite:(\/\/)?/i, '') || DEFAULT_SQLITE_PATH };
+  }
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    return { dialect: 'sqlite', location: url };
+  }
+  throw new Error(`Unsupported DATABASE_URL scheme: ${url.split(':')[0]} (use sqlite:<path> or postgres://...)`);
+}
+
+// Where the database is, without the password, for logs
+function describeDatabase(config) {
+  if (config.dialect === 'sqlite') return `SQLite ${path.resolve(config.location)}`;
+  try {
+    const url = new URL(config.location);
+    return `PostgreSQL ${url.hostname}${url.port ? `:${url.port}` : ''}${url.pathname}`;
+  } catch (error) {
+    return 'PostgreSQL';
+  }
+}
+
+// callback(err) once the database is reachable (or not)
+function createStorage(config, callback) {
+  if (config.dialect === 'postgres') {
+    // Only needed when PostgreSQL is configured
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage(config.location, callback);
+  }
+  return createSqliteStorage(config.location, callback);
+}
+
+module.exports = {
+  DEFAULT_SQLITE_PATH,
+  parseDatabaseUrl,
+  describeDatabase,
+  createStorage
+};
@@ -0,0 +1,169 @@
+/**
+ * PostgreSQL storage, for managed databases (selected by a postgres:// DATABASE_URL).
+ *
+ * Queries are written once in the SQL both databases accept, with `?` placeholders; this
+ * adapter turns them into $1, $2... and makes the results look like sqlite3's:
+ * - BIGINT/NUMERIC come back as JS numbers, timestamps as 'YYYY-MM-DD HH:MM:SS' UTC strings
+ * - run() gives this.lastID (INSERTs return the new row) and this.changes (rows affected)
+ * - migration DDL is translated: INTEGER PRIMARY KEY AUTOINCREMENT -> BIGSERIAL PRIMARY KEY,
+ *   INTEGER -> BIGINT and DATETIME -> TIMESTAMP
+ */
+
+const { Pool, types } = require('pg');
+
+// Rows per multi-row INSERT in insertMany (Postgres allows 65535 parameters per query)
+const MAX_INSERT_PARAMS = 30000;
+
+const TYPE_PARSERS = {
+  [types.builtins.INT8]: (value) => Number(value),
+  [types.builtins.NUMERIC]: (value) => parseFloat(value),
+  // Same text format SQLite's CURRENT_TIMESTAMP produces (connections use TimeZone=UTC)
+  [types.builtins.TIMESTAMP]: (value) => value.slice(0, 19)
+};
+
+const placeholderCache = new Map();
+
+// Rewrite `?` placeholders to $n, leaving quoted strings and identifiers alone
+function toPositional(sql) {
+  if (placeholderCache.has(sql)) return placeholderCache.get(sql);
+
+  let out = '';
+  let index = 0;
+  let quote = null;
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+      out += char;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      out += char;
+    } else if (char === '?') {
+      out += `$${++index}`;
+    } else {
+      out += char;
+    }
+  }
+
+  placeholderCache.set(sql, out);
+  return out;
+}
+
+function translateDdl(sql) {
+  if (!/^\s*(CREATE|ALTER)\s+TABLE/i.test(sql)) return sql;
+  return sql
+    .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'BIGSERIAL PRIMARY KEY')
+    .replace(/\bINTEGER\b/gi, 'BIGINT')
+    .replace(/\bDATETIME\b/gi, 'TIMESTAMP');
+}
+
+// sqlite3 accepts (sql, callback) as well as (sql, params, callback)
+function normalizeArgs(params, callback) {
+  return typeof params === 'function' ? [[], params] : [params || [], callback || (() => {})];
+}
+
+// `queryable` is the pool, or the client holding a transaction
+function createHandle(queryable) {
+  const query = (sql, params, callback) => {
+    queryable.query(toPositional(translateDdl(sql)), params, callback);
+  };
+
+  return {
+    dialect: 'postgres',
+
+    get(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      query(sql, params, (err, result) => callback(err, result ? result.rows[0] : undefined));
+    },
+
+    all(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      query(sql, params, (err, result) => callback(err, result ? result.rows : undefined));
+    },
+
+    run(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+      query(isInsert ? `${sql} RETURNING *` : sql, params, (err, result) => {
+        if (err) return callback.call({}, err);
+        const last = isInsert ? result.rows[result.rows.length - 1] : null;
+        callback.call({ lastID: last ? last.id : undefined, changes: result.rowCount || 0 }, null);
+      });
+    },
+
+    insertMany(table, columns, rows, callback) {
+      const batchSize = Math.max(1, Math.floor(MAX_INSERT_PARAMS / columns.length));
+      const next = (start) => {
+        if (start >= rows.length) return callback(null);
+
+        const batch = rows.slice(start, start + batchSize);
+        const values = batch.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values}`, [].concat(...batch), (err) => {
+          if (err) return callback(err);
+          next(start + batchSize);
+        });
+      };
+      next(0);
+    },
+
+    columns(table, callback) {
+      query(
+        'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+        [table],
+        (err, result) => callback(err, result ? result.rows.map(row => row.column_name) : undefined)
+      );
+    }
+  };
+}
+
+function createPostgresStorage(connectionString, callback) {
+  const pool = new Pool({
+    connectionString,
+    // CURRENT_TIMESTAMP must mean UTC, as it does in SQLite
+    options: '-c TimeZone=UTC',
+    types: { getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format) }
+  });
+
+  // An idle client losing its connection shouldn't take the server down; the pool replaces it
+  pool.on('error', (err) => {
+    console.error('PostgreSQL connection error:', err.message);
+  });
+
+  const handle = createHandle(pool);
+
+  if (callback) {
+    pool.query('SELECT 1', (err) => callback(err || null));
+  }
+
+  return {
+    ...handle,
+
+    // Run work(tx, done) on one connection inside BEGIN ... COMMIT; done(err) rolls back instead.
+    // Callback receives (err, result) with whatever work passed to done.
+    transaction(work, callback) {
+      pool.connect((err, client, release) => {
+        if (err) return callback(err);
+
+        const finish = (err, result) => {
+          release();
+          callback(err, result);
+        };
+        const rollback = (err) => client.query('ROLLBACK', () => finish(err));
+
+        client.query('BEGIN', (err) => {
+          if (err) return finish(err);
+
+          work(createHandle(client), (err, result) => {
+            if (err) return rollback(err);
+            client.query('COMMIT', (err) => (err ? rollback(err) : finish(null, result)));
+          });
+        });
+      });
+    },
+
+    close(callback) {
+      pool.end(callback);
+    }
+  };
+}
+
+module.exports = { createPostgresStorage, toPositional };
@@ -0,0 +1,131 @@
+/**
+ * SQLite storage (the default): one connection to a database file.
+ *
+ * The node sqlite3 connection is shared by every request, so statements issued while a
+ * transaction is open would otherwise land inside it. Calls made outside the transaction
+ * wait until it commits or rolls back; only the `tx` handle passed to the work function
+ * goes straight through.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+
+const BUSY_TIMEOUT_MS = 5000;
+
+// sqlite3 accepts (sql, callback) as well as (sql, params, callback)
+function normalizeArgs(params, callback) {
+  return typeof params === 'function' ? [[], params] : [params || [], callback || (() => {})];
+}
+
+function createHandle(db) {
+  return {
+    dialect: 'sqlite',
+
+    get(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      db.get(sql, params, callback);
+    },
+
+    all(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      db.all(sql, params, callback);
+    },
+
+    // Callback is called with this.lastID and this.changes, like sqlite3's
+    run(sql, params, callback) {
+      [params, callback] = normalizeArgs(params, callback);
+      db.run(sql, params, function(err) {
+        callback.call({ lastID: this && this.lastID, changes: this && this.changes }, err);
+      });
+    },
+
+    // Bulk insert of value arrays (in `columns` order) through one prepared statement
+    insertMany(table, columns, rows, callback) {
+      if (rows.length === 0) return callback(null);
+
+      const stmt = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+      let failed = null;
+      rows.forEach(row => stmt.run(row, (err) => {
+        if (err && !failed) failed = err;
+      }));
+      stmt.finalize((err) => callback(failed || err || null));
+    },
+
+    // Column names of a table (empty when it doesn't exist)
+    columns(table, callback) {
+      db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.name));
+      });
+    }
+  };
+}
+
+function createSqliteStorage(filename, callback) {
+  const db = new sqlite3.Database(filename, (err) => {
+    if (!err) db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    if (callback) callback(err || null);
+  });
+  const handle = createHandle(db);
+
+  let inTransaction = false;
+  const waiting = [];
+
+  function whenIdle(fn) {
+    if (inTransaction) {
+      waiting.push(fn);
+    } else {
+      fn();
+    }
+  }
+
+  function drain() {
+    while (waiting.length && !inTransaction) {
+      waiting.shift()();
+    }
+  }
+
+  const queued = (method) => (...args) => whenIdle(() => handle[method](...args));
+
+  return {
+    dialect: 'sqlite',
+    get: queued('get'),
+    all: queued('all'),
+    run: queued('run'),
+    insertMany: queued('insertMany'),
+    columns: queued('columns'),
+
+    // Run work(tx, done) in BEGIN IMMEDIATE ... COMMIT; done(err) rolls back instead.
+    // Callback receives (err, result) with whatever work passed to done.
+    transaction(work, callback) {
+      whenIdle(() => {
+        inTransaction = true;
+
+        const finish = (err, result) => {
+          inTransaction = false;
+          callback(err, result);
+          drain();
+        };
+
+        db.run('BEGIN IMMEDIATE', (err) => {
+          if (err) return finish(err);
+
+          work(handle, (err, result) => {
+            if (err) {
+              return db.run('ROLLBACK', () => finish(err));
+            }
+            db.run('COMMIT', (err) => {
+              if (err) return db.run('ROLLBACK', () => finish(err));
+              finish(null, result);
+            });
+          });
+        });
+      });
+    },
+
+    close(callback) {
+      whenIdle(() => db.close(callback));
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,384 @@
+/**
+ * Outbound webhooks: a session's new requests, status changes, clears and settings changes
+ * POSTed to URLs the owner picks - a booking system, or the crew's Slack or Discord channel.
+ *
+ * A webhook is { url, format, events, active }. Formats:
+ *   json      { event, sessionId, sessionName, createdAt, data }
+ *   slack     { text } for a Slack incoming webhook
+ *   discord   { content, username } for a Discord channel webhook
+ *
+ * Every delivery is signed with the webhook's secret: X-DJQ-Signature is "sha256=" and the hex
+ * HMAC-SHA256 of `${X-DJQ-Timestamp}.${body}`, so receivers can check the sender and turn away
+ * old timestamps. X-DJQ-Event and X-DJQ-Delivery name the event and the delivery.
+ *
+ * Deliveries are queued in webhook_deliveries and sent by a worker. Network errors, timeouts and
+ * 408, 429 and 5xx answers are retried after 30 seconds, then 1, 2, 4 and 8 minutes; any other
+ * answer that isn't 2xx fails the delivery at once. Redirects are not followed. Only https URLs
+ * are accepted unless the deployment allows http (WEBHOOK_ALLOW_HTTP).
+ *
+ * Webhooks never reach the server's own network: loopback, private, link-local and unique-local
+ * addresses are refused when the URL is saved (IP addresses) and when each delivery connects
+ * (hostnames are resolved, checked, and the connection made to the checked address, so a DNS
+ * change in between can't get around it). Internal receivers have to be allowed by the
+ * deployment (WEBHOOK_ALLOWED_HOSTS: hostnames, IP addresses or CIDR ranges).
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+const WEBHOOK_EVENTS = ['submission.created', 'submission.status_changed', 'session.cleared', 'settings.updated'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+// Sent on demand from the dashboard, to whichever webhook the owner tests
+const TEST_EVENT = 'webhook.test';
+
+const MAX_WEBHOOKS_PER_SESSION = 10;
+const MAX_URL_LENGTH = 500;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m
+const RETRYABLE_STATUS_CODES = [408, 429];
+const BATCH_SIZE = 10;
+
+// What the presets say when a request moves to a status; anything else is "from -> to"
+const STATUS_TEXT = {
+  'up-next': '⏭️ Up next',
+  'now-playing': '▶️ Now playing',
+  'played': '✔️ Played',
+  'skipped': '⏩ Skipped',
+  'rejected': '❌ Rejected'
+};
+
+// Addresses on the server's own networks, which webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  // Unspecified and loopback, IPv4-mapped and NAT64 (which reach IPv4 addresses), unique-local,
+  // link-local and multicast
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Read WEBHOOK_ALLOWED_HOSTS ("hooks.internal, 10.0.0.5, 192.168.1.0/24") into
+// { hosts, addresses }. Throws on entries that can't be read.
+function parseAllowedHosts(value) {
+  const hosts = new Set();
+  const addresses = new net.BlockList();
+  String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach((entry) => {
+    const [address, bits] = entry.replace(/^\[|\](?=\/|$)/g, '').split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      if (bits !== undefined) throw new Error(`"${entry}" isn't a CIDR range`);
+      hosts.add(entry);
+    } else if (bits === undefined) {
+      addresses.addAddress(address, family === 6 ? 'ipv6' : 'ipv4');
+    } else {
+      const prefix = Number(bits);
+      if (!/^\d+$/.test(bits) || prefix > (family === 6 ? 128 : 32)) throw new Error(`"${entry}" isn't a CIDR range`);
+      addresses.addSubnet(address, prefix, family === 6 ? 'ipv6' : 'ipv4');
+    }
+  });
+  return { hosts, addresses };
+}
+
+// Whether a webhook may connect to `address` (an IP) for `hostname`
+function isAllowedAddress(address, hostname, allowedHosts) {
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  if (!BLOCKED_ADDRESSES.check(address, type)) return true;
+  return !!allowedHosts && (allowedHosts.hosts.has(hostname) || allowedHosts.addresses.check(address, type));
+}
+
+function blockedAddressError(hostname) {
+  const error = new Error(`${hostname} is on a private network`);
+  error.code = 'BLOCKED_ADDRESS';
+  return error;
+}
+
+// The host of a URL, without IPv6 brackets
+function urlHostname(url) {
+  return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+// Validate a webhook from the owner ({ url, events, format, active }). Throws with a message for
+// the DJ. allowHttp also accepts http:// URLs (development, or systems on the venue's network);
+// allowedHosts (from parseAllowedHosts) lets URLs reach those internal hosts.
+function parseWebhook(input, { allowHttp = false, allowedHosts = null } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  if (!url) throw new Error('Enter the URL to send events to');
+  if (url.length > MAX_URL_LENGTH) throw new Error(`Webhook URLs can have ${MAX_URL_LENGTH} characters`);
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error("That URL isn't valid");
+  }
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    throw new Error(allowHttp ? 'Webhook URLs must start with https:// or http://' : 'Webhook URLs must start with https://');
+  }
+  // Hostnames are checked when they're resolved, on every delivery
+  const hostname = urlHostname(parsed);
+  if ((net.isIP(hostname) || hostname === 'localhost') && !isAllowedAddress(hostname === 'localhost' ? '127.0.0.1' : hostname, hostname, allowedHosts)) {
+    throw new Error("Webhooks can't be sent to private or local addresses");
+  }
+
+  const format = body.format === undefined || body.format === null || body.format === '' ? 'json' : body.format;
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+
+  if (!Array.isArray(body.events) || body.events.length === 0) {
+    throw new Error('Pick at least one event to send');
+  }
+  const unknown = body.events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown event "${unknown}". Use: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  // Stored in the documented order so lists read the same however they were picked
+  const events = WEBHOOK_EVENTS.filter(event => body.events.includes(event));
+
+  return { url, format, events, active: body.active === undefined ? true : !!body.active };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// The X-DJQ-Signature header for a body sent at `timestamp` (Unix seconds)
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// A submission row as webhooks describe it
+function toWebhookSubmission(row) {
+  return {
+    id: row.id,
+    songName: row.song_name,
+    artist: row.artist,
+    requestedBy: row.user_name || null,
+    requestCount: row.request_count || 1,
+    status: row.status,
+    bpm: row.bpm || null,
+    key: row.key_camelot || null
+  };
+}
+
+// One line for chat presets
+function describeEvent(event, data) {
+  const track = data.submission ? `"${data.submission.songName}" by ${data.submission.artist}` : '';
+
+  switch (event) {
+    case 'submission.created':
+      return `🎵 New request: ${track}${data.submission.requestedBy ? ` from ${data.submission.requestedBy}` : ''}`;
+    case 'submission.status_changed': {
+      if (data.to === 'pending' && data.from === 'pending-review') return `✅ Approved: ${track}`;
+      if (!STATUS_TEXT[data.to]) return `${track}: ${data.from} → ${data.to}`;
+      return `${STATUS_TEXT[data.to]}: ${track}${data.to === 'rejected' && data.reason ? ` (${data.reason})` : ''}`;
+    }
+    case 'session.cleared':
+      return `🧹 Cleared ${data.deletedCount} request${data.deletedCount === 1 ? '' : 's'}`;
+    case 'settings.updated':
+      return `⚙️ Settings changed: ${data.changed.join(', ')}`;
+    case TEST_EVENT:
+      return '👋 Test delivery - this webhook works';
+    default:
+      return event;
+  }
+}
+
+// Slack treats <...> as links and mentions (<!channel>), so guest text is escaped
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// The request body for an event in a webhook's format. session: { id, name }.
+function buildWebhookBody(format, event, data, session, createdAt = new Date()) {
+  if (format === 'slack') {
+    return JSON.stringify({ text: `*${escapeSlack(session.name)}* ${escapeSlack(describeEvent(event, data))}` });
+  }
+  if (format === 'discord') {
+    // Guests' song names must never ping @everyone
+    return JSON.stringify({
+      username: 'DJQ',
+      content: `**${session.name}** ${describeEvent(event, data)}`,
+      allowed_mentions: { parse: [] }
+    });
+  }
+  return JSON.stringify({ event, sessionId: session.id, sessionName: session.name, createdAt: createdAt.toISOString(), data });
+}
+
+// A dns.lookup for the delivery's connection that fails if the host resolves to an address
+// webhooks may not reach. The socket connects to the addresses checked here.
+function createCheckedLookup(allowedHosts) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { all: true, family: options.family || 0 }, (err, addresses) => {
+      if (err) return callback(err);
+      const normalized = hostname.toLowerCase();
+      if (addresses.some(({ address }) => !isAllowedAddress(address, normalized, allowedHosts))) {
+        return callback(blockedAddressError(hostname));
+      }
+      callback(null, addresses);
+    });
+  };
+}
+
+// POST a delivery; resolves to the response status, rejects on network errors, timeouts and
+// addresses webhooks may not reach (error.retryable is false for those)
+function postWebhook(url, body, headers, allowedHosts = null) {
+  // Connections to IP addresses skip the lookup, so those are checked here
+  const hostname = urlHostname(new URL(url));
+  if (net.isIP(hostname) && !isAllowedAddress(hostname, hostname, allowedHosts)) {
+    return Promise.reject(Object.assign(blockedAddressError(hostname), { retryable: false }));
+  }
+
+  return axios.post(url, body, {
+    headers,
+    timeout: DELIVERY_TIMEOUT_MS,
+    maxRedirects: 0,
+    maxContentLength: MAX_RESPONSE_BYTES,
+    // A proxy would make the connection (and the lookup) instead
+    proxy: false,
+    lookup: createCheckedLookup(allowedHosts),
+    validateStatus: () => true
+  }).then(response => response.status, (error) => {
+    if (error.code === 'BLOCKED_ADDRESS' || (error.cause && error.cause.code === 'BLOCKED_ADDRESS')) {
+      throw Object.assign(blockedAddressError(hostname), { retryable: false });
+    }
+    throw error;
+  });
+}
+
+// webhooks: a webhook repository (lib/repositories/webhooks.js). `send(url, body, headers)`
+// defaults to postWebhook, reaching internal hosts only if allowedHosts (from parseAllowedHosts)
+// lets it; `now` returns the time in milliseconds (both replaceable in tests).
+function createWebhookDispatcher({ webhooks, allowedHosts = null, send = (url, body, headers) => postWebhook(url, body, headers, allowedHosts), now = Date.now }) {
+  let running = false;
+  // Set when deliveries are queued mid-batch, so they go out right after it
+  let runAgain = false;
+
+  // Queue an event for one webhook; deliverDue() sends it. Callback receives (err, deliveryId).
+  function queueFor(webhook, sessionName, event, data, callback) {
+    webhooks.queueDelivery({
+      webhookId: webhook.id,
+      sessionId: webhook.session_id,
+      event,
+      body: buildWebhookBody(webhook.format, event, data, { id: webhook.session_id, name: sessionName }, new Date(now())),
+      nextAttemptAt: now()
+    }, callback);
+  }
+
+  // Queue an event for every active webhook of the session subscribed to it.
+  // Callback receives (err, queuedCount).
+  function dispatch(sessionId, event, data, callback) {
+    webhooks.listSubscribers(sessionId, event, (err, subscribers) => {
+      if (err) return callback(err);
+
+      const next = (index) => {
+        if (index >= subscribers.length) return callback(null, subscribers.length);
+        queueFor(subscribers[index], subscribers[index].session_name, event, data, (err) => {
+          if (err) return callback(err);
+          next(index + 1);
+        });
+      };
+      next(0);
+    });
+  }
+
+  // Send one delivery and record how it went; resolves when the outcome is stored
+  function attempt(delivery) {
+    return new Promise((resolve) => {
+      webhooks.claimDelivery(delivery.id, (err, claimed) => {
+        if (err) console.error(`Error claiming webhook delivery ${delivery.id}:`, err);
+        if (err || !claimed) return resolve();
+
+        const attempts = delivery.attempts + 1;
+        const timestamp = Math.floor(now() / 1000);
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DJQ-Webhooks/1.0',
+          'X-DJQ-Event': delivery.event,
+          'X-DJQ-Delivery': String(delivery.id),
+          'X-DJQ-Timestamp': String(timestamp),
+          'X-DJQ-Signature': signPayload(delivery.secret, timestamp, delivery.body)
+        };
+
+        Promise.resolve()
+          .then(() => send(delivery.url, delivery.body, headers))
+          .then(status => ({ status }), error => ({ error }))
+          .then(({ status, error }) => {
+            const delivered = !error && status >= 200 && status < 300;
+            const retryable = error ? error.retryable !== false : status >= 500 || RETRYABLE_STATUS_CODES.includes(status);
+            const message = error ? (error.code || error.message) : `HTTP ${status}`;
+
+            let result;
+            if (delivered) {
+              result = { status: 'delivered', responseStatus: status };
+            } else if (retryable && attempts < MAX_ATTEMPTS) {
+              const delay = RETRY_BASE_MS * Math.pow(2, attempts - 1);
+              console.log(`Webhook delivery ${delivery.id} failed (attempt ${attempts}), retrying in ${delay / 1000}s: ${message}`);
+              result = { status: 'queued', responseStatus: status, error: message, nextAttemptAt: now() + delay };
+            } else {
+              console.log(`Webhook delivery ${delivery.id} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${message}`);
+              result = { status: 'failed', responseStatus: status, error: message };
+            }
+
+            webhooks.recordAttempt(delivery.id, result, (err) => {
+              if (err) console.error(`Error recording webhook delivery ${delivery.id}:`, err);
+              resolve();
+            });
+          });
+      });
+    });
+  }
+
+  // Send the deliveries that are due, a batch at a time. Callback receives (err, attemptedCount).
+  function deliverDue(callback = () => {}) {
+    if (running) {
+      runAgain = true;
+      return callback(null, 0);
+    }
+    running = true;
+    runAgain = false;
+
+    webhooks.listDueDeliveries(now(), BATCH_SIZE, (err, deliveries) => {
+      if (err) {
+        running = false;
+        console.error('Error loading webhook deliveries:', err);
+        return callback(err);
+      }
+
+      Promise.all(deliveries.map(attempt)).then(() => {
+        running = false;
+        if (runAgain || deliveries.length === BATCH_SIZE) setImmediate(() => deliverDue());
+        callback(null, deliveries.length);
+      });
+    });
+  }
+
+  return {
+    queueFor,
+    dispatch,
+    deliverDue
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  TEST_EVENT,
+  MAX_WEBHOOKS_PER_SESSION,
+  parseWebhook,
+  parseAllowedHosts,
+  postWebhook,
+  generateWebhookSecret,
+  signPayload,
+  toWebhookSubmission,
+  buildWebhookBody,
+  createWebhookDispatcher
+};
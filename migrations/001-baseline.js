@@ -0,0 +1,264 @@
+// The schema as it stood when migrations were introduced. Databases created before then were
+// grown by a chain of ALTER TABLE statements and may be missing any of the later columns, so
+// this creates what doesn't exist and adds missing columns to tables that do.
+
+const TABLES = [
+  {
+    name: 'sessions',
+    columns: [
+      ['id', 'TEXT PRIMARY KEY'],
+      ['name', 'TEXT NOT NULL'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP'],
+      ['is_active', 'INTEGER DEFAULT 1'],
+      ['welcome_message', 'TEXT'],
+      ['subtitle_message', 'TEXT'],
+      ['background', 'TEXT'],
+      // DJ authentication (SHA-256 hashes only, never the raw secrets)
+      ['admin_secret_hash', 'TEXT'],
+      ['recovery_key_hash', 'TEXT'],
+      ['admin_secret_rotated_at', 'DATETIME'],
+      // Anti-spam limits (NULL = unlimited)
+      ['limit_requests_per_hour', 'INTEGER DEFAULT 10'],
+      ['limit_open_per_guest', 'INTEGER DEFAULT 5'],
+      ['limit_open_requests', 'INTEGER'],
+      // Moderation mode: new requests wait in 'pending-review' until the DJ approves them
+      ['moderation_required', 'INTEGER DEFAULT 0'],
+      // Request policies checked by /api/submit (NULL = no restriction)
+      ['policy_block_explicit', 'INTEGER DEFAULT 0'],
+      ['policy_min_bpm', 'INTEGER'],
+      ['policy_max_bpm', 'INTEGER'],
+      ['policy_max_per_artist', 'INTEGER'],
+      ['policy_blocked_message', 'TEXT'],
+      // Comma-separated metadata provider chain; NULL uses the deployment default
+      ['metadata_providers', 'TEXT'],
+      // Request intake: open, paused or closed by the DJ, optionally within a scheduled window
+      ['request_status', "TEXT DEFAULT 'open'"],
+      ['opens_at', 'DATETIME'],
+      ['closes_at', 'DATETIME'],
+      ['last_activity_at', 'DATETIME'],
+      // Archived sessions live on under a permanent ID; short_code keeps the code they had
+      ['archived_at', 'DATETIME'],
+      ['short_code', 'TEXT']
+    ]
+  },
+  {
+    name: 'submissions',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['song_name', 'TEXT NOT NULL'],
+      ['artist', 'TEXT NOT NULL'],
+      ['user_name', 'TEXT'],
+      ['original_song_name', 'TEXT'],
+      ['original_artist', 'TEXT'],
+      ['bpm', 'INTEGER'],
+      ['key_camelot', 'TEXT'],
+      ['key_regular', 'TEXT'],
+      ['spotify_fetched', 'INTEGER DEFAULT 0'],
+      // Request status lifecycle (pending -> up-next -> now-playing -> played/skipped/rejected)
+      ['status', "TEXT DEFAULT 'pending'"],
+      ['status_updated_at', 'DATETIME'],
+      ['now_playing_at', 'DATETIME'],
+      ['played_at', 'DATETIME'],
+      // Duplicate detection: same Spotify ID or same normalized song/artist is one request
+      ['spotify_id', 'TEXT'],
+      ['normalized_key', 'TEXT'],
+      ['request_count', 'INTEGER DEFAULT 1'],
+      // Optional reason shown to the guest when a request is rejected
+      ['reject_reason', 'TEXT'],
+      // Track picked from suggestions (any provider), and which provider supplied BPM/key
+      ['track_provider', 'TEXT'],
+      ['track_id', 'TEXT'],
+      ['metadata_provider', 'TEXT'],
+      // Background metadata lookup: queued, done or failed (NULL for rows saved before the worker)
+      ['enrichment_status', 'TEXT'],
+      ['isrc', 'TEXT'],
+      // Matching track in the DJ's library (see library_tracks), copied so the badge needs no join
+      ['library_track_id', 'INTEGER'],
+      ['library_bpm', 'INTEGER'],
+      ['library_key_camelot', 'TEXT'],
+      ['library_location', 'TEXT'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(id)'],
+    // Critical for scaling to hundreds of sessions
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_submissions_session_id ON submissions(session_id)']
+  },
+  {
+    // Everyone who requested or upvoted a submission (one row per guest per submission)
+    name: 'submission_requesters',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['submission_id', 'INTEGER NOT NULL'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['guest_id', 'TEXT NOT NULL'],
+      ['ip_hash', 'TEXT'],
+      ['user_name', 'TEXT'],
+      ['kind', "TEXT NOT NULL DEFAULT 'request'"],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: [
+      'UNIQUE (submission_id, guest_id)',
+      'FOREIGN KEY (submission_id) REFERENCES submissions(id)',
+      'FOREIGN KEY (session_id) REFERENCES sessions(id)'
+    ],
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_submission_requesters_session_id ON submission_requesters(session_id)']
+  },
+  {
+    // Guest identities banned by the DJ (per session)
+    name: 'guest_bans',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['guest_id', 'TEXT NOT NULL'],
+      ['ip_hash', 'TEXT'],
+      ['user_name', 'TEXT'],
+      ['reason', 'TEXT'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(id)']
+  },
+  {
+    // Do-not-play list: an artist, a track, or both (match_type 'exact' or 'fuzzy')
+    name: 'do_not_play',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['artist', 'TEXT'],
+      ['track', 'TEXT'],
+      ['match_type', "TEXT NOT NULL DEFAULT 'exact'"],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(id)']
+  },
+  {
+    // Requests refused by a policy, for the DJ's log
+    name: 'blocked_requests',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['song_name', 'TEXT'],
+      ['artist', 'TEXT'],
+      ['user_name', 'TEXT'],
+      ['spotify_id', 'TEXT'],
+      ['rule', 'TEXT NOT NULL'],
+      ['detail', 'TEXT'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(id)'],
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_blocked_requests_session_id ON blocked_requests(session_id)']
+  },
+  {
+    // Metadata lookups for submissions, run by the background worker; next_attempt_at is epoch milliseconds
+    name: 'enrichment_jobs',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['submission_id', 'INTEGER NOT NULL UNIQUE'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['status', "TEXT DEFAULT 'queued'"],
+      ['attempts', 'INTEGER DEFAULT 0'],
+      ['apply_policies', 'INTEGER DEFAULT 0'],
+      ['next_attempt_at', 'INTEGER NOT NULL'],
+      ['last_error', 'TEXT'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP'],
+      ['updated_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (submission_id) REFERENCES submissions(id)'],
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_due ON enrichment_jobs(status, next_attempt_at)']
+  },
+  {
+    // The DJ's uploaded library (one per session) and its tracks
+    name: 'libraries',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['session_id', 'TEXT NOT NULL UNIQUE'],
+      ['file_name', 'TEXT'],
+      ['format', 'TEXT NOT NULL'],
+      ['track_count', 'INTEGER DEFAULT 0'],
+      ['uploaded_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ],
+    constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(id)']
+  },
+  {
+    name: 'library_tracks',
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['library_id', 'INTEGER NOT NULL'],
+      ['session_id', 'TEXT NOT NULL'],
+      ['title', 'TEXT NOT NULL'],
+      ['artist', 'TEXT'],
+      ['album', 'TEXT'],
+      ['bpm', 'INTEGER'],
+      ['key_camelot', 'TEXT'],
+      ['key_regular', 'TEXT'],
+      ['isrc', 'TEXT'],
+      ['location', 'TEXT']
+    ],
+    constraints: [
+      'FOREIGN KEY (library_id) REFERENCES libraries(id)',
+      'FOREIGN KEY (session_id) REFERENCES sessions(id)'
+    ],
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_library_tracks_library_id ON library_tracks(library_id)']
+  },
+  {
+    // Provider lookups keyed by provider:kind:id-or-query; expires_at is epoch milliseconds
+    name: 'metadata_cache',
+    columns: [
+      ['cache_key', 'TEXT PRIMARY KEY'],
+      ['provider', 'TEXT NOT NULL'],
+      ['kind', 'TEXT NOT NULL'],
+      ['value', 'TEXT'],
+      ['expires_at', 'INTEGER NOT NULL'],
+      ['created_at', 'DATETIME DEFAULT CURRENT_TIMESTAMP']
+    ]
+  }
+];
+
+function createTableSql(table) {
+  const lines = table.columns.map(([name, definition]) => `${name} ${definition}`).concat(table.constraints || []);
+  return `CREATE TABLE IF NOT EXISTS ${table.name} (\n  ${lines.join(',\n  ')}\n)`;
+}
+
+// Columns added by the old ALTER TABLE chain that an existing table doesn't have yet
+function addMissingColumns(db, table, callback) {
+  db.columns(table.name, (err, existing) => {
+    if (err) return callback(err);
+
+    const names = new Set(existing);
+    const missing = table.columns.filter(([name]) => !names.has(name));
+    const next = (index) => {
+      if (index >= missing.length) return callback();
+      const [name, definition] = missing[index];
+      db.run(`ALTER TABLE ${table.name} ADD COLUMN ${name} ${definition}`, (err) => (err ? callback(err) : next(index + 1)));
+    };
+    next(0);
+  });
+}
+
+function up(db, callback) {
+  const next = (index) => {
+    if (index >= TABLES.length) return callback();
+    const table = TABLES[index];
+
+    db.run(createTableSql(table), (err) => {
+      if (err) return callback(err);
+      addMissingColumns(db, table, (err) => {
+        if (err) return callback(err);
+
+        const indexes = table.indexes || [];
+        const nextIndex = (i) => {
+          if (i >= indexes.length) return next(index + 1);
+          db.run(indexes[i], (err) => (err ? callback(err) : nextIndex(i + 1)));
+        };
+        nextIndex(0);
+      });
+    });
+  };
+  next(0);
+}
+
+module.exports = {
+  version: 1,
+  name: 'baseline',
+  up
+};
@@ -0,0 +1,10 @@
+// Venue display screen (/display/:sessionId): the DJ can hide requester names or the queue
+
+module.exports = {
+  version: 2,
+  name: 'display-settings',
+  up: [
+    'ALTER TABLE sessions ADD COLUMN display_show_names INTEGER DEFAULT 1',
+    'ALTER TABLE sessions ADD COLUMN display_show_queue INTEGER DEFAULT 1'
+  ]
+};
@@ -0,0 +1,28 @@
+// Guest request tracking: a private tracking link per guest and session (only its hash is
+// stored), and the Web Push subscriptions guests register from it
+
+module.exports = {
+  version: 3,
+  name: 'guest-tracking',
+  up: [
+    `CREATE TABLE IF NOT EXISTS guest_trackers (
+      token_hash TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      guest_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, guest_id),
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      guest_id TEXT NOT NULL,
+      endpoint TEXT NOT NULL UNIQUE,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_push_subscriptions_guest ON push_subscriptions(session_id, guest_id)'
+  ]
+};
@@ -0,0 +1,19 @@
+// Background images uploaded through /api/sessions/:sessionId/background, one per session. The
+// files live in the file store (lib/file-store.js); `variants` is JSON: [{ width, height, bytes }].
+
+module.exports = {
+  version: 4,
+  name: 'background-images',
+  up: [
+    `CREATE TABLE IF NOT EXISTS background_images (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL UNIQUE,
+      source_type TEXT NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      variants TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`
+  ]
+};
@@ -0,0 +1,11 @@
+// Custom request form fields (lib/form-fields.js): the DJ's field definitions as JSON on the
+// session, and each requester's answers as JSON next to their name
+
+module.exports = {
+  version: 5,
+  name: 'form-fields',
+  up: [
+    'ALTER TABLE sessions ADD COLUMN form_fields TEXT',
+    'ALTER TABLE submission_requesters ADD COLUMN answers TEXT'
+  ]
+};
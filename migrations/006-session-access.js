@@ -0,0 +1,34 @@
+// Co-host invites and the audit log. An invite grants a role in one session (only the hash of its
+// token is stored); the audit log records who changed what on the dashboard.
+
+module.exports = {
+  version: 6,
+  name: 'session-access',
+  up: [
+    `CREATE TABLE IF NOT EXISTS session_invites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL,
+      label TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_session_invites_session_id ON session_invites(session_id)',
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      actor_label TEXT NOT NULL,
+      actor_role TEXT NOT NULL,
+      invite_id INTEGER,
+      action TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_audit_log_session_id ON audit_log(session_id, id)'
+  ]
+};
@@ -0,0 +1,11 @@
+// Interpreted free-text requests (lib/interpreters): whether a match was applied, is waiting for
+// the DJ, or was settled by them, and the candidate tracks as JSON
+
+module.exports = {
+  version: 7,
+  name: 'request-interpretation',
+  up: [
+    'ALTER TABLE submissions ADD COLUMN interpretation_status TEXT',
+    'ALTER TABLE submissions ADD COLUMN interpretation_candidates TEXT'
+  ]
+};
@@ -0,0 +1,38 @@
+// Outbound webhooks (lib/webhooks.js): each session's subscriptions with the secret their
+// payloads are signed with, and the delivery log that doubles as the retry queue
+
+module.exports = {
+  version: 8,
+  name: 'webhooks',
+  up: [
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      format TEXT NOT NULL DEFAULT 'json',
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_webhooks_session_id ON webhooks(session_id)',
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      session_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      body TEXT NOT NULL,
+      status TEXT DEFAULT 'queued',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)',
+    'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_session_id ON webhook_deliveries(session_id, id)'
+  ]
+};
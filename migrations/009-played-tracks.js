@@ -0,0 +1,23 @@
+// Played-track history: every track the DJ software reports (or the DJ marks now playing),
+// requested or not, with the request it matched. submission_id has no foreign key so the
+// history outlives clearing the request list.
+
+module.exports = {
+  version: 9,
+  name: 'played-tracks',
+  up: [
+    `CREATE TABLE IF NOT EXISTS played_tracks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      song_name TEXT NOT NULL,
+      artist TEXT,
+      isrc TEXT,
+      submission_id INTEGER,
+      match_score REAL,
+      source TEXT NOT NULL,
+      played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_played_tracks_session_id ON played_tracks(session_id, id)'
+  ]
+};
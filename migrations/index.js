@@ -0,0 +1,14 @@
+// Schema migrations in the order they run; see lib/database.js for the format.
+// Add new ones at the end with the next version number - never edit one that has shipped.
+
+module.exports = [
+  require('./001-baseline'),
+  require('./002-display-settings'),
+  require('./003-guest-tracking'),
+  require('./004-background-images'),
+  require('./005-form-fields'),
+  require('./006-session-access'),
+  require('./007-request-interpretation'),
+  require('./008-webhooks'),
+  require('./009-played-tracks')
+];
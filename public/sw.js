@@ -0,0 +1,29 @@
+// Service worker for guest request notifications (registered by the tracking page, /track/:token).
+// The server pushes { title, body, tag, url }; tapping the notification opens the guest's tracking page.
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'DJQ', {
+        body: data.body || '',
+        tag: data.tag,
+        renotify: !!data.tag,
+        data: { url: data.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    // Focus the tracking page if it's already open
+    event.waitUntil(clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const open = windows.find(client => client.url === url);
+        return open ? open.focus() : clients.openWindow(url);
+    }));
+});
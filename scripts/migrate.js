@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Database migrations from the command line.
+ *
+ *   npm run migrate              apply pending migrations
+ *   npm run migrate -- status    list migrations and whether each has been applied
+ *
+ * Uses the same database as the server (DATABASE_URL, else song_requests.db or /tmp on Vercel);
+ * pass --db <url-or-path> to work on another one, e.g. a backup you want to check first.
+ */
+
+const { parseDatabaseUrl, describeDatabase, createStorage } = require('../lib/storage');
+const { migrate, getMigrationStatus } = require('../lib/database');
+const MIGRATIONS = require('../migrations');
+
+const COMMANDS = ['up', 'status'];
+
+function parseArgs(argv) {
+  const options = { command: 'up', databaseUrl: process.env.DATABASE_URL };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--db') {
+      options.databaseUrl = argv[++i];
+      if (!options.databaseUrl) options.command = 'help';
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      options.command = 'help';
+    } else {
+      options.command = argv[i];
+    }
+  }
+  return options;
+}
+
+function printStatus(status) {
+  status.migrations.forEach(migration => {
+    const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(32)} ${state}`);
+  });
+  const pending = status.migrations.filter(migration => !migration.appliedAt).length;
+  console.log(`Schema version ${status.version} of ${status.latest}${pending ? `, ${pending} pending` : ', up to date'}`);
+}
+
+function finish(db, exitCode) {
+  db.close(() => process.exit(exitCode));
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!COMMANDS.includes(options.command)) {
+  console.log('Usage: node scripts/migrate.js [up|status] [--db <sqlite-path | sqlite:path | postgres://...>]');
+  process.exit(options.command === 'help' ? 0 : 1);
+}
+
+let config;
+try {
+  config = parseDatabaseUrl(options.databaseUrl);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const db = createStorage(config, (err) => {
+  if (err) {
+    console.error(`Could not open ${describeDatabase(config)}: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (options.command === 'status') {
+    return getMigrationStatus(db, MIGRATIONS, (err, status) => {
+      if (err) {
+        console.error('Error reading migration status:', err.message);
+        return finish(db, 1);
+      }
+      console.log(`Database: ${describeDatabase(config)}`);
+      printStatus(status);
+      finish(db, 0);
+    });
+  }
+
+  migrate(db, MIGRATIONS, (err, applied) => {
+    (applied || []).forEach(migration => console.log(`Applied migration ${migration.version} (${migration.name})`));
+    if (err) {
+      console.error(err.message);
+      return finish(db, 1);
+    }
+    console.log(applied.length ? `Database is at schema version ${MIGRATIONS.length}` : 'Nothing to migrate');
+    finish(db, 0);
+  });
+});
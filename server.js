@@ -14,32 +14,182 @@
  * 2. API ENDPOINT ISOLATION:
  *    - All endpoints require sessionId parameter
  *    - GET /api/submissions?sessionId=XXXX - returns only that session's submissions
+ *    - POST /api/submissions/:id/status - changes a request's status within its session
  *    - POST /api/submit - requires sessionId in body, validates session exists
+ *    - GET /api/queue?sessionId=XXXX - public list of that session's open requests (no names)
+ *    - GET /api/my-requests?sessionId=XXXX - the calling guest's requests and reject reasons
  *    - DELETE /api/clear - deletes only submissions for specified sessionId
  *    - GET /api/settings?sessionId=XXXX - returns only that session's settings
  *    - POST /api/update-settings - updates only the specified session's settings
+ *    - GET /api/sessions/:sessionId/events - live updates, published only to that session's streams
  * 
  * 3. CLIENT-SIDE ISOLATION:
- *    - localStorage keys are prefixed with sessionId (e.g., 'playedSongs_XXXX')
+ *    - localStorage keys are prefixed with sessionId (e.g., 'adminSecret_XXXX')
  *    - Each session's customization state is isolated
  *    - No global state that could leak between sessions
  * 
  * 4. SCALABILITY:
- *    - SQLite with proper indexing on session_id for fast queries
- *    - Stateless API design (no in-memory session state)
- *    - Can be horizontally scaled by moving to PostgreSQL/MySQL with same schema
+ *    - SQLite or PostgreSQL (DATABASE_URL, see lib/storage) with indexing on session_id
+ *    - All SQL lives in lib/repositories (one module per table group) and is written to run
+ *      unchanged on both databases; routes only call the repositories
+ *    - Stateless API design (no in-memory session state besides live event streams)
+ *    - Can be horizontally scaled on PostgreSQL; migrations lock so only one instance applies them
  * 
  * 5. SESSION LIFECYCLE:
- *    - Sessions have no time limit (permanent until manually deleted)
- *    - Each session has unique 4-character alphanumeric ID
+ *    - Each live session has a unique 4-character alphanumeric code as its ID
+ *    - POST /api/sessions/:sessionId/intake pauses, closes or reopens requests and schedules
+ *      opensAt/closesAt; /api/submit and upvotes then get 403 REQUESTS_CLOSED with the intake state
+ *    - Sessions idle for SESSION_ARCHIVE_IDLE_DAYS (default 30, 0 = never), or archived by the DJ,
+ *      move to a permanent 16-character ID with all their data, which frees the short code
+ *    - POST /api/sessions/find-archived turns an old code plus admin secret into the permanent ID
+ * 
+ * 6. DJ AUTHENTICATION:
+ *    - POST /api/sessions issues an admin secret and a recovery key (only hashes are stored)
+ *    - DJ-only routes (/admin/:sessionId, /api/submissions, /api/clear, /api/update-settings)
+ *      require the admin secret via X-Admin-Secret header, Bearer token or the admin cookie
+ *    - Guest routes (/api/submit, /api/settings, /api/spotify/suggestions) stay open
+ *    - The recovery key lives in the creator's browser and re-issues the admin secret
+ * 
+ * 7. ANTI-SPAM:
+ *    - Guests are identified by a signed cookie (COOKIE_SECRET) plus a hash of their IP
+ *    - /api/submit enforces per-session limits: requests per guest per hour, open requests
+ *      per guest and a cap on the session's open queue (429 with Retry-After when exceeded)
+ *    - The per-IP hourly ceiling is 10x the per-guest limit since venue Wi-Fi shares one IP
+ *    - /api/spotify/suggestions is throttled in memory per guest
+ *    - DJs can ban the guest behind a request via /api/sessions/:sessionId/bans
+ * 
+ * 8. REQUEST POLICIES:
+ *    - Per session: do-not-play list (exact or fuzzy), explicit filter, BPM range, per-artist cap
+ *    - /api/submit answers blocked requests with 422 and the session's friendly message; BPM and
+ *      explicit rules need metadata, so they reject the request once the background lookup finishes
+ *    - Blocked requests are logged (GET /api/sessions/:sessionId/blocked) and pushed as request.blocked
+ * 
+ * 9. HARMONIC MIXING:
+ *    - GET /api/sessions/:sessionId/mix-suggestions ranks open requests against the now-playing
+ *      track by Camelot compatibility (same key, +/-1, relative major/minor) and BPM distance
+ *    - GET /api/sessions/:sessionId/mix-order chains the whole queue greedily for smooth transitions
+ *    - ?halfDouble=1 also matches tracks at half or double tempo
+ *
+ * 10. METADATA PROVIDERS:
+ *    - Search, track lookup and BPM/key come from lib/providers: spotify, musicbrainz
+ *      (MusicBrainz + an AcousticBrainz-style features endpoint) and local (JSON/SQLite catalog)
+ *    - METADATA_PROVIDERS sets the deployment's chain; sessions can override it in settings
+ *    - Suggestions use the first provider with results; missing BPM/key/explicit falls back
+ *      along the chain, matched by song and artist
+ *    - Outside production the local provider reads data/catalog.sample.json, so development
+ *      needs no credentials or network
+ *    - Spotify/MusicBrainz lookups are cached in the database with TTLs and identical in-flight
+ *      lookups are coalesced; GET/DELETE /api/metadata-cache (operator key) show hit rates and purge
+ *    - /api/submit saves requests immediately; a background worker (enrichment_jobs table) looks
+ *      up BPM/key, retries failed lookups with exponential backoff, then applies BPM/explicit policies
+ *    - POST /api/sessions/:sessionId/enrich re-queues one request or the whole session
+ *    - Free-text requests that still don't match are interpreted (lib/interpreters: OpenAI, or a
+ *      rule-based offline interpreter) into candidate tracks with a confidence; confident ones are
+ *      applied, the rest wait for the DJ (POST /api/submissions/:id/interpretation)
+ *
+ * 11. EXPORT / IMPORT:
+ *    - GET /api/sessions/:sessionId/export?format=json|csv|m3u|rekordbox|serato (lib/exporters.js)
+ *    - POST /api/sessions/:sessionId/import restores a JSON export (append, or ?mode=replace),
+ *      e.g. to move a session between the Render and a local instance
+ *
+ * 12. DJ LIBRARY:
+ *    - PUT /api/sessions/:sessionId/library uploads the DJ's collection (Rekordbox XML,
+ *      iTunes/Music library XML or CSV, parsed by lib/library.js); GET shows it, DELETE removes it
+ *    - Requests are matched by ISRC or fuzzy title/artist when they're enriched, and the whole
+ *      session is re-matched after an upload; matches carry the library's BPM, key and file location
+ *    - Library BPM/key win over provider data, and exports use the library file paths
+ *
+ * 13. VENUE DISPLAY:
+ *    - /display/:sessionId is a read-only projector screen: now playing, the next few approved
+ *      requests, the session's branding and its QR code (/qr/:sessionId?format=png)
+ *    - GET /api/sessions/:sessionId/display is public, so requester names and the queue are
+ *      dropped server-side when the DJ turns them off in settings
+ *    - Displays subscribe to /api/sessions/:sessionId/display/events, which only carries refresh
+ *      hints (never the DJ's event payloads), and poll when streams aren't available
+ *
+ * 14. GUEST REQUEST TRACKING:
+ *    - /api/submit returns a private tracking link (/track/:token), one per guest and session,
+ *      derived from the guest cookie and COOKIE_SECRET; only its hash is stored
+ *    - GET /api/track/:token lists that guest's requests with their status and queue position,
+ *      so they can follow along without an account or from another device
+ *    - With a VAPID key pair configured, the tracking page can subscribe to Web Push
+ *      (POST/DELETE /api/track/:token/push) and guests are notified when a request of
+ *      theirs is up next and when it starts playing (lib/push.js)
+ *
+ * 15. BACKGROUND IMAGES:
+ *    - PUT /api/sessions/:sessionId/background takes the raw image (JPEG, PNG, WebP or GIF, told
+ *      apart by its bytes, up to 10 MB) and stores resized JPEG variants (lib/images.js) in the
+ *      file store (lib/file-store.js, UPLOADS_DIR); DELETE removes it
+ *    - /media/backgrounds/:imageId/:width.jpg serves them with long-lived cache headers - a new
+ *      upload gets a new ID, so the files never change
+ *    - /api/settings and the display data return the image's URL and variants, never the bytes
+ *
+ * 16. REQUEST FORM FIELDS:
+ *    - POST /api/sessions/:sessionId/form-fields sets extra questions for the guest form (text,
+ *      choice or checkbox, required or optional; lib/form-fields.js); /api/settings lists them
+ *    - /api/submit checks `answers` against them (400 INVALID_ANSWER) and stores them with the
+ *      requester; the dashboard, exports and the venue display (per field) show them
+ *
+ * 17. CO-HOSTS AND AUDIT LOG:
+ *    - The admin key's holder is the session's owner; owners invite co-hosts as owner, dj or
+ *      moderator (POST /api/sessions/:sessionId/invites). The invite token works wherever the
+ *      admin key does, and only its hash is stored; DELETE revokes it
+ *    - DJ routes ask requireSessionPermission for a permission from lib/roles.js; co-hosts without
+ *      it get 403 ROLE_FORBIDDEN. GET /api/sessions/:sessionId/access tells the dashboard the role
+ *    - Changes made on the dashboard are written to the audit log with who made them
+ *      (GET /api/sessions/:sessionId/audit)
+ *
+ * 18. WEBHOOKS:
+ *    - Owners subscribe URLs to a session's events (POST /api/sessions/:sessionId/webhooks):
+ *      submission.created, submission.status_changed, session.cleared, settings.updated
+ *    - Payloads are plain JSON or Slack/Discord presets, HMAC-signed with the webhook's secret
+ *      (X-DJQ-Signature), queued in webhook_deliveries and retried with exponential backoff
+ *    - GET /api/sessions/:sessionId/webhooks/deliveries is the delivery log the dashboard shows
+ *
+ * 19. NOW-PLAYING INGESTION:
+ *    - DJ software or a bridge script reports each track it plays (POST
+ *      /api/sessions/:sessionId/now-playing, or OSC over UDP when NOW_PLAYING_OSC_PORT is set)
+ *    - The matching open request becomes now-playing and the previous one played, no clicks needed
+ *    - Every track, requested or not, goes into the session's history (GET /api/sessions/:sessionId/played)
  */
 
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
 const QRCode = require('qrcode');
-const axios = require('axios');
+const crypto = require('crypto');
+const cookieParser = require('cookie-parser');
+const { PROVIDER_NAMES, parseProviderList, createMetadataProviders } = require('./lib/providers');
+const { normalizeForMatching, textSimilarity, scoreTrackMatch } = require('./lib/matching');
+const { CACHE_KINDS, createMetadataCache } = require('./lib/metadata-cache');
+const { AUTO_ACCEPT_CONFIDENCE, readCandidates, createRequestInterpreter } = require('./lib/interpreters');
+const { EXPORT_DOCUMENT_FORMAT, EXPORT_DOCUMENT_VERSION, EXPORT_FORMATS } = require('./lib/exporters');
+const { LIBRARY_FORMATS, parseLibrary, createLibraryIndex } = require('./lib/library');
+const { parseKeyName, formatRegularKey } = require('./lib/keys');
+const { ANALYTICS_INTERVALS, DEFAULT_ANALYTICS_INTERVAL, buildSessionAnalytics, renderAnalyticsReport } = require('./lib/analytics');
+const { parsePushSubscription, buildStatusNotification, createPushNotifier } = require('./lib/push');
+const { MAX_BACKGROUND_BYTES, BACKGROUND_TYPES, detectImageType, renderBackgroundVariants } = require('./lib/images');
+const { createFileStore } = require('./lib/file-store');
+const { parseFormFields, readFormFields, validateAnswers, cleanImportedAnswers, formatAnswerValue } = require('./lib/form-fields');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS, TEST_EVENT, MAX_WEBHOOKS_PER_SESSION, parseWebhook, parseAllowedHosts, generateWebhookSecret, toWebhookSubmission, createWebhookDispatcher } = require('./lib/webhooks');
+const { parseNowPlaying, findPlayedSubmission, isRepeat } = require('./lib/now-playing');
+const { startOscListener } = require('./lib/osc');
+const { ROLE_LABELS, MAX_ACTIVE_INVITES, hasPermission, listPermissions, canSetStatus, parseInvite } = require('./lib/roles');
+const { parseDatabaseUrl, describeDatabase, createStorage } = require('./lib/storage');
+const { migrate } = require('./lib/database');
+const { createSessionRepository } = require('./lib/repositories/sessions');
+const { createSubmissionRepository } = require('./lib/repositories/submissions');
+const { SETTINGS_COLUMNS, createSettingsRepository } = require('./lib/repositories/settings');
+const { createGuestRepository } = require('./lib/repositories/guests');
+const { createImageRepository } = require('./lib/repositories/images');
+const { createAccessRepository } = require('./lib/repositories/access');
+const { createWebhookRepository } = require('./lib/repositories/webhooks');
+const { createPlayedTrackRepository } = require('./lib/repositories/played-tracks');
+const { createBanRepository } = require('./lib/repositories/bans');
+const { createPolicyRepository } = require('./lib/repositories/policies');
+const { createLibraryRepository } = require('./lib/repositories/libraries');
+const { createEnrichmentJobRepository } = require('./lib/repositories/enrichment-jobs');
+const MIGRATIONS = require('./migrations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -54,293 +204,177 @@ if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
   console.warn('   Set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET environment variables.');
 }
 
-let spotifyAccessToken = null;
-let tokenExpiry = null;
+// Operator key for deployment-wide endpoints (e.g. listing all sessions)
+// When unset, those endpoints are disabled entirely
+const DJQ_OPERATOR_KEY = process.env.DJQ_OPERATOR_KEY;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+// Secret for signed cookies (guest identity). Without it a random secret is used,
+// which resets every guest's identity - and their quotas - on restart.
+const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.COOKIE_SECRET) {
+  console.warn('⚠️  WARNING: COOKIE_SECRET not set. Guest identities will reset when the server restarts.');
+}
 
-// Spotify API functions
-async function getSpotifyAccessToken() {
-  if (spotifyAccessToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return spotifyAccessToken;
-  }
+// Web Push key pair for guests tracking their requests (npx web-push generate-vapid-keys).
+// Without it tracking pages still work, they just can't send notifications.
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT;
 
-  try {
-    const response = await axios.post('https://accounts.spotify.com/api/token', 
-      'grant_type=client_credentials',
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': 'Basic ' + Buffer.from(SPOTIFY_CLIENT_ID + ':' + SPOTIFY_CLIENT_SECRET).toString('base64')
-        }
-      }
-    );
+// Webhook URLs must be https unless this is set (development, or a booking system on the
+// venue's own network)
+const WEBHOOK_ALLOW_HTTP = ['1', 'true'].includes(String(process.env.WEBHOOK_ALLOW_HTTP || '').toLowerCase());
+// Internal hosts webhooks may reach (hostnames, IPs or CIDR ranges, comma-separated); everything
+// on a private or local network is refused otherwise
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
 
-    spotifyAccessToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // 1 minute buffer
-    return spotifyAccessToken;
-  } catch (error) {
-    console.error('Error getting Spotify access token:', error.message);
-    return null;
-  }
-}
+// UDP port (and address) to take now-playing reports over OSC on; off when unset
+const NOW_PLAYING_OSC_PORT = parseInt(process.env.NOW_PLAYING_OSC_PORT || '', 10);
+const NOW_PLAYING_OSC_HOST = process.env.NOW_PLAYING_OSC_HOST || '0.0.0.0';
 
-async function verifyWithSpotify(songName, artistName) {
-  try {
-    const token = await getSpotifyAccessToken();
-    if (!token) return null;
+// Render and Vercel sit behind one proxy hop; needed for req.ip and req.secure
+app.set('trust proxy', 1);
 
-    const query = `track:${songName} artist:${artistName}`;
-    const response = await axios.get(`https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=track&limit=1`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+// Middleware
+app.use(cors());
+// Session imports get a larger body limit on their own route
+const SESSION_IMPORT_PATH = /^\/api\/sessions\/[^/]+\/import$/;
+const jsonBodyParser = express.json();
+app.use((req, res, next) => (SESSION_IMPORT_PATH.test(req.path) ? next() : jsonBodyParser(req, res, next)));
+app.use(cookieParser(COOKIE_SECRET));
+app.use(express.static('public'));
 
-    if (response.data.tracks.items.length > 0) {
-      const track = response.data.tracks.items[0];
-      return {
-        spotify_song_name: track.name,
-        spotify_artist: track.artists[0].name,
-        spotify_id: track.id,
-        spotify_popularity: track.popularity,
-        spotify_preview_url: track.preview_url,
-        spotify_external_urls: track.external_urls
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error('Error verifying with Spotify:', error.message);
-    return null;
+// Database: SQLite by default, PostgreSQL when DATABASE_URL points at one (see lib/storage).
+// The schema comes from the numbered migrations in migrations/; requests wait until pending
+// migrations have run, and the server won't start if one fails.
+const DATABASE_CONFIG = parseDatabaseUrl(process.env.DATABASE_URL);
+const db = createStorage(DATABASE_CONFIG, (err) => {
+  if (err) {
+    console.error('Error opening database:', err.message);
+  } else {
+    console.log(`Connected to ${describeDatabase(DATABASE_CONFIG)}`);
   }
-}
+});
+const sessionStore = createSessionRepository(db);
+const submissionStore = createSubmissionRepository(db);
+const settingsStore = createSettingsRepository(db);
+const guestStore = createGuestRepository(db);
+const imageStore = createImageRepository(db);
+const accessStore = createAccessRepository(db);
+const webhookStore = createWebhookRepository(db);
+const playedTrackStore = createPlayedTrackRepository(db);
+const banStore = createBanRepository(db);
+const policyStore = createPolicyRepository(db);
+const libraryStore = createLibraryRepository(db);
+const enrichmentJobStore = createEnrichmentJobRepository(db);
+// Uploaded files (background images); see lib/file-store.js
+const fileStore = createFileStore();
+const pushNotifier = createPushNotifier({
+  guests: guestStore,
+  vapid: { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT },
+  trackingPath: (sessionId, guestId) => `/track/${getTrackingToken(sessionId, guestId)}`
+});
+// Signed webhook deliveries with retries (lib/webhooks.js); the worker starts once the database is ready
+const webhookDispatcher = createWebhookDispatcher({ webhooks: webhookStore, allowedHosts: WEBHOOK_ALLOWED_HOSTS });
 
-// Get audio features (BPM and key) from Spotify
-async function getSpotifyAudioFeatures(trackId) {
-  try {
-    const token = await getSpotifyAccessToken();
-    if (!token) {
-      console.log('No Spotify token available');
-      return null;
+const databaseReady = new Promise((resolve, reject) => {
+  migrate(db, MIGRATIONS, (err, applied) => {
+    if (err) {
+      console.error('Database migration failed:', err.message);
+      return reject(err);
     }
+    applied.forEach(migration => console.log(`Applied migration ${migration.version} (${migration.name})`));
+    resolve();
+  });
+});
 
-    console.log(`Fetching audio features for track: ${trackId}`);
-    const response = await axios.get(`https://api.spotify.com/v1/audio-features/${trackId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+app.use((req, res, next) => {
+  databaseReady.then(
+    () => next(),
+    () => res.status(503).json({ error: 'Database is not available' })
+  );
+});
 
-    const features = response.data;
-    console.log('Raw Spotify audio features:', features);
-    
-    // Convert Spotify key to regular key notation
-    const keyNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const modeNames = ['minor', 'major'];
-    const regularKey = features.key !== -1 && features.mode !== -1 
-      ? `${keyNames[features.key]} ${modeNames[features.mode]}`
-      : null;
-    
-    // Convert to Camelot key
-    const camelotKey = convertToCamelotKey(features.key, features.mode);
-    
-    const result = {
-      bpm: features.tempo ? Math.round(features.tempo) : null,
-      key_regular: regularKey,
-      key_camelot: camelotKey
-    };
-    
-    console.log('Processed audio features:', result);
-    return result;
-  } catch (error) {
-    console.error('Error getting Spotify audio features:', error.message);
-    if (error.response) {
-      console.error('Spotify API response:', error.response.status, error.response.data);
-    }
-    return null;
-  }
-}
+// Metadata providers (search suggestions, BPM/key, explicit flag), tried in order.
+// Outside production the bundled sample catalog works with no credentials or network.
+// Spotify and MusicBrainz lookups are cached in the database (see lib/metadata-cache.js).
+const metadataCache = createMetadataCache(db);
+const metadataProviders = createMetadataProviders({
+  cache: metadataCache,
+  defaultChain: process.env.METADATA_PROVIDERS,
+  spotifyClientId: SPOTIFY_CLIENT_ID,
+  spotifyClientSecret: SPOTIFY_CLIENT_SECRET,
+  musicBrainzUrl: process.env.MUSICBRAINZ_URL || 'https://musicbrainz.org',
+  acousticBrainzUrl: process.env.ACOUSTICBRAINZ_URL || null,
+  userAgent: process.env.MUSICBRAINZ_USER_AGENT || 'DJQ/1.0',
+  localCatalogPath: process.env.LOCAL_CATALOG_PATH ||
+    (process.env.NODE_ENV === 'production' ? null : path.join(__dirname, 'data', 'catalog.sample.json'))
+});
 
-// Convert Spotify key and mode to Camelot key
-function convertToCamelotKey(key, mode) {
-  if (key === -1 || mode === -1) return null;
-  
-  // Camelot wheel mapping
-  // Major keys (mode = 1): 8A, 3A, 10A, 5A, 12A, 7A, 2A, 9A, 4A, 11A, 6A, 1A
-  // Minor keys (mode = 0): 5B, 12B, 7B, 2B, 9B, 4B, 11B, 6B, 1B, 8B, 3B, 10B
-  const camelotMajor = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
-  const camelotMinor = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
-  
-  if (mode === 1) {
-    return `${camelotMajor[key]}A`;
-  } else {
-    return `${camelotMinor[key]}B`;
-  }
-}
+// Free-text matches below this score (see scoreTrackMatch) are treated as no match,
+// since search APIs always return their closest hit
+const FREE_TEXT_MATCH_THRESHOLD = 0.75;
 
-// Initialize SQLite database
-// On Vercel, use /tmp directory (writable but not persistent)
-// On Render, use project directory (persistent disk storage)
-// For production, consider migrating to PostgreSQL or another cloud database
-const dbPath = process.env.VERCEL ? '/tmp/song_requests.db' : 'song_requests.db';
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database');
-    
-    // Create sessions table
-    db.run(`CREATE TABLE IF NOT EXISTS sessions (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      is_active INTEGER DEFAULT 1,
-      welcome_message TEXT,
-      subtitle_message TEXT,
-      background TEXT
-    )`);
-    
-    // Add columns to existing sessions table if they don't exist
-    db.run(`ALTER TABLE sessions ADD COLUMN welcome_message TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding welcome_message column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE sessions ADD COLUMN subtitle_message TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding subtitle_message column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE sessions ADD COLUMN background TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding background column:', err.message);
-      }
-    });
-    
-    // Create table if it doesn't exist
-    db.run(`CREATE TABLE IF NOT EXISTS submissions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      session_id TEXT NOT NULL,
-      song_name TEXT NOT NULL,
-      artist TEXT NOT NULL,
-      user_name TEXT,
-      original_song_name TEXT,
-      original_artist TEXT,
-      bpm INTEGER,
-      key_camelot TEXT,
-      key_regular TEXT,
-      spotify_fetched INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (session_id) REFERENCES sessions(id)
-    )`);
-    
-    // Add spotify_fetched column to existing table if it doesn't exist
-    db.run(`ALTER TABLE submissions ADD COLUMN spotify_fetched INTEGER DEFAULT 0`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding spotify_fetched column:', err.message);
-      }
-    });
-    
-    // Add session_id column to existing table if it doesn't exist
-    db.run(`ALTER TABLE submissions ADD COLUMN session_id TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding session_id column:', err.message);
-      }
-    });
-    
-    // Create index on session_id for performance (critical for scaling to hundreds of sessions)
-    db.run(`CREATE INDEX IF NOT EXISTS idx_submissions_session_id ON submissions(session_id)`, (err) => {
-      if (err) {
-        console.error('Error creating session_id index:', err.message);
-      } else {
-        console.log('Session isolation index created/verified');
-      }
-    });
-    
-    // Add new columns to existing table if they don't exist
-    db.run(`ALTER TABLE submissions ADD COLUMN bpm INTEGER`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding bpm column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE submissions ADD COLUMN key_camelot TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding key_camelot column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE submissions ADD COLUMN original_song_name TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding original_song_name column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE submissions ADD COLUMN original_artist TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding original_artist column:', err.message);
-      }
-    });
-    
-    db.run(`ALTER TABLE submissions ADD COLUMN key_regular TEXT`, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding key_regular column:', err.message);
-      }
-    });
-  }
+// Free-text requests nothing matched are interpreted (lib/interpreters): by OpenAI when
+// OPENAI_API_KEY is set, otherwise by the offline rule-based interpreter.
+// REQUEST_INTERPRETER picks one explicitly: 'openai', 'local' or 'none'.
+const requestInterpreter = createRequestInterpreter({
+  backend: process.env.REQUEST_INTERPRETER,
+  openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiModel: process.env.OPENAI_MODEL,
+  matchThreshold: FREE_TEXT_MATCH_THRESHOLD
 });
 
-// Function to enhance song data with Spotify API only
-async function enhanceSongData(songName, artist) {
+// Function to enhance free-text song data through the metadata provider chain
+// (providerNames: the session's chain, or null for the deployment default).
+// lookup_error is set when a provider failed, so the caller can retry later.
+async function enhanceSongData(songName, artist, providerNames) {
+  const unmatched = {
+    corrected_song_name: songName,
+    corrected_artist: artist,
+    bpm: null,
+    key_camelot: null,
+    key_regular: null,
+    explicit: null,
+    isrc: null,
+    provider: null,
+    track_id: null,
+    metadata_provider: null,
+    spotify_verified: false,
+    spotify_data: null,
+    lookup_error: null
+  };
+
   try {
-    // First, search for the track on Spotify
-    const spotifyData = await verifyWithSpotify(songName, artist);
+    const track = await metadataProviders.getChain(providerNames).enrich({ songName, artist });
     
-    if (!spotifyData) {
-      console.log('No Spotify match found for:', songName, 'by', artist);
-      // Return original data if Spotify doesn't find a match
-      return {
-        corrected_song_name: songName,
-        corrected_artist: artist,
-        bpm: null,
-        key_camelot: null,
-        key_regular: null,
-        spotify_verified: false,
-        spotify_data: null
-      };
+    if (!track || scoreTrackMatch(songName, artist, track) < FREE_TEXT_MATCH_THRESHOLD) {
+      console.log('No metadata match found for:', songName, 'by', artist);
+      // Return original data if no provider finds a match
+      return unmatched;
     }
     
-    console.log('Spotify match found:', spotifyData);
-    
-    // Get audio features (BPM and key) from Spotify
-    const audioFeatures = await getSpotifyAudioFeatures(spotifyData.spotify_id);
+    console.log(`Metadata match found (${track.provider}):`, track.songName, 'by', track.artist);
     
     return {
-      corrected_song_name: spotifyData.spotify_song_name,
-      corrected_artist: spotifyData.spotify_artist,
-      bpm: audioFeatures ? audioFeatures.bpm : null,
-      key_camelot: audioFeatures ? audioFeatures.key_camelot : null,
-      key_regular: audioFeatures ? audioFeatures.key_regular : null,
-      spotify_verified: true,
-      spotify_data: spotifyData
+      corrected_song_name: track.songName,
+      corrected_artist: track.artist,
+      bpm: track.bpm,
+      key_camelot: track.keyCamelot,
+      key_regular: track.keyRegular,
+      explicit: track.explicit,
+      isrc: track.isrc,
+      provider: track.provider,
+      track_id: track.id,
+      metadata_provider: track.featuresProvider,
+      spotify_verified: track.provider === 'spotify',
+      spotify_data: track.provider === 'spotify' ? { spotify_id: track.id, spotify_popularity: track.popularity } : null,
+      lookup_error: null
     };
   } catch (error) {
-    console.error('Error enhancing song data with Spotify:', error);
-    // Return original data if Spotify fails
-    return {
-      corrected_song_name: songName,
-      corrected_artist: artist,
-      bpm: null,
-      key_camelot: null,
-      key_regular: null,
-      spotify_verified: false,
-      spotify_data: null
-    };
+    console.error('Error enhancing song data:', error.message);
+    // Return original data if the providers fail
+    return { ...unmatched, lookup_error: error.message };
   }
 }
 
@@ -369,14 +403,14 @@ function generateSessionId(callback) {
     const sessionId = generateShortCode();
     
     // Check if this ID already exists
-    db.get('SELECT id FROM sessions WHERE id = ?', [sessionId], (err, row) => {
+    sessionStore.exists(sessionId, (err, taken) => {
       if (err) {
         console.error('Error checking session ID:', err);
         // Return error instead of infinite retry
         return callback(null);
       }
       
-      if (row) {
+      if (taken) {
         // ID already exists, try again
         return tryGenerate();
       }
@@ -389,294 +423,3987 @@ function generateSessionId(callback) {
   tryGenerate();
 }
 
+// Helper function to generate an unguessable secret (admin secret or recovery key)
+function generateSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Secrets are stored as SHA-256 hashes so a leaked database can't be used to take over sessions
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Constant-time comparison of a raw secret against a stored hash
+function secretMatches(secret, storedHash) {
+  if (!secret || !storedHash) return false;
+  const candidate = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Admin cookie is scoped per session so one browser can manage several sessions
+function adminCookieName(sessionId) {
+  return `djq_admin_${sessionId}`;
+}
+
+function setAdminCookie(req, res, sessionId, secret) {
+  res.cookie(adminCookieName(sessionId), secret, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+}
+
+// Read the admin secret from X-Admin-Secret, Authorization: Bearer, or the session's admin cookie
+function getAdminSecretFromRequest(req, sessionId) {
+  const header = req.get('x-admin-secret');
+  if (header) return header;
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return req.cookies ? req.cookies[adminCookieName(sessionId)] : null;
+}
+
+// Strip credential hashes before a session row leaves the server
+function toPublicSession(session) {
+  const { admin_secret_hash, recovery_key_hash, admin_secret_rotated_at, ...publicSession } = session;
+  return publicSession;
+}
+
+// Generate a fresh admin secret for a session, invalidating the previous one
+function rotateAdminSecret(sessionId, callback) {
+  const adminSecret = generateSecret();
+  sessionStore.setAdminSecret(sessionId, hashSecret(adminSecret), (err) => {
+    if (err) {
+      console.error('Error rotating admin secret:', err);
+      return callback(err);
+    }
+    callback(null, adminSecret);
+  });
+}
+
+// Who a credential belongs to: the admin key is the owner, an active invite its co-host.
+// Callback receives (err, actor) with actor { role, label, inviteId }, or null if it's neither.
+function authenticateSessionAdmin(session, secret, callback) {
+  if (!secret) return callback(null, null);
+  if (secretMatches(secret, session.admin_secret_hash)) {
+    return callback(null, { role: 'owner', label: ROLE_LABELS.owner, inviteId: null });
+  }
+
+  accessStore.findActiveInvite(session.id, hashSecret(secret), (err, invite) => {
+    if (err || !invite) return callback(err, null);
+    callback(null, { role: invite.role, label: invite.label, inviteId: invite.id });
+  });
+}
+
+// The session a DJ request targets: sessionId may come from the URL, body or query string, and
+// must be the same wherever it's given. Returns { sessionId } or { error }.
+function resolveRequestSessionId(req) {
+  const given = [req.params.sessionId, req.body && req.body.sessionId, req.query.sessionId]
+    .filter(value => value !== undefined && value !== null && value !== '');
+  if (given.length === 0) return { error: 'Session ID is required' };
+  if (given.some(value => typeof value !== 'string')) return { error: 'Session ID must be a string' };
+  if (given.some(value => value !== given[0])) return { error: 'Conflicting session IDs in the request' };
+  return { sessionId: given[0] };
+}
+
+// Middleware for DJ-only routes. Handlers use req.djSession.id, never the session ID in the
+// request, so the session that was authenticated is the one that's read or changed.
+// Any role passes; requireSessionPermission narrows it down.
+function requireSessionAdmin(req, res, next) {
+  const { sessionId, error } = resolveRequestSessionId(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const secret = getAdminSecretFromRequest(req, sessionId);
+    if (!secret) {
+      return res.status(401).json({ error: 'Admin secret is required' });
+    }
+
+    authenticateSessionAdmin(session, secret, (err, actor) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to verify session' });
+      }
+
+      if (!actor) {
+        return res.status(403).json({ error: 'Invalid admin secret' });
+      }
+
+      req.djSession = session;
+      req.djActor = actor;
+      next();
+    });
+  });
+}
+
+// Middleware for routes that need a permission from lib/roles.js. Co-hosts whose role lacks it
+// get 403 ROLE_FORBIDDEN (not a bad credential, so dashboards stay unlocked).
+function requireSessionPermission(permission) {
+  return (req, res, next) => {
+    requireSessionAdmin(req, res, () => {
+      if (!hasPermission(req.djActor.role, permission)) {
+        return res.status(403).json({
+          error: `Your ${ROLE_LABELS[req.djActor.role]} invite doesn't allow that`,
+          code: 'ROLE_FORBIDDEN',
+          role: req.djActor.role
+        });
+      }
+      next();
+    });
+  };
+}
+
+// Add an entry to the session's audit log. `summary` is the line the owner reads; failures are
+// logged, never surfaced - the change itself already happened.
+function recordAudit(req, sessionId, action, summary, details) {
+  const actor = req.djActor;
+  accessStore.recordAudit({
+    sessionId,
+    actorLabel: actor.label,
+    actorRole: actor.role,
+    inviteId: actor.inviteId,
+    action,
+    summary,
+    details
+  }, (err) => {
+    if (err) console.error('Error recording audit entry:', err);
+  });
+}
+
+// Queue an event for the session's webhooks and send it straight away. Fire-and-forget like
+// the audit log: a failing subscriber never holds up the request that caused the event.
+function fireWebhooks(sessionId, event, data) {
+  webhookDispatcher.dispatch(sessionId, event, data, (err, queued) => {
+    if (err) return console.error(`Error queueing ${event} webhooks:`, err);
+    if (queued > 0) webhookDispatcher.deliverDue();
+  });
+}
+
+// Session lifecycle. DJs pause, close and reopen request intake (request_status) and can
+// schedule when it opens and closes. Idle sessions are archived: their rows move to a
+// permanent ID so the 4-character code can be handed out again, and history stays reachable.
+const INTAKE_STATUSES = ['open', 'paused', 'closed'];
+const INTAKE_MESSAGES = {
+  paused: 'The DJ has paused requests for a moment - check back soon',
+  closed: 'Requests are closed for this event',
+  scheduled: "Requests aren't open yet",
+  ended: 'Requests are closed for this event',
+  archived: 'This event has ended'
+};
+const SESSION_ARCHIVE_IDLE_DAYS = parseInt(process.env.SESSION_ARCHIVE_IDLE_DAYS || '30', 10);
+const SESSION_ARCHIVE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function toIsoTimestamp(value) {
+  return value ? formatSubmissionRow({ created_at: value }).created_at : null;
+}
+
+// Whether a session takes requests right now: { state, accepting, message, opensAt, closesAt }.
+// state is open, paused or closed (set by the DJ), scheduled (before opens_at),
+// ended (after closes_at) or archived.
+function getIntakeState(session) {
+  const now = Date.now();
+  const opensAt = toIsoTimestamp(session.opens_at);
+  const closesAt = toIsoTimestamp(session.closes_at);
+
+  let state = INTAKE_STATUSES.includes(session.request_status) ? session.request_status : 'open';
+  if (session.archived_at) {
+    state = 'archived';
+  } else if (state === 'open' && opensAt && Date.parse(opensAt) > now) {
+    state = 'scheduled';
+  } else if (state === 'open' && closesAt && Date.parse(closesAt) <= now) {
+    state = 'ended';
+  }
+
+  return {
+    state,
+    accepting: state === 'open',
+    message: INTAKE_MESSAGES[state] || null,
+    opensAt,
+    closesAt
+  };
+}
+
+// 403 with the intake state so the guest page can say why (and when requests open)
+function sendRequestsClosed(res, intake) {
+  if (intake.state === 'scheduled') {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(intake.opensAt) - Date.now()) / 1000))));
+  }
+  res.status(403).json({ error: intake.message, code: 'REQUESTS_CLOSED', intake });
+}
+
+// Move a session and everything in it to a new permanent ID, freeing its short code.
+// Callback receives (err, archivedId).
+function archiveSession(session, callback) {
+  const archivedId = crypto.randomBytes(8).toString('hex');
+  sessionStore.archive(session, archivedId, (err) => callback(err, archivedId));
+}
+
+// Tell the old code's dashboards where the session went, then close their streams so they
+// don't pick up events from a new session that reuses the code
+function announceSessionArchived(shortCode, archivedId) {
+  libraryIndexes.delete(shortCode);
+  publishSessionEvent(shortCode, 'session.archived', { sessionId: archivedId });
+  (sessionEventStreams.get(shortCode) || new Set()).forEach(res => res.end());
+  sessionEventStreams.delete(shortCode);
+}
+
+// Archive sessions with no requests, status changes or DJ intake changes for
+// SESSION_ARCHIVE_IDLE_DAYS (0 turns this off). A schedule in the future counts as activity.
+function archiveIdleSessions() {
+  if (!(SESSION_ARCHIVE_IDLE_DAYS > 0)) return;
+
+  const cutoff = toSqliteTimestamp(Date.now() - SESSION_ARCHIVE_IDLE_DAYS * 24 * 60 * 60 * 1000);
+  sessionStore.findIdleSince(cutoff, (err, sessions) => {
+    if (err) {
+      console.error('Error finding idle sessions:', err);
+      return;
+    }
+
+    const next = (index) => {
+      if (index >= sessions.length) return;
+      const session = sessions[index];
+      archiveSession(session, (err, archivedId) => {
+        if (err) {
+          console.error(`Error archiving session ${session.id}:`, err);
+        } else {
+          console.log(`Archived idle session ${session.id} as ${archivedId}`);
+          announceSessionArchived(session.id, archivedId);
+        }
+        next(index + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+databaseReady.then(() => {
+  setInterval(archiveIdleSessions, SESSION_ARCHIVE_SWEEP_INTERVAL_MS).unref();
+  setTimeout(archiveIdleSessions, 60 * 1000).unref();
+}, () => {});
+
+// Request status lifecycle. Active statuses are still in the queue; the rest are done.
+const SUBMISSION_STATUSES = ['pending-review', 'pending', 'up-next', 'now-playing', 'played', 'skipped', 'rejected'];
+const SUBMISSION_TIMESTAMP_FIELDS = ['created_at', 'status_updated_at', 'now_playing_at', 'played_at'];
+const MAX_TEXT_LENGTH = 200;
+
+// Song name, artist and guest name from a request body, trimmed (a blank name is null).
+// Throws when one isn't a string or is longer than MAX_TEXT_LENGTH.
+function readSubmissionText(body) {
+  const read = (value, label) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') {
+      throw new Error(`${label} must be text`);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+      throw new Error(`${label} must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return trimmed;
+  };
+  
+  return {
+    songName: read(body.songName, 'Song name'),
+    artist: read(body.artist, 'Artist'),
+    userName: read(body.userName, 'Your name') || null
+  };
+}
+
+// Convert database datetime strings to ISO format (UTC)
+// CURRENT_TIMESTAMP is stored as "YYYY-MM-DD HH:MM:SS" in UTC without a timezone marker
+// (the PostgreSQL adapter returns timestamps in the same form)
+function formatSubmissionRow(row) {
+  SUBMISSION_TIMESTAMP_FIELDS.forEach(field => {
+    if (row[field] && typeof row[field] === 'string') {
+      const sqliteDate = row[field].trim();
+      if (sqliteDate.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
+        row[field] = sqliteDate.replace(' ', 'T') + '.000Z';
+      }
+    }
+  });
+  if ('interpretation_candidates' in row && !Array.isArray(row.interpretation_candidates)) {
+    row.interpretation_candidates = readCandidates(row.interpretation_candidates);
+  }
+  return row;
+}
+
+// Move a submission to a new status. Only one track per session can be now-playing:
+// promoting a new one marks the previous now-playing track as played.
+// Callback receives (err, submission, demotedSubmissions) so callers can broadcast every changed row.
+function updateSubmissionStatus(sessionId, submissionId, status, rejectReason, callback) {
+  const applyStatus = (demotedIds) => {
+    submissionStore.setStatus(sessionId, submissionId, status, rejectReason, (err, changed) => {
+      if (err) return callback(err);
+      if (!changed) return callback(null, null, []);
+      
+      submissionStore.listByIds([submissionId, ...demotedIds], (err, rows) => {
+        if (err) return callback(err);
+        const formattedRows = rows.map(formatSubmissionRow);
+        callback(null, formattedRows.find(row => row.id === submissionId), formattedRows.filter(row => row.id !== submissionId));
+      });
+    });
+  };
+  
+  if (status !== 'now-playing') {
+    return applyStatus([]);
+  }
+  
+  submissionStore.findInSession(sessionId, submissionId, (err, row) => {
+    if (err) return callback(err);
+    if (!row) return callback(null, null, []);
+    
+    submissionStore.listNowPlayingIds(sessionId, submissionId, (err, demotedIds) => {
+      if (err) return callback(err);
+      if (demotedIds.length === 0) return applyStatus([]);
+      
+      submissionStore.markPlayed(demotedIds, (err) => {
+        if (err) return callback(err);
+        applyStatus(demotedIds);
+      });
+    });
+  });
+}
+
+// Live updates (Server-Sent Events)
+// Subscribers are kept in memory per session ID; an event published for one session is
+// only ever written to that session's streams. Serverless deployments (Vercel) can't hold
+// streams open, so dashboards fall back to polling when the stream is unavailable.
+const sessionEventStreams = new Map();
+
+function subscribeToSessionEvents(sessionId, res) {
+  if (!sessionEventStreams.has(sessionId)) {
+    sessionEventStreams.set(sessionId, new Set());
+  }
+  sessionEventStreams.get(sessionId).add(res);
+}
+
+function unsubscribeFromSessionEvents(sessionId, res) {
+  const streams = sessionEventStreams.get(sessionId);
+  if (!streams) return;
+  streams.delete(res);
+  if (streams.size === 0) {
+    sessionEventStreams.delete(sessionId);
+  }
+}
+
+// Event types: submission.created, submission.updated, submissions.cleared, settings.updated,
+// submissions.imported, library.updated, session.intake, session.archived
+// Venue displays (res.djqDisplay) are public, so they only get a refresh hint with the event
+// type and fetch what they may show from /api/sessions/:sessionId/display.
+function publishSessionEvent(sessionId, type, data) {
+  const streams = sessionEventStreams.get(sessionId);
+  if (!streams) return;
+  
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  const displayMessage = `event: display.refresh\ndata: ${JSON.stringify({ type: type })}\n\n`;
+  streams.forEach(res => res.write(res.djqDisplay ? displayMessage : message));
+}
+
+// Comment lines keep idle connections open through proxies (Render, nginx)
+const eventStreamHeartbeat = setInterval(() => {
+  sessionEventStreams.forEach(streams => {
+    streams.forEach(res => res.write(': heartbeat\n\n'));
+  });
+}, 25000);
+eventStreamHeartbeat.unref();
+
+// Load a submission row and broadcast it to its session's streams
+function publishSubmissionEvent(submissionId, type) {
+  submissionStore.findById(submissionId, (err, row) => {
+    if (err) {
+      console.error('Error loading submission for event:', err);
+      return;
+    }
+    if (!row) return;
+    
+    // Same shape as /api/submissions, so the dashboard can show requesters and their answers
+    submissionStore.listSubmissionRequesters(submissionId, (err, requesters) => {
+      if (err) {
+        console.error('Error loading requesters for event:', err);
+      }
+      row.requesters = (requesters || []).map(formatSubmissionRow);
+      publishSessionEvent(row.session_id, type, { submission: formatSubmissionRow(row) });
+    });
+  });
+}
+
+// Guest identity: a random ID in a long-lived signed cookie, plus a hash of the client IP.
+// Quotas are enforced per cookie identity; the IP hash adds a looser ceiling so clearing
+// cookies doesn't reset a prankster's quota (venues share one IP, so it can't be strict).
+const GUEST_COOKIE_NAME = 'djq_guest';
+const GUEST_IP_LIMIT_MULTIPLIER = 10;
+
+function getGuestId(req, res) {
+  let guestId = req.signedCookies ? req.signedCookies[GUEST_COOKIE_NAME] : null;
+  if (!guestId || !/^[A-Za-z0-9_-]{16,64}$/.test(guestId)) {
+    guestId = generateSecret();
+    res.cookie(GUEST_COOKIE_NAME, guestId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      signed: true,
+      maxAge: 365 * 24 * 60 * 60 * 1000 // 1 year
+    });
+  }
+  return guestId;
+}
+
+function getGuestIdentity(req, res) {
+  return {
+    guestId: getGuestId(req, res),
+    ipHash: hashSecret(`${COOKIE_SECRET}:${req.ip}`)
+  };
+}
+
+// Guest request tracking: each guest gets one private link per session. The token is derived
+// from the guest ID, so every request hands out the same link, and only its hash is stored.
+function getTrackingToken(sessionId, guestId) {
+  return crypto.createHmac('sha256', COOKIE_SECRET).update(`track:${sessionId}:${guestId}`).digest('base64url').slice(0, 32);
+}
+
+// Save the guest's tracker so the link resolves. Callback receives ({ trackingToken, trackingUrl }),
+// or an empty object if it couldn't be saved - the request itself has already gone through.
+function issueTrackingLink(req, sessionId, guestId, callback) {
+  const token = getTrackingToken(sessionId, guestId);
+  guestStore.saveTracker(sessionId, guestId, hashSecret(token), (err) => {
+    if (err) {
+      console.error('Error saving tracking link:', err);
+      return callback({});
+    }
+    callback({ trackingToken: token, trackingUrl: `${req.protocol}://${req.get('host')}/track/${token}` });
+  });
+}
+
+// The guest's requests (newest first) with their position among the requests waiting to be
+// played (1 = next up); position is null once a request is playing, done or not yet approved
+function loadGuestRequests(sessionId, guestId, callback) {
+  submissionStore.listGuestRequests(sessionId, guestId, (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, []);
+
+    submissionStore.listWaitingIds(sessionId, (err, waitingIds) => {
+      if (err) return callback(err);
+
+      callback(null, rows.map(formatSubmissionRow).map(row => ({
+        id: row.id,
+        songName: row.song_name,
+        artist: row.artist,
+        status: row.status,
+        position: waitingIds.includes(row.id) ? waitingIds.indexOf(row.id) + 1 : null,
+        rejectReason: row.reject_reason,
+        statusUpdatedAt: row.status_updated_at,
+        createdAt: row.created_at
+      })));
+    });
+  });
+}
+
+// Tell the guests behind a request that it's up next or playing (Web Push, best effort)
+function notifyRequestersOfStatus(submission) {
+  const notification = buildStatusNotification(submission);
+  if (!notification || !pushNotifier.enabled) return;
+
+  pushNotifier.notifyRequesters(submission.id, notification, (err, counts) => {
+    if (err) {
+      console.error('Error sending push notifications:', err);
+      return;
+    }
+    if (counts.sent + counts.removed + counts.failed > 0) {
+      console.log(`Push for submission ${submission.id}: ${counts.sent} sent, ${counts.removed} expired, ${counts.failed} failed`);
+    }
+  });
+}
+
+// Seconds until the oldest request inside the rolling one-hour window expires
+function secondsUntilHourWindowFrees(oldestCreatedAt) {
+  const oldest = new Date(oldestCreatedAt.replace(' ', 'T') + 'Z').getTime();
+  return Math.max(1, Math.ceil((oldest + 60 * 60 * 1000 - Date.now()) / 1000));
+}
+
+// Check a guest against the session's ban list and limits before accepting a request.
+// Callback receives (err, violation) where violation is { status, code, error, retryAfter } or null.
+function checkGuestLimits(session, identity, callback) {
+  banStore.findForGuest(
+    session.id,
+    identity,
+    (err, ban) => {
+      if (err) return callback(err);
+      if (ban) {
+        return callback(null, { status: 403, code: 'BANNED', error: 'The DJ is not accepting requests from you for this event' });
+      }
+      
+      const checkSessionCap = (next) => {
+        if (!session.limit_open_requests) return next();
+        submissionStore.countOpen(session.id, (err, count) => {
+          if (err) return callback(err);
+          if (count >= session.limit_open_requests) {
+            return callback(null, { status: 429, code: 'SESSION_FULL', error: 'The queue is full right now - try again once a few songs have played', retryAfter: 300 });
+          }
+          next();
+        });
+      };
+      
+      const checkHourlyLimit = (next) => {
+        if (!session.limit_requests_per_hour) return next();
+        submissionStore.countRecentRequests(
+          session.id,
+          identity,
+          toSqliteTimestamp(Date.now() - 60 * 60 * 1000),
+          (err, row) => {
+            if (err) return callback(err);
+            if ((row.guest_count || 0) >= session.limit_requests_per_hour) {
+              return callback(null, {
+                status: 429,
+                code: 'HOURLY_LIMIT',
+                error: `You can request up to ${session.limit_requests_per_hour} songs per hour`,
+                retryAfter: secondsUntilHourWindowFrees(row.guest_oldest)
+              });
+            }
+            if ((row.ip_count || 0) >= session.limit_requests_per_hour * GUEST_IP_LIMIT_MULTIPLIER) {
+              return callback(null, {
+                status: 429,
+                code: 'HOURLY_LIMIT',
+                error: 'Too many requests from your network - please try again later',
+                retryAfter: secondsUntilHourWindowFrees(row.ip_oldest)
+              });
+            }
+            next();
+          }
+        );
+      };
+      
+      const checkOpenLimit = () => {
+        if (!session.limit_open_per_guest) return callback(null, null);
+        submissionStore.countOpenForGuest(session.id, identity.guestId, (err, count) => {
+          if (err) return callback(err);
+          if (count >= session.limit_open_per_guest) {
+            return callback(null, {
+              status: 429,
+              code: 'OPEN_LIMIT',
+              error: `You already have ${count} songs waiting - wait until one is played`,
+              retryAfter: 300
+            });
+          }
+          callback(null, null);
+        });
+      };
+      
+      checkSessionCap(() => checkHourlyLimit(checkOpenLimit));
+    }
+  );
+}
+
+// Send a limit violation as a JSON error with a Retry-After header for 429s
+function sendLimitViolation(res, violation) {
+  if (violation.retryAfter) {
+    res.set('Retry-After', String(violation.retryAfter));
+  }
+  res.status(violation.status).json({
+    error: violation.error,
+    code: violation.code,
+    retryAfter: violation.retryAfter || null
+  });
+}
+
+// In-memory fixed-window rate limiter for cheap, high-frequency endpoints (per process)
+function createRateLimiter({ windowMs, max, message }) {
+  const hits = new Map();
+  
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+  
+  return (req, res, next) => {
+    const key = (req.signedCookies && req.signedCookies[GUEST_COOKIE_NAME]) || req.ip;
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    
+    entry.count++;
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      return sendLimitViolation(res, { status: 429, code: 'RATE_LIMITED', error: message, retryAfter });
+    }
+    next();
+  };
+}
+
+// Autocomplete is debounced client-side; 30/minute is plenty for a person typing
+const suggestionsRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: 'Too many searches - slow down a little'
+});
+
+// Parse a limit from the settings form: positive integer, or null for unlimited
+function parseLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, 1000) : null;
+}
+
+// Key used to group requests for the same song when there's no Spotify ID
+function buildNormalizedKey(songName, artist) {
+  return `${normalizeForMatching(songName)}|${normalizeForMatching(artist)}`;
+}
+
+// Track the guest picked from suggestions: { provider, trackId }, or the older { spotifyId }.
+// Returns { provider, id } or null for free-text requests.
+function getRequestedTrack(body) {
+  if (body.trackId && PROVIDER_NAMES.includes(body.provider)) {
+    return { provider: body.provider, id: String(body.trackId) };
+  }
+  if (body.spotifyId) {
+    return { provider: 'spotify', id: String(body.spotifyId) };
+  }
+  return null;
+}
+
+// Add another requester (duplicate request or upvote) and bump the submission's request count
+function addRequester(submissionId, sessionId, identity, userName, kind, answers, callback) {
+  submissionStore.recordRequester(submissionId, sessionId, identity, userName, kind, answers, (err, inserted) => {
+    if (err) return callback(err);
+    if (!inserted) return callback(null, false);
+    
+    submissionStore.incrementRequestCount(submissionId, (err) => {
+      if (err) return callback(err);
+      callback(null, true);
+    });
+  });
+}
+
+// Request policies
+const DEFAULT_BLOCKED_MESSAGE = "The DJ can't play that one tonight - try another song!";
+const FUZZY_MATCH_THRESHOLD = 0.85;
+
+// Exact compares normalized text; fuzzy also allows typos and whole-word containment
+// (so "Nickelback" blocks "Nickelback feat. Someone" and "nickleback")
+function policyTextMatches(pattern, value, matchType) {
+  const normalizedPattern = normalizeForMatching(pattern);
+  const normalizedValue = normalizeForMatching(value);
+  if (!normalizedPattern) return true;
+  if (normalizedPattern === normalizedValue) return true;
+  if (matchType !== 'fuzzy') return false;
+  
+  return ` ${normalizedValue} `.includes(` ${normalizedPattern} `) ||
+    textSimilarity(normalizedPattern, normalizedValue) >= FUZZY_MATCH_THRESHOLD;
+}
+
+// Policies that only need the guest's text: do-not-play list and per-artist cap.
+// The artist cap is skipped when the request merges into an existing one.
+// Callback receives (err, violation) where violation is { rule, detail } or null.
+function checkListPolicies(session, songName, artist, duplicate, callback) {
+  policyStore.listDoNotPlay(session.id, 'oldest', (err, entries) => {
+    if (err) return callback(err);
+    
+    const blocked = entries.find(entry =>
+      (entry.artist || entry.track) &&
+      (!entry.artist || policyTextMatches(entry.artist, artist, entry.match_type)) &&
+      (!entry.track || policyTextMatches(entry.track, songName, entry.match_type))
+    );
+    if (blocked) {
+      return callback(null, {
+        rule: 'do-not-play',
+        detail: [blocked.track, blocked.artist].filter(Boolean).join(' by ') + (blocked.match_type === 'fuzzy' ? ' (fuzzy)' : '')
+      });
+    }
+    
+    if (duplicate || !session.policy_max_per_artist) {
+      return callback(null, null);
+    }
+    
+    submissionStore.countForArtist(session.id, normalizeForMatching(artist), (err, count) => {
+      if (err) return callback(err);
+      if (count >= session.policy_max_per_artist) {
+        return callback(null, { rule: 'artist-cap', detail: `${artist} already has ${count} requests` });
+      }
+      callback(null, null);
+    });
+  });
+}
+
+// Policies that need track metadata. Unknown BPM or explicit flag never blocks.
+function checkTrackPolicies(session, track) {
+  if (session.policy_block_explicit && track.explicit === true) {
+    return { rule: 'explicit', detail: 'Explicit track' };
+  }
+  if (track.bpm && session.policy_min_bpm && track.bpm < session.policy_min_bpm) {
+    return { rule: 'bpm-range', detail: `${track.bpm} BPM is below ${session.policy_min_bpm}` };
+  }
+  if (track.bpm && session.policy_max_bpm && track.bpm > session.policy_max_bpm) {
+    return { rule: 'bpm-range', detail: `${track.bpm} BPM is above ${session.policy_max_bpm}` };
+  }
+  return null;
+}
+
+// Log a blocked request and tell the dashboard
+function logBlockedRequest(session, request, violation) {
+  console.log(`✗ Request blocked in session ${session.id} by ${violation.rule}: ${violation.detail}`);
+  
+  policyStore.logBlocked(
+    { sessionId: session.id, ...request, rule: violation.rule, detail: violation.detail },
+    (err, id) => {
+      if (err) {
+        console.error('Error logging blocked request:', err);
+        return;
+      }
+      publishSessionEvent(session.id, 'request.blocked', {
+        blocked: {
+          id: id,
+          song_name: request.songName,
+          artist: request.artist,
+          user_name: request.userName || null,
+          rule: violation.rule,
+          detail: violation.detail,
+          created_at: new Date().toISOString()
+        }
+      });
+    }
+  );
+}
+
+// Log a blocked request and send the session's friendly message
+function rejectByPolicy(res, session, request, violation) {
+  logBlockedRequest(session, request, violation);
+  res.status(422).json({
+    error: session.policy_blocked_message || DEFAULT_BLOCKED_MESSAGE,
+    code: 'BLOCKED_BY_POLICY'
+  });
+}
+
+// Harmonic mixing: score how well one track mixes into another using the
+// Camelot wheel (key_camelot) and BPM. Tracks missing data get a neutral score.
+const MIX_KEY_WEIGHT = 0.6;
+const MIX_BPM_WEIGHT = 0.4;
+const MIX_UNKNOWN_SCORE = 0.3;
+const MIX_BPM_TOLERANCE = 0.08; // 8% tempo difference scores zero
+
+function parseCamelotKey(camelot) {
+  const match = /^(\d{1,2})([AB])$/i.exec(camelot || '');
+  if (!match) return null;
+  const number = parseInt(match[1], 10);
+  return number >= 1 && number <= 12 ? { number, letter: match[2].toUpperCase() } : null;
+}
+
+// Steps around the 12-position wheel, 0 to 6
+function camelotDistance(a, b) {
+  const diff = Math.abs(a - b) % 12;
+  return Math.min(diff, 12 - diff);
+}
+
+function scoreKeyTransition(fromKey, toKey) {
+  const from = parseCamelotKey(fromKey);
+  const to = parseCamelotKey(toKey);
+  if (!from || !to) return { score: MIX_UNKNOWN_SCORE, relation: 'unknown' };
+  
+  const steps = camelotDistance(from.number, to.number);
+  const sameLetter = from.letter === to.letter;
+  
+  if (steps === 0 && sameLetter) return { score: 1, relation: 'same key' };
+  if (steps === 1 && sameLetter) return { score: 0.9, relation: to.number === from.number % 12 + 1 ? '+1' : '-1' };
+  if (steps === 0) return { score: 0.8, relation: 'relative major/minor' };
+  if (steps === 2 && sameLetter) return { score: 0.4, relation: 'energy boost' };
+  if (steps === 1) return { score: 0.3, relation: 'diagonal' };
+  return { score: 0, relation: 'clash' };
+}
+
+// Compares tempos directly and, when allowed, at half or double time
+function scoreBpmTransition(fromBpm, toBpm, allowHalfDouble) {
+  if (!fromBpm || !toBpm) return { score: MIX_UNKNOWN_SCORE, delta: null, match: null };
+  
+  const options = [{ bpm: toBpm, match: 'direct' }];
+  if (allowHalfDouble) {
+    options.push({ bpm: toBpm * 2, match: 'double' }, { bpm: toBpm / 2, match: 'half' });
+  }
+  
+  const best = options
+    .map(option => ({ ...option, pct: Math.abs(option.bpm - fromBpm) / fromBpm }))
+    .sort((a, b) => a.pct - b.pct)[0];
+  
+  return {
+    score: Math.max(0, 1 - best.pct / MIX_BPM_TOLERANCE),
+    delta: Math.round(best.bpm - fromBpm),
+    match: best.match
+  };
+}
+
+function scoreTransition(from, to, allowHalfDouble) {
+  const key = scoreKeyTransition(from.key_camelot, to.key_camelot);
+  const bpm = scoreBpmTransition(from.bpm, to.bpm, allowHalfDouble);
+  
+  return {
+    score: Math.round((key.score * MIX_KEY_WEIGHT + bpm.score * MIX_BPM_WEIGHT) * 100) / 100,
+    keyRelation: key.relation,
+    bpmDelta: bpm.delta,
+    bpmMatch: bpm.match
+  };
+}
+
+// Rank candidates by how well they mix out of the given track
+function rankMixCandidates(from, candidates, allowHalfDouble) {
+  return candidates
+    .map(candidate => ({ submission: candidate, ...scoreTransition(from, candidate, allowHalfDouble) }))
+    .sort((a, b) => b.score - a.score || (b.submission.request_count || 1) - (a.submission.request_count || 1));
+}
+
+// Greedy ordering: from the current track, always take the smoothest next transition.
+// Without a current track, start from the most requested song.
+function suggestMixOrder(start, candidates, allowHalfDouble) {
+  const remaining = [...candidates];
+  const order = [];
+  let current = start;
+  
+  if (!current && remaining.length > 0) {
+    remaining.sort((a, b) => (b.request_count || 1) - (a.request_count || 1));
+    current = remaining.shift();
+    order.push({ submission: current, score: null, keyRelation: null, bpmDelta: null, bpmMatch: null });
+  }
+  
+  while (remaining.length > 0) {
+    const [best] = rankMixCandidates(current, remaining, allowHalfDouble);
+    order.push(best);
+    remaining.splice(remaining.indexOf(best.submission), 1);
+    current = best.submission;
+  }
+  
+  return order;
+}
+
+// Loads the track to mix from (now playing, or ?fromId=) and the open requests to mix into
+function loadMixContext(sessionId, fromId, callback) {
+  submissionStore.listPlayable(
+    sessionId,
+    (err, rows) => {
+      if (err) return callback(err);
+      
+      const formattedRows = rows.map(formatSubmissionRow);
+      const from = fromId
+        ? formattedRows.find(row => row.id === fromId) || null
+        : formattedRows.find(row => row.status === 'now-playing') || null;
+      const candidates = formattedRows.filter(row => row !== from && row.status !== 'now-playing');
+      
+      callback(null, from, candidates);
+    }
+  );
+}
+
+// Session export/import. buildSessionExport produces the JSON document that every
+// format in lib/exporters.js renders from, and that importSessionDocument reads back.
+const MAX_IMPORT_SUBMISSIONS = 5000;
+
+// ISO 8601 (as exported) or epoch ms -> the database's 'YYYY-MM-DD HH:MM:SS' UTC, or null
+function toSqliteTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Optional text from an export, trimmed and capped; null when it's missing, blank or not a string
+function readImportedText(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+// Analytics for a session (see lib/analytics.js); interval is the timeline bucket in minutes
+function loadSessionAnalytics(session, interval, callback) {
+  submissionStore.listBySession(session.id, 'oldest', (err, rows) => {
+    if (err) return callback(err);
+    
+    submissionStore.listRequesterActivity(session.id, (err, requesters) => {
+      if (err) return callback(err);
+      
+      callback(null, buildSessionAnalytics({
+        session: session,
+        submissions: rows.map(formatSubmissionRow),
+        requesters: requesters.map(formatSubmissionRow),
+        interval: interval
+      }));
+    });
+  });
+}
+
+// ?interval= for the analytics routes: 5, 15 or 60 minutes, or null when invalid
+function parseAnalyticsInterval(value) {
+  if (value === undefined) return DEFAULT_ANALYTICS_INTERVAL;
+  const interval = parseInt(value, 10);
+  return ANALYTICS_INTERVALS.includes(interval) ? interval : null;
+}
+
+function buildSessionExport(session, callback) {
+  submissionStore.listBySession(session.id, 'oldest', (err, rows) => {
+    if (err) return callback(err);
+    
+    submissionStore.listRequesters(session.id, (err, requesterRows) => {
+      if (err) return callback(err);
+      
+      policyStore.listDoNotPlay(session.id, 'oldest', (err, doNotPlay) => {
+        if (err) return callback(err);
+        
+        const requestersById = {};
+        requesterRows.map(formatSubmissionRow).forEach(requester => {
+          (requestersById[requester.submission_id] = requestersById[requester.submission_id] || []).push({
+            userName: requester.user_name,
+            kind: requester.kind,
+            answers: requester.answers,
+            createdAt: requester.created_at
+          });
+        });
+        
+        const submissions = rows.map(formatSubmissionRow).map(row => {
+          const requesters = requestersById[row.id] || [];
+          const requestedBy = requesters
+            .filter(requester => requester.kind === 'request' && requester.userName)
+            .map(requester => requester.userName);
+          
+          return {
+            id: row.id,
+            songName: row.song_name,
+            artist: row.artist,
+            originalSongName: row.original_song_name,
+            originalArtist: row.original_artist,
+            userName: row.user_name,
+            requestedBy: requestedBy.length ? [...new Set(requestedBy)] : (row.user_name ? [row.user_name] : []),
+            requesters: requesters,
+            requestCount: row.request_count || 1,
+            status: row.status,
+            rejectReason: row.reject_reason,
+            bpm: row.bpm,
+            keyCamelot: row.key_camelot,
+            keyRegular: row.key_regular,
+            spotifyId: row.spotify_id,
+            trackProvider: row.track_provider,
+            trackId: row.track_id,
+            metadataProvider: row.metadata_provider,
+            location: row.library_location,
+            createdAt: row.created_at,
+            statusUpdatedAt: row.status_updated_at,
+            nowPlayingAt: row.now_playing_at,
+            playedAt: row.played_at
+          };
+        });
+        
+        callback(null, {
+          format: EXPORT_DOCUMENT_FORMAT,
+          version: EXPORT_DOCUMENT_VERSION,
+          exportedAt: new Date().toISOString(),
+          session: {
+            id: session.id,
+            name: session.name,
+            createdAt: formatSubmissionRow({ created_at: session.created_at }).created_at,
+            settings: {
+              welcomeMessage: session.welcome_message,
+              subtitleMessage: session.subtitle_message,
+              background: session.background,
+              moderationRequired: !!session.moderation_required,
+              metadataProviders: session.metadata_providers ? session.metadata_providers.split(',') : null,
+              limits: {
+                requestsPerHour: session.limit_requests_per_hour,
+                maxOpenPerGuest: session.limit_open_per_guest,
+                maxOpenRequests: session.limit_open_requests
+              },
+              policies: {
+                blockExplicit: !!session.policy_block_explicit,
+                minBpm: session.policy_min_bpm,
+                maxBpm: session.policy_max_bpm,
+                maxPerArtist: session.policy_max_per_artist,
+                blockedMessage: session.policy_blocked_message
+              },
+              formFields: readFormFields(session.form_fields),
+              doNotPlay: doNotPlay.map(entry => ({ artist: entry.artist, track: entry.track, matchType: entry.match_type }))
+            }
+          },
+          submissions: submissions
+        });
+      });
+    });
+  });
+}
+
+// Settings from an export: only applied when the DJ asks for them (?settings=1).
+// Runs on the import's transaction (tx).
+function importSessionSettings(tx, sessionId, settings, callback) {
+  const limits = settings.limits || {};
+  const policies = settings.policies || {};
+  const providers = parseProviderList(settings.metadataProviders);
+  let formFields;
+  try {
+    formFields = parseFormFields(settings.formFields);
+  } catch (error) {
+    formFields = [];
+  }
+  
+  createSettingsRepository(tx).update(sessionId, {
+    welcomeMessage: settings.welcomeMessage || null,
+    subtitleMessage: settings.subtitleMessage || null,
+    background: settings.background || null,
+    moderationRequired: !!settings.moderationRequired,
+    metadataProviders: providers ? providers.join(',') : null,
+    requestsPerHour: parseLimit(limits.requestsPerHour),
+    maxOpenPerGuest: parseLimit(limits.maxOpenPerGuest),
+    maxOpenRequests: parseLimit(limits.maxOpenRequests),
+    blockExplicit: !!policies.blockExplicit,
+    minBpm: parseLimit(policies.minBpm),
+    maxBpm: parseLimit(policies.maxBpm),
+    maxPerArtist: parseLimit(policies.maxPerArtist),
+    blockedMessage: typeof policies.blockedMessage === 'string' ? policies.blockedMessage.slice(0, 200) : null,
+    formFields: formFields.length ? JSON.stringify(formFields) : null
+  }, (err) => {
+    if (err) return callback(err);
+    
+    const entries = (Array.isArray(settings.doNotPlay) ? settings.doNotPlay : [])
+      .filter(entry => entry && (entry.artist || entry.track));
+    createPolicyRepository(tx).addDoNotPlayEntries(
+      sessionId,
+      entries.map(entry => ({ artist: entry.artist, track: entry.track, matchType: entry.matchType === 'fuzzy' ? 'fuzzy' : 'exact' })),
+      callback
+    );
+  });
+}
+
+// Insert an export's submissions into a session inside one transaction.
+// Requesters get fresh guest IDs (the originals belong to another instance's cookies).
+// Only one request can be now-playing: extra ones (or any, when appending) come in as up-next.
+// Callback receives (err, { imported, skipped }).
+function importSessionDocument(sessionId, document, { replace, settings }, callback) {
+  const submissions = document.submissions.filter(submission =>
+    submission && typeof submission.songName === 'string' && submission.songName.trim() &&
+    typeof submission.artist === 'string' && submission.artist.trim()
+  );
+  const skipped = document.submissions.length - submissions.length;
+  let nowPlayingTaken = !replace;
+  
+  db.transaction((tx, done) => {
+    const store = createSubmissionRepository(tx);
+    
+    const insertSubmission = (index) => {
+      if (index >= submissions.length) {
+        return done(null, { imported: submissions.length, skipped });
+      }
+      
+      const submission = submissions[index];
+      let status = SUBMISSION_STATUSES.includes(submission.status) ? submission.status : 'pending';
+      if (status === 'now-playing') {
+        status = nowPlayingTaken ? 'up-next' : status;
+        nowPlayingTaken = true;
+      }
+      
+      const songName = submission.songName.trim().slice(0, MAX_TEXT_LENGTH);
+      const artist = submission.artist.trim().slice(0, MAX_TEXT_LENGTH);
+      const requesters = (Array.isArray(submission.requesters) ? submission.requesters : [])
+        .filter(requester => requester && ['request', 'upvote'].includes(requester.kind));
+      // Keys are shown on the dashboard, so only ones that parse come in (rewritten as we'd store them)
+      const camelot = typeof submission.keyCamelot === 'string' ? parseCamelotKey(submission.keyCamelot.trim()) : null;
+      const keyCamelot = camelot ? `${camelot.number}${camelot.letter}` : null;
+      const regular = keyCamelot && typeof submission.keyRegular === 'string' ? parseKeyName(submission.keyRegular) : null;
+      const hasData = !!(submission.bpm || keyCamelot);
+      const now = toSqliteTimestamp(Date.now());
+      
+      store.create({
+        session_id: sessionId,
+        song_name: songName,
+        artist: artist,
+        user_name: readImportedText(submission.userName),
+        original_song_name: readImportedText(submission.originalSongName) || songName,
+        original_artist: readImportedText(submission.originalArtist) || artist,
+        bpm: Number.isFinite(submission.bpm) ? Math.round(submission.bpm) : null,
+        key_camelot: keyCamelot,
+        key_regular: regular ? formatRegularKey(regular.key, regular.mode) : null,
+        spotify_fetched: hasData ? 1 : 0,
+        spotify_id: submission.spotifyId || null,
+        track_provider: PROVIDER_NAMES.includes(submission.trackProvider) ? submission.trackProvider : null,
+        track_id: submission.trackId ? String(submission.trackId) : null,
+        metadata_provider: submission.metadataProvider || null,
+        normalized_key: buildNormalizedKey(songName, artist),
+        request_count: Math.max(parseInt(submission.requestCount, 10) || 1, requesters.filter(requester => requester.kind === 'request').length, 1),
+        status: status,
+        reject_reason: status === 'rejected' && submission.rejectReason ? String(submission.rejectReason).slice(0, 200) : null,
+        status_updated_at: toSqliteTimestamp(submission.statusUpdatedAt),
+        now_playing_at: status === 'now-playing' || ['played', 'skipped'].includes(status) ? toSqliteTimestamp(submission.nowPlayingAt) : null,
+        played_at: status === 'played' ? toSqliteTimestamp(submission.playedAt) : null,
+        enrichment_status: hasData ? 'done' : null,
+        created_at: toSqliteTimestamp(submission.createdAt) || now
+      }, (err, submissionId) => {
+        if (err) return done(err);
+        
+        store.importRequesters(
+          submissionId,
+          sessionId,
+          requesters.map(requester => ({
+            guestId: `imported-${crypto.randomBytes(12).toString('hex')}`,
+            userName: readImportedText(requester.userName, 100),
+            kind: requester.kind,
+            answers: requester.kind === 'request' ? cleanImportedAnswers(requester.answers) : [],
+            createdAt: toSqliteTimestamp(requester.createdAt) || now
+          })),
+          (err) => (err ? done(err) : insertSubmission(index + 1))
+        );
+      });
+    };
+    
+    const clearExisting = (next) => {
+      if (!replace) return next();
+      store.deleteBySession(sessionId, (err) => (err ? done(err) : next()));
+    };
+    
+    clearExisting(() => {
+      if (!settings || !document.session || !document.session.settings) return insertSubmission(0);
+      importSessionSettings(tx, sessionId, document.session.settings, (err) => (err ? done(err) : insertSubmission(0)));
+    });
+  }, callback);
+}
+
+// DJ library: the DJ's own collection (a Rekordbox, iTunes or CSV export, see lib/library.js),
+// one per session. Requests matching a library track get an "in library" badge, and the
+// library's BPM and key win over provider data; its file location is used by exports.
+const MAX_LIBRARY_TRACKS = 100000;
+const LIBRARY_INDEX_CACHE_SIZE = 20;
+const libraryIndexes = new Map(); // sessionId -> { libraryId, index }
+
+// The session's library matcher, or null when it has none. Indexes are cached per upload
+// (libraries.id), so a new upload - on this or another instance - is picked up on the next lookup.
+function loadLibraryIndex(sessionId, callback) {
+  libraryStore.findBySession(sessionId, (err, library) => {
+    if (err) return callback(err);
+    if (!library) {
+      libraryIndexes.delete(sessionId);
+      return callback(null, null);
+    }
+
+    const cached = libraryIndexes.get(sessionId);
+    if (cached && cached.libraryId === library.id) {
+      return callback(null, cached.index);
+    }
+
+    libraryStore.listTracks(
+      library.id,
+      (err, tracks) => {
+        if (err) return callback(err);
+
+        const index = createLibraryIndex(tracks);
+        libraryIndexes.delete(sessionId);
+        libraryIndexes.set(sessionId, { libraryId: library.id, index });
+        if (libraryIndexes.size > LIBRARY_INDEX_CACHE_SIZE) {
+          libraryIndexes.delete(libraryIndexes.keys().next().value);
+        }
+        callback(null, index);
+      }
+    );
+  });
+}
+
+// Library track for a submission: by ISRC or the looked-up names first, then the guest's own text
+function matchLibraryTrack(index, submission, metadata) {
+  if (!index) return null;
+
+  return index.match({
+    songName: metadata && metadata.songName ? metadata.songName : submission.song_name,
+    artist: metadata && metadata.artist ? metadata.artist : submission.artist,
+    isrc: (metadata && metadata.isrc) || submission.isrc
+  }) || index.match({
+    songName: submission.original_song_name || submission.song_name,
+    artist: submission.original_artist || submission.artist
+  });
+}
+
+// Provider metadata with the library's BPM/key taking priority
+function mergeLibraryTrack(metadata, libraryTrack) {
+  if (!libraryTrack) return metadata;
+
+  const merged = {
+    songName: null, artist: null, bpm: null, keyCamelot: null, keyRegular: null, explicit: null,
+    isrc: null, provider: null, trackId: null, metadataProvider: null,
+    ...(metadata || {})
+  };
+  if (libraryTrack.bpm) {
+    merged.bpm = libraryTrack.bpm;
+    merged.metadataProvider = 'library';
+  }
+  if (libraryTrack.key_camelot) {
+    merged.keyCamelot = libraryTrack.key_camelot;
+    merged.keyRegular = libraryTrack.key_regular;
+    merged.metadataProvider = 'library';
+  }
+  return merged;
+}
+
+// Re-match every submission in the session against its current library (after an upload,
+// a delete or an import). Rows whose BPM/key came from a library they no longer match lose
+// that data and are queued for a provider lookup. Callback receives (err, matchedCount).
+function applyLibraryMatches(sessionId, callback) {
+  loadLibraryIndex(sessionId, (err, index) => {
+    if (err) return callback(err);
+
+    submissionStore.listBySession(sessionId, 'oldest', (err, submissions) => {
+      if (err) return callback(err);
+
+      let matchedCount = 0;
+      let unmatchedLibraryData = 0;
+      const updates = submissions.map(submission => {
+        const track = matchLibraryTrack(index, submission, null);
+        const suppliesData = !!(track && (track.bpm || track.key_camelot));
+        if (track) matchedCount++;
+        if (!suppliesData && submission.metadata_provider === 'library') unmatchedLibraryData++;
+
+        return {
+          id: submission.id,
+          track: track,
+          libraryData: suppliesData ? { bpm: track.bpm, keyCamelot: track.key_camelot, keyRegular: track.key_regular } : null
+        };
+      });
+
+      db.transaction((tx, done) => {
+        const store = createSubmissionRepository(tx);
+        const next = (i) => {
+          if (i >= updates.length) return done(null);
+          const update = updates[i];
+          store.setLibraryMatch(update.id, update.track, update.libraryData, (err) => (err ? done(err) : next(i + 1)));
+        };
+        next(0);
+      }, (err) => {
+        if (err) return callback(err);
+        if (unmatchedLibraryData === 0) return callback(null, matchedCount);
+
+        enqueueEnrichment({ sessionId, missingOnly: true, applyPolicies: false }, (err) => callback(err, matchedCount));
+      });
+    });
+  });
+}
+
+// Library summary for the admin UI and API
+function toPublicLibrary(library, matchedCount) {
+  if (!library) return null;
+  return {
+    fileName: library.file_name,
+    format: library.format,
+    trackCount: library.track_count,
+    uploadedAt: formatSubmissionRow({ created_at: library.uploaded_at }).created_at,
+    matchedCount: matchedCount
+  };
+}
+
+// Background enrichment: submissions are saved straight away and their BPM, key and
+// explicit flag are looked up by a job queue in the database (enrichment_jobs). Failed
+// lookups are retried with exponential backoff; jobs survive restarts.
+const ENRICHMENT_POLL_INTERVAL_MS = 2000;
+const ENRICHMENT_BATCH_SIZE = 5;
+const ENRICHMENT_MAX_ATTEMPTS = 5;
+const ENRICHMENT_RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m
+let enrichmentRunning = false;
+
+// Queue lookups for one submission, or every submission in a session (missingOnly: rows still
+// without BPM or key). applyPolicies re-checks BPM/explicit policies once the data arrives.
+// Callback receives (err, queuedCount).
+function enqueueEnrichment({ sessionId, submissionId, missingOnly, applyPolicies }, callback) {
+  enrichmentJobStore.queueJobs({ sessionId, submissionId, missingOnly, applyPolicies, nextAttemptAt: Date.now() }, (err, queuedCount) => {
+    if (err) return callback(err);
+    setImmediate(runEnrichmentJobs);
+    callback(null, queuedCount);
+  });
+}
+
+// Look up a submission's metadata: by track ID when the guest picked a suggestion,
+// otherwise by matching the guest's text (enhanceSongData), and if that finds nothing by
+// interpreting it (interpretSubmission).
+// Resolves to { metadata, error, interpretation } - metadata is null when nothing matched.
+async function lookupSubmissionMetadata(submission, session) {
+  // Once the DJ confirmed a match, that's what the request is
+  const confirmed = submission.interpretation_status === 'confirmed';
+  const songName = confirmed ? submission.song_name : submission.original_song_name || submission.song_name;
+  const artist = confirmed ? submission.artist : submission.original_artist || submission.artist;
+  const trackProvider = submission.track_provider || (submission.spotify_id ? 'spotify' : null);
+  const trackId = submission.track_id || submission.spotify_id;
+  
+  if (trackProvider && trackId) {
+    try {
+      const track = await metadataProviders.getChain(session.metadata_providers).enrich({
+        provider: trackProvider,
+        id: trackId,
+        songName,
+        artist
+      });
+      return {
+        metadata: track && {
+          songName: submission.song_name,
+          artist: submission.artist,
+          bpm: track.bpm,
+          keyCamelot: track.keyCamelot,
+          keyRegular: track.keyRegular,
+          explicit: track.explicit,
+          isrc: track.isrc,
+          provider: trackProvider,
+          trackId: trackId,
+          metadataProvider: track.featuresProvider
+        },
+        error: null,
+        interpretation: null
+      };
+    } catch (error) {
+      return { metadata: null, error: error.message, interpretation: null };
+    }
+  }
+  
+  const enhanced = await enhanceSongData(songName, artist, session.metadata_providers);
+  // Requests the DJ settled aren't interpreted again
+  if (!enhanced.provider && !enhanced.lookup_error && [null, undefined, 'needs-review'].includes(submission.interpretation_status)) {
+    return interpretSubmission(session, songName, artist);
+  }
+  return {
+    metadata: enhanced.provider && {
+      songName: enhanced.corrected_song_name,
+      artist: enhanced.corrected_artist,
+      bpm: enhanced.bpm,
+      keyCamelot: enhanced.key_camelot,
+      keyRegular: enhanced.key_regular,
+      explicit: enhanced.explicit,
+      isrc: enhanced.isrc,
+      provider: enhanced.provider,
+      trackId: enhanced.track_id,
+      metadataProvider: enhanced.metadata_provider
+    },
+    error: enhanced.lookup_error,
+    interpretation: null
+  };
+}
+
+// Ask the interpreter what an unmatched free-text request meant. A confident candidate is
+// applied like a provider match; otherwise the candidates wait for the DJ to pick one.
+// Interpreter failures come back as `error`, so the job is retried like a provider failure.
+async function interpretSubmission(session, songName, artist) {
+  let candidates;
+  try {
+    candidates = await requestInterpreter.interpret({ songName, artist }, metadataProviders.getChain(session.metadata_providers));
+  } catch (error) {
+    console.error('Error interpreting request:', error.message);
+    return { metadata: null, error: `Interpretation failed: ${error.message}`, interpretation: null };
+  }
+  
+  if (candidates.length === 0) {
+    return { metadata: null, error: null, interpretation: null };
+  }
+  
+  const best = candidates[0];
+  const accepted = best.confidence >= AUTO_ACCEPT_CONFIDENCE;
+  console.log(`Interpreted "${songName}" by ${artist} (${requestInterpreter.name}): "${best.songName}" by ${best.artist}, confidence ${best.confidence}${accepted ? '' : ' - needs the DJ'}`);
+  
+  return {
+    metadata: accepted ? {
+      songName: best.songName,
+      artist: best.artist,
+      bpm: best.bpm,
+      keyCamelot: best.keyCamelot,
+      keyRegular: best.keyRegular,
+      explicit: best.explicit,
+      isrc: best.isrc,
+      provider: best.provider,
+      trackId: best.trackId,
+      metadataProvider: best.metadataProvider
+    } : null,
+    error: null,
+    interpretation: { status: accepted ? 'auto' : 'needs-review', candidates }
+  };
+}
+
+// Requests still waiting for the DJ are rejected if their BPM/explicit flag breaks a policy.
+// Interpreted requests are also checked against the do-not-play list under their real title,
+// since "that wonderwall song" didn't match it when it was submitted.
+function applyTrackPoliciesAfterEnrichment(session, submission, metadata, interpreted) {
+  if (!['pending-review', 'pending'].includes(submission.status)) return;
+  
+  const checkList = interpreted
+    ? (done) => checkListPolicies(session, metadata.songName, metadata.artist, true, done)
+    : (done) => done(null, null);
+  
+  checkList((err, listViolation) => {
+    if (err) {
+      console.error('Error checking request policies:', err);
+      return;
+    }
+    
+    const violation = listViolation || checkTrackPolicies(session, { bpm: metadata.bpm, explicit: metadata.explicit });
+    if (!violation) return;
+    
+    const message = session.policy_blocked_message || DEFAULT_BLOCKED_MESSAGE;
+    updateSubmissionStatus(session.id, submission.id, 'rejected', message, (err, updated) => {
+      if (err) {
+        console.error('Error rejecting submission by policy:', err);
+        return;
+      }
+      if (updated) {
+        publishSessionEvent(session.id, 'submission.updated', { submission: updated });
+        fireStatusWebhooks(session.id, updated, submission.status, message);
+      }
+    });
+    logBlockedRequest(session, {
+      songName: submission.song_name,
+      artist: submission.artist,
+      userName: submission.user_name,
+      spotifyId: submission.spotify_id
+    }, violation);
+  });
+}
+
+function processEnrichmentJob(job, callback) {
+  enrichmentJobStore.startJob(
+    job.id,
+    (err) => {
+      if (err) return callback(err);
+      const attempts = job.attempts + 1;
+      
+      submissionStore.findById(job.submission_id, (err, submission) => {
+        if (err) return callback(err);
+        
+        sessionStore.findById(job.session_id, (err, session) => {
+          if (err) return callback(err);
+          
+          // The submission (or its session) was cleared while the job waited
+          if (!submission || !session) {
+            return enrichmentJobStore.deleteJob(job.id, callback);
+          }
+          
+          loadLibraryIndex(session.id, (err, libraryIndex) => {
+            if (err) return callback(err);
+            
+            // Anything the lookup or the code below throws fails the job instead of going unhandled
+            lookupSubmissionMetadata(submission, session).then(({ metadata, error, interpretation }) => {
+              const libraryTrack = matchLibraryTrack(libraryIndex, submission, metadata);
+              const trackData = mergeLibraryTrack(metadata, libraryTrack);
+            
+              // A provider failure doesn't matter when the library already has BPM and key
+              const lookupFailed = !!error && !(libraryTrack && libraryTrack.bpm && libraryTrack.key_camelot);
+            
+              if (lookupFailed && attempts < ENRICHMENT_MAX_ATTEMPTS) {
+                const delay = ENRICHMENT_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+                console.log(`Enrichment of submission ${submission.id} failed (attempt ${attempts}), retrying in ${delay / 1000}s: ${error}`);
+                return enrichmentJobStore.retryJob(job.id, Date.now() + delay, error, callback);
+              }
+            
+              const jobStatus = lookupFailed ? 'failed' : 'done';
+              submissionStore.recordEnrichment(
+                submission.id,
+                { metadata: trackData, libraryTrack, interpretation, status: jobStatus },
+                (err) => {
+                  if (err) return callback(err);
+                
+                  enrichmentJobStore.finishJob(
+                    job.id,
+                    jobStatus,
+                    error,
+                    (err) => {
+                      if (err) return callback(err);
+                    
+                      console.log(`✓ Enrichment ${jobStatus} for submission ${submission.id}: BPM=${(trackData && trackData.bpm) || 'none'}, Key=${(trackData && trackData.keyCamelot) || 'none'}${libraryTrack ? ' (in library)' : ''}`);
+                      publishSubmissionEvent(submission.id, 'submission.updated');
+                      if (trackData && job.apply_policies) {
+                        applyTrackPoliciesAfterEnrichment(session, submission, trackData, !!interpretation && interpretation.status === 'auto');
+                      }
+                      callback();
+                    }
+                  );
+                }
+              );
+            }).catch(callback);
+          });
+        });
+      });
+    }
+  );
+}
+
+// Run due jobs one at a time (provider rate limits matter more than throughput)
+function runEnrichmentJobs() {
+  if (enrichmentRunning) return;
+  enrichmentRunning = true;
+  
+  enrichmentJobStore.listDueJobs(
+    Date.now(),
+    ENRICHMENT_BATCH_SIZE,
+    (err, jobs) => {
+      if (err) {
+        enrichmentRunning = false;
+        console.error('Error loading enrichment jobs:', err);
+        return;
+      }
+      
+      const next = (index) => {
+        if (index >= jobs.length) {
+          enrichmentRunning = false;
+          if (jobs.length === ENRICHMENT_BATCH_SIZE) setImmediate(runEnrichmentJobs);
+          return;
+        }
+        processEnrichmentJob(jobs[index], (err) => {
+          if (err) {
+            console.error(`Error processing enrichment job ${jobs[index].id}:`, err);
+          }
+          next(index + 1);
+        });
+      };
+      next(0);
+    }
+  );
+}
+
+databaseReady.then(() => {
+  // Jobs interrupted by a restart run again
+  enrichmentJobStore.requeueInterrupted((err) => {
+    if (err) {
+      console.error('Error requeueing enrichment jobs:', err.message);
+    }
+  });
+  setInterval(runEnrichmentJobs, ENRICHMENT_POLL_INTERVAL_MS).unref();
+}, () => {});
+
+// Webhook deliveries go out as soon as they're queued; the poll picks up retries that come due
+const WEBHOOK_POLL_INTERVAL_MS = 5000;
+
+databaseReady.then(() => {
+  webhookStore.requeueInterrupted((err) => {
+    if (err) console.error('Error requeueing webhook deliveries:', err);
+    webhookDispatcher.deliverDue();
+  });
+  setInterval(() => webhookDispatcher.deliverDue(), WEBHOOK_POLL_INTERVAL_MS).unref();
+}, () => {});
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/session/:sessionId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Read-only "now playing / up next" screen for a projector or TV at the venue
+app.get('/display/:sessionId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'display.html'));
+});
+
+// A guest's private page for following their requests
+app.get('/track/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'track.html'));
+});
+
+// The dashboard is only served with a valid admin secret or invite; otherwise the unlock page
+// restores access from the creator's browser (stored secret or recovery key)
+app.get('/admin/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).send('Failed to load session');
+    }
+    
+    if (!session) {
+      return res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
+    }
+    
+    authenticateSessionAdmin(session, getAdminSecretFromRequest(req, sessionId), (err, actor) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).send('Failed to load session');
+      }
+      
+      res.sendFile(path.join(__dirname, 'public', actor ? 'admin.html' : 'admin-login.html'));
+    });
+  });
+});
+
+// ?format=png returns just the image (used by the venue display)
+app.get('/qr/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    if (req.query.format === 'png') {
+      const image = await QRCode.toBuffer(getGuestUrl(req, sessionId), { width: 512, margin: 1 });
+      res.set('Content-Type', 'image/png');
+      res.set('Cache-Control', 'public, max-age=3600');
+      return res.send(image);
+    }
+    
+    const qrCodeDataURL = await QRCode.toDataURL(getGuestUrl(req, sessionId));
+    res.send(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>QR Code - Song Requests</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+      </head>
+      <body class="bg-gray-100 min-h-screen flex items-center justify-center p-4">
+        <div class="bg-white rounded-lg shadow-lg p-8 text-center max-w-md w-full">
+          <h1 class="text-2xl font-bold text-gray-800 mb-4">Song Request QR Code</h1>
+          <div class="mb-4">
+            <img src="${qrCodeDataURL}" alt="QR Code" class="mx-auto">
+          </div>
+          <p class="text-gray-600 mb-4">Scan this QR code to submit a song request</p>
+          <a href="/admin/${sessionId}" class="inline-block bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors">
+            Go to Admin Dashboard
+          </a>
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// The guest page in its shorter form: djq.com/XXXX
+function getGuestUrl(req, sessionId) {
+  return `${req.protocol}://${req.get('host')}/${sessionId}`;
+}
+
+// API Routes - Session Management (must be before catch-all route)
+app.post('/api/sessions', (req, res) => {
+  console.log('POST /api/sessions called');
+  const { name } = req.body;
+  console.log('Request body:', { name });
+  
+  if (!name || name.trim() === '') {
+    console.log('Session name validation failed');
+    return res.status(400).json({ error: 'Session name is required' });
+  }
+  
+  // Generate unique session ID
+  console.log('Generating session ID...');
+  generateSessionId((sessionId) => {
+    console.log('Session ID generated:', sessionId);
+    
+    if (!sessionId) {
+      console.error('Failed to generate session ID');
+      return res.status(500).json({ error: 'Failed to generate unique session ID' });
+    }
+    
+    const sessionName = name.trim();
+    console.log('Creating session:', { sessionId, sessionName });
+    
+    // Admin secret guards DJ-only routes; recovery key stays in the creator's browser
+    const adminSecret = generateSecret();
+    const recoveryKey = generateSecret();
+    
+    // Set default values: session name as welcome message, default subtitle, black background
+    sessionStore.create({
+      id: sessionId,
+      name: sessionName,
+      welcomeMessage: sessionName,
+      subtitleMessage: 'Submit your song below',
+      background: '#000',
+      adminSecretHash: hashSecret(adminSecret),
+      recoveryKeyHash: hashSecret(recoveryKey)
+    }, (err) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to create session' });
+      }
+      
+      console.log('Session created successfully:', sessionId);
+      setAdminCookie(req, res, sessionId, adminSecret);
+      res.json({
+        success: true,
+        session: {
+          id: sessionId,
+          name: sessionName,
+          createdAt: new Date().toISOString()
+        },
+        adminSecret: adminSecret,
+        recoveryKey: recoveryKey
+      });
+    });
+  });
+});
+
+app.get('/api/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to get session' });
+    }
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({
+      success: true,
+      session: toPublicSession(session),
+      hasAdminSecret: !!session.admin_secret_hash,
+      intake: getIntakeState(session)
+    });
+  });
+});
+
+// Deployment-wide actions need the operator key (DJQ_OPERATOR_KEY) in X-Operator-Key
+function requireOperator(req, res, next) {
+  const operatorKey = req.get('x-operator-key');
+  if (!DJQ_OPERATOR_KEY || !operatorKey ||
+      operatorKey.length !== DJQ_OPERATOR_KEY.length ||
+      !crypto.timingSafeEqual(Buffer.from(operatorKey), Buffer.from(DJQ_OPERATOR_KEY))) {
+    return res.status(403).json({ error: 'Operator key required' });
+  }
+  next();
+}
+
+// Listing every session is an operator-only action
+app.get('/api/sessions', requireOperator, (req, res) => {
+  sessionStore.listActive((err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to get sessions' });
+    }
+    
+    res.json({ success: true, sessions: rows.map(toPublicSession) });
+  });
+});
+
+// Exchange an admin secret or invite token for the dashboard cookie (used by the unlock page,
+// shared admin links and invite links)
+app.post('/api/sessions/:sessionId/admin-login', requireSessionAdmin, (req, res) => {
+  const sessionId = req.djSession.id;
+  const { inviteId } = req.djActor;
+  setAdminCookie(req, res, sessionId, getAdminSecretFromRequest(req, sessionId));
+  
+  if (inviteId) {
+    accessStore.markInviteUsed(inviteId, (err) => {
+      if (err) console.error('Error marking invite used:', err);
+    });
+  }
+  res.json({ success: true, ...describeAccess(req.djActor) });
+});
+
+// What the caller may do, so the dashboard only shows their controls
+function describeAccess(actor) {
+  return {
+    role: actor.role,
+    label: actor.label,
+    invited: !!actor.inviteId,
+    permissions: listPermissions(actor.role)
+  };
+}
+
+app.get('/api/sessions/:sessionId/access', requireSessionAdmin, (req, res) => {
+  res.json({ success: true, ...describeAccess(req.djActor) });
+});
+
+// Rotate the admin secret: every other browser holding the old secret loses access. Invites
+// aren't affected, and only the admin key's holders may rotate it.
+app.post('/api/sessions/:sessionId/rotate-secret', requireSessionPermission('team'), (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  if (req.djActor.inviteId) {
+    return res.status(403).json({ error: 'Only the admin key can rotate itself', code: 'ROLE_FORBIDDEN', role: req.djActor.role });
+  }
+  
+  rotateAdminSecret(sessionId, (err, adminSecret) => {
+    if (err) {
+      return res.status(500).json({ error: 'Failed to rotate admin secret' });
+    }
+    
+    console.log('Admin secret rotated for session:', sessionId);
+    recordAudit(req, sessionId, 'admin-key.rotated', 'Rotated the admin key');
+    setAdminCookie(req, res, sessionId, adminSecret);
+    res.json({ success: true, adminSecret: adminSecret });
+  });
+});
+
+// Co-host invites. The token is only returned here; the owner shares the link and can revoke it.
+function formatInvite(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    label: row.label,
+    createdAt: toIsoTimestamp(row.created_at),
+    lastUsedAt: toIsoTimestamp(row.last_used_at),
+    revokedAt: toIsoTimestamp(row.revoked_at)
+  };
+}
+
+app.get('/api/sessions/:sessionId/invites', requireSessionPermission('team'), (req, res) => {
+  accessStore.listInvites(req.djSession.id, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load invites' });
+    }
+    
+    res.json({ success: true, invites: rows.map(formatInvite) });
+  });
+});
+
+app.post('/api/sessions/:sessionId/invites', requireSessionPermission('team'), (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  if (req.djSession.archived_at) {
+    return res.status(409).json({ error: 'This session is archived' });
+  }
+  
+  let invite;
+  try {
+    invite = parseInvite(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  accessStore.countActiveInvites(sessionId, (err, count) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to create invite' });
+    }
+    
+    if (count >= MAX_ACTIVE_INVITES) {
+      return res.status(409).json({ error: `A session can have ${MAX_ACTIVE_INVITES} active invites - revoke one first` });
+    }
+    
+    const token = generateSecret();
+    accessStore.createInvite({ sessionId, tokenHash: hashSecret(token), ...invite }, (err, inviteId) => {
+      if (err) {
+        console.error('Error creating invite:', err);
+        return res.status(500).json({ error: 'Failed to create invite' });
+      }
+      
+      console.log(`Invite ${inviteId} (${invite.role}) created for session ${sessionId}`);
+      recordAudit(req, sessionId, 'invite.created', `Invited ${invite.label} as ${ROLE_LABELS[invite.role]}`, { inviteId, role: invite.role });
+      res.json({
+        success: true,
+        invite: { id: inviteId, role: invite.role, label: invite.label },
+        token,
+        url: `${req.protocol}://${req.get('host')}/admin/${sessionId}#key=${token}`
+      });
+    });
+  });
+});
+
+// Revoking ends the invite's live event streams too, so its dashboards lock straight away
+app.delete('/api/sessions/:sessionId/invites/:inviteId', requireSessionPermission('team'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const inviteId = parseInt(req.params.inviteId, 10);
+  
+  if (!Number.isInteger(inviteId)) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
+  
+  accessStore.revokeInvite(sessionId, inviteId, (err, invite) => {
+    if (err) {
+      console.error('Error revoking invite:', err);
+      return res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    console.log(`Invite ${inviteId} revoked for session ${sessionId}`);
+    (sessionEventStreams.get(sessionId) || new Set()).forEach(stream => {
+      if (stream.djqInviteId === inviteId) stream.end();
+    });
+    recordAudit(req, sessionId, 'invite.revoked', `Revoked ${invite.label}'s ${ROLE_LABELS[invite.role]} invite`, { inviteId });
+    res.json({ success: true, invite: formatInvite(invite) });
+  });
+});
+
+// The session's audit log, newest first
+const AUDIT_LOG_LIMIT = 200;
+
+app.get('/api/sessions/:sessionId/audit', requireSessionPermission('team'), (req, res) => {
+  accessStore.listAudit(req.djSession.id, AUDIT_LOG_LIMIT, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load the audit log' });
+    }
+    
+    res.json({
+      success: true,
+      entries: rows.map(row => ({
+        id: row.id,
+        actor: row.actor_label,
+        role: row.actor_role,
+        action: row.action,
+        summary: row.summary,
+        details: row.details,
+        createdAt: toIsoTimestamp(row.created_at)
+      }))
+    });
+  });
+});
+
+// Outbound webhooks (lib/webhooks.js). The signing secret is only returned when the webhook is created.
+const WEBHOOK_DELIVERY_LOG_LIMIT = 100;
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    format: row.format,
+    events: row.events,
+    active: !!row.is_active,
+    createdAt: toIsoTimestamp(row.created_at)
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.last_error,
+    nextAttemptAt: row.status === 'queued' ? new Date(Number(row.next_attempt_at)).toISOString() : null,
+    createdAt: toIsoTimestamp(row.created_at),
+    deliveredAt: toIsoTimestamp(row.delivered_at)
+  };
+}
+
+// Look up the webhook named in the URL (req.webhook)
+function loadWebhook(req, res, next) {
+  const webhookId = parseInt(req.params.webhookId, 10);
+  if (!Number.isInteger(webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  webhookStore.findWebhook(req.djSession.id, webhookId, (err, webhook) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load webhook' });
+    }
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    req.webhook = webhook;
+    next();
+  });
+}
+
+app.get('/api/sessions/:sessionId/webhooks', requireSessionPermission('settings'), (req, res) => {
+  webhookStore.listWebhooks(req.djSession.id, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load webhooks' });
+    }
+
+    res.json({ success: true, webhooks: rows.map(formatWebhook), events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+  });
+});
+
+app.post('/api/sessions/:sessionId/webhooks', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+
+  let webhook;
+  try {
+    webhook = parseWebhook(req.body, { allowHttp: WEBHOOK_ALLOW_HTTP, allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  webhookStore.countWebhooks(sessionId, (err, count) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to create webhook' });
+    }
+
+    if (count >= MAX_WEBHOOKS_PER_SESSION) {
+      return res.status(409).json({ error: `A session can have ${MAX_WEBHOOKS_PER_SESSION} webhooks - delete one first` });
+    }
+
+    const secret = generateWebhookSecret();
+    webhookStore.createWebhook({ sessionId, secret, ...webhook }, (err, webhookId) => {
+      if (err) {
+        console.error('Error creating webhook:', err);
+        return res.status(500).json({ error: 'Failed to create webhook' });
+      }
+
+      console.log(`Webhook ${webhookId} (${webhook.format}) created for session ${sessionId}`);
+      recordAudit(req, sessionId, 'webhook.created', `Added a webhook to ${new URL(webhook.url).host}`, { webhookId, events: webhook.events });
+      res.json({ success: true, webhook: { id: webhookId, ...webhook }, secret });
+    });
+  });
+});
+
+app.put('/api/sessions/:sessionId/webhooks/:webhookId', requireSessionPermission('settings'), loadWebhook, (req, res) => {
+  const sessionId = req.djSession.id;
+
+  // Fields left out keep their current values, so the dashboard can just flip `active`
+  let webhook;
+  try {
+    webhook = parseWebhook({
+      url: req.webhook.url,
+      format: req.webhook.format,
+      events: req.webhook.events,
+      active: !!req.webhook.is_active,
+      ...req.body
+    }, { allowHttp: WEBHOOK_ALLOW_HTTP, allowedHosts: WEBHOOK_ALLOWED_HOSTS });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  webhookStore.updateWebhook(sessionId, req.webhook.id, webhook, (err) => {
+    if (err) {
+      console.error('Error updating webhook:', err);
+      return res.status(500).json({ error: 'Failed to update webhook' });
+    }
+
+    recordAudit(req, sessionId, 'webhook.updated', `Updated the webhook to ${new URL(webhook.url).host}${webhook.active ? '' : ' (paused)'}`, {
+      webhookId: req.webhook.id, events: webhook.events, active: webhook.active
+    });
+    res.json({ success: true, webhook: formatWebhook({ ...req.webhook, ...webhook, is_active: webhook.active }) });
+  });
+});
+
+app.delete('/api/sessions/:sessionId/webhooks/:webhookId', requireSessionPermission('settings'), loadWebhook, (req, res) => {
+  const sessionId = req.djSession.id;
+
+  webhookStore.deleteWebhook(sessionId, req.webhook.id, (err) => {
+    if (err) {
+      console.error('Error deleting webhook:', err);
+      return res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+
+    console.log(`Webhook ${req.webhook.id} deleted from session ${sessionId}`);
+    recordAudit(req, sessionId, 'webhook.deleted', `Removed the webhook to ${new URL(req.webhook.url).host}`, { webhookId: req.webhook.id });
+    res.json({ success: true });
+  });
+});
+
+// Send a test event to one webhook, active or not, so the owner can check the receiving end
+app.post('/api/sessions/:sessionId/webhooks/:webhookId/test', requireSessionPermission('settings'), loadWebhook, (req, res) => {
+  webhookDispatcher.queueFor(req.webhook, req.djSession.name, TEST_EVENT, { message: 'Test delivery from DJQ' }, (err, deliveryId) => {
+    if (err) {
+      console.error('Error queueing test delivery:', err);
+      return res.status(500).json({ error: 'Failed to send a test delivery' });
+    }
+
+    webhookDispatcher.deliverDue();
+    res.json({ success: true, deliveryId });
+  });
+});
+
+// The delivery log, newest first; ?webhookId= narrows it to one webhook
+app.get('/api/sessions/:sessionId/webhooks/deliveries', requireSessionPermission('settings'), (req, res) => {
+  const webhookId = req.query.webhookId ? parseInt(req.query.webhookId, 10) : null;
+
+  webhookStore.listDeliveries(req.djSession.id, Number.isInteger(webhookId) ? webhookId : null, WEBHOOK_DELIVERY_LOG_LIMIT, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load deliveries' });
+    }
+
+    res.json({ success: true, deliveries: rows.map(formatDelivery) });
+  });
+});
+
+// Now-playing ingestion (lib/now-playing.js). DJ software or a bridge reports each track it
+// plays; the matching open request becomes now-playing (the one before it played), and every
+// track goes into the session's played-track history, requested or not.
+const PLAYED_HISTORY_LIMIT = 500;
+const NOW_PLAYING_OSC_ADDRESS = '/djq/now-playing';
+
+function formatPlayedTrack(row) {
+  return {
+    id: row.id,
+    songName: row.song_name,
+    artist: row.artist,
+    isrc: row.isrc,
+    submissionId: row.submission_id,
+    matchScore: row.match_score,
+    source: row.source,
+    playedAt: toIsoTimestamp(row.played_at)
+  };
+}
+
+// Add a track to the history and tell the dashboards. track: { songName, artist, isrc,
+// submissionId, matchScore }. Callback receives (err, formattedTrack).
+function recordPlayedTrack(sessionId, track, source, callback) {
+  playedTrackStore.record({ sessionId, source, ...track }, (err, id) => {
+    if (err) return callback(err);
+
+    playedTrackStore.findById(id, (err, row) => {
+      if (err) return callback(err);
+      const played = formatPlayedTrack(row);
+      publishSessionEvent(sessionId, 'track.played', { track: played });
+      callback(null, played);
+    });
+  });
+}
+
+// Move the session's now-playing requests to played (a track that isn't a request came on).
+// Callback receives (err, demotedRows).
+function markNowPlayingPlayed(sessionId, callback) {
+  submissionStore.listNowPlayingIds(sessionId, 0, (err, ids) => {
+    if (err) return callback(err);
+    if (ids.length === 0) return callback(null, []);
+
+    submissionStore.markPlayed(ids, (err) => {
+      if (err) return callback(err);
+      submissionStore.listByIds(ids, (err, rows) => callback(err, rows ? rows.map(formatSubmissionRow) : undefined));
+    });
+  });
+}
+
+// Handle a now-playing report (parsed by parseNowPlaying). Callback receives
+// (err, { duplicate, track, submission }) - submission is the request it played, or null.
+function ingestNowPlaying(session, track, source, callback) {
+  const sessionId = session.id;
+
+  playedTrackStore.findLatest(sessionId, (err, latest) => {
+    if (err) return callback(err);
+
+    const latestTrack = latest && { songName: latest.song_name, artist: latest.artist, playedAt: Date.parse(toIsoTimestamp(latest.played_at)) };
+    if (isRepeat(track, latestTrack)) {
+      return callback(null, { duplicate: true, track: formatPlayedTrack(latest), submission: null });
+    }
+
+    submissionStore.listBySession(sessionId, 'oldest', (err, rows) => {
+      if (err) return callback(err);
+
+      const match = findPlayedSubmission(track, rows);
+      // Already showing as now playing (the DJ clicked it, or a bridge reported it under another name)
+      if (match && match.submission.status === 'now-playing' && latest && latest.submission_id === match.submission.id) {
+        return callback(null, { duplicate: true, track: formatPlayedTrack(latest), submission: formatSubmissionRow(match.submission) });
+      }
+
+      const advance = (done) => {
+        if (!match) {
+          return markNowPlayingPlayed(sessionId, (err, demoted) => done(err, null, demoted));
+        }
+        if (match.submission.status === 'now-playing') {
+          return done(null, formatSubmissionRow(match.submission), []);
+        }
+        updateSubmissionStatus(sessionId, match.submission.id, 'now-playing', null, done);
+      };
+
+      advance((err, submission, demoted) => {
+        if (err) return callback(err);
+
+        if (submission && match.submission.status !== 'now-playing') {
+          publishSessionEvent(sessionId, 'submission.updated', { submission });
+          fireStatusWebhooks(sessionId, submission, match.submission.status, null);
+          notifyRequestersOfStatus(submission);
+        }
+        demoted.forEach(row => {
+          publishSessionEvent(sessionId, 'submission.updated', { submission: row });
+          fireStatusWebhooks(sessionId, row, 'now-playing', null);
+        });
+
+        recordPlayedTrack(sessionId, {
+          ...track,
+          submissionId: match ? match.submission.id : null,
+          matchScore: match ? match.score : null
+        }, source, (err, played) => {
+          if (err) return callback(err);
+
+          console.log(`Now playing in session ${sessionId} (${source}): "${track.songName}" by ${track.artist || 'unknown'}${match ? ` - request ${match.submission.id}` : ''}`);
+          callback(null, { duplicate: false, track: played, submission });
+        });
+      });
+    });
+  });
+}
+
+// DJ software and bridge scripts post each track as it starts: { songName (or title), artist, isrc }.
+// A DJ invite link's token makes a good credential for a bridge.
+app.post('/api/sessions/:sessionId/now-playing', requireSessionPermission('queue'), (req, res) => {
+  if (req.djSession.archived_at) {
+    return res.status(409).json({ error: 'This session is archived' });
+  }
+
+  let track;
+  try {
+    track = parseNowPlaying(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  ingestNowPlaying(req.djSession, track, 'api', (err, result) => {
+    if (err) {
+      console.error('Error ingesting now playing:', err);
+      return res.status(500).json({ error: 'Failed to record the track' });
+    }
+
+    res.json({ success: true, ...result });
+  });
+});
+
+// The session's played-track history, newest first
+app.get('/api/sessions/:sessionId/played', requireSessionPermission('queue'), (req, res) => {
+  playedTrackStore.list(req.djSession.id, PLAYED_HISTORY_LIMIT, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load played tracks' });
+    }
+
+    res.json({ success: true, tracks: rows.map(formatPlayedTrack) });
+  });
+});
+
+// OSC reports: /djq/now-playing with string arguments sessionId, key, title, artist and
+// optionally ISRC. The key is checked like the HTTP route's credential; UDP has no reply,
+// so problems are only logged.
+function handleOscMessage({ address, args }, remote) {
+  if (address !== NOW_PLAYING_OSC_ADDRESS) return;
+
+  const [sessionId, key, songName, artist, isrc] = args;
+  const refuse = (reason) => console.log(`✗ OSC now playing from ${remote.address} refused: ${reason}`);
+
+  sessionStore.findById(String(sessionId || ''), (err, session) => {
+    if (err) return console.error('Database error:', err);
+    if (!session) return refuse('session not found');
+
+    authenticateSessionAdmin(session, typeof key === 'string' ? key : null, (err, actor) => {
+      if (err) return console.error('Database error:', err);
+      if (!actor || !hasPermission(actor.role, 'queue')) return refuse('invalid key');
+      if (session.archived_at) return refuse('session is archived');
+
+      let track;
+      try {
+        track = parseNowPlaying({ songName, artist, isrc });
+      } catch (error) {
+        return refuse(error.message);
+      }
+
+      ingestNowPlaying(session, track, 'osc', (err) => {
+        if (err) console.error('Error ingesting now playing:', err);
+      });
+    });
+  });
+}
+
+// Recover admin access with the recovery key kept in the creator's browser
+app.post('/api/sessions/:sessionId/recover', (req, res) => {
+  const { sessionId } = req.params;
+  const { recoveryKey } = req.body;
+  
+  if (!recoveryKey) {
+    return res.status(400).json({ error: 'Recovery key is required' });
+  }
+  
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (!secretMatches(recoveryKey, session.recovery_key_hash)) {
+      return res.status(403).json({ error: 'Invalid recovery key' });
+    }
+    
+    rotateAdminSecret(sessionId, (err, adminSecret) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to recover admin access' });
+      }
+      
+      console.log('Admin access recovered for session:', sessionId);
+      setAdminCookie(req, res, sessionId, adminSecret);
+      res.json({ success: true, adminSecret: adminSecret });
+    });
+  });
+});
+
+// Sessions created before admin secrets existed can be claimed exactly once, by the operator:
+// anyone who knew the code could otherwise take the session over before its DJ
+app.post('/api/sessions/:sessionId/claim', requireOperator, (req, res) => {
+  const { sessionId } = req.params;
+  const adminSecret = generateSecret();
+  const recoveryKey = generateSecret();
+  
+  sessionStore.claim(sessionId, hashSecret(adminSecret), hashSecret(recoveryKey), (err, claimed) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to claim session' });
+    }
+    
+    if (!claimed) {
+      return res.status(409).json({ error: 'Session not found or already claimed' });
+    }
+    
+    console.log('Legacy session claimed:', sessionId);
+    setAdminCookie(req, res, sessionId, adminSecret);
+    res.json({ success: true, adminSecret: adminSecret, recoveryKey: recoveryKey });
+  });
+});
+
+// Archived sessions keep their old short code for lookup; the admin secret (header, Bearer or
+// the old code's cookie) or recovery key finds the permanent ID
+app.post('/api/sessions/find-archived', (req, res) => {
+  const shortCode = String((req.body && req.body.shortCode) || '').trim().toUpperCase();
+  const recoveryKey = req.body && req.body.recoveryKey;
+  const secret = getAdminSecretFromRequest(req, shortCode);
+
+  if (!shortCode) {
+    return res.status(400).json({ error: 'Short code is required' });
+  }
+
+  if (!secret && !recoveryKey) {
+    return res.status(401).json({ error: 'Admin secret or recovery key is required' });
+  }
+
+  sessionStore.findArchived(
+    shortCode,
+    secret ? hashSecret(secret) : null,
+    recoveryKey ? hashSecret(recoveryKey) : null,
+    (err, session) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to find session' });
+      }
+
+      if (!session) {
+        return res.status(404).json({ error: 'No archived session found for that code' });
+      }
+
+      res.json({ success: true, sessionId: session.id });
+    }
+  );
+});
+
+// Pause, close or reopen request intake, and set or clear the scheduled open/close times.
+// opensAt/closesAt are ISO timestamps; null clears them, leaving them out keeps them.
+app.post('/api/sessions/:sessionId/intake', requireSessionPermission('intake'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const session = req.djSession;
+  const { status, opensAt, closesAt } = req.body;
+
+  if (session.archived_at) {
+    return res.status(409).json({ error: 'This session is archived' });
+  }
+
+  if (status !== undefined && !INTAKE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${INTAKE_STATUSES.join(', ')}` });
+  }
+
+  const parseTime = (value, label) => {
+    if (value === undefined) return { value: session[label] };
+    if (value === null || value === '') return { value: null };
+    const timestamp = toSqliteTimestamp(value);
+    return timestamp ? { value: timestamp } : { error: `Invalid ${label === 'opens_at' ? 'opensAt' : 'closesAt'} time` };
+  };
+  const opens = parseTime(opensAt, 'opens_at');
+  const closes = parseTime(closesAt, 'closes_at');
+  if (opens.error || closes.error) {
+    return res.status(400).json({ error: opens.error || closes.error });
+  }
+
+  const now = Date.now();
+  const requestStatus = status || session.request_status || 'open';
+  let opensValue = opens.value;
+  let closesValue = closes.value;
+
+  // "Open now" overrides a schedule that would otherwise keep intake shut
+  if (status === 'open') {
+    if (opensAt === undefined && opensValue && Date.parse(toIsoTimestamp(opensValue)) > now) opensValue = null;
+    if (closesAt === undefined && closesValue && Date.parse(toIsoTimestamp(closesValue)) <= now) closesValue = null;
+  }
+
+  if (opensValue && closesValue && Date.parse(toIsoTimestamp(closesValue)) <= Date.parse(toIsoTimestamp(opensValue))) {
+    return res.status(400).json({ error: 'Requests must close after they open' });
+  }
+
+  sessionStore.updateIntake(sessionId, { requestStatus, opensAt: opensValue, closesAt: closesValue }, (err) => {
+    if (err) {
+      console.error('Error updating request intake:', err);
+      return res.status(500).json({ error: 'Failed to update request intake' });
+    }
+
+    const intake = getIntakeState({ request_status: requestStatus, opens_at: opensValue, closes_at: closesValue });
+    console.log(`Request intake for session ${sessionId}: ${intake.state}`);
+    recordAudit(req, sessionId, 'session.intake', `Set requests to ${intake.state}`, {
+      status: requestStatus, opensAt: toIsoTimestamp(opensValue), closesAt: toIsoTimestamp(closesValue)
+    });
+    publishSessionEvent(sessionId, 'session.intake', { intake });
+    res.json({ success: true, intake });
+  });
+});
+
+// Archive now: the session moves to a permanent ID and its short code is freed
+app.post('/api/sessions/:sessionId/archive', requireSessionPermission('clear'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const session = req.djSession;
+
+  if (session.archived_at) {
+    return res.status(409).json({ error: 'This session is already archived' });
+  }
+
+  archiveSession(session, (err, archivedId) => {
+    if (err) {
+      console.error('Error archiving session:', err);
+      return res.status(500).json({ error: 'Failed to archive session' });
+    }
+
+    console.log(`Session ${sessionId} archived as ${archivedId}`);
+    recordAudit(req, archivedId, 'session.archived', 'Archived the session', { shortCode: sessionId });
+    setAdminCookie(req, res, archivedId, getAdminSecretFromRequest(req, sessionId));
+    announceSessionArchived(sessionId, archivedId);
+    res.json({ success: true, sessionId: archivedId, shortCode: sessionId });
+  });
+});
+
+// API Routes
+app.post('/api/submit', (req, res) => {
+  const { sessionId } = req.body;
+  let text;
+  try {
+    text = readSubmissionText(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const { songName, artist, userName } = text;
+  const track = getRequestedTrack(req.body);
+  const spotifyId = track && track.provider === 'spotify' ? track.id : null;
+  console.log('Received submission:', { songName, artist, sessionId, track: track ? `${track.provider}:${track.id}` : 'none' });
+
+  // Validation
+  if (!songName || !artist) {
+    return res.status(400).json({ error: 'Song name and artist are required' });
+  }
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
+  }
+  
+  // Verify session exists
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const intake = getIntakeState(session);
+    if (!intake.accepting) {
+      console.log(`✗ Submission refused for session ${sessionId}: requests ${intake.state}`);
+      return sendRequestsClosed(res, intake);
+    }
+
+    // The session's extra form fields (dedication, table number, ...)
+    let answers;
+    try {
+      answers = validateAnswers(readFormFields(session.form_fields), req.body.answers);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_ANSWER', field: error.field });
+    }
+
+    const identity = getGuestIdentity(req, res);
+    const normalizedKey = buildNormalizedKey(songName, artist);
+    
+    checkGuestLimits(session, identity, (err, violation) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to save submission' });
+      }
+    
+      if (violation) {
+        console.log(`✗ Submission refused for session ${sessionId}: ${violation.code}`);
+        return sendLimitViolation(res, violation);
+      }
+    
+      // Merge into an existing open request for the same track instead of adding a duplicate row
+      submissionStore.findOpenDuplicate(sessionId, track, normalizedKey, (err, duplicate) => {
+        if (err) {
+          console.error('Database error:', err);
+          return res.status(500).json({ error: 'Failed to save submission' });
+        }
+      
+        checkListPolicies(session, songName, artist, duplicate, (err, listViolation) => {
+          if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Failed to save submission' });
+          }
+          
+          if (listViolation) {
+            return rejectByPolicy(res, session, { songName, artist, userName, spotifyId }, listViolation);
+          }
+        
+          if (duplicate) {
+            return addRequester(duplicate.id, sessionId, identity, userName, 'request', answers, (err, added) => {
+              if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Failed to save submission' });
+              }
+          
+              console.log(`✓ Duplicate of submission ${duplicate.id}${added ? ' - request count increased' : ' - already requested by this guest'}`);
+              if (added) {
+                publishSubmissionEvent(duplicate.id, 'submission.updated');
+              }
+              issueTrackingLink(req, sessionId, identity.guestId, (tracking) => {
+                res.json({
+                  success: true,
+                  message: added ? 'This song was already requested - your request was added to it' : 'You already requested this song',
+                  id: duplicate.id,
+                  duplicate: true,
+                  requestCount: duplicate.request_count + (added ? 1 : 0),
+                  ...tracking
+                });
+              });
+            });
+          }
+      
+          // Sessions in moderation mode hold new requests until the DJ approves them
+          const initialStatus = session.moderation_required ? 'pending-review' : 'pending';
+      
+          // Save right away; BPM, key and the explicit flag are looked up in the background
+          submissionStore.create({
+            session_id: sessionId,
+            song_name: songName,
+            artist: artist,
+            user_name: userName || null,
+            original_song_name: songName,
+            original_artist: artist,
+            spotify_fetched: 0,
+            spotify_id: spotifyId,
+            track_provider: track ? track.provider : null,
+            track_id: track ? track.id : null,
+            normalized_key: normalizedKey,
+            request_count: 1,
+            status: initialStatus,
+            enrichment_status: 'queued'
+          }, (err, submissionId) => {
+            if (err) {
+              console.error('Database error:', err);
+              return res.status(500).json({ error: 'Failed to save submission' });
+            }
+      
+            console.log(`✓ Submission saved: ID=${submissionId}, track=${track ? `${track.provider}:${track.id}` : 'free text'}`);
+            submissionStore.recordRequester(submissionId, sessionId, identity, userName, 'request', answers, (err) => {
+              if (err) {
+                console.error('Error recording requester:', err);
+              }
+              publishSubmissionEvent(submissionId, 'submission.created');
+            });
+            fireWebhooks(sessionId, 'submission.created', {
+              submission: toWebhookSubmission({ id: submissionId, song_name: songName, artist, user_name: userName, status: initialStatus })
+            });
+
+            // BPM and explicit policies are checked once the lookup finishes
+            enqueueEnrichment({ sessionId, submissionId, applyPolicies: true }, (err) => {
+              if (err) {
+                console.error('Error queueing enrichment:', err);
+              }
+            });
+            
+            issueTrackingLink(req, sessionId, identity.guestId, (tracking) => {
+              res.json({ 
+                success: true, 
+                message: initialStatus === 'pending-review' ? 'Your request was sent to the DJ for review' : 'Submission saved successfully',
+                id: submissionId,
+                status: initialStatus,
+                ...tracking
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+app.get('/api/submissions', requireSessionAdmin, (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  // Fetch submissions for session
+  submissionStore.listBySession(sessionId, 'newest', (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to fetch submissions' });
+    }
+    
+    // Attach everyone who requested or upvoted each submission
+    submissionStore.listRequesters(sessionId, (err, requesterRows) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to fetch submissions' });
+      }
+      
+      const requestersBySubmission = {};
+      requesterRows.forEach(requester => {
+        const { submission_id, ...details } = requester;
+        (requestersBySubmission[submission_id] = requestersBySubmission[submission_id] || []).push(formatSubmissionRow(details));
+      });
+      
+      res.json(rows.map(row => {
+        row.requesters = requestersBySubmission[row.id] || [];
+        return formatSubmissionRow(row);
+      }));
+    });
+  });
+});
+
+// Public view of the open requests so guests can upvote instead of re-requesting
+app.get('/api/queue', (req, res) => {
+  const { sessionId } = req.query;
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
+  }
+  
+  const guestId = req.signedCookies ? req.signedCookies[GUEST_COOKIE_NAME] : null;
+  
+  // Requester names are left out on purpose - the guest page is public
+  submissionStore.listQueue(sessionId, guestId, (err, rows) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to fetch queue' });
+    }
+    
+    res.json({
+      queue: rows.map(row => ({
+        id: row.id,
+        songName: row.song_name,
+        artist: row.artist,
+        status: row.status,
+        requestCount: row.request_count,
+        requestedByMe: !!row.requested_by_me
+      }))
+    });
+  });
+});
+
+// The calling guest's own requests with their queue position, including why the DJ rejected
+// any of them, and the guest's tracking link once they have requested something
+app.get('/api/my-requests', (req, res) => {
+  const { sessionId } = req.query;
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
+  }
+  
+  const guestId = req.signedCookies ? req.signedCookies[GUEST_COOKIE_NAME] : null;
+  if (!guestId) {
+    return res.json({ requests: [] });
+  }
+  
+  loadGuestRequests(sessionId, guestId, (err, requests) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to fetch requests' });
+    }
+    
+    if (requests.length === 0) {
+      return res.json({ requests: [] });
+    }
+    issueTrackingLink(req, sessionId, guestId, (tracking) => {
+      res.json({ requests: requests, ...tracking });
+    });
+  });
+});
+
+// Browsers a guest can turn notifications on in, per session
+const MAX_PUSH_SUBSCRIPTIONS_PER_GUEST = 5;
+
+// Resolve the guest behind a tracking token (req.tracker: session_id, guest_id)
+function requireTracker(req, res, next) {
+  guestStore.findTracker(hashSecret(req.params.token), (err, tracker) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load tracking link' });
+    }
+
+    if (!tracker) {
+      return res.status(404).json({ error: 'Tracking link not found' });
+    }
+
+    req.tracker = tracker;
+    next();
+  });
+}
+
+// A guest's requests behind their private tracking link - works from any device, no cookie needed
+app.get('/api/track/:token', requireTracker, (req, res) => {
+  const { session_id: sessionId, guest_id: guestId } = req.tracker;
+
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to fetch requests' });
+    }
+
+    if (!session) {
+      return res.status(404).json({ error: 'Tracking link not found' });
+    }
+
+    loadGuestRequests(sessionId, guestId, (err, requests) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to fetch requests' });
+      }
+
+      res.json({
+        session: { id: session.id, name: session.name, archived: !!session.archived_at },
+        guestUrl: session.archived_at ? null : getGuestUrl(req, session.id),
+        requests: requests,
+        push: { enabled: pushNotifier.enabled, publicKey: pushNotifier.publicKey }
+      });
+    });
+  });
+});
+
+// Turn on notifications for this browser: body { subscription } as PushSubscription.toJSON() gives it
+app.post('/api/track/:token/push', requireTracker, (req, res) => {
+  if (!pushNotifier.enabled) {
+    return res.status(503).json({ error: 'Notifications are not set up on this server', code: 'PUSH_DISABLED' });
+  }
+
+  const subscription = parsePushSubscription(req.body.subscription);
+  if (!subscription) {
+    return res.status(400).json({ error: 'A valid push subscription is required' });
+  }
+
+  const { session_id: sessionId, guest_id: guestId } = req.tracker;
+  guestStore.countPushSubscriptions(sessionId, guestId, subscription.endpoint, (err, count) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to save subscription' });
+    }
+
+    if (count >= MAX_PUSH_SUBSCRIPTIONS_PER_GUEST) {
+      return res.status(429).json({ error: 'Notifications are already on for too many devices', code: 'TOO_MANY_DEVICES' });
+    }
+
+    guestStore.savePushSubscription({ ...subscription, sessionId, guestId }, (err) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to save subscription' });
+      }
+
+      res.json({ success: true });
+    });
+  });
+});
+
+// Turn notifications off again: body { endpoint }
+app.delete('/api/track/:token/push', requireTracker, (req, res) => {
+  const { endpoint } = req.body;
+
+  if (typeof endpoint !== 'string' || !endpoint) {
+    return res.status(400).json({ error: 'Endpoint is required' });
+  }
+
+  guestStore.deletePushSubscription(endpoint, req.tracker.guest_id, (err, removed) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to remove subscription' });
+    }
+
+    res.json({ success: true, removed: removed });
+  });
+});
+
+// Guest upvote of an existing request
+app.post('/api/submissions/:id/upvote', (req, res) => {
+  const { sessionId } = req.body;
+  const submissionId = parseInt(req.params.id, 10);
+  let userName;
+  try {
+    userName = readSubmissionText(req.body).userName;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'Session ID is required' });
+  }
+  
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to upvote' });
+    }
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Upvotes count as requests, so they stop when intake does
+    const intake = getIntakeState(session);
+    if (!intake.accepting) {
+      return sendRequestsClosed(res, intake);
+    }
+
+    submissionStore.findUpvotable(
+      sessionId,
+      submissionId,
+      (err, submission) => {
+        if (err) {
+          console.error('Database error:', err);
+          return res.status(500).json({ error: 'Failed to upvote' });
+        }
+      
+        if (!submission) {
+          return res.status(404).json({ error: 'Request not found or already played' });
+        }
+      
+        const identity = getGuestIdentity(req, res);
+      
+        // Banned guests can't upvote either; quotas only count requests
+        banStore.findForGuest(
+          sessionId,
+          identity,
+          (err, ban) => {
+            if (err) {
+              console.error('Database error:', err);
+              return res.status(500).json({ error: 'Failed to upvote' });
+            }
+          
+            if (ban) {
+              return res.status(403).json({ error: 'The DJ is not accepting requests from you for this event', code: 'BANNED' });
+            }
+          
+            addRequester(submissionId, sessionId, identity, userName, 'upvote', null, (err, added) => {
+              if (err) {
+                console.error('Database error:', err);
+                return res.status(500).json({ error: 'Failed to upvote' });
+              }
+            
+              if (!added) {
+                return res.status(409).json({ error: 'You already requested or upvoted this song' });
+              }
+            
+              publishSubmissionEvent(submissionId, 'submission.updated');
+              res.json({ success: true, requestCount: (submission.request_count || 1) + 1 });
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+// Ban the guest behind a request from this session (DJ only)
+app.post('/api/sessions/:sessionId/bans', requireSessionPermission('guests'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { submissionId, includeIp, reason } = req.body;
+  
+  if (!submissionId) {
+    return res.status(400).json({ error: 'Submission ID is required' });
+  }
+  
+  // The original requester, not the upvoters
+  submissionStore.findOriginalRequester(
+    sessionId,
+    submissionId,
+    (err, requester) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to ban guest' });
+      }
+      
+      if (!requester) {
+        return res.status(404).json({ error: 'No guest identity recorded for this request' });
+      }
+      
+      banStore.create(
+        {
+          sessionId: sessionId,
+          guestId: requester.guest_id,
+          ipHash: includeIp ? requester.ip_hash : null,
+          userName: requester.user_name,
+          reason: reason
+        },
+        (err, banId) => {
+          if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Failed to ban guest' });
+          }
+          
+          console.log(`Banned guest from session ${sessionId} (ban ${banId}${includeIp ? ', including IP' : ''})`);
+          recordAudit(req, sessionId, 'guest.banned', `Banned ${requester.user_name || 'an anonymous guest'}${includeIp ? ' and their network' : ''}`, {
+            banId: banId, submissionId
+          });
+          res.json({ success: true, id: banId });
+        }
+      );
+    }
+  );
+});
+
+app.get('/api/sessions/:sessionId/bans', requireSessionAdmin, (req, res) => {
+  banStore.list(
+    req.djSession.id,
+    (err, rows) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to fetch bans' });
+      }
+      
+      res.json(rows.map(formatSubmissionRow));
+    }
+  );
+});
+
+app.delete('/api/sessions/:sessionId/bans/:banId', requireSessionPermission('guests'), (req, res) => {
+  banStore.remove(
+    req.djSession.id,
+    req.params.banId,
+    (err, removed) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to remove ban' });
+      }
+      
+      if (!removed) {
+        return res.status(404).json({ error: 'Ban not found' });
+      }
+      
+      recordAudit(req, req.djSession.id, 'guest.unbanned', 'Lifted a guest ban', { banId: parseInt(req.params.banId, 10) });
+      res.json({ success: true });
+    }
+  );
+});
+
+// Request policies for a session, with its do-not-play list (DJ only)
+app.get('/api/sessions/:sessionId/policies', requireSessionAdmin, (req, res) => {
+  const session = req.djSession;
+  
+  policyStore.listDoNotPlay(
+    session.id,
+    'newest',
+    (err, entries) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to fetch policies' });
+      }
+      
+      res.json({
+        blockExplicit: !!session.policy_block_explicit,
+        minBpm: session.policy_min_bpm,
+        maxBpm: session.policy_max_bpm,
+        maxPerArtist: session.policy_max_per_artist,
+        blockedMessage: session.policy_blocked_message,
+        defaultBlockedMessage: DEFAULT_BLOCKED_MESSAGE,
+        doNotPlay: entries.map(formatSubmissionRow)
+      });
+    }
+  );
+});
+
+app.post('/api/sessions/:sessionId/policies', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { blockExplicit, minBpm, maxBpm, maxPerArtist, blockedMessage } = req.body;
+  
+  const min = parseLimit(minBpm);
+  const max = parseLimit(maxBpm);
+  if (min && max && min > max) {
+    return res.status(400).json({ error: 'Minimum BPM must not be above maximum BPM' });
+  }
+  
+  const message = typeof blockedMessage === 'string' && blockedMessage.trim() ? blockedMessage.trim().slice(0, 200) : null;
+  
+  settingsStore.update(sessionId, {
+    blockExplicit: !!blockExplicit,
+    minBpm: min,
+    maxBpm: max,
+    maxPerArtist: parseLimit(maxPerArtist),
+    blockedMessage: message
+  }, (err) => {
+    if (err) {
+      console.error('Error updating policies:', err);
+      return res.status(500).json({ error: 'Failed to update policies' });
+    }
+    
+    console.log('Policies updated for session:', sessionId);
+    recordAudit(req, sessionId, 'policies.updated', 'Updated the request policies', {
+      blockExplicit: !!blockExplicit, minBpm: min, maxBpm: max, maxPerArtist: parseLimit(maxPerArtist)
+    });
+    res.json({ success: true });
+  });
+});
+
+// Extra guest form fields: `fields` replaces the whole list ([] or null removes them). Answers
+// already given keep the labels they were asked with.
+app.post('/api/sessions/:sessionId/form-fields', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  let fields;
+  try {
+    fields = parseFormFields(req.body.fields);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  settingsStore.update(sessionId, { formFields: fields.length ? JSON.stringify(fields) : null }, (err) => {
+    if (err) {
+      console.error('Error updating form fields:', err);
+      return res.status(500).json({ error: 'Failed to update form fields' });
+    }
+    
+    console.log(`Form fields updated for session ${sessionId}: ${fields.length}`);
+    recordAudit(req, sessionId, 'form-fields.updated', fields.length ? `Set the form's extra questions: ${fields.map(field => field.label).join(', ')}` : 'Removed the form\'s extra questions');
+    publishSessionEvent(sessionId, 'settings.updated', { formFields: fields });
+    fireWebhooks(sessionId, 'settings.updated', { changed: ['formFields'], settings: { formFields: fields } });
+    res.json({ success: true, fields: fields });
+  });
+});
+
+app.post('/api/sessions/:sessionId/do-not-play', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const artist = typeof req.body.artist === 'string' ? req.body.artist.trim() : '';
+  const track = typeof req.body.track === 'string' ? req.body.track.trim() : '';
+  const matchType = req.body.matchType === 'fuzzy' ? 'fuzzy' : 'exact';
+  
+  if (!artist && !track) {
+    return res.status(400).json({ error: 'An artist or a track is required' });
+  }
+  
+  policyStore.addDoNotPlay(
+    sessionId,
+    { artist, track, matchType },
+    (err, entryId) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to add to do-not-play list' });
+      }
+      
+      recordAudit(req, sessionId, 'do-not-play.added', `Added ${[track && `"${track}"`, artist].filter(Boolean).join(' by ')} to the do-not-play list`, {
+        entryId: entryId, artist: artist || null, track: track || null, matchType
+      });
+      res.json({ success: true, id: entryId });
+    }
+  );
+});
+
+app.delete('/api/sessions/:sessionId/do-not-play/:entryId', requireSessionPermission('settings'), (req, res) => {
+  policyStore.removeDoNotPlay(
+    req.djSession.id,
+    req.params.entryId,
+    (err, removed) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to remove entry' });
+      }
+      
+      if (!removed) {
+        return res.status(404).json({ error: 'Entry not found' });
+      }
+      
+      recordAudit(req, req.djSession.id, 'do-not-play.removed', 'Removed an entry from the do-not-play list', { entryId: parseInt(req.params.entryId, 10) });
+      res.json({ success: true });
+    }
+  );
+});
+
+// Log of requests refused by a policy (DJ only)
+app.get('/api/sessions/:sessionId/blocked', requireSessionAdmin, (req, res) => {
+  policyStore.listBlocked(
+    req.djSession.id,
+    100,
+    (err, rows) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to fetch blocked requests' });
+      }
+      
+      res.json(rows.map(formatSubmissionRow));
+    }
+  );
+});
+
+// What mixes well out of the current track (DJ only)
+app.get('/api/sessions/:sessionId/mix-suggestions', requireSessionPermission('queue'), (req, res) => {
+  const fromId = req.query.fromId ? parseInt(req.query.fromId, 10) : null;
+  const allowHalfDouble = req.query.halfDouble === '1' || req.query.halfDouble === 'true';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  
+  loadMixContext(req.djSession.id, fromId, (err, from, candidates) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to rank requests' });
+    }
+    
+    if (!from) {
+      return res.status(fromId ? 404 : 409).json({ error: fromId ? 'Track not found in the queue' : 'Nothing is playing - mark a track as now playing first' });
+    }
+    
+    res.json({
+      from: from,
+      suggestions: rankMixCandidates(from, candidates, allowHalfDouble).slice(0, limit)
+    });
+  });
+});
+
+// Suggested order for the whole remaining queue (DJ only)
+app.get('/api/sessions/:sessionId/mix-order', requireSessionPermission('queue'), (req, res) => {
+  const fromId = req.query.fromId ? parseInt(req.query.fromId, 10) : null;
+  const allowHalfDouble = req.query.halfDouble === '1' || req.query.halfDouble === 'true';
+  
+  loadMixContext(req.djSession.id, fromId, (err, from, candidates) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to order requests' });
+    }
+    
+    const order = suggestMixOrder(from, candidates, allowHalfDouble);
+    const scored = order.filter(step => step.score !== null);
+    
+    res.json({
+      from: from,
+      order: order,
+      averageScore: scored.length ? Math.round(scored.reduce((sum, step) => sum + step.score, 0) / scored.length * 100) / 100 : null
+    });
+  });
+});
+
+// Look up BPM/key again for one request ({ submissionId }) or the whole session
+// ({ missingOnly: true } skips rows that already have both) (DJ only)
+app.post('/api/sessions/:sessionId/enrich', requireSessionPermission('queue'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const submissionId = req.body.submissionId ? parseInt(req.body.submissionId, 10) : null;
+  
+  if (req.body.submissionId && !Number.isInteger(submissionId)) {
+    return res.status(400).json({ error: 'Invalid submission ID' });
+  }
+  
+  enqueueEnrichment({ sessionId, submissionId, missingOnly: !!req.body.missingOnly, applyPolicies: false }, (err, queuedCount) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to queue lookups' });
+    }
+    
+    if (submissionId && queuedCount === 0) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    
+    console.log(`Queued ${queuedCount} metadata lookups in session ${sessionId}`);
+    res.json({ success: true, queued: queuedCount });
+  });
+});
+
+// Download the session's requests as json, csv, m3u, rekordbox (XML) or serato (crate).
+// ?status=played,skipped limits the export to those statuses (DJ only)
+app.get('/api/sessions/:sessionId/export', requireSessionPermission('reports'), (req, res) => {
+  const session = req.djSession;
+  const format = EXPORT_FORMATS[req.query.format || 'json'];
+  
+  if (!format) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : null;
+  if (statuses && statuses.some(status => !SUBMISSION_STATUSES.includes(status))) {
+    return res.status(400).json({ error: `Status must be one of: ${SUBMISSION_STATUSES.join(', ')}` });
+  }
+  
+  buildSessionExport(session, (err, document) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to export session' });
+    }
+    
+    if (statuses) {
+      document.submissions = document.submissions.filter(submission => statuses.includes(submission.status));
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', format.contentType);
+    res.set('Content-Disposition', `attachment; filename="djq-${session.id}-${date}.${format.extension}"`);
+    res.send(format.render(document));
+  });
+});
+
+// Restore a JSON export into this session. ?mode=replace clears the session's requests first;
+// ?settings=1 also applies the exported settings, policies and do-not-play list (DJ only)
+app.post('/api/sessions/:sessionId/import', requireSessionPermission('settings'), express.json({ limit: '10mb' }), (req, res) => {
+  const sessionId = req.djSession.id;
+  const document = req.body;
+  const replace = req.query.mode === 'replace';
+  
+  if (!document || document.format !== EXPORT_DOCUMENT_FORMAT || !Array.isArray(document.submissions)) {
+    return res.status(400).json({ error: 'Expected a DJQ JSON session export' });
+  }
+  if (document.version > EXPORT_DOCUMENT_VERSION) {
+    return res.status(400).json({ error: 'This export was made by a newer version of DJQ' });
+  }
+  if (document.submissions.length > MAX_IMPORT_SUBMISSIONS) {
+    return res.status(413).json({ error: `Exports can have at most ${MAX_IMPORT_SUBMISSIONS} requests` });
+  }
+  
+  importSessionDocument(sessionId, document, { replace, settings: req.query.settings === '1' }, (err, result) => {
+    if (err) {
+      console.error('Error importing session:', err);
+      return res.status(500).json({ error: 'Failed to import session' });
+    }
+    
+    console.log(`Imported ${result.imported} submissions into session ${sessionId}${replace ? ' (replaced)' : ''}`);
+    recordAudit(req, sessionId, 'session.imported', `Imported ${result.imported} requests${replace ? ', replacing the queue' : ''}`, {
+      imported: result.imported, skipped: result.skipped, replaced: replace
+    });
+    
+    // Imported requests are matched against this instance's library, not the exporter's
+    applyLibraryMatches(sessionId, (err) => {
+      if (err) {
+        console.error('Error matching imported submissions to library:', err);
+      }
+      publishSessionEvent(sessionId, 'submissions.imported', { imported: result.imported, replaced: replace });
+      res.json({ success: true, imported: result.imported, skipped: result.skipped });
+    });
+  });
+});
+
+// Requests over time, top artists and tracks, BPM/key distributions and outcomes (DJ only).
+// ?interval=5|15|60 sets the timeline bucket in minutes.
+app.get('/api/sessions/:sessionId/analytics', requireSessionPermission('reports'), (req, res) => {
+  const interval = parseAnalyticsInterval(req.query.interval);
+  if (!interval) {
+    return res.status(400).json({ error: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')} (minutes)` });
+  }
+  
+  loadSessionAnalytics(req.djSession, interval, (err, analytics) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load analytics' });
+    }
+    res.json(analytics);
+  });
+});
+
+// Post-event recap as a standalone HTML file (DJ only). ?tzOffset= is the DJ's UTC offset in
+// minutes (east positive) so times read as local; ?interval= as for /analytics.
+app.get('/api/sessions/:sessionId/report', requireSessionPermission('reports'), (req, res) => {
+  const session = req.djSession;
+  const interval = parseAnalyticsInterval(req.query.interval);
+  const timezoneOffset = parseInt(req.query.tzOffset || '0', 10);
+  
+  if (!interval) {
+    return res.status(400).json({ error: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')} (minutes)` });
+  }
+  if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+    return res.status(400).json({ error: 'tzOffset must be minutes from UTC, between -840 and 840' });
+  }
+  
+  loadSessionAnalytics(session, interval, (err, analytics) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to build report' });
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="djq-${session.id}-report-${date}.html"`);
+    res.send(renderAnalyticsReport(analytics, { timezoneOffset }));
+  });
+});
+
+// The session's DJ library: file name, format, track count and how many requests it matches (DJ only)
+app.get('/api/sessions/:sessionId/library', requireSessionAdmin, (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  libraryStore.findBySession(sessionId, (err, library) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load library' });
+    }
+    
+    submissionStore.countLibraryMatches(sessionId, (err, matchedCount) => {
+      if (err) {
+        console.error('Database error:', err);
+        return res.status(500).json({ error: 'Failed to load library' });
+      }
+      res.json({ library: toPublicLibrary(library, matchedCount), formats: LIBRARY_FORMATS });
+    });
+  });
+});
+
+// Upload (replace) the DJ library. The body is the raw export file; ?format=rekordbox|itunes|csv
+// when it can't be told from the content, ?fileName= for display (DJ only)
+app.put('/api/sessions/:sessionId/library', requireSessionPermission('library'), express.text({ type: () => true, limit: '50mb' }), (req, res) => {
+  const sessionId = req.djSession.id;
+  const format = req.query.format || null;
+  const fileName = req.query.fileName ? String(req.query.fileName).slice(0, 200) : null;
+  
+  if (format && !LIBRARY_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${LIBRARY_FORMATS.join(', ')}` });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Upload a library export file' });
+  }
+  
+  let parsed;
+  try {
+    parsed = parseLibrary(req.body, format);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (parsed.tracks.length === 0) {
+    return res.status(400).json({ error: 'No tracks found in the library file' });
+  }
+  if (parsed.tracks.length > MAX_LIBRARY_TRACKS) {
+    return res.status(413).json({ error: `Libraries can have at most ${MAX_LIBRARY_TRACKS} tracks` });
+  }
+  
+  libraryStore.replace(sessionId, { fileName, format: parsed.format, tracks: parsed.tracks }, (err, library) => {
+    if (err) {
+      console.error('Error storing library:', err);
+      return res.status(500).json({ error: 'Failed to save library' });
+    }
+    
+    applyLibraryMatches(sessionId, (err, matchedCount) => {
+      if (err) {
+        console.error('Error matching submissions to library:', err);
+        return res.status(500).json({ error: 'Library saved, but matching requests failed' });
+      }
+      
+      console.log(`Stored ${parsed.format} library with ${parsed.tracks.length} tracks for session ${sessionId} (${matchedCount} requests matched)`);
+      recordAudit(req, sessionId, 'library.uploaded', `Uploaded ${fileName ? `the library ${fileName}` : 'a library'} (${parsed.tracks.length} tracks)`, {
+        format: parsed.format, trackCount: parsed.tracks.length
+      });
+      const publicLibrary = toPublicLibrary(library, matchedCount);
+      publishSessionEvent(sessionId, 'library.updated', { library: publicLibrary });
+      res.json({ success: true, library: publicLibrary });
+    });
+  });
+});
+
+// Remove the DJ library; requests lose their badge and BPM/key that came from it is looked up again (DJ only)
+app.delete('/api/sessions/:sessionId/library', requireSessionPermission('library'), (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  // Tracks and library go together, or neither does
+  libraryStore.remove(sessionId, (err, removed) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to remove library' });
+    }
+    if (!removed) {
+      return res.status(404).json({ error: 'This session has no library' });
+    }
+    
+    applyLibraryMatches(sessionId, (err) => {
+      if (err) {
+        console.error('Error unmatching submissions from library:', err);
+        return res.status(500).json({ error: 'Failed to remove library' });
+      }
+      
+      console.log(`Removed library from session ${sessionId}`);
+      recordAudit(req, sessionId, 'library.removed', 'Removed the library');
+      publishSessionEvent(sessionId, 'library.updated', { library: null });
+      res.json({ success: true });
+    });
+  });
+});
+
+// Background images: variants live in the file store under backgrounds/<imageId>/<width>.jpg
+function backgroundImageKey(imageId, width) {
+  return `backgrounds/${imageId}/${width}.jpg`;
+}
+
+// What the pages get for a background_images row: the largest variant as `url` plus every
+// variant, so phones can pick a smaller one
+function toPublicBackgroundImage(image) {
+  if (!image) return null;
+  const variants = image.variants.map(variant => ({
+    width: variant.width,
+    height: variant.height,
+    url: `/media/${backgroundImageKey(image.id, variant.width)}`
+  }));
+  return { id: image.id, width: image.width, height: image.height, url: variants[variants.length - 1].url, variants: variants };
+}
+
+// The session's background color. Older admin pages stored uploads as data URLs in the same
+// column; those fall back to black rather than shipping megabytes of base64 to every guest.
+function backgroundColorOf(value) {
+  return value && value.trim() !== '' && !value.startsWith('data:') ? value : '#000';
+}
+
+function removeBackgroundFiles(image) {
+  if (!image) return;
+  fileStore.remove(image.variants.map(variant => backgroundImageKey(image.id, variant.width)), (err) => {
+    if (err) console.error(`Error removing background image ${image.id}:`, err);
+  });
+}
+
+// Raw image bodies up to MAX_BACKGROUND_BYTES; anything bigger gets a JSON 413 instead of Express's HTML page
+const backgroundBodyParser = express.raw({ type: () => true, limit: MAX_BACKGROUND_BYTES });
+function parseBackgroundUpload(req, res, next) {
+  backgroundBodyParser(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Images can be at most ${MAX_BACKGROUND_BYTES / 1024 / 1024} MB`, code: 'IMAGE_TOO_LARGE' });
+    }
+    next(err);
+  });
+}
+
+// Upload (replace) the session's background image. The body is the image file itself (DJ only)
+app.put('/api/sessions/:sessionId/background', requireSessionPermission('settings'), parseBackgroundUpload, (req, res) => {
+  const sessionId = req.djSession.id;
+  const declaredType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Upload an image file' });
+  }
+
+  // The declared type only has to be plausible; what counts is what the bytes say
+  const sourceType = detectImageType(req.body);
+  if ((declaredType && !declaredType.startsWith('image/') && declaredType !== 'application/octet-stream') || !sourceType) {
+    return res.status(415).json({ error: 'Backgrounds must be JPEG, PNG, WebP or GIF images', code: 'UNSUPPORTED_IMAGE', types: BACKGROUND_TYPES });
+  }
+
+  renderBackgroundVariants(req.body, (err, rendered) => {
+    if (err) {
+      if (err.invalidImage) {
+        return res.status(422).json({ error: err.message, code: 'INVALID_IMAGE' });
+      }
+      console.error('Error resizing background image:', err);
+      return res.status(500).json({ error: 'Failed to process image' });
+    }
+
+    const image = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      sessionId: sessionId,
+      sourceType: sourceType,
+      width: rendered.width,
+      height: rendered.height,
+      variants: rendered.variants.map(variant => ({ width: variant.width, height: variant.height, bytes: variant.buffer.length }))
+    };
+    const keys = rendered.variants.map(variant => backgroundImageKey(image.id, variant.width));
+
+    const storeVariant = (index) => {
+      if (index >= rendered.variants.length) return saveImage();
+      fileStore.put(keys[index], rendered.variants[index].buffer, (err) => {
+        if (err) {
+          console.error('Error storing background image:', err);
+          fileStore.remove(keys.slice(0, index), () => {});
+          return res.status(500).json({ error: 'Failed to save image' });
+        }
+        storeVariant(index + 1);
+      });
+    };
+
+    const saveImage = () => {
+      imageStore.replaceBackground(image, (err, previous) => {
+        if (err) {
+          console.error('Database error:', err);
+          fileStore.remove(keys, () => {});
+          return res.status(500).json({ error: 'Failed to save image' });
+        }
+
+        removeBackgroundFiles(previous);
+        const backgroundImage = toPublicBackgroundImage(image);
+        console.log(`Stored background image ${image.id} for session ${sessionId} (${sourceType}, ${image.width}x${image.height}, ${image.variants.length} sizes)`);
+        recordAudit(req, sessionId, 'background.uploaded', 'Uploaded a background image', { imageId: image.id });
+        publishSessionEvent(sessionId, 'settings.updated', { backgroundImage: backgroundImage });
+        fireWebhooks(sessionId, 'settings.updated', { changed: ['backgroundImage'], settings: { backgroundImage: backgroundImage } });
+        res.json({ success: true, backgroundImage: backgroundImage });
+      });
+    };
+
+    storeVariant(0);
+  });
+});
+
+// Remove the background image; the session's background color applies again (DJ only)
+app.delete('/api/sessions/:sessionId/background', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+
+  imageStore.deleteBackground(sessionId, (err, removed) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to remove image' });
+    }
+
+    if (!removed) {
+      return res.status(404).json({ error: 'This session has no background image' });
+    }
+
+    removeBackgroundFiles(removed);
+    console.log(`Removed background image ${removed.id} from session ${sessionId}`);
+    recordAudit(req, sessionId, 'background.removed', 'Removed the background image', { imageId: removed.id });
+    publishSessionEvent(sessionId, 'settings.updated', { backgroundImage: null });
+    fireWebhooks(sessionId, 'settings.updated', { changed: ['backgroundImage'], settings: { backgroundImage: null } });
+    res.json({ success: true });
+  });
+});
+
+// Background image variants (public). Every upload gets a new ID, so they can be cached for good.
+app.get('/media/backgrounds/:imageId/:fileName', (req, res) => {
+  const { imageId, fileName } = req.params;
+
+  if (!/^[A-Za-z0-9_-]{16}$/.test(imageId) || !/^\d{1,5}\.jpg$/.test(fileName)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+  fileStore.read(`backgrounds/${imageId}/${fileName}`, (err, buffer) => {
+    if (err) {
+      console.error('Error reading background image:', err);
+      return res.status(500).json({ error: 'Failed to load image' });
+    }
 
-app.get('/admin', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
+    if (!buffer) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
 
-app.get('/session/:sessionId', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(buffer);
+  });
 });
 
-app.get('/admin/:sessionId', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+// Live event stream for a session's dashboard (DJ only)
+app.get('/api/sessions/:sessionId/events', requireSessionAdmin, (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  
+  // Revoking an invite closes its streams
+  res.djqInviteId = req.djActor.inviteId;
+  subscribeToSessionEvents(sessionId, res);
+  console.log(`Event stream opened for session ${sessionId}`);
+  
+  req.on('close', () => {
+    unsubscribeFromSessionEvents(sessionId, res);
+    console.log(`Event stream closed for session ${sessionId}`);
+  });
 });
 
-app.get('/qr/:sessionId', async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const baseUrl = req.protocol + '://' + req.get('host');
-    // Use shorter URL format: djq.com/XXXX
-    const qrCodeDataURL = await QRCode.toDataURL(`${baseUrl}/${sessionId}`);
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>QR Code - Song Requests</title>
-        <script src="https://cdn.tailwindcss.com"></script>
-      </head>
-      <body class="bg-gray-100 min-h-screen flex items-center justify-center p-4">
-        <div class="bg-white rounded-lg shadow-lg p-8 text-center max-w-md w-full">
-          <h1 class="text-2xl font-bold text-gray-800 mb-4">Song Request QR Code</h1>
-          <div class="mb-4">
-            <img src="${qrCodeDataURL}" alt="QR Code" class="mx-auto">
-          </div>
-          <p class="text-gray-600 mb-4">Scan this QR code to submit a song request</p>
-          <a href="/admin/${sessionId}" class="inline-block bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors">
-            Go to Admin Dashboard
-          </a>
-        </div>
-      </body>
-      </html>
-    `);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to generate QR code' });
-  }
-});
+// Venue display: how many upcoming requests it lists, and how many screens may stream one session
+const DISPLAY_QUEUE_LENGTH = 5;
+const MAX_DISPLAY_STREAMS_PER_SESSION = 20;
 
-// API Routes - Session Management (must be before catch-all route)
-app.post('/api/sessions', (req, res) => {
-  console.log('POST /api/sessions called');
-  const { name } = req.body;
-  console.log('Request body:', { name });
+// Form answers the venue display may show, by submission ID: [{ label, value }] for the
+// session's fields marked showOnDisplay, under their current labels. Answers to fields the DJ
+// has since removed or hidden are left out.
+function loadDisplayAnswers(session, submissionIds, callback) {
+  const fields = new Map(readFormFields(session.form_fields)
+    .filter(field => field.showOnDisplay)
+    .map(field => [field.id, field]));
+  if (fields.size === 0) return callback(null, {});
   
-  if (!name || name.trim() === '') {
-    console.log('Session name validation failed');
-    return res.status(400).json({ error: 'Session name is required' });
-  }
+  submissionStore.listAnswers(submissionIds, (err, rows) => {
+    if (err) return callback(err);
+    
+    const answersById = {};
+    rows.forEach(row => {
+      row.answers.filter(answer => fields.has(answer.id)).forEach(answer => {
+        (answersById[row.submission_id] = answersById[row.submission_id] || []).push({
+          label: fields.get(answer.id).label,
+          value: formatAnswerValue(answer.value)
+        });
+      });
+    });
+    callback(null, answersById);
+  });
+}
+
+// Everything the venue display shows (public). Requester names and the queue are left out here,
+// not just hidden on the screen, when the DJ turns them off.
+app.get('/api/sessions/:sessionId/display', (req, res) => {
+  const { sessionId } = req.params;
   
-  // Generate unique session ID
-  console.log('Generating session ID...');
-  generateSessionId((sessionId) => {
-    console.log('Session ID generated:', sessionId);
+  sessionStore.findById(sessionId, (err, session) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to load display' });
+    }
     
-    if (!sessionId) {
-      console.error('Failed to generate session ID');
-      return res.status(500).json({ error: 'Failed to generate unique session ID' });
+    if (!session || session.archived_at) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    const sessionName = name.trim();
-    console.log('Creating session:', { sessionId, sessionName });
+    const showNames = session.display_show_names !== 0;
+    const showQueue = session.display_show_queue !== 0;
     
-    // Set default values: session name as welcome message, default subtitle, black background
-    const stmt = db.prepare('INSERT INTO sessions (id, name, welcome_message, subtitle_message, background) VALUES (?, ?, ?, ?, ?)');
-    stmt.run([sessionId, sessionName, sessionName, 'Submit your song below', '#000'], function(err) {
+    submissionStore.listForDisplay(sessionId, DISPLAY_QUEUE_LENGTH + 1, (err, rows) => {
       if (err) {
         console.error('Database error:', err);
-        return res.status(500).json({ error: 'Failed to create session' });
+        return res.status(500).json({ error: 'Failed to load display' });
       }
       
-      console.log('Session created successfully:', sessionId);
-      res.json({
-        success: true,
-        session: {
-          id: sessionId,
-          name: sessionName,
-          createdAt: new Date().toISOString()
+      const nowPlaying = rows.find(row => row.status === 'now-playing');
+      const upcoming = showQueue ? rows.filter(row => row !== nowPlaying).slice(0, DISPLAY_QUEUE_LENGTH) : [];
+      const shown = (nowPlaying ? [nowPlaying] : []).concat(upcoming);
+      
+      loadDisplayAnswers(session, shown.map(row => row.id), (err, answersById) => {
+        if (err) {
+          console.error('Database error:', err);
+          return res.status(500).json({ error: 'Failed to load display' });
         }
+        
+        const toTrack = (row) => ({
+          id: row.id,
+          songName: row.song_name,
+          artist: row.artist,
+          requestedBy: showNames ? row.user_name || null : null,
+          requestCount: row.request_count,
+          answers: answersById[row.id] || []
+        });
+        
+        imageStore.findBackground(sessionId, (err, image) => {
+          if (err) {
+            console.error('Database error:', err);
+            return res.status(500).json({ error: 'Failed to load display' });
+          }
+          
+          const backgroundImage = toPublicBackgroundImage(image);
+          res.json({
+            session: {
+              id: session.id,
+              name: session.name,
+              welcomeMessage: session.welcome_message || session.name,
+              subtitleMessage: session.subtitle_message || 'Submit your song below',
+              background: backgroundImage ? backgroundImage.url : backgroundColorOf(session.background),
+              backgroundImage: backgroundImage
+            },
+            guestUrl: getGuestUrl(req, sessionId),
+            intake: getIntakeState(session),
+            display: { showNames, showQueue },
+            nowPlaying: nowPlaying ? toTrack(nowPlaying) : null,
+            upNext: upcoming.map(row => ({ ...toTrack(row), status: row.status }))
+          });
+        });
       });
     });
-    stmt.finalize();
   });
 });
 
-app.get('/api/sessions/:sessionId', (req, res) => {
+// Live refresh hints for the venue display (public); see publishSessionEvent
+app.get('/api/sessions/:sessionId/display/events', (req, res) => {
   const { sessionId } = req.params;
   
-  db.get('SELECT * FROM sessions WHERE id = ?', [sessionId], (err, session) => {
+  sessionStore.exists(sessionId, (err, found) => {
     if (err) {
       console.error('Database error:', err);
-      return res.status(500).json({ error: 'Failed to get session' });
+      return res.status(500).json({ error: 'Failed to open display stream' });
     }
     
-    if (!session) {
+    if (!found) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    res.json({ success: true, session: session });
-  });
-});
-
-app.get('/api/sessions', (req, res) => {
-  db.all('SELECT * FROM sessions WHERE is_active = 1 ORDER BY created_at DESC', [], (err, rows) => {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({ error: 'Failed to get sessions' });
+    const displays = [...(sessionEventStreams.get(sessionId) || [])].filter(stream => stream.djqDisplay);
+    if (displays.length >= MAX_DISPLAY_STREAMS_PER_SESSION) {
+      return res.status(429).json({ error: 'Too many displays for this session' });
     }
     
-    res.json({ success: true, sessions: rows });
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    res.djqDisplay = true;
+    subscribeToSessionEvents(sessionId, res);
+    
+    req.on('close', () => {
+      unsubscribeFromSessionEvents(sessionId, res);
+    });
   });
 });
 
-// API Routes
-app.post('/api/submit', (req, res) => {
-  const { songName, artist, userName, sessionId, spotifyId } = req.body;
-  console.log('Received submission:', { songName, artist, sessionId, spotifyId: spotifyId || 'none' });
-
-  // Validation
-  if (!songName || !artist) {
-    return res.status(400).json({ error: 'Song name and artist are required' });
-  }
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+// Change the status of a single request (DJ only)
+app.post('/api/submissions/:id/status', requireSessionPermission('review'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { status, reason } = req.body;
+  const submissionId = parseInt(req.params.id, 10);
+  
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${SUBMISSION_STATUSES.join(', ')}` });
   }
   
-  // Verify session exists
-  db.get('SELECT * FROM sessions WHERE id = ?', [sessionId], async (err, session) => {
+  // Reject reasons are shown to the guest, so keep them short
+  const rejectReason = status === 'rejected' && typeof reason === 'string' ? reason.trim().slice(0, 200) : null;
+  
+  submissionStore.findInSession(sessionId, submissionId, (err, current) => {
     if (err) {
       console.error('Database error:', err);
-      return res.status(500).json({ error: 'Failed to verify session' });
+      return res.status(500).json({ error: 'Failed to update status' });
     }
     
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!current) {
+      return res.status(404).json({ error: 'Submission not found' });
     }
-
-    let bpm = null;
-    let keyCamelot = null;
-    let keyRegular = null;
-
-    // If Spotify ID was provided, fetch BPM and key BEFORE saving
-    if (spotifyId) {
-      console.log(`Fetching audio features for Spotify ID: ${spotifyId}`);
-      try {
-        const audioFeatures = await getSpotifyAudioFeatures(spotifyId);
-        if (audioFeatures) {
-          console.log(`Audio features received:`, audioFeatures);
-          bpm = audioFeatures.bpm;
-          keyCamelot = audioFeatures.key_camelot;
-          keyRegular = audioFeatures.key_regular;
-        } else {
-          console.log(`No audio features returned, saving without BPM/key`);
-        }
-      } catch (error) {
-        console.error('Error fetching Spotify audio features:', error);
-      }
-    } else {
-      console.log('No Spotify ID provided - saving without audio features');
+    
+    if (!canSetStatus(req.djActor.role, current.status, status)) {
+      return res.status(403).json({
+        error: 'Moderators can only approve requests awaiting review and reject waiting ones',
+        code: 'ROLE_FORBIDDEN',
+        role: req.djActor.role
+      });
     }
-
-    // Determine if Spotify was used (spotifyId was provided and we attempted to fetch)
-    const spotifyFetched = spotifyId ? 1 : 0;
     
-    // Now save the submission with the fetched data
-    const stmt = db.prepare('INSERT INTO submissions (session_id, song_name, artist, user_name, original_song_name, original_artist, bpm, key_camelot, key_regular, spotify_fetched) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
-    stmt.run([sessionId, songName, artist, userName || null, songName, artist, bpm, keyCamelot, keyRegular, spotifyFetched], function(err) {
+    updateSubmissionStatus(sessionId, submissionId, status, rejectReason, (err, submission, demotedSubmissions) => {
       if (err) {
         console.error('Database error:', err);
-        return res.status(500).json({ error: 'Failed to save submission' });
+        return res.status(500).json({ error: 'Failed to update status' });
+      }
+      
+      if (!submission) {
+        return res.status(404).json({ error: 'Submission not found' });
       }
       
-      console.log(`✓ Submission saved: ID=${this.lastID}, BPM=${bpm || 'none'}, Key=${keyCamelot || 'none'}`);
-      res.json({ 
-        success: true, 
-        message: 'Submission saved successfully',
-        id: this.lastID
+      console.log(`Submission ${submissionId} in session ${sessionId} -> ${status}`);
+      recordAudit(req, sessionId, 'submission.status', describeStatusChange(current, status), {
+        submissionId, from: current.status, to: status, reason: rejectReason
       });
+      [submission, ...demotedSubmissions].forEach(row => {
+        publishSessionEvent(sessionId, 'submission.updated', { submission: row });
+      });
+      fireStatusWebhooks(sessionId, submission, current.status, rejectReason);
+      demotedSubmissions.forEach(row => fireStatusWebhooks(sessionId, row, 'now-playing', null));
+      notifyRequestersOfStatus(submission);
+      if (status === 'now-playing' && current.status !== 'now-playing') {
+        recordPlayedTrack(sessionId, {
+          songName: submission.song_name,
+          artist: submission.artist,
+          isrc: submission.isrc,
+          submissionId
+        }, 'dashboard', (err) => {
+          if (err) console.error('Error recording played track:', err);
+        });
+      }
+      res.json({ success: true, submission: submission });
     });
-    stmt.finalize();
   });
 });
 
-app.get('/api/submissions', (req, res) => {
-  const { sessionId } = req.query;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
-  }
+// submission.status_changed for a row that just moved from `from` to its current status
+function fireStatusWebhooks(sessionId, row, from, reason) {
+  if (row.status === from) return;
+  fireWebhooks(sessionId, 'submission.status_changed', {
+    submission: toWebhookSubmission(row),
+    from,
+    to: row.status,
+    reason: reason || null
+  });
+}
+
+// The audit log's line for a status change
+function describeStatusChange(row, status) {
+  const track = `"${row.song_name}" by ${row.artist}`;
+  if (status === 'rejected') return `Rejected ${track}`;
+  if (status === 'pending' && row.status === 'pending-review') return `Approved ${track}`;
+  return `Moved ${track} from ${row.status} to ${status}`;
+}
+
+// The DJ settles an interpreted request: { candidate: index } picks one of its candidates,
+// { candidate: null } keeps what the guest typed. Either way BPM/key are looked up again.
+app.post('/api/submissions/:id/interpretation', requireSessionPermission('queue'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { candidate } = req.body;
+  const submissionId = parseInt(req.params.id, 10);
   
-  // Verify session exists
-  db.get('SELECT * FROM sessions WHERE id = ?', [sessionId], (err, session) => {
+  submissionStore.findInSession(sessionId, submissionId, (err, current) => {
     if (err) {
       console.error('Database error:', err);
-      return res.status(500).json({ error: 'Failed to fetch submissions' });
+      return res.status(500).json({ error: 'Failed to update request' });
     }
     
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!current) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    
+    const candidates = readCandidates(current.interpretation_candidates);
+    if (candidates.length === 0) {
+      return res.status(409).json({ error: 'This request has no suggested matches', code: 'NOT_INTERPRETED' });
+    }
+    
+    if (candidate !== null && !(Number.isInteger(candidate) && candidates[candidate])) {
+      return res.status(400).json({ error: 'candidate must be the index of a suggested match, or null to keep the request as typed' });
     }
     
-    // Fetch submissions for session
-    db.all('SELECT * FROM submissions WHERE session_id = ? ORDER BY created_at DESC', [sessionId], (err, rows) => {
+    const chosen = candidate === null ? null : candidates[candidate];
+    submissionStore.settleInterpretation(sessionId, submissionId, chosen, (err) => {
       if (err) {
         console.error('Database error:', err);
-        return res.status(500).json({ error: 'Failed to fetch submissions' });
+        return res.status(500).json({ error: 'Failed to update request' });
       }
       
-      // Convert SQLite datetime strings to ISO format (UTC)
-      // SQLite CURRENT_TIMESTAMP stores in server's local time, convert to UTC ISO format
-      const formattedRows = rows.map(row => {
-        if (row.created_at && typeof row.created_at === 'string') {
-          // SQLite format: "YYYY-MM-DD HH:MM:SS" (server's local time)
-          // Convert to ISO format by treating as UTC (since SQLite stores without timezone)
-          // Format: "YYYY-MM-DDTHH:MM:SS.sssZ"
-          const sqliteDate = row.created_at.trim();
-          // Add 'Z' to indicate UTC, or let client parse as local
-          // Actually, best to send as ISO with timezone
-          if (sqliteDate.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
-            // Convert SQLite datetime to ISO format
-            row.created_at = sqliteDate.replace(' ', 'T') + '.000Z';
-          }
+      const typed = `"${current.original_song_name || current.song_name}" by ${current.original_artist || current.artist}`;
+      recordAudit(
+        req,
+        sessionId,
+        'submission.interpretation',
+        chosen ? `Matched ${typed} to "${chosen.songName}" by ${chosen.artist}` : `Kept ${typed} as typed`,
+        { submissionId, candidate: chosen && { provider: chosen.provider, trackId: chosen.trackId, confidence: chosen.confidence } }
+      );
+      
+      enqueueEnrichment({ sessionId, submissionId }, (err) => {
+        if (err) {
+          console.error('Error queueing enrichment:', err);
         }
-        return row;
+        
+        submissionStore.findById(submissionId, (err, row) => {
+          if (err || !row) {
+            if (err) console.error('Database error:', err);
+            return res.json({ success: true });
+          }
+          const submission = formatSubmissionRow(row);
+          publishSessionEvent(sessionId, 'submission.updated', { submission });
+          res.json({ success: true, submission });
+        });
       });
-      
-      res.json(formattedRows);
     });
   });
 });
 
-app.delete('/api/clear', (req, res) => {
-  const { sessionId } = req.body;
+// One-time import of the dashboard's old localStorage "played" flags (playedSongs_<sessionId>)
+app.post('/api/submissions/import-played', requireSessionPermission('queue'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { playedIds } = req.body;
   
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+  if (!Array.isArray(playedIds)) {
+    return res.status(400).json({ error: 'playedIds must be an array' });
+  }
+  
+  const ids = playedIds.map(id => parseInt(id, 10)).filter(id => Number.isInteger(id));
+  if (ids.length === 0) {
+    return res.json({ success: true, importedCount: 0 });
   }
   
-  db.run('DELETE FROM submissions WHERE session_id = ?', [sessionId], function(err) {
+  // Only pending rows are touched so a re-import can't overwrite newer server-side statuses
+  submissionStore.markPendingPlayed(sessionId, ids, (err, importedCount) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to import played songs' });
+    }
+    
+    console.log(`Imported ${importedCount} played flags for session ${sessionId}`);
+    if (importedCount > 0) {
+      recordAudit(req, sessionId, 'submissions.played-imported', `Marked ${importedCount} requests as played from this browser's old records`);
+      ids.forEach(id => publishSubmissionEvent(id, 'submission.updated'));
+    }
+    res.json({ success: true, importedCount: importedCount });
+  });
+});
+
+app.delete('/api/clear', requireSessionPermission('clear'), (req, res) => {
+  const sessionId = req.djSession.id;
+  
+  db.transaction((tx, done) => {
+    createSubmissionRepository(tx).deleteBySession(sessionId, done);
+  }, (err, deletedCount) => {
     if (err) {
       console.error('Database error:', err);
       return res.status(500).json({ error: 'Failed to clear submissions' });
     }
     
-    console.log(`Cleared ${this.changes} submissions from session ${sessionId}`);
+    console.log(`Cleared ${deletedCount} submissions from session ${sessionId}`);
+    recordAudit(req, sessionId, 'submissions.cleared', `Cleared ${deletedCount} requests`, { deletedCount });
+    publishSessionEvent(sessionId, 'submissions.cleared', { deletedCount: deletedCount });
+    fireWebhooks(sessionId, 'session.cleared', { deletedCount });
     res.json({ 
       success: true, 
-      message: `Cleared ${this.changes} submissions`,
-      deletedCount: this.changes 
+      message: `Cleared ${deletedCount} submissions`,
+      deletedCount: deletedCount 
     });
   });
 });
 
 // Update settings for a specific session
-app.post('/api/update-settings', (req, res) => {
-  const { sessionId, welcomeMessage, subtitleMessage, background } = req.body;
+app.post('/api/update-settings', requireSessionPermission('settings'), (req, res) => {
+  const sessionId = req.djSession.id;
+  const { welcomeMessage, subtitleMessage, background, limits, moderationRequired, display, metadataProviders: requestedProviders } = req.body;
   
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+  // Images go through PUT /api/sessions/:sessionId/background; `background` is a color
+  if (typeof background === 'string' && background.startsWith('data:')) {
+    return res.status(400).json({ error: 'Upload background images to /api/sessions/:sessionId/background' });
   }
   
-  db.run(
-    'UPDATE sessions SET welcome_message = ?, subtitle_message = ?, background = ? WHERE id = ?',
-    [welcomeMessage || null, subtitleMessage || null, background || null, sessionId],
-    function(err) {
-      if (err) {
-        console.error('Error updating settings:', err);
-        return res.status(500).json({ error: 'Failed to update settings' });
-      }
-      
-      console.log('Settings updated for session:', sessionId);
-      res.json({ success: true });
+  const settings = {
+    welcomeMessage: welcomeMessage || null,
+    subtitleMessage: subtitleMessage || null,
+    background: background || null
+  };
+  
+  // Limits are optional so older clients don't reset them; null means unlimited
+  if (limits && typeof limits === 'object') {
+    settings.requestsPerHour = parseLimit(limits.requestsPerHour);
+    settings.maxOpenPerGuest = parseLimit(limits.maxOpenPerGuest);
+    settings.maxOpenRequests = parseLimit(limits.maxOpenRequests);
+  }
+  
+  if (typeof moderationRequired === 'boolean') {
+    settings.moderationRequired = moderationRequired;
+  }
+  
+  // Venue display options: { showNames, showQueue }
+  if (display && typeof display === 'object') {
+    if (typeof display.showNames === 'boolean') settings.displayShowNames = display.showNames;
+    if (typeof display.showQueue === 'boolean') settings.displayShowQueue = display.showQueue;
+  }
+  
+  // Provider chain: list of provider names in order; empty or null resets to the deployment default
+  if (requestedProviders !== undefined) {
+    const chain = parseProviderList(requestedProviders);
+    const requestedCount = (Array.isArray(requestedProviders) ? requestedProviders : String(requestedProviders || '').split(','))
+      .filter(name => String(name).trim() !== '').length;
+    if (chain ? chain.length !== requestedCount : requestedCount > 0) {
+      return res.status(400).json({ error: `Unknown or repeated metadata provider. Use: ${PROVIDER_NAMES.join(', ')}` });
     }
-  );
+    settings.metadataProviders = chain ? chain.join(',') : null;
+  }
+  
+  settingsStore.update(sessionId, settings, (err) => {
+    if (err) {
+      console.error('Error updating settings:', err);
+      return res.status(500).json({ error: 'Failed to update settings' });
+    }
+    
+    console.log('Settings updated for session:', sessionId);
+    // The audit log names the settings that actually changed (booleans are stored as 0/1)
+    const changed = Object.keys(settings).filter(key => {
+      const before = req.djSession[SETTINGS_COLUMNS[key]];
+      const after = typeof settings[key] === 'boolean' ? Number(settings[key]) : settings[key];
+      return (before === undefined ? null : before) !== after;
+    });
+    if (changed.length > 0) {
+      recordAudit(req, sessionId, 'settings.updated', `Changed ${changed.join(', ')}`, { changed });
+      const values = {};
+      changed.forEach(key => { values[key] = settings[key]; });
+      fireWebhooks(sessionId, 'settings.updated', { changed, settings: values });
+    }
+    publishSessionEvent(sessionId, 'settings.updated', {
+      welcomeMessage: settings.welcomeMessage,
+      subtitleMessage: settings.subtitleMessage,
+      background: settings.background
+    });
+    res.json({ success: true });
+  });
 });
 
 // Get settings for a specific session
@@ -692,9 +4419,8 @@ app.get('/api/settings', (req, res) => {
     });
   }
   
-  db.get(
-    'SELECT name, welcome_message, subtitle_message, background FROM sessions WHERE id = ?',
-    [sessionId],
+  settingsStore.get(
+    sessionId,
     (err, row) => {
       if (err) {
         console.error('Error fetching settings:', err);
@@ -705,105 +4431,132 @@ app.get('/api/settings', (req, res) => {
         return res.status(404).json({ error: 'Session not found' });
       }
       
-      // Default welcome message to session name if not set or empty
-      const welcomeMessage = (row.welcome_message && row.welcome_message.trim() !== '') 
-        ? row.welcome_message 
-        : row.name;
-      
-      // Default background to black if not set or empty
-      const background = (row.background && row.background.trim() !== '') 
-        ? row.background 
-        : '#000';
-      
-      // Default subtitle to "Submit your song below" if not set or empty
-      const subtitleMessage = (row.subtitle_message && row.subtitle_message.trim() !== '') 
-        ? row.subtitle_message 
-        : 'Submit your song below';
-      
-      res.json({
-        welcomeMessage: welcomeMessage,
-        subtitleMessage: subtitleMessage,
-        background: background
+      imageStore.findBackground(sessionId, (err, image) => {
+        if (err) {
+          console.error('Error fetching settings:', err);
+          return res.status(500).json({ error: 'Failed to fetch settings' });
+        }
+        
+        // Default welcome message to session name if not set or empty
+        const welcomeMessage = (row.welcome_message && row.welcome_message.trim() !== '') 
+          ? row.welcome_message 
+          : row.name;
+        
+        // An uploaded image wins; otherwise the color (default black). backgroundColor stays
+        // available for the DJ's color picker.
+        const backgroundImage = toPublicBackgroundImage(image);
+        const backgroundColor = backgroundColorOf(row.background);
+        
+        // Default subtitle to "Submit your song below" if not set or empty
+        const subtitleMessage = (row.subtitle_message && row.subtitle_message.trim() !== '') 
+          ? row.subtitle_message 
+          : 'Submit your song below';
+        
+        res.json({
+          welcomeMessage: welcomeMessage,
+          subtitleMessage: subtitleMessage,
+          background: backgroundImage ? backgroundImage.url : backgroundColor,
+          backgroundColor: backgroundColor,
+          backgroundImage: backgroundImage,
+          limits: {
+            requestsPerHour: row.limit_requests_per_hour,
+            maxOpenPerGuest: row.limit_open_per_guest,
+            maxOpenRequests: row.limit_open_requests
+          },
+          moderationRequired: !!row.moderation_required,
+          metadataProviders: row.metadata_providers ? row.metadata_providers.split(',') : null,
+          display: {
+            showNames: row.display_show_names !== 0,
+            showQueue: row.display_show_queue !== 0
+          },
+          formFields: readFormFields(row.form_fields),
+          intake: getIntakeState(row)
+        });
       });
     }
   );
 });
 
-// API endpoint for Spotify song suggestions
-app.get('/api/spotify/suggestions', async (req, res) => {
+// API endpoint for song suggestions from the session's metadata provider chain
+// (/api/spotify/suggestions is kept for older clients)
+app.get(['/api/suggestions', '/api/spotify/suggestions'], suggestionsRateLimiter, (req, res) => {
   const query = req.query.q;
   
+  // ?q=a&q=b and ?q[a]=b parse to an array or object
+  if (query !== undefined && typeof query !== 'string') {
+    return res.status(400).json({ error: 'q must be a single search string' });
+  }
   if (!query || query.trim().length === 0) {
     return res.json({ suggestions: [] });
   }
   
-  try {
-    const token = await getSpotifyAccessToken();
-    if (!token) {
-      return res.status(500).json({ error: 'Failed to get Spotify access token' });
+  // Sessions can override the deployment's provider chain
+  settingsStore.getProviderChain(req.query.sessionId, async (err, providerChain) => {
+    if (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to fetch suggestions' });
     }
     
-    // Search for tracks matching the query (songs starting with or containing the query)
-    const searchQuery = query.trim();
-    const response = await axios.get(`https://api.spotify.com/v1/search?q=${encodeURIComponent(searchQuery)}&type=track&limit=10`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (response.data.tracks && response.data.tracks.items) {
-      const tracks = response.data.tracks.items;
-      
-      // Extract Spotify IDs to fetch audio features (BPM) in batch
-      const trackIds = tracks.map(track => track.id);
-      
-      // Fetch audio features for all tracks at once (batch endpoint supports up to 100)
-      let audioFeaturesMap = {};
-      try {
-        const featuresResponse = await axios.get(`https://api.spotify.com/v1/audio-features?ids=${trackIds.join(',')}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
-        
-        // Create a map of trackId -> audio features
-        if (featuresResponse.data && featuresResponse.data.audio_features) {
-          featuresResponse.data.audio_features.forEach((features, index) => {
-            if (features && features.tempo) {
-              audioFeaturesMap[trackIds[index]] = {
-                bpm: Math.round(features.tempo),
-                key: features.key !== -1 && features.mode !== -1 
-                  ? convertToCamelotKey(features.key, features.mode)
-                  : null
-              };
-            }
-          });
-        }
-      } catch (error) {
-        console.error('Error fetching audio features for suggestions:', error.message);
-        // Continue without BPM if this fails
-      }
+    try {
+      // Search for tracks matching the query (songs starting with or containing the query)
+      const tracks = await metadataProviders.getChain(providerChain).search(query.trim(), { limit: 10 });
       
-      // Build suggestions with BPM info
-      const suggestions = tracks.map(track => {
-        const features = audioFeaturesMap[track.id];
-        return {
-          songName: track.name,
-          artist: track.artists.map(a => a.name).join(', '),
-          album: track.album.name,
-          spotifyId: track.id,
-          bpm: features ? features.bpm : null,
-          key: features ? features.key : null
-        };
-      });
+      const suggestions = tracks.map(track => ({
+        songName: track.songName,
+        artist: track.artist,
+        album: track.album,
+        provider: track.provider,
+        trackId: track.id,
+        spotifyId: track.provider === 'spotify' ? track.id : null,
+        bpm: track.bpm,
+        key: track.keyCamelot
+      }));
       
-      return res.json({ suggestions });
+      res.json({ suggestions });
+    } catch (error) {
+      console.error('Error fetching suggestions:', error.message);
+      res.status(500).json({ error: 'Failed to fetch suggestions' });
     }
-    
-    res.json({ suggestions: [] });
+  });
+});
+
+// Deployment's metadata providers, for the DJ's provider chain setting
+app.get('/api/providers', (req, res) => {
+  res.json({
+    providers: metadataProviders.describe(),
+    defaultChain: metadataProviders.defaultNames,
+    interpreter: requestInterpreter.describe()
+  });
+});
+
+// Metadata cache hit rates (since startup) and stored entries per provider and kind (operator only)
+app.get('/api/metadata-cache', requireOperator, async (req, res) => {
+  try {
+    res.json(await metadataCache.getStats());
+  } catch (error) {
+    console.error('Error reading metadata cache stats:', error);
+    res.status(500).json({ error: 'Failed to read cache stats' });
+  }
+});
+
+// Purge the metadata cache; ?provider= and ?kind= narrow it down (operator only)
+app.delete('/api/metadata-cache', requireOperator, async (req, res) => {
+  const { provider, kind } = req.query;
+  
+  if (provider && !PROVIDER_NAMES.includes(provider)) {
+    return res.status(400).json({ error: `Unknown provider. Use: ${PROVIDER_NAMES.join(', ')}` });
+  }
+  if (kind && !CACHE_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `Unknown cache kind. Use: ${CACHE_KINDS.join(', ')}` });
+  }
+  
+  try {
+    const deleted = await metadataCache.purge({ provider, kind });
+    console.log(`Metadata cache purged: ${deleted} entries${provider ? ` (provider ${provider})` : ''}${kind ? ` (kind ${kind})` : ''}`);
+    res.json({ success: true, deleted });
   } catch (error) {
-    console.error('Error fetching Spotify suggestions:', error.message);
-    res.status(500).json({ error: 'Failed to fetch suggestions' });
+    console.error('Error purging metadata cache:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
   }
 });
 
@@ -823,13 +4576,26 @@ app.get('/:sessionCode', (req, res) => {
 // Export app for Vercel serverless functions
 module.exports = app;
 
-// Start server only when not running on Vercel (local development)
+// Start server only when not running on Vercel (local development), once the schema is current
 if (!process.env.VERCEL) {
-  app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Visit http://localhost:${PORT} for the user form`);
-    console.log(`Visit http://localhost:${PORT}/admin for the admin dashboard`);
-    console.log(`Visit http://localhost:${PORT}/qr for the QR code`);
+  databaseReady.then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Visit http://localhost:${PORT} for the user form`);
+      console.log(`Visit http://localhost:${PORT}/admin for the admin dashboard`);
+      console.log(`Visit http://localhost:${PORT}/qr for the QR code`);
+    });
+
+    if (NOW_PLAYING_OSC_PORT) {
+      startOscListener({ port: NOW_PLAYING_OSC_PORT, host: NOW_PLAYING_OSC_HOST, onMessage: handleOscMessage }).then(
+        (listener) => console.log(`Listening for OSC now-playing reports on udp://${NOW_PLAYING_OSC_HOST}:${listener.port}${NOW_PLAYING_OSC_ADDRESS}`),
+        (err) => console.error('Error starting the OSC listener:', err.message)
+      );
+    }
+  }, () => {
+    console.error('❌ Not starting: the database schema is not up to date.');
+    console.error('   Fix the migration and run `npm run migrate`, or restore a backup of the database.');
+    process.exit(1);
   });
   
   // Graceful shutdown (only in non-serverless environments)
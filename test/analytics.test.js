@@ -0,0 +1,118 @@
+// lib/analytics.js: the numbers behind /analytics and the HTML report
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildSessionAnalytics, renderAnalyticsReport } = require('../lib/analytics');
+
+const session = { id: 'ABCD', name: 'Wedding <Smith & Jones>' };
+
+function submission(id, fields) {
+  return {
+    id,
+    song_name: `Song ${id}`,
+    artist: 'Artist',
+    normalized_key: `song ${id}|artist`,
+    request_count: 1,
+    status: 'pending',
+    created_at: '2026-06-06T20:00:00.000Z',
+    ...fields
+  };
+}
+
+const submissions = [
+  submission(1, {
+    song_name: 'September', artist: 'Earth, Wind & Fire', normalized_key: 'september|earth wind and fire',
+    request_count: 3, status: 'played', bpm: 126, key_camelot: '8A',
+    created_at: '2026-06-06T20:02:00.000Z', now_playing_at: '2026-06-06T20:12:00.000Z', played_at: '2026-06-06T20:16:00.000Z'
+  }),
+  submission(2, {
+    song_name: 'Boogie Wonderland', artist: 'Earth Wind and Fire', normalized_key: 'boogie wonderland|earth wind and fire',
+    status: 'played', bpm: 132, library_bpm: 131, key_camelot: '4A', library_key_camelot: '5A',
+    created_at: '2026-06-06T20:20:00.000Z', played_at: '2026-06-06T20:50:00.000Z'
+  }),
+  submission(3, { status: 'skipped', bpm: 95, created_at: '2026-06-06T20:40:00.000Z' }),
+  submission(4, { status: 'rejected', created_at: '2026-06-06T20:41:00.000Z' }),
+  // Saved before requesters were tracked
+  submission(5, { created_at: '2026-06-06T19:58:00.000Z' })
+];
+
+const requesters = [
+  { submission_id: 1, guest_id: 'g1', kind: 'request', created_at: '2026-06-06T20:02:00.000Z' },
+  { submission_id: 1, guest_id: 'g2', kind: 'request', created_at: '2026-06-06T20:03:00.000Z' },
+  { submission_id: 1, guest_id: 'g3', kind: 'upvote', created_at: '2026-06-06T20:07:00.000Z' },
+  { submission_id: 2, guest_id: 'g1', kind: 'request', created_at: '2026-06-06T20:20:00.000Z' },
+  { submission_id: 3, guest_id: 'g2', kind: 'request', created_at: '2026-06-06T20:40:00.000Z' },
+  { submission_id: 4, guest_id: 'g4', kind: 'request', created_at: '2026-06-06T20:41:00.000Z' }
+];
+
+describe('buildSessionAnalytics', () => {
+  const analytics = buildSessionAnalytics({ session, submissions, requesters, interval: 15 });
+
+  it('counts requests, upvotes and distinct guests', () => {
+    assert.deepStrictEqual(analytics.totals, { tracks: 5, requests: 6, upvotes: 1, uniqueRequesters: 3, uniqueGuests: 4 });
+    assert.strictEqual(analytics.firstRequestAt, '2026-06-06T19:58:00.000Z');
+    assert.strictEqual(analytics.lastRequestAt, '2026-06-06T20:41:00.000Z');
+  });
+
+  it('buckets requests over time, including quiet periods', () => {
+    assert.deepStrictEqual(analytics.timeline, [
+      { start: '2026-06-06T19:45:00.000Z', requests: 1, upvotes: 0 },
+      { start: '2026-06-06T20:00:00.000Z', requests: 2, upvotes: 1 },
+      { start: '2026-06-06T20:15:00.000Z', requests: 1, upvotes: 0 },
+      { start: '2026-06-06T20:30:00.000Z', requests: 2, upvotes: 0 }
+    ]);
+
+    const hourly = buildSessionAnalytics({ session, submissions, requesters, interval: 60 });
+    assert.deepStrictEqual(hourly.timeline.map(bucket => bucket.requests), [1, 5]);
+  });
+
+  it('ranks artists by normalized name and tracks by request count', () => {
+    assert.deepStrictEqual(analytics.topArtists[0], { artist: 'Earth, Wind & Fire', requestCount: 4, tracks: 2 });
+    assert.deepStrictEqual(analytics.topTracks.slice(0, 2).map(track => [track.songName, track.requestCount]), [
+      ['September', 3],
+      ['Boogie Wonderland', 1]
+    ]);
+  });
+
+  it('reports outcomes and the median time to play', () => {
+    assert.deepStrictEqual(analytics.outcomes, { played: 2, skipped: 1, rejected: 1, open: 1, playedRatio: 2 / 3 });
+    // September started 10 minutes after the request, Boogie Wonderland was marked played after 30
+    assert.deepStrictEqual(analytics.timeToPlay, { count: 2, medianSeconds: 20 * 60 });
+  });
+
+  it('prefers library BPM and key over provider metadata', () => {
+    assert.deepStrictEqual(analytics.bpm, {
+      known: 3,
+      unknown: 2,
+      min: 95,
+      max: 131,
+      median: 126,
+      buckets: [{ from: 90, to: 99, count: 1 }, { from: 120, to: 129, count: 1 }, { from: 130, to: 139, count: 1 }]
+    });
+    assert.deepStrictEqual(analytics.keys, { known: 2, unknown: 3, counts: [{ key: '5A', count: 1 }, { key: '8A', count: 1 }] });
+  });
+
+  it('handles a session without requests', () => {
+    const empty = buildSessionAnalytics({ session, submissions: [], requesters: [] });
+    assert.strictEqual(empty.interval, 15);
+    assert.deepStrictEqual(empty.timeline, []);
+    assert.strictEqual(empty.outcomes.playedRatio, null);
+    assert.strictEqual(empty.timeToPlay.medianSeconds, null);
+    assert.ok(renderAnalyticsReport(empty).includes('No requests yet'));
+  });
+});
+
+describe('renderAnalyticsReport', () => {
+  const analytics = buildSessionAnalytics({ session, submissions, requesters, interval: 15 });
+
+  it('escapes text from guests and the DJ', () => {
+    const html = renderAnalyticsReport(analytics);
+    assert.ok(html.includes('Wedding &lt;Smith &amp; Jones&gt;'));
+    assert.ok(!html.includes('<Smith'));
+  });
+
+  it('shows times at the given UTC offset', () => {
+    const html = renderAnalyticsReport(analytics, { timezoneOffset: 120 });
+    assert.ok(html.includes('2026-06-06 21:58 – 22:41 (UTC+02:00)'));
+  });
+});
@@ -0,0 +1,819 @@
+// End-to-end: server.js on every backend, driven over HTTP the way the guest page and dashboard use it
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const http = require('http');
+const sharp = require('sharp');
+const webpush = require('web-push');
+const { backends, resetDatabase, startServer, openStorage, closeStorage, call } = require('./helpers');
+const { encodeOscMessage } = require('../lib/osc');
+
+const vapidKeys = webpush.generateVAPIDKeys();
+// A browser's PushSubscription; nothing listens on the endpoint, so deliveries fail fast
+const pushSubscription = {
+  endpoint: 'https://127.0.0.1:9/push/guest',
+  keys: { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' }
+};
+
+// Receives webhook deliveries the way a booking system would: { requests, url, close() }.
+// Answers 200, or 500 on /down.
+function startWebhookReceiver() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/down' ? 500 : 200).end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      requests,
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+// A UDP port nothing is listening on right now
+function findFreeUdpPort() {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+// A browser stand-in that keeps cookies (the guest ID lives in a signed cookie)
+function createClient(baseUrl) {
+  const cookies = new Map();
+
+  return async function request(method, path, { body, adminSecret } = {}) {
+    const headers = { cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') };
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (adminSecret) headers['x-admin-secret'] = adminSecret;
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    (response.headers.getSetCookie ? response.headers.getSetCookie() : []).forEach((cookie) => {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+  };
+}
+
+backends().forEach((backend) => {
+  describe(`API on ${backend.name}`, () => {
+    let server;
+    let dj;
+    let guest;
+    let otherGuest;
+    let sessionId;
+    let adminSecret;
+    let trackingToken;
+    let oscPort;
+    let databaseUrl;
+
+    before(async () => {
+      oscPort = await findFreeUdpPort();
+      databaseUrl = await resetDatabase(backend);
+      server = await startServer(databaseUrl, {
+        VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+        VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+        // The test receiver listens on plain http, on this machine
+        WEBHOOK_ALLOW_HTTP: '1',
+        WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+        NOW_PLAYING_OSC_PORT: String(oscPort),
+        NOW_PLAYING_OSC_HOST: '127.0.0.1'
+      });
+      dj = createClient(server.baseUrl);
+      guest = createClient(server.baseUrl);
+      otherGuest = createClient(server.baseUrl);
+    });
+
+    after(() => server && server.stop());
+
+    it('creates a session', async () => {
+      const { status, body } = await dj('POST', '/api/sessions', { body: { name: 'Test Night' } });
+      assert.strictEqual(status, 200);
+      sessionId = body.session.id;
+      adminSecret = body.adminSecret;
+
+      const settings = await guest('GET', `/api/settings?sessionId=${sessionId}`);
+      assert.strictEqual(settings.status, 200);
+    });
+
+    it('keeps DJ routes behind the admin secret', async () => {
+      assert.strictEqual((await guest('GET', `/api/submissions?sessionId=${sessionId}`)).status, 401);
+      assert.strictEqual((await guest('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret: 'wrong' })).status, 403);
+    });
+
+    it('lets only the operator claim sessions that predate admin keys', async () => {
+      const db = await openStorage(databaseUrl);
+      await call(db, 'run', 'INSERT INTO sessions (id, name) VALUES (?, ?)', ['LGCY', 'Old Night']);
+      await closeStorage(db);
+
+      const claim = headers => fetch(`${server.baseUrl}/api/sessions/LGCY/claim`, { method: 'POST', headers });
+      assert.strictEqual((await claim({})).status, 403);
+      assert.strictEqual((await claim({ 'X-Operator-Key': 'wrong' })).status, 403);
+
+      const claimed = await claim({ 'X-Operator-Key': 'test-operator-key' });
+      assert.strictEqual(claimed.status, 200);
+      const { adminSecret: legacySecret } = await claimed.json();
+      assert.strictEqual((await dj('GET', '/api/submissions?sessionId=LGCY', { adminSecret: legacySecret })).status, 200);
+      assert.strictEqual((await claim({ 'X-Operator-Key': 'test-operator-key' })).status, 409);
+    });
+
+    it('takes requests and merges duplicates', async () => {
+      const first = await guest('POST', '/api/submit', {
+        body: { sessionId, songName: 'Dancing Queen', artist: 'ABBA', userName: 'Sam' }
+      });
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.body.status, 'pending');
+      trackingToken = first.body.trackingToken;
+      assert.strictEqual(first.body.trackingUrl, `${server.baseUrl}/track/${trackingToken}`);
+
+      const repeat = await otherGuest('POST', '/api/submit', {
+        body: { sessionId, songName: 'dancing queen', artist: 'Abba', userName: 'Alex' }
+      });
+      assert.strictEqual(repeat.body.duplicate, true);
+      assert.strictEqual(repeat.body.id, first.body.id);
+      assert.strictEqual(repeat.body.requestCount, 2);
+
+      await guest('POST', '/api/submit', { body: { sessionId, songName: 'Waterloo', artist: 'ABBA' } });
+
+      const queue = await guest('GET', `/api/queue?sessionId=${sessionId}`);
+      assert.deepStrictEqual(queue.body.queue.map(row => [row.songName, row.requestCount, row.requestedByMe]), [
+        ['Dancing Queen', 2, true],
+        ['Waterloo', 1, true]
+      ]);
+    });
+
+    it('trims requests and refuses text that is too long or not a string', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'Karaoke' } });
+      const textId = created.body.session.id;
+      const submit = body => guest('POST', '/api/submit', { body: { sessionId: textId, ...body } });
+
+      for (const body of [
+        { songName: ['Hey Jude'], artist: 'The Beatles' },
+        { songName: 'Hey Jude', artist: { name: 'The Beatles' } },
+        { songName: 'Hey Jude', artist: 'The Beatles', userName: 42 },
+        { songName: 'x'.repeat(201), artist: 'The Beatles' },
+        { songName: 'Hey Jude', artist: 'The Beatles', userName: 'x'.repeat(201) },
+        { songName: '   ', artist: 'The Beatles' }
+      ]) {
+        const refused = await submit(body);
+        assert.strictEqual(refused.status, 400, JSON.stringify(body));
+        assert.ok(refused.body.error);
+      }
+
+      const submitted = await submit({ songName: `  ${'y'.repeat(199)} `, artist: ' The Beatles ', userName: '  ' });
+      assert.strictEqual(submitted.status, 200);
+      const [submission] = (await dj('GET', `/api/submissions?sessionId=${textId}`, { adminSecret: created.body.adminSecret })).body;
+      assert.deepStrictEqual([submission.song_name, submission.artist, submission.user_name], ['y'.repeat(199), 'The Beatles', null]);
+    });
+
+    it('answers suggestion searches only for a single query string', async () => {
+      for (const search of ['q=a&q=b', 'q[a]=b']) {
+        const refused = await guest('GET', `/api/suggestions?sessionId=${sessionId}&${search}`);
+        assert.strictEqual(refused.status, 400);
+        assert.ok(refused.body.error);
+      }
+      assert.deepStrictEqual((await guest('GET', `/api/suggestions?sessionId=${sessionId}&q=%20`)).body, { suggestions: [] });
+    });
+
+    it('gives each guest a private tracking link with their queue positions', async () => {
+      const mine = await guest('GET', `/api/my-requests?sessionId=${sessionId}`);
+      assert.strictEqual(mine.body.trackingToken, trackingToken);
+      assert.deepStrictEqual(mine.body.requests.map(row => [row.songName, row.status, row.position]), [
+        ['Waterloo', 'pending', 2],
+        ['Dancing Queen', 'pending', 1]
+      ]);
+
+      // The link works without the guest's cookie, e.g. on another device
+      const tracked = await createClient(server.baseUrl)('GET', `/api/track/${trackingToken}`);
+      assert.strictEqual(tracked.status, 200);
+      assert.strictEqual(tracked.body.session.name, 'Test Night');
+      assert.deepStrictEqual(tracked.body.requests, mine.body.requests);
+      assert.deepStrictEqual(tracked.body.push, { enabled: true, publicKey: vapidKeys.publicKey });
+
+      const otherMine = await otherGuest('GET', `/api/my-requests?sessionId=${sessionId}`);
+      assert.notStrictEqual(otherMine.body.trackingToken, trackingToken);
+      assert.strictEqual((await guest('GET', '/api/track/not-a-real-token')).status, 404);
+    });
+
+    it('lets a tracked guest turn push notifications on and off', async () => {
+      const path = `/api/track/${trackingToken}/push`;
+      assert.strictEqual((await guest('POST', path, { body: { subscription: { endpoint: 'http://localhost/x', keys: pushSubscription.keys } } })).status, 400);
+
+      const other = { ...pushSubscription, endpoint: 'https://127.0.0.1:9/push/other-device' };
+      assert.strictEqual((await guest('POST', path, { body: { subscription: other } })).status, 200);
+      assert.deepStrictEqual((await guest('DELETE', path, { body: { endpoint: other.endpoint } })).body, { success: true, removed: true });
+
+      // Kept for the status change below
+      assert.strictEqual((await guest('POST', path, { body: { subscription: pushSubscription } })).status, 200);
+    });
+
+    it('counts one upvote per guest', async () => {
+      const queue = await otherGuest('GET', `/api/queue?sessionId=${sessionId}`);
+      const waterloo = queue.body.queue.find(row => row.songName === 'Waterloo');
+
+      for (const userName of [{ name: 'Alex' }, 'x'.repeat(201)]) {
+        const refused = await otherGuest('POST', `/api/submissions/${waterloo.id}/upvote`, { body: { sessionId, userName } });
+        assert.strictEqual(refused.status, 400);
+        assert.match(refused.body.error, /Your name/);
+      }
+
+      const upvote = await otherGuest('POST', `/api/submissions/${waterloo.id}/upvote`, { body: { sessionId } });
+      assert.deepStrictEqual(upvote.body, { success: true, requestCount: 2 });
+      assert.strictEqual((await otherGuest('POST', `/api/submissions/${waterloo.id}/upvote`, { body: { sessionId } })).status, 409);
+    });
+
+    it('shows the DJ every request with its requesters', async () => {
+      const { status, body } = await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.map(row => row.song_name), ['Waterloo', 'Dancing Queen']);
+      assert.deepStrictEqual(body[1].requesters.map(requester => requester.user_name), ['Sam', 'Alex']);
+      assert.match(body[0].created_at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.000Z$/);
+    });
+
+    it('refuses requests that name one session and authenticate as another', async () => {
+      const other = await createClient(server.baseUrl)('POST', '/api/sessions', { body: { name: 'Other Night' } });
+      const otherId = other.body.session.id;
+      const otherSecret = other.body.adminSecret;
+
+      // fetch won't send a GET body, so this one goes out over http
+      const body = JSON.stringify({ sessionId: otherId });
+      const listed = await new Promise((resolve, reject) => {
+        const req = http.request(`${server.baseUrl}/api/submissions?sessionId=${sessionId}`, {
+          method: 'GET',
+          headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body), 'x-admin-secret': otherSecret }
+        }, (res) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+      });
+      assert.strictEqual(listed.status, 400);
+      assert.strictEqual(listed.body.error, 'Conflicting session IDs in the request');
+
+      const cleared = await dj('DELETE', `/api/clear?sessionId=${sessionId}`, { body: { sessionId: otherId }, adminSecret: otherSecret });
+      assert.strictEqual(cleared.status, 400);
+      const updated = await dj('POST', `/api/sessions/${sessionId}/policies`, { body: { sessionId: otherId }, adminSecret: otherSecret });
+      assert.strictEqual(updated.status, 400);
+
+      assert.strictEqual((await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret })).body.length, 2);
+      assert.deepStrictEqual((await dj('GET', `/api/submissions?sessionId=${otherId}`, { adminSecret: otherSecret })).body, []);
+    });
+
+    it('moves requests through statuses and tells the guest why one was rejected', async () => {
+      const submissions = (await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret })).body;
+      const [waterloo, dancingQueen] = submissions;
+
+      const playing = await dj('POST', `/api/submissions/${dancingQueen.id}/status`, {
+        adminSecret,
+        body: { sessionId, status: 'now-playing' }
+      });
+      assert.strictEqual(playing.body.submission.status, 'now-playing');
+
+      await dj('POST', `/api/submissions/${waterloo.id}/status`, {
+        adminSecret,
+        body: { sessionId, status: 'rejected', reason: 'Already played tonight' }
+      });
+
+      const mine = await guest('GET', `/api/my-requests?sessionId=${sessionId}`);
+      assert.deepStrictEqual(mine.body.requests.map(row => [row.songName, row.status, row.rejectReason, row.position]), [
+        ['Waterloo', 'rejected', 'Already played tonight', null],
+        ['Dancing Queen', 'now-playing', null, null]
+      ]);
+
+      // Sam subscribed to notifications for Dancing Queen; the push itself can't be delivered here
+      for (let attempt = 0; attempt < 50 && !server.output().includes(`Push for submission ${dancingQueen.id}`); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.match(server.output(), new RegExp(`Push for submission ${dancingQueen.id}: 0 sent, 0 expired, 1 failed`));
+    });
+
+    it('reports session analytics and a downloadable recap', async () => {
+      const analytics = await dj('GET', `/api/sessions/${sessionId}/analytics?interval=5`, { adminSecret });
+      assert.strictEqual(analytics.status, 200);
+      assert.strictEqual(analytics.body.interval, 5);
+      assert.deepStrictEqual(analytics.body.totals, { tracks: 2, requests: 3, upvotes: 1, uniqueRequesters: 2, uniqueGuests: 2 });
+      assert.strictEqual(analytics.body.topArtists[0].artist, 'ABBA');
+      assert.strictEqual(analytics.body.outcomes.rejected, 1);
+
+      assert.strictEqual((await dj('GET', `/api/sessions/${sessionId}/analytics?interval=7`, { adminSecret })).status, 400);
+      assert.strictEqual((await guest('GET', `/api/sessions/${sessionId}/analytics`)).status, 401);
+
+      const report = await dj('GET', `/api/sessions/${sessionId}/report?tzOffset=60`, { adminSecret });
+      assert.strictEqual(report.status, 200);
+      assert.match(report.body, /<h1>Test Night<\/h1>/);
+      assert.match(report.body, /UTC\+01:00/);
+    });
+
+    it('saves settings', async () => {
+      const update = await dj('POST', '/api/update-settings', {
+        adminSecret,
+        body: { sessionId, welcomeMessage: 'Welcome to Test Night', subtitleMessage: 'Ask away', background: '#123456' }
+      });
+      assert.strictEqual(update.status, 200);
+
+      const settings = await guest('GET', `/api/settings?sessionId=${sessionId}`);
+      assert.strictEqual(settings.body.welcomeMessage, 'Welcome to Test Night');
+      assert.strictEqual(settings.body.background, '#123456');
+    });
+
+    it('stores an uploaded background and serves its resized variants', async () => {
+      const upload = (body, contentType) => fetch(`${server.baseUrl}/api/sessions/${sessionId}/background`, {
+        method: 'PUT',
+        headers: { 'content-type': contentType, 'x-admin-secret': adminSecret },
+        body
+      }).then(async response => ({ status: response.status, body: await response.json() }));
+
+      const png = await sharp({ create: { width: 1500, height: 1000, channels: 3, background: '#336699' } }).png().toBuffer();
+      const uploaded = await upload(png, 'image/png');
+      assert.strictEqual(uploaded.status, 200);
+      const image = uploaded.body.backgroundImage;
+      assert.deepStrictEqual(image.variants.map(variant => variant.width), [640, 1280, 1500]);
+      assert.strictEqual(image.url, image.variants[2].url);
+
+      assert.strictEqual((await upload(Buffer.from('not an image'), 'text/plain')).status, 415);
+      assert.strictEqual((await upload(Buffer.from('not an image at all'), 'image/png')).body.code, 'UNSUPPORTED_IMAGE');
+
+      const settings = await guest('GET', `/api/settings?sessionId=${sessionId}`);
+      assert.strictEqual(settings.body.background, image.url);
+      assert.strictEqual(settings.body.backgroundColor, '#123456');
+      assert.deepStrictEqual(settings.body.backgroundImage, image);
+
+      const media = await fetch(`${server.baseUrl}${image.variants[0].url}`);
+      assert.strictEqual(media.status, 200);
+      assert.strictEqual(media.headers.get('content-type'), 'image/jpeg');
+      assert.match(media.headers.get('cache-control'), /immutable/);
+      assert.strictEqual((await sharp(Buffer.from(await media.arrayBuffer())).metadata()).width, 640);
+
+      const removed = await dj('DELETE', `/api/sessions/${sessionId}/background`, { adminSecret });
+      assert.strictEqual(removed.status, 200);
+      assert.strictEqual((await dj('DELETE', `/api/sessions/${sessionId}/background`, { adminSecret })).status, 404);
+      assert.strictEqual((await guest('GET', `/api/settings?sessionId=${sessionId}`)).body.background, '#123456');
+    });
+
+    it('exports and re-imports the session', async () => {
+      const exported = await dj('GET', `/api/sessions/${sessionId}/export?format=json`, { adminSecret });
+      assert.strictEqual(exported.status, 200);
+      const document = typeof exported.body === 'string' ? JSON.parse(exported.body) : exported.body;
+
+      const imported = await dj('POST', `/api/sessions/${sessionId}/import?mode=replace`, { adminSecret, body: document });
+      assert.strictEqual(imported.status, 200);
+
+      const submissions = (await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret })).body;
+      assert.deepStrictEqual(submissions.map(row => [row.song_name, row.status]).sort(), [
+        ['Dancing Queen', 'now-playing'],
+        ['Waterloo', 'rejected']
+      ]);
+
+      // Keys that don't parse are dropped, the rest stored the way lookups store them; names that
+      // aren't strings are dropped and long ones cut
+      const other = await createClient(server.baseUrl)('POST', '/api/sessions', { body: { name: 'Import Night' } });
+      const crafted = {
+        ...document,
+        submissions: [
+          { songName: 'Crafted', artist: 'Someone', keyCamelot: '<img src=x onerror=alert(1)>', keyRegular: '<b>C major</b>', userName: { name: 'Sam' }, originalArtist: ['x'] },
+          { songName: 'Fine', artist: 'Someone', keyCamelot: ' 8a ', keyRegular: 'f# minor', userName: ` ${'n'.repeat(300)} ` }
+        ]
+      };
+      const otherId = other.body.session.id;
+      assert.strictEqual((await dj('POST', `/api/sessions/${otherId}/import`, { adminSecret: other.body.adminSecret, body: crafted })).status, 200);
+      const rows = (await dj('GET', `/api/submissions?sessionId=${otherId}`, { adminSecret: other.body.adminSecret })).body
+        .sort((a, b) => a.song_name.localeCompare(b.song_name));
+      assert.deepStrictEqual(rows.map(row => [row.song_name, row.key_camelot, row.key_regular]), [['Crafted', null, null], ['Fine', '8A', 'F# minor']]);
+      assert.deepStrictEqual(rows.map(row => [row.user_name, row.original_artist]), [[null, 'Someone'], ['n'.repeat(200), 'Someone']]);
+    });
+
+    it('feeds the venue display, without names or queue when the DJ turns them off', async () => {
+      await guest('POST', '/api/submit', { body: { sessionId, songName: 'Mamma Mia', artist: 'ABBA', userName: 'Kim' } });
+
+      const display = await guest('GET', `/api/sessions/${sessionId}/display`);
+      assert.strictEqual(display.status, 200);
+      assert.strictEqual(display.body.session.welcomeMessage, 'Welcome to Test Night');
+      assert.deepStrictEqual(display.body.nowPlaying, { id: display.body.nowPlaying.id, songName: 'Dancing Queen', artist: 'ABBA', requestedBy: 'Sam', requestCount: 2, answers: [] });
+      assert.deepStrictEqual(display.body.upNext.map(track => [track.songName, track.requestedBy]), [['Mamma Mia', 'Kim']]);
+
+      await dj('POST', '/api/update-settings', {
+        adminSecret,
+        body: { sessionId, welcomeMessage: 'Welcome to Test Night', display: { showNames: false, showQueue: false } }
+      });
+      const hidden = await guest('GET', `/api/sessions/${sessionId}/display`);
+      assert.deepStrictEqual(hidden.body.display, { showNames: false, showQueue: false });
+      assert.strictEqual(hidden.body.nowPlaying.requestedBy, null);
+      assert.deepStrictEqual(hidden.body.upNext, []);
+      assert.deepStrictEqual((await dj('GET', `/api/settings?sessionId=${sessionId}`)).body.display, { showNames: false, showQueue: false });
+
+      const qr = await fetch(`${server.baseUrl}/qr/${sessionId}?format=png`);
+      assert.strictEqual(qr.headers.get('content-type'), 'image/png');
+      assert.strictEqual((await guest('GET', '/api/sessions/NOPE/display')).status, 404);
+    });
+
+    it('sends displays refresh hints without request details', async () => {
+      const controller = new AbortController();
+      const stream = await fetch(`${server.baseUrl}/api/sessions/${sessionId}/display/events`, { signal: controller.signal });
+      const reader = stream.body.getReader();
+      await reader.read(); // retry: line
+
+      const [mammaMia] = (await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret })).body;
+      await dj('POST', `/api/submissions/${mammaMia.id}/status`, { adminSecret, body: { sessionId, status: 'up-next' } });
+
+      const { value } = await reader.read();
+      controller.abort();
+      const message = Buffer.from(value).toString();
+      assert.match(message, /^event: display\.refresh\ndata: \{"type":"submission\.updated"\}/);
+      assert.ok(!message.includes('Mamma Mia'));
+    });
+
+    it('asks the DJ\'s extra questions and shows the answers', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'Wedding' } });
+      const weddingId = created.body.session.id;
+      const weddingSecret = created.body.adminSecret;
+      const setFields = fields => dj('POST', `/api/sessions/${weddingId}/form-fields`, { adminSecret: weddingSecret, body: { fields } });
+
+      const invalid = await setFields([{ label: 'Occasion', type: 'choice', options: ['Birthday'] }]);
+      assert.strictEqual(invalid.status, 400);
+      assert.match(invalid.body.error, /Occasion/);
+
+      const saved = await setFields([
+        { label: 'Dedication', type: 'text', maxLength: 40 },
+        { label: 'Table', type: 'choice', options: ['1', '2', '3'], required: true, showOnDisplay: false }
+      ]);
+      assert.strictEqual(saved.status, 200);
+      assert.deepStrictEqual(saved.body.fields.map(field => field.id), ['dedication', 'table']);
+      assert.deepStrictEqual((await guest('GET', `/api/settings?sessionId=${weddingId}`)).body.formFields, saved.body.fields);
+
+      const missing = await guest('POST', '/api/submit', { body: { sessionId: weddingId, songName: 'Lovely Day', artist: 'Bill Withers' } });
+      assert.strictEqual(missing.status, 400);
+      assert.strictEqual(missing.body.code, 'INVALID_ANSWER');
+      assert.strictEqual(missing.body.field, 'table');
+
+      const tooLong = await guest('POST', '/api/submit', {
+        body: { sessionId: weddingId, songName: 'Lovely Day', artist: 'Bill Withers', answers: { table: '2', dedication: 'x'.repeat(41) } }
+      });
+      assert.strictEqual(tooLong.body.field, 'dedication');
+
+      const submitted = await guest('POST', '/api/submit', {
+        body: { sessionId: weddingId, songName: 'Lovely Day', artist: 'Bill Withers', userName: 'Sam', answers: { dedication: ' For the  bride ', table: '2' } }
+      });
+      assert.strictEqual(submitted.status, 200);
+
+      const [submission] = (await dj('GET', `/api/submissions?sessionId=${weddingId}`, { adminSecret: weddingSecret })).body;
+      assert.deepStrictEqual(submission.requesters[0].answers, [
+        { id: 'dedication', label: 'Dedication', value: 'For the bride' },
+        { id: 'table', label: 'Table', value: '2' }
+      ]);
+
+      // The table number stays off the public display
+      const display = await guest('GET', `/api/sessions/${weddingId}/display`);
+      assert.deepStrictEqual(display.body.upNext[0].answers, [{ label: 'Dedication', value: 'For the bride' }]);
+
+      const csv = await dj('GET', `/api/sessions/${weddingId}/export?format=csv`, { adminSecret: weddingSecret });
+      const [header, row] = csv.body.split('\r\n');
+      assert.ok(header.endsWith(',Dedication,Table'));
+      assert.ok(row.endsWith(',For the bride,2'));
+    });
+
+    it('interprets vague requests and lets the DJ confirm unsure matches', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'Karaoke' } });
+      const karaokeId = created.body.session.id;
+      const karaokeSecret = created.body.adminSecret;
+      await dj('POST', `/api/sessions/${karaokeId}/do-not-play`, { adminSecret: karaokeSecret, body: { artist: 'Journey', matchType: 'exact' } });
+
+      const requests = [
+        ['that wonderwall song', 'idk'],
+        ['sweet caroline by neil diamon', '?'],
+        ["don't stop believin by journy", '?'],
+        ['Levels', 'Avicii']
+      ];
+      for (const [songName, artist] of requests) {
+        assert.strictEqual((await guest('POST', '/api/submit', { body: { sessionId: karaokeId, songName, artist } })).status, 200);
+      }
+
+      // Lookups (and policy checks after them) run in the background
+      const settled = async (done = () => true) => {
+        let rows = [];
+        for (let attempt = 0; attempt < 50; attempt++) {
+          rows = (await dj('GET', `/api/submissions?sessionId=${karaokeId}`, { adminSecret: karaokeSecret })).body;
+          if (rows.every(row => row.enrichment_status !== 'queued') && done(rows)) break;
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return Object.fromEntries(rows.map(row => [row.original_song_name, row]));
+      };
+
+      let rows = await settled(all => all.some(row => row.status === 'rejected'));
+      const wonderwall = rows['that wonderwall song'];
+      assert.strictEqual(wonderwall.interpretation_status, 'needs-review');
+      assert.deepStrictEqual(wonderwall.interpretation_candidates.map(candidate => [candidate.songName, candidate.artist, candidate.confidence]), [['Wonderwall', 'Oasis', 0.7]]);
+      assert.strictEqual(wonderwall.bpm, null);
+
+      const caroline = rows['sweet caroline by neil diamon'];
+      assert.strictEqual(caroline.interpretation_status, 'auto');
+      assert.deepStrictEqual([caroline.song_name, caroline.artist, caroline.bpm], ['Sweet Caroline', 'Neil Diamond', 127]);
+      assert.strictEqual(caroline.interpretation_candidates[0].confidence, 0.87);
+
+      // Once interpreted, the request meets the do-not-play list under its real name
+      assert.strictEqual(rows["don't stop believin by journy"].status, 'rejected');
+      assert.strictEqual(rows.Levels.interpretation_status, null);
+
+      const settle = (id, candidate) => dj('POST', `/api/submissions/${id}/interpretation`, { adminSecret: karaokeSecret, body: { sessionId: karaokeId, candidate } });
+      assert.strictEqual((await settle(rows.Levels.id, 0)).body.code, 'NOT_INTERPRETED');
+      assert.strictEqual((await settle(wonderwall.id, 3)).status, 400);
+
+      const confirmed = await settle(wonderwall.id, 0);
+      assert.strictEqual(confirmed.status, 200);
+      assert.deepStrictEqual([confirmed.body.submission.song_name, confirmed.body.submission.interpretation_status], ['Wonderwall', 'confirmed']);
+      const dismissed = await settle(caroline.id, null);
+      assert.deepStrictEqual([dismissed.body.submission.song_name, dismissed.body.submission.bpm], ['sweet caroline by neil diamon', null]);
+
+      rows = await settled();
+      assert.deepStrictEqual([rows['that wonderwall song'].artist, rows['that wonderwall song'].bpm], ['Oasis', 87]);
+      assert.deepStrictEqual([rows['sweet caroline by neil diamon'].interpretation_status, rows['sweet caroline by neil diamon'].bpm], ['dismissed', null]);
+
+      const audit = (await dj('GET', `/api/sessions/${karaokeId}/audit`, { adminSecret: karaokeSecret })).body.entries.map(entry => entry.summary);
+      assert.ok(audit.includes('Matched "that wonderwall song" by idk to "Wonderwall" by Oasis'));
+    });
+
+    it('lets co-hosts in with invite links, limited to their role', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'B2B Night' } });
+      const b2bId = created.body.session.id;
+      const ownerSecret = created.body.adminSecret;
+      const invite = body => dj('POST', `/api/sessions/${b2bId}/invites`, { adminSecret: ownerSecret, body });
+
+      assert.strictEqual((await invite({ label: 'Mo', role: 'bouncer' })).status, 400);
+      const moderatorInvite = await invite({ label: 'Mo', role: 'moderator' });
+      assert.strictEqual(moderatorInvite.status, 200);
+      assert.ok(moderatorInvite.body.url.endsWith(`/admin/${b2bId}#key=${moderatorInvite.body.token}`));
+      const djInvite = await invite({ label: 'Dee', role: 'dj' });
+      const ownerInvite = await invite({ label: 'Planner', role: 'owner' });
+
+      // The invite link unlocks the dashboard like the admin key, then the cookie carries it
+      const moderator = createClient(server.baseUrl);
+      const login = await moderator('POST', `/api/sessions/${b2bId}/admin-login`, { adminSecret: moderatorInvite.body.token });
+      assert.deepStrictEqual(login.body, { success: true, role: 'moderator', label: 'Mo', invited: true, permissions: ['review'] });
+      assert.strictEqual((await moderator('GET', `/api/submissions?sessionId=${b2bId}`)).status, 200);
+
+      for (const songName of ['Hey Ya!', 'Toxic']) {
+        await guest('POST', '/api/submit', { body: { sessionId: b2bId, songName, artist: 'Various' } });
+      }
+      const [toxic, heyYa] = (await dj('GET', `/api/submissions?sessionId=${b2bId}`, { adminSecret: ownerSecret })).body;
+
+      const setStatus = (client, id, status, secret) => client('POST', `/api/submissions/${id}/status`, { adminSecret: secret, body: { sessionId: b2bId, status } });
+      assert.strictEqual((await setStatus(moderator, heyYa.id, 'rejected')).status, 200);
+      const forbidden = await setStatus(moderator, toxic.id, 'now-playing');
+      assert.strictEqual(forbidden.status, 403);
+      assert.strictEqual(forbidden.body.code, 'ROLE_FORBIDDEN');
+      assert.strictEqual((await moderator('POST', '/api/update-settings', { body: { sessionId: b2bId, welcomeMessage: 'Hi' } })).body.code, 'ROLE_FORBIDDEN');
+      assert.strictEqual((await moderator('GET', `/api/sessions/${b2bId}/invites`)).status, 403);
+
+      const djToken = djInvite.body.token;
+      assert.strictEqual((await setStatus(guest, toxic.id, 'now-playing', djToken)).status, 200);
+      assert.strictEqual((await guest('GET', `/api/sessions/${b2bId}/analytics`, { adminSecret: djToken })).status, 200);
+      assert.strictEqual((await guest('DELETE', '/api/clear', { adminSecret: djToken, body: { sessionId: b2bId } })).body.code, 'ROLE_FORBIDDEN');
+
+      // Invited owners manage the session, but the admin key stays with its holder
+      const ownerToken = ownerInvite.body.token;
+      assert.strictEqual((await guest('GET', `/api/sessions/${b2bId}/invites`, { adminSecret: ownerToken })).status, 200);
+      assert.strictEqual((await guest('POST', `/api/sessions/${b2bId}/rotate-secret`, { adminSecret: ownerToken })).status, 403);
+
+      const invites = (await dj('GET', `/api/sessions/${b2bId}/invites`, { adminSecret: ownerSecret })).body.invites;
+      assert.deepStrictEqual(invites.map(row => [row.label, row.role, !!row.lastUsedAt]), [['Planner', 'owner', false], ['Dee', 'dj', false], ['Mo', 'moderator', true]]);
+
+      const revoked = await dj('DELETE', `/api/sessions/${b2bId}/invites/${moderatorInvite.body.invite.id}`, { adminSecret: ownerSecret });
+      assert.ok(revoked.body.invite.revokedAt);
+      const locked = await moderator('GET', `/api/submissions?sessionId=${b2bId}`);
+      assert.strictEqual(locked.status, 403);
+      assert.strictEqual(locked.body.code, undefined);
+      assert.strictEqual((await dj('DELETE', `/api/sessions/${b2bId}/invites/${moderatorInvite.body.invite.id}`, { adminSecret: ownerSecret })).status, 404);
+
+      // Audit entries are written alongside the responses, so give the last one a moment
+      let entries = [];
+      for (let attempt = 0; attempt < 50 && entries.length < 6; attempt++) {
+        entries = (await dj('GET', `/api/sessions/${b2bId}/audit`, { adminSecret: ownerSecret })).body.entries;
+        if (entries.length < 6) await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.deepStrictEqual(entries.map(entry => [entry.actor, entry.role, entry.summary]), [
+        ['Owner', 'owner', "Revoked Mo's Moderator invite"],
+        ['Dee', 'dj', 'Moved "Toxic" by Various from pending to now-playing'],
+        ['Mo', 'moderator', 'Rejected "Hey Ya!" by Various'],
+        ['Owner', 'owner', 'Invited Planner as Owner'],
+        ['Owner', 'owner', 'Invited Dee as DJ'],
+        ['Owner', 'owner', 'Invited Mo as Moderator']
+      ]);
+    });
+
+    it('sends signed webhooks for session events and logs each delivery', async () => {
+      const receiver = await startWebhookReceiver();
+      try {
+        const created = await dj('POST', '/api/sessions', { body: { name: 'Crew Night' } });
+        const crewId = created.body.session.id;
+        const crewSecret = created.body.adminSecret;
+        const webhooks = `/api/sessions/${crewId}/webhooks`;
+        const addWebhook = body => dj('POST', webhooks, { adminSecret: crewSecret, body });
+
+        assert.strictEqual((await addWebhook({ url: `${receiver.url}/hook`, events: ['submission.deleted'] })).status, 400);
+        const internal = await addWebhook({ url: 'https://169.254.169.254/latest/meta-data', events: ['session.cleared'] });
+        assert.deepStrictEqual([internal.status, internal.body.error], [400, "Webhooks can't be sent to private or local addresses"]);
+        const booking = await addWebhook({
+          url: `${receiver.url}/hook`,
+          events: ['submission.created', 'submission.status_changed', 'session.cleared', 'settings.updated']
+        });
+        assert.strictEqual(booking.status, 200);
+        assert.ok(booking.body.secret.startsWith('whsec_'));
+        const slack = await addWebhook({ url: `${receiver.url}/slack`, format: 'slack', events: ['submission.created'] });
+        const down = await addWebhook({ url: `${receiver.url}/down`, events: ['session.cleared'] });
+
+        const listed = (await dj('GET', webhooks, { adminSecret: crewSecret })).body;
+        assert.deepStrictEqual(listed.webhooks.map(webhook => [webhook.format, webhook.active, webhook.secret]), [['json', true, undefined], ['slack', true, undefined], ['json', true, undefined]]);
+
+        const submitted = await guest('POST', '/api/submit', { body: { sessionId: crewId, songName: 'Hey Ya!', artist: 'OutKast', userName: 'Sam' } });
+        await dj('POST', `/api/submissions/${submitted.body.id}/status`, { adminSecret: crewSecret, body: { sessionId: crewId, status: 'now-playing' } });
+        await dj('POST', '/api/update-settings', { adminSecret: crewSecret, body: { sessionId: crewId, welcomeMessage: 'Crew only' } });
+        await dj('DELETE', '/api/clear', { adminSecret: crewSecret, body: { sessionId: crewId } });
+
+        // Deliveries go out in the background
+        const received = (path, event) => receiver.requests.find(request => request.path === path && request.headers['x-djq-event'] === event);
+        for (let attempt = 0; attempt < 50 && !(received('/hook', 'session.cleared') && received('/down', 'session.cleared') && received('/slack', 'submission.created')); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        const createdEvent = received('/hook', 'submission.created');
+        const { 'x-djq-timestamp': timestamp, 'x-djq-signature': signature } = createdEvent.headers;
+        const expected = crypto.createHmac('sha256', booking.body.secret).update(`${timestamp}.${createdEvent.body}`).digest('hex');
+        assert.strictEqual(signature, `sha256=${expected}`);
+        assert.deepStrictEqual(JSON.parse(createdEvent.body).data.submission, {
+          id: submitted.body.id, songName: 'Hey Ya!', artist: 'OutKast', requestedBy: 'Sam', requestCount: 1, status: 'pending', bpm: null, key: null
+        });
+
+        const statusEvent = JSON.parse(received('/hook', 'submission.status_changed').body);
+        assert.deepStrictEqual([statusEvent.sessionName, statusEvent.data.from, statusEvent.data.to], ['Crew Night', 'pending', 'now-playing']);
+        const settingsEvent = JSON.parse(received('/hook', 'settings.updated').body);
+        assert.ok(settingsEvent.data.changed.includes('welcomeMessage'));
+        assert.strictEqual(settingsEvent.data.settings.welcomeMessage, 'Crew only');
+        assert.deepStrictEqual(JSON.parse(received('/hook', 'session.cleared').body).data, { deletedCount: 1 });
+        assert.match(JSON.parse(received('/slack', 'submission.created').body).text, /^\*Crew Night\* 🎵 New request: "Hey Ya!" by OutKast from Sam$/);
+
+        // The log has every delivery; the failing one waits for a retry
+        const log = (await dj('GET', `${webhooks}/deliveries`, { adminSecret: crewSecret })).body.deliveries;
+        assert.strictEqual(log.length, 6);
+        const failed = log.find(delivery => delivery.webhookId === down.body.webhook.id);
+        assert.deepStrictEqual([failed.status, failed.attempts, failed.responseStatus, failed.error], ['queued', 1, 500, 'HTTP 500']);
+        assert.ok(failed.nextAttemptAt);
+        assert.ok(log.filter(delivery => delivery !== failed).every(delivery => delivery.status === 'delivered' && delivery.responseStatus === 200));
+        const slackLog = (await dj('GET', `${webhooks}/deliveries?webhookId=${slack.body.webhook.id}`, { adminSecret: crewSecret })).body.deliveries;
+        assert.deepStrictEqual(slackLog.map(delivery => delivery.event), ['submission.created']);
+
+        // Paused webhooks can still be tested
+        const paused = await dj('PUT', `${webhooks}/${slack.body.webhook.id}`, { adminSecret: crewSecret, body: { active: false } });
+        assert.deepStrictEqual([paused.body.webhook.active, paused.body.webhook.events], [false, ['submission.created']]);
+        assert.strictEqual((await dj('POST', `${webhooks}/${slack.body.webhook.id}/test`, { adminSecret: crewSecret })).status, 200);
+        for (let attempt = 0; attempt < 50 && !received('/slack', 'webhook.test'); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        assert.ok(received('/slack', 'webhook.test'));
+
+        assert.strictEqual((await dj('DELETE', `${webhooks}/${down.body.webhook.id}`, { adminSecret: crewSecret })).status, 200);
+        assert.strictEqual((await dj('DELETE', `${webhooks}/${down.body.webhook.id}`, { adminSecret: crewSecret })).status, 404);
+        assert.strictEqual((await dj('GET', webhooks, { adminSecret: crewSecret })).body.webhooks.length, 2);
+      } finally {
+        await receiver.close();
+      }
+    });
+
+    it('sends the settings webhook when the form\'s questions change', async () => {
+      const receiver = await startWebhookReceiver();
+      try {
+        const created = await dj('POST', '/api/sessions', { body: { name: 'Gala' } });
+        const galaId = created.body.session.id;
+        const galaSecret = created.body.adminSecret;
+        await dj('POST', `/api/sessions/${galaId}/webhooks`, { adminSecret: galaSecret, body: { url: `${receiver.url}/hook`, events: ['settings.updated'] } });
+
+        const saved = await dj('POST', `/api/sessions/${galaId}/form-fields`, { adminSecret: galaSecret, body: { fields: [{ label: 'Dedication', type: 'text' }] } });
+        assert.strictEqual(saved.status, 200);
+
+        const received = () => receiver.requests.find(request => request.headers['x-djq-event'] === 'settings.updated');
+        for (let attempt = 0; attempt < 50 && !received(); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        const { data } = JSON.parse(received().body);
+        assert.deepStrictEqual(data, { changed: ['formFields'], settings: { formFields: saved.body.fields } });
+      } finally {
+        await receiver.close();
+      }
+    });
+
+    it('advances requests from now-playing reports and keeps the played history', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'Club Night' } });
+      const clubId = created.body.session.id;
+      const clubSecret = created.body.adminSecret;
+      // A bridge script gets a DJ invite; moderators can't report tracks
+      const invite = async role => (await dj('POST', `/api/sessions/${clubId}/invites`, { adminSecret: clubSecret, body: { label: 'Bridge', role } })).body.token;
+      const bridgeKey = await invite('dj');
+      const moderatorKey = await invite('moderator');
+
+      for (const [songName, artist] of [['Mr. Brightside', 'The Killers'], ['Toxic', 'Britney Spears'], ['Dancing Queen', 'ABBA']]) {
+        await guest('POST', '/api/submit', { body: { sessionId: clubId, songName, artist } });
+      }
+      const byName = async () => Object.fromEntries((await dj('GET', `/api/submissions?sessionId=${clubId}`, { adminSecret: clubSecret })).body.map(row => [row.original_song_name, row]));
+      const report = (body, key = bridgeKey) => guest('POST', `/api/sessions/${clubId}/now-playing`, { adminSecret: key, body });
+
+      assert.strictEqual((await report({ title: 'Sandstorm' }, moderatorKey)).body.code, 'ROLE_FORBIDDEN');
+      assert.strictEqual((await report({ artist: 'Darude' })).status, 400);
+
+      const brightside = await report({ title: 'Mr. Brightside (Original Mix)', artist: 'The Killers' });
+      assert.strictEqual(brightside.status, 200);
+      assert.deepStrictEqual([brightside.body.duplicate, brightside.body.submission.status, brightside.body.track.matchScore], [false, 'now-playing', 1]);
+      assert.strictEqual((await report({ title: 'Mr. Brightside (Original Mix)', artist: 'The Killers' })).body.duplicate, true);
+
+      // A track nobody asked for: the request before it is done
+      const sandstorm = await report({ songName: 'Sandstorm', artist: 'Darude' });
+      assert.deepStrictEqual([sandstorm.body.submission, sandstorm.body.track.submissionId], [null, null]);
+      let rows = await byName();
+      assert.strictEqual(rows['Mr. Brightside'].status, 'played');
+
+      // Marking one now playing on the dashboard goes into the history too
+      await dj('POST', `/api/submissions/${rows.Toxic.id}/status`, { adminSecret: clubSecret, body: { sessionId: clubId, status: 'now-playing' } });
+
+      const osc = dgram.createSocket('udp4');
+      await new Promise(resolve => osc.send(encodeOscMessage('/djq/now-playing', [clubId, 'wrong-key', 'Toxic', 'Britney Spears']), oscPort, '127.0.0.1', resolve));
+      await new Promise(resolve => osc.send(encodeOscMessage('/djq/now-playing', [clubId, bridgeKey, 'Dancing Queen', 'ABBA']), oscPort, '127.0.0.1', resolve));
+      osc.close();
+
+      let tracks = [];
+      for (let attempt = 0; attempt < 50 && tracks.length < 4; attempt++) {
+        tracks = (await dj('GET', `/api/sessions/${clubId}/played`, { adminSecret: clubSecret })).body.tracks;
+        if (tracks.length < 4) await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.deepStrictEqual(tracks.map(track => [track.songName, track.source, !!track.submissionId]), [
+        ['Dancing Queen', 'osc', true],
+        ['Toxic', 'dashboard', true],
+        ['Sandstorm', 'api', false],
+        ['Mr. Brightside (Original Mix)', 'api', true]
+      ]);
+      assert.ok(tracks.every(track => track.playedAt));
+
+      rows = await byName();
+      assert.deepStrictEqual([rows.Toxic.status, rows['Dancing Queen'].status], ['played', 'now-playing']);
+    });
+
+    it('matches requests against an uploaded library and removes it', async () => {
+      const created = await dj('POST', '/api/sessions', { body: { name: 'Library Night' } });
+      const libraryId = created.body.session.id;
+      const librarySecret = created.body.adminSecret;
+      const library = `/api/sessions/${libraryId}/library`;
+      const submitted = await guest('POST', '/api/submit', { body: { sessionId: libraryId, songName: 'Hey Ya!', artist: 'OutKast' } });
+
+      const uploaded = await fetch(`${server.baseUrl}${library}?fileName=library.csv`, {
+        method: 'PUT',
+        headers: { 'content-type': 'text/csv', 'x-admin-secret': librarySecret },
+        body: 'title,artist,bpm,key\nHey Ya!,OutKast,160,8A\nRoxanne,The Police,134,\n'
+      });
+      assert.strictEqual(uploaded.status, 200);
+      const shown = (await dj('GET', library, { adminSecret: librarySecret })).body.library;
+      assert.deepStrictEqual([shown.fileName, shown.trackCount, shown.matchedCount], ['library.csv', 2, 1]);
+
+      assert.deepStrictEqual((await dj('DELETE', library, { adminSecret: librarySecret })).body, { success: true });
+      assert.strictEqual((await dj('GET', library, { adminSecret: librarySecret })).body.library, null);
+      assert.strictEqual((await dj('DELETE', library, { adminSecret: librarySecret })).status, 404);
+      const [row] = (await dj('GET', `/api/submissions?sessionId=${libraryId}`, { adminSecret: librarySecret })).body;
+      assert.deepStrictEqual([row.id, row.library_track_id], [submitted.body.id, null]);
+    });
+
+    it('clears the session\'s requests', async () => {
+      const cleared = await dj('DELETE', '/api/clear', { adminSecret, body: { sessionId } });
+      assert.strictEqual(cleared.body.deletedCount, 3);
+      assert.deepStrictEqual((await dj('GET', `/api/submissions?sessionId=${sessionId}`, { adminSecret })).body, []);
+    });
+
+    it('archives the session and frees its code', async () => {
+      const archived = await dj('POST', `/api/sessions/${sessionId}/archive`, { adminSecret });
+      assert.strictEqual(archived.status, 200);
+      assert.strictEqual(archived.body.shortCode, sessionId);
+
+      assert.strictEqual((await guest('GET', `/api/sessions/${sessionId}`)).status, 404);
+      assert.strictEqual((await guest('GET', `/api/sessions/${archived.body.sessionId}`)).status, 200);
+
+      const found = await dj('POST', '/api/sessions/find-archived', { adminSecret, body: { shortCode: sessionId } });
+      assert.strictEqual(found.body.sessionId, archived.body.sessionId);
+    });
+  });
+});
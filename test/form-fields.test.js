@@ -0,0 +1,111 @@
+// lib/form-fields.js: the DJ's extra form fields and guests' answers to them
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_FORM_FIELDS,
+  parseFormFields,
+  readFormFields,
+  validateAnswers,
+  readAnswers,
+  cleanImportedAnswers,
+  formatAnswerValue
+} = require('../lib/form-fields');
+
+describe('parseFormFields', () => {
+  it('fills in ids and defaults', () => {
+    assert.deepStrictEqual(parseFormFields([
+      { label: '  Table  #', type: 'text' },
+      { label: 'Table', type: 'choice', options: [' Inside ', 'Terrace', ''], required: true, showOnDisplay: false },
+      { id: 'first-dance', label: 'First dance?', type: 'checkbox' }
+    ]), [
+      { id: 'table', label: 'Table #', type: 'text', required: false, showOnDisplay: true, maxLength: 100 },
+      { id: 'table-2', label: 'Table', type: 'choice', required: true, showOnDisplay: false, options: ['Inside', 'Terrace'] },
+      { id: 'first-dance', label: 'First dance?', type: 'checkbox', required: false, showOnDisplay: true }
+    ]);
+    assert.deepStrictEqual(parseFormFields(null), []);
+    assert.strictEqual(parseFormFields([{ label: '!!!', type: 'text', maxLength: '20' }])[0].id, 'field');
+    assert.strictEqual(parseFormFields([{ label: '!!!', type: 'text', maxLength: '20' }])[0].maxLength, 20);
+  });
+
+  it('does not reuse an id given to a later field', () => {
+    const fields = parseFormFields([{ label: 'Name', type: 'text' }, { id: 'name', label: 'Other', type: 'text' }]);
+    assert.deepStrictEqual(fields.map(field => field.id), ['name-2', 'name']);
+  });
+
+  it('explains what is wrong', () => {
+    const fails = (value, pattern) => assert.throws(() => parseFormFields(value), pattern);
+    fails('text', /must be a list/);
+    fails(Array.from({ length: MAX_FORM_FIELDS + 1 }, () => ({ label: 'Q', type: 'text' })), /at most 10/);
+    fails([{ label: ' ', type: 'text' }], /Field 1 needs a label/);
+    fails([{ label: 'x'.repeat(61), type: 'text' }], /labels can have 60/);
+    fails([{ label: 'Mood', type: 'slider' }], /"Mood" needs a type/);
+    fails([{ id: 'Bad Id', label: 'Mood', type: 'text' }], /invalid id/);
+    fails([{ id: 'mood', label: 'Mood', type: 'text' }, { id: 'mood', label: 'Vibe', type: 'text' }], /Two fields have the id "mood"/);
+    fails([{ label: 'Mood', type: 'text', maxLength: 501 }], /1 to 500/);
+    fails([{ label: 'Mood', type: 'choice', options: ['Happy'] }], /2 to 20 options/);
+    fails([{ label: 'Mood', type: 'choice', options: ['Happy', 'happy'] }], /same option twice/);
+  });
+});
+
+describe('validateAnswers', () => {
+  const fields = parseFormFields([
+    { label: 'Dedication', type: 'text', maxLength: 10 },
+    { label: 'Occasion', type: 'choice', options: ['Birthday', 'Anniversary'], required: true },
+    { label: 'Shout-out', type: 'checkbox' }
+  ]);
+
+  it('returns answers in storage form', () => {
+    assert.deepStrictEqual(validateAnswers(fields, { dedication: ' For\n  Jo ', occasion: 'BIRTHDAY', 'shout-out': true, extra: 'ignored' }), [
+      { id: 'dedication', label: 'Dedication', value: 'For Jo' },
+      { id: 'occasion', label: 'Occasion', value: 'Birthday' },
+      { id: 'shout-out', label: 'Shout-out', value: true }
+    ]);
+    assert.deepStrictEqual(validateAnswers(fields, { dedication: '   ', occasion: 'Anniversary', 'shout-out': false }), [
+      { id: 'occasion', label: 'Occasion', value: 'Anniversary' }
+    ]);
+    assert.deepStrictEqual(validateAnswers([], undefined), []);
+  });
+
+  it('points at the field that needs fixing', () => {
+    const fails = (answers, field, pattern) => assert.throws(() => validateAnswers(fields, answers), (error) => {
+      assert.strictEqual(error.field, field);
+      assert.match(error.message, pattern);
+      return true;
+    });
+    fails({}, 'occasion', /Please fill in "Occasion"/);
+    fails({ occasion: 'Wedding' }, 'occasion', /Pick one of the options/);
+    fails({ occasion: 'Birthday', dedication: 'x'.repeat(11) }, 'dedication', /at most 10 characters/);
+    fails({ occasion: 'Birthday', dedication: 5 }, 'dedication', /must be text/);
+    fails({ occasion: 'Birthday', 'shout-out': 'yes' }, 'shout-out', /ticked or not/);
+    assert.throws(() => validateAnswers(parseFormFields([{ label: 'Agree', type: 'checkbox', required: true }]), {}), /Please tick "Agree"/);
+  });
+});
+
+describe('stored and imported answers', () => {
+  it('reads stored JSON leniently', () => {
+    assert.deepStrictEqual(readFormFields(null), []);
+    assert.deepStrictEqual(readFormFields('{"not": "a list"}'), []);
+    assert.deepStrictEqual(readAnswers('not json'), []);
+    assert.deepStrictEqual(readAnswers('[{"id":"a","label":"A","value":"b"}]'), [{ id: 'a', label: 'A', value: 'b' }]);
+  });
+
+  it('keeps only answers from an import', () => {
+    assert.deepStrictEqual(cleanImportedAnswers([
+      { id: 'Bad Id', label: ' Table  # ', value: ' 4 ' },
+      { id: 'ok', label: 'Ticked', value: true },
+      { label: 'Empty', value: ' ' },
+      { label: '', value: 'no label' },
+      'junk'
+    ]), [
+      { id: 'table', label: 'Table #', value: '4' },
+      { id: 'ok', label: 'Ticked', value: true }
+    ]);
+    assert.deepStrictEqual(cleanImportedAnswers(undefined), []);
+  });
+
+  it('formats ticked checkboxes', () => {
+    assert.strictEqual(formatAnswerValue(true), 'Yes');
+    assert.strictEqual(formatAnswerValue('Terrace'), 'Terrace');
+  });
+});
@@ -0,0 +1,138 @@
+// Shared setup for the integration tests. Every suite runs against a fresh SQLite file, and
+// against PostgreSQL too when TEST_DATABASE_URL is set, e.g.
+//   TEST_DATABASE_URL=postgres://localhost/djq_test npm test
+// Use a throwaway database: the tests drop the app's tables in it before each suite.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseDatabaseUrl, createStorage } = require('../lib/storage');
+const { migrate } = require('../lib/database');
+const MIGRATIONS = require('../migrations');
+
+const APP_TABLES = [
+  'played_tracks', 'webhook_deliveries', 'webhooks', 'audit_log', 'session_invites', 'background_images', 'push_subscriptions', 'guest_trackers', 'library_tracks', 'libraries', 'enrichment_jobs',
+  'blocked_requests', 'do_not_play', 'guest_bans', 'submission_requesters', 'submissions', 'sessions',
+  'metadata_cache', 'schema_version'
+];
+
+// Temp directories holding SQLite test databases and uploads, removed when the test process exits
+const tempDirs = [];
+process.on('exit', () => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'djq-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+// [{ name, databaseUrl }] for each backend under test
+function backends() {
+  const list = [{ name: 'sqlite', databaseUrl: null }];
+  if (process.env.TEST_DATABASE_URL) {
+    list.push({ name: 'postgres', databaseUrl: process.env.TEST_DATABASE_URL });
+  }
+  return list;
+}
+
+// An empty database for the backend: a new temp file for SQLite, dropped tables for PostgreSQL.
+// Resolves to the database URL to use.
+async function resetDatabase(backend) {
+  if (backend.name === 'sqlite') {
+    return `sqlite:${path.join(makeTempDir(), 'test.db')}`;
+  }
+
+  const db = await openStorage(backend.databaseUrl);
+  await call(db, 'run', `DROP TABLE IF EXISTS ${APP_TABLES.join(', ')} CASCADE`);
+  await closeStorage(db);
+  return backend.databaseUrl;
+}
+
+function openStorage(databaseUrl) {
+  return new Promise((resolve, reject) => {
+    const db = createStorage(parseDatabaseUrl(databaseUrl), (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+function closeStorage(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+// Promise wrapper for a storage (or repository) callback method; run() resolves to { lastID, changes }
+function call(target, method, ...args) {
+  return new Promise((resolve, reject) => {
+    target[method](...args, function(err, result) {
+      if (err) return reject(err);
+      resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+    });
+  });
+}
+
+// Fresh, fully migrated storage for a backend
+async function openMigratedStorage(backend) {
+  const db = await openStorage(await resetDatabase(backend));
+  await new Promise((resolve, reject) => migrate(db, MIGRATIONS, (err) => (err ? reject(err) : resolve())));
+  return db;
+}
+
+// Run server.js on a free port against databaseUrl. Resolves to { baseUrl, stop() }.
+function startServer(databaseUrl, env = {}) {
+  const port = 4000 + Math.floor(Math.random() * 2000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_URL: databaseUrl,
+      COOKIE_SECRET: 'test-cookie-secret',
+      DJQ_OPERATOR_KEY: 'test-operator-key',
+      METADATA_PROVIDERS: 'local',
+      REQUEST_INTERPRETER: 'local',
+      UPLOADS_DIR: makeTempDir(),
+      NODE_ENV: 'test',
+      VERCEL: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop().then(() => reject(new Error(`Server did not start:\n${output}`)));
+    }, 15000);
+
+    child.stdout.on('data', () => {
+      if (output.includes(`Server running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve({ baseUrl: `http://localhost:${port}`, stop, output: () => output });
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+module.exports = {
+  backends,
+  resetDatabase,
+  openStorage,
+  closeStorage,
+  openMigratedStorage,
+  call,
+  startServer
+};
@@ -0,0 +1,91 @@
+// lib/images.js and lib/file-store.js: recognizing uploads, rendering background variants, storing files
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { detectImageType, variantWidths, renderBackgroundVariants } = require('../lib/images');
+const { isValidKey, createDiskFileStore } = require('../lib/file-store');
+
+function render(buffer) {
+  return new Promise((resolve, reject) => {
+    renderBackgroundVariants(buffer, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function solidImage(width, height, format, channels = 3) {
+  return sharp({ create: { width, height, channels, background: { r: 200, g: 40, b: 120, alpha: 0.5 } } })[format]().toBuffer();
+}
+
+describe('detectImageType', () => {
+  it('goes by the file\'s bytes', async () => {
+    assert.strictEqual(detectImageType(await solidImage(16, 16, 'png')), 'image/png');
+    assert.strictEqual(detectImageType(await solidImage(16, 16, 'jpeg')), 'image/jpeg');
+    assert.strictEqual(detectImageType(await solidImage(16, 16, 'webp')), 'image/webp');
+    assert.strictEqual(detectImageType(await solidImage(16, 16, 'gif')), 'image/gif');
+  });
+
+  it('rejects anything else', () => {
+    assert.strictEqual(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), null);
+    assert.strictEqual(detectImageType(Buffer.from([0xff, 0xd8])), null);
+    assert.strictEqual(detectImageType('image/png'), null);
+  });
+});
+
+describe('variantWidths', () => {
+  it('never enlarges and keeps the original width below the largest', () => {
+    assert.deepStrictEqual(variantWidths(4000), [640, 1280, 1920]);
+    assert.deepStrictEqual(variantWidths(1500), [640, 1280, 1500]);
+    assert.deepStrictEqual(variantWidths(1280), [640, 1280]);
+    assert.deepStrictEqual(variantWidths(300), [300]);
+  });
+});
+
+describe('renderBackgroundVariants', () => {
+  it('renders opaque JPEGs at each width, keeping the aspect ratio', async () => {
+    const result = await render(await solidImage(1400, 700, 'png', 4));
+    assert.strictEqual(result.width, 1400);
+    assert.strictEqual(result.height, 700);
+    assert.deepStrictEqual(result.variants.map(variant => [variant.width, variant.height]), [[640, 320], [1280, 640], [1400, 700]]);
+
+    const metadata = await sharp(result.variants[0].buffer).metadata();
+    assert.strictEqual(metadata.format, 'jpeg');
+    assert.strictEqual(metadata.hasAlpha, false);
+  });
+
+  it('flags files that aren\'t images', async () => {
+    const header = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    await assert.rejects(render(Buffer.concat([header, Buffer.alloc(64)])), (err) => err.invalidImage === true);
+  });
+});
+
+describe('disk file store', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'djq-files-'));
+  const store = createDiskFileStore(directory);
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('only accepts keys inside its directory', () => {
+    assert.strictEqual(isValidKey('backgrounds/abc/640.jpg'), true);
+    ['../secret', 'backgrounds/../../etc/passwd', '/etc/passwd', 'a//b', '', 'a\\b', null].forEach((key) => {
+      assert.strictEqual(isValidKey(key), false, String(key));
+    });
+  });
+
+  it('writes, reads and removes files', async () => {
+    await call('put', 'backgrounds/abc/640.jpg', Buffer.from('jpeg bytes'));
+    assert.deepStrictEqual(await call('read', 'backgrounds/abc/640.jpg'), Buffer.from('jpeg bytes'));
+    assert.strictEqual(await call('read', 'backgrounds/abc/1280.jpg'), null);
+    assert.strictEqual(await call('read', '../outside'), null);
+
+    await call('remove', ['backgrounds/abc/640.jpg', 'backgrounds/abc/1280.jpg']);
+    assert.strictEqual(await call('read', 'backgrounds/abc/640.jpg'), null);
+    assert.strictEqual(fs.existsSync(path.join(directory, 'backgrounds', 'abc')), false);
+    await assert.rejects(call('put', '../outside', Buffer.from('x')), /Invalid file key/);
+  });
+});
@@ -0,0 +1,123 @@
+// lib/interpreters: reading vague and misspelled requests as candidate tracks
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { cleanGuesses, createRequestInterpreter } = require('../lib/interpreters');
+const { createLocalInterpreter } = require('../lib/interpreters/local');
+
+const catalog = [
+  { provider: 'local', id: '7', songName: 'Sweet Caroline', artist: 'Neil Diamond', bpm: 127, keyCamelot: '1B', featuresProvider: 'local' },
+  { provider: 'local', id: '8', songName: 'Wonderwall', artist: 'Oasis', bpm: 87, keyCamelot: '11A', featuresProvider: 'local' }
+];
+
+// A provider chain that finds tracks by exact title, like a catalog with no fuzzy matching
+const chain = {
+  async enrich({ songName }) {
+    return catalog.find(track => track.songName.toLowerCase() === songName.toLowerCase()) || null;
+  }
+};
+
+// An OpenAI client that answers every request with `content`, remembering what it was asked
+function fakeOpenAI(content) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        async create(params) {
+          calls.push(params);
+          return { choices: [{ message: { content } }] };
+        }
+      }
+    }
+  };
+}
+
+describe('local interpreter', () => {
+  const local = createLocalInterpreter();
+
+  it('splits "song by artist" and drops filler words and placeholder artists', async () => {
+    assert.deepStrictEqual(await local.interpret({ songName: 'sweet caroline by neil diamon', artist: 'idk' }), [
+      { songName: 'sweet caroline', artist: 'neil diamon', confidence: 0.9 },
+      { songName: 'sweet caroline by neil diamon', artist: '', confidence: 0.7 }
+    ]);
+    assert.deepStrictEqual(await local.interpret({ songName: 'can you play that wonderwall song pls', artist: '?' }), [
+      { songName: 'wonderwall', artist: '', confidence: 0.7 }
+    ]);
+  });
+
+  it('tries the fields swapped, and never strips a title to nothing', async () => {
+    assert.deepStrictEqual(await local.interpret({ songName: 'Oasis', artist: 'Wonderwall' }), [
+      { songName: 'Wonderwall', artist: 'Oasis', confidence: 0.6 }
+    ]);
+    assert.deepStrictEqual(await local.interpret({ songName: 'One', artist: 'U2' }), [
+      { songName: 'U2', artist: 'One', confidence: 0.6 }
+    ]);
+  });
+});
+
+describe('cleanGuesses', () => {
+  it('keeps titled guesses once, with confidence between 0 and 1', () => {
+    assert.deepStrictEqual(cleanGuesses([
+      { songName: '  Wonderwall ', artist: 'Oasis', confidence: 1.4 },
+      { title: 'wonderwall', artist: 'oasis', confidence: 0.2 },
+      { songName: 'Champagne Supernova', artist: 'Oasis' },
+      { artist: 'Nobody' },
+      'Half the World Away'
+    ]), [
+      { songName: 'Wonderwall', artist: 'Oasis', confidence: 1 },
+      { songName: 'Champagne Supernova', artist: 'Oasis', confidence: 0.5 }
+    ]);
+    assert.deepStrictEqual(cleanGuesses(null), []);
+  });
+});
+
+describe('createRequestInterpreter', () => {
+  it('keeps guesses the providers know, scored by how well they match', async () => {
+    const interpreter = createRequestInterpreter({ backend: 'local' });
+    const candidates = await interpreter.interpret({ songName: 'that wonderwall song', artist: 'idk' }, chain);
+    assert.deepStrictEqual(candidates, [{
+      songName: 'Wonderwall',
+      artist: 'Oasis',
+      confidence: 0.7,
+      provider: 'local',
+      trackId: '8',
+      bpm: 87,
+      keyCamelot: '11A',
+      keyRegular: null,
+      explicit: null,
+      isrc: null,
+      metadataProvider: 'local'
+    }]);
+  });
+
+  it('asks OpenAI and drops guesses no provider has', async () => {
+    const client = fakeOpenAI(JSON.stringify({
+      candidates: [
+        { songName: 'Sweet Caroline', artist: 'Neil Diamond', confidence: 0.95 },
+        { songName: 'Caroline, No', artist: 'The Beach Boys', confidence: 0.3 }
+      ]
+    }));
+    const interpreter = createRequestInterpreter({ backend: 'openai', client, openaiModel: 'test-model' });
+    assert.deepStrictEqual(interpreter.describe(), { name: 'openai', available: true });
+
+    const candidates = await interpreter.interpret({ songName: 'so good so good', artist: '' }, chain);
+    assert.deepStrictEqual(candidates.map(candidate => [candidate.songName, candidate.confidence]), [['Sweet Caroline', 0.95]]);
+    assert.strictEqual(client.calls[0].model, 'test-model');
+    assert.deepStrictEqual(JSON.parse(client.calls[0].messages[1].content), { songName: 'so good so good', artist: '' });
+  });
+
+  it('fails when OpenAI answers with something else', async () => {
+    const interpreter = createRequestInterpreter({ backend: 'openai', client: fakeOpenAI('Sure! Here are some songs') });
+    await assert.rejects(interpreter.interpret({ songName: 'x', artist: 'y' }, chain), /other than JSON/);
+  });
+
+  it('picks OpenAI only when it has a key, and can be turned off', async () => {
+    assert.strictEqual(createRequestInterpreter({}).name, 'local');
+    assert.strictEqual(createRequestInterpreter({ openaiApiKey: 'sk-test' }).name, 'openai');
+
+    const off = createRequestInterpreter({ backend: 'none', openaiApiKey: 'sk-test' });
+    assert.deepStrictEqual(off.describe(), { name: null, available: false });
+    assert.deepStrictEqual(await off.interpret({ songName: 'that wonderwall song', artist: 'idk' }, chain), []);
+  });
+});
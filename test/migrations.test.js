@@ -0,0 +1,85 @@
+// The migration runner (lib/database.js) and the baseline schema, on every backend
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { backends, resetDatabase, openStorage, closeStorage, call } = require('./helpers');
+const { migrate, getMigrationStatus } = require('../lib/database');
+const MIGRATIONS = require('../migrations');
+
+function runMigrations(db, migrations) {
+  return new Promise((resolve, reject) => {
+    migrate(db, migrations, (err, applied) => (err ? reject(err) : resolve(applied)));
+  });
+}
+
+function migrationStatus(db) {
+  return new Promise((resolve, reject) => {
+    getMigrationStatus(db, MIGRATIONS, (err, status) => (err ? reject(err) : resolve(status)));
+  });
+}
+
+backends().forEach((backend) => {
+  describe(`migrations on ${backend.name}`, () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await openStorage(await resetDatabase(backend));
+      await call(db, 'run', 'DROP TABLE IF EXISTS migration_test');
+    });
+
+    afterEach(async () => {
+      await call(db, 'run', 'DROP TABLE IF EXISTS migration_test');
+      await closeStorage(db);
+    });
+
+    it('applies every migration to an empty database, then nothing on a second run', async () => {
+      const applied = await runMigrations(db, MIGRATIONS);
+      assert.deepStrictEqual(applied.map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+      assert.deepStrictEqual(await runMigrations(db, MIGRATIONS), []);
+
+      const status = await migrationStatus(db);
+      assert.strictEqual(status.version, MIGRATIONS.length);
+      assert.ok(status.migrations.every(migration => migration.appliedAt));
+    });
+
+    it('adds missing columns to tables created before migrations existed', async () => {
+      await call(db, 'run', `CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_active INTEGER DEFAULT 1
+      )`);
+      await call(db, 'run', 'INSERT INTO sessions (id, name) VALUES (?, ?)', ['OLD1', 'Legacy party']);
+
+      await runMigrations(db, MIGRATIONS);
+
+      const columns = await call(db, 'columns', 'sessions');
+      assert.ok(columns.includes('admin_secret_hash'));
+      assert.ok(columns.includes('archived_at'));
+      const row = await call(db, 'get', 'SELECT name, request_status FROM sessions WHERE id = ?', ['OLD1']);
+      assert.deepStrictEqual(row, { name: 'Legacy party', request_status: 'open' });
+    });
+
+    it('leaves the database at the previous version when a migration fails', async () => {
+      const broken = {
+        version: MIGRATIONS.length + 1,
+        name: 'broken',
+        up: ['CREATE TABLE migration_test (id INTEGER PRIMARY KEY)', 'INSERT INTO no_such_table VALUES (1)']
+      };
+
+      await assert.rejects(runMigrations(db, [...MIGRATIONS, broken]), /Migration \d+ \(broken\) failed/);
+
+      assert.strictEqual((await migrationStatus(db)).version, MIGRATIONS.length);
+      assert.ok(!(await call(db, 'columns', 'migration_test')).length);
+    });
+
+    it('refuses a database newer than the code', async () => {
+      await runMigrations(db, MIGRATIONS);
+      await assert.rejects(runMigrations(db, MIGRATIONS.slice(0, -1)), /schema version/);
+    });
+
+    it('rejects a migration list with gaps', async () => {
+      await assert.rejects(runMigrations(db, [{ ...MIGRATIONS[0], version: 2 }]), /expected 1/);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// lib/now-playing: reading now-playing reports and finding the request they play
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseNowPlaying, findPlayedSubmission, isRepeat } = require('../lib/now-playing');
+
+function submission(id, songName, artist, extra = {}) {
+  return { id, song_name: songName, artist, status: 'pending', request_count: 1, ...extra };
+}
+
+describe('parseNowPlaying', () => {
+  it('takes songName or title, and keeps only valid ISRCs', () => {
+    assert.deepStrictEqual(parseNowPlaying({ title: '  Mr.  Brightside ', artist: 'The Killers', isrc: 'us-ir2-04-00347' }), {
+      songName: 'Mr. Brightside', artist: 'The Killers', isrc: 'USIR20400347'
+    });
+    assert.deepStrictEqual(parseNowPlaying({ songName: 'Sandstorm', isrc: 'nope' }), { songName: 'Sandstorm', artist: '', isrc: null });
+    assert.throws(() => parseNowPlaying({ artist: 'Darude' }), /songName \(or title\) is required/);
+    assert.throws(() => parseNowPlaying(null), /required/);
+  });
+});
+
+describe('findPlayedSubmission', () => {
+  const rows = [
+    submission(1, 'Mr. Brightside', 'The Killers', { status: 'played' }),
+    submission(2, 'Mr. Brightside', 'The Killers'),
+    submission(3, 'Mr Brightside', 'Killers', { request_count: 3 }),
+    submission(4, 'Levels', 'Avicii', { isrc: 'SE3GH1100001' }),
+    submission(5, 'Toxic', 'Britney Spears', { status: 'rejected' }),
+    submission(6, 'Wonderwall', 'Oasis', { original_song_name: 'that wonderwall song', original_artist: 'idk' })
+  ];
+
+  it('matches open requests by title and artist, preferring the most requested', () => {
+    const match = findPlayedSubmission({ songName: 'Mr. Brightside (Original Mix)', artist: 'The Killers' }, rows);
+    assert.deepStrictEqual([match.submission.id, match.score], [3, 1]);
+  });
+
+  it('matches by ISRC, and on the looked-up names when the guest typed something else', () => {
+    assert.strictEqual(findPlayedSubmission({ songName: 'Levels - Radio Edit', artist: 'Avicii', isrc: 'SE3GH1100001' }, rows).submission.id, 4);
+    assert.strictEqual(findPlayedSubmission({ songName: 'Wonderwall', artist: 'Oasis' }, rows).submission.id, 6);
+  });
+
+  it('leaves done requests and weak matches alone', () => {
+    assert.strictEqual(findPlayedSubmission({ songName: 'Toxic', artist: 'Britney Spears' }, rows), null);
+    assert.strictEqual(findPlayedSubmission({ songName: 'Sandstorm', artist: 'Darude' }, rows), null);
+    assert.strictEqual(findPlayedSubmission({ songName: 'Levels', artist: 'Nick Jonas' }, rows), null);
+  });
+});
+
+describe('isRepeat', () => {
+  const now = Date.parse('2026-05-01T22:00:00Z');
+  const latest = { songName: 'Sandstorm', artist: 'Darude', playedAt: now - 60 * 1000 };
+
+  it('ignores the same track reported again soon after', () => {
+    assert.strictEqual(isRepeat({ songName: 'sandstorm', artist: 'Darude' }, latest, now), true);
+    assert.strictEqual(isRepeat({ songName: 'Sandstorm', artist: 'Darude' }, { ...latest, playedAt: now - 20 * 60 * 1000 }, now), false);
+    assert.strictEqual(isRepeat({ songName: 'Levels', artist: 'Avicii' }, latest, now), false);
+    assert.strictEqual(isRepeat({ songName: 'Sandstorm', artist: 'Darude' }, null, now), false);
+  });
+});
@@ -0,0 +1,47 @@
+// lib/osc: decoding OSC packets and receiving them over UDP
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { parseOscPacket, encodeOscMessage, startOscListener } = require('../lib/osc');
+
+describe('parseOscPacket', () => {
+  it('decodes messages and bundles', () => {
+    const message = encodeOscMessage('/djq/now-playing', ['ABCD', 'key', 'Sandstorm', 'Darude', 7, 0.5, true, null]);
+    assert.deepStrictEqual(parseOscPacket(message), [
+      { address: '/djq/now-playing', args: ['ABCD', 'key', 'Sandstorm', 'Darude', 7, 0.5, true, null] }
+    ]);
+
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(message.length);
+    const bundle = Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), size, message, size, message]);
+    assert.strictEqual(parseOscPacket(bundle).length, 2);
+  });
+
+  it('rejects what it cannot read', () => {
+    assert.throws(() => parseOscPacket(Buffer.from('no terminator')), /Unterminated/);
+    assert.throws(() => parseOscPacket(encodeOscMessage('djq', [])), /start with \//);
+    const blob = Buffer.concat([encodeOscMessage('/x', []).subarray(0, 4), Buffer.from(',b\0\0'), Buffer.alloc(4)]);
+    assert.throws(() => parseOscPacket(blob), /Unsupported OSC type tag "b"/);
+    assert.throws(() => parseOscPacket(Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), Buffer.from([0, 0, 0, 64])])), /Truncated/);
+  });
+});
+
+describe('startOscListener', () => {
+  it('hands each received message over', async () => {
+    let received;
+    const gotMessage = new Promise(resolve => { received = resolve; });
+    const listener = await startOscListener({ port: 0, host: '127.0.0.1', onMessage: message => received(message) });
+
+    const client = dgram.createSocket('udp4');
+    try {
+      // A malformed packet first: dropped, and the listener keeps going
+      client.send(Buffer.from('junk'), listener.port, '127.0.0.1');
+      client.send(encodeOscMessage('/djq/now-playing', ['ABCD', 'key', 'Levels', 'Avicii']), listener.port, '127.0.0.1');
+      assert.deepStrictEqual(await gotMessage, { address: '/djq/now-playing', args: ['ABCD', 'key', 'Levels', 'Avicii'] });
+    } finally {
+      client.close();
+      await listener.close();
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// lib/push.js: validating browser subscriptions and sending status notifications
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parsePushSubscription, buildStatusNotification, createPushNotifier } = require('../lib/push');
+
+const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+const vapid = { publicKey: 'public-key', privateKey: 'private-key', subject: 'mailto:dj@example.com' };
+
+describe('parsePushSubscription', () => {
+  it('accepts a browser subscription', () => {
+    assert.deepStrictEqual(parsePushSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', expirationTime: null, keys }), {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+      ...keys
+    });
+  });
+
+  it('rejects anything else', () => {
+    assert.strictEqual(parsePushSubscription(null), null);
+    assert.strictEqual(parsePushSubscription({ endpoint: 'https://push.example/1' }), null);
+    assert.strictEqual(parsePushSubscription({ endpoint: 'http://127.0.0.1:6379/', keys }), null);
+    assert.strictEqual(parsePushSubscription({ endpoint: 'not a url', keys }), null);
+    assert.strictEqual(parsePushSubscription({ endpoint: `https://push.example/${'x'.repeat(1000)}`, keys }), null);
+    assert.strictEqual(parsePushSubscription({ endpoint: 'https://push.example/1', keys: { ...keys, auth: '<script>' } }), null);
+  });
+});
+
+describe('buildStatusNotification', () => {
+  it('tells the guest their song is up next, then playing', () => {
+    const submission = { id: 7, song_name: 'Dreams', artist: 'Fleetwood Mac', status: 'up-next' };
+    assert.deepStrictEqual(buildStatusNotification(submission), {
+      title: "You're up next! 🎶",
+      body: 'Dreams by Fleetwood Mac is coming up next',
+      tag: 'djq-request-7'
+    });
+    assert.strictEqual(buildStatusNotification({ ...submission, status: 'now-playing' }).tag, 'djq-request-7');
+  });
+
+  it('stays quiet for other statuses', () => {
+    ['pending', 'played', 'skipped', 'rejected'].forEach((status) => {
+      assert.strictEqual(buildStatusNotification({ id: 7, song_name: 'Dreams', artist: 'Fleetwood Mac', status }), null);
+    });
+  });
+});
+
+describe('createPushNotifier', () => {
+  const notification = { title: 'Up next', body: 'Dreams', tag: 'djq-request-7' };
+
+  function fakeGuests(subscriptions) {
+    const deleted = [];
+    return {
+      deleted,
+      listPushSubscriptionsForSubmission: (submissionId, callback) => callback(null, subscriptions),
+      deletePushSubscription: (endpoint, guestId, callback) => {
+        deleted.push([endpoint, guestId]);
+        callback(null, true);
+      }
+    };
+  }
+
+  const subscriptions = [
+    { session_id: 'ABCD', guest_id: 'g1', endpoint: 'https://push.example/ok', ...keys },
+    { session_id: 'ABCD', guest_id: 'g2', endpoint: 'https://push.example/gone', ...keys },
+    { session_id: 'ABCD', guest_id: 'g3', endpoint: 'https://push.example/down', ...keys }
+  ];
+
+  it('sends to every requester and drops subscriptions that are gone', async () => {
+    const guests = fakeGuests(subscriptions);
+    const sent = [];
+    const notifier = createPushNotifier({
+      guests,
+      vapid,
+      trackingPath: (sessionId, guestId) => `/track/${sessionId}-${guestId}`,
+      send: (target, payload, options) => {
+        sent.push({ target, payload: JSON.parse(payload), options });
+        if (target.endpoint.endsWith('/gone')) return Promise.reject(Object.assign(new Error('Gone'), { statusCode: 410 }));
+        if (target.endpoint.endsWith('/down')) return Promise.reject(Object.assign(new Error('Bad gateway'), { statusCode: 502 }));
+        return Promise.resolve({ statusCode: 201 });
+      }
+    });
+
+    const counts = await new Promise((resolve, reject) => {
+      notifier.notifyRequesters(7, notification, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    assert.deepStrictEqual(counts, { sent: 1, removed: 1, failed: 1 });
+    assert.deepStrictEqual(guests.deleted, [['https://push.example/gone', null]]);
+    assert.deepStrictEqual(sent[0].target, { endpoint: 'https://push.example/ok', keys });
+    assert.deepStrictEqual(sent[0].payload, { ...notification, url: '/track/ABCD-g1' });
+    assert.strictEqual(sent[0].options.topic, 'djq-request-7');
+    assert.deepStrictEqual(sent[0].options.vapidDetails, vapid);
+  });
+
+  it('does nothing without a VAPID key pair', async () => {
+    const notifier = createPushNotifier({
+      guests: fakeGuests(subscriptions),
+      vapid: { publicKey: undefined, privateKey: undefined },
+      trackingPath: () => '/',
+      send: () => assert.fail('nothing should be sent')
+    });
+
+    assert.strictEqual(notifier.enabled, false);
+    assert.strictEqual(notifier.publicKey, null);
+    const counts = await new Promise((resolve) => notifier.notifyRequesters(7, notification, (err, result) => resolve(result)));
+    assert.deepStrictEqual(counts, { sent: 0, removed: 0, failed: 0 });
+  });
+});
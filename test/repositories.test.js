@@ -0,0 +1,728 @@
+// Session, submission, settings, guest, image, access, webhook, played-track, ban, policy, library and
+// enrichment job repositories against a migrated database, on every backend
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { backends, openMigratedStorage, closeStorage, call } = require('./helpers');
+const { createSessionRepository } = require('../lib/repositories/sessions');
+const { createSubmissionRepository } = require('../lib/repositories/submissions');
+const { createSettingsRepository } = require('../lib/repositories/settings');
+const { createGuestRepository } = require('../lib/repositories/guests');
+const { createImageRepository } = require('../lib/repositories/images');
+const { createAccessRepository } = require('../lib/repositories/access');
+const { createWebhookRepository } = require('../lib/repositories/webhooks');
+const { createPlayedTrackRepository } = require('../lib/repositories/played-tracks');
+const { createBanRepository } = require('../lib/repositories/bans');
+const { createPolicyRepository } = require('../lib/repositories/policies');
+const { createLibraryRepository } = require('../lib/repositories/libraries');
+const { createEnrichmentJobRepository } = require('../lib/repositories/enrichment-jobs');
+
+// 'YYYY-MM-DD HH:MM:SS' UTC, offset from now
+function timestamp(offsetMs = 0) {
+  return new Date(Date.now() + offsetMs).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+backends().forEach((backend) => {
+  describe(`repositories on ${backend.name}`, () => {
+    let db;
+    let sessions;
+    let submissions;
+    let settings;
+    let guests;
+    let images;
+    let access;
+    let webhooks;
+    let playedTracks;
+    let bans;
+    let policies;
+    let libraries;
+    let enrichmentJobs;
+
+    const guest = { guestId: 'guest-1', ipHash: 'ip-1' };
+    const otherGuest = { guestId: 'guest-2', ipHash: 'ip-2' };
+
+    function createSession(id) {
+      return call(sessions, 'create', {
+        id,
+        name: `Party ${id}`,
+        welcomeMessage: `Party ${id}`,
+        subtitleMessage: 'Submit your song below',
+        background: '#000',
+        adminSecretHash: `admin-${id}`,
+        recoveryKeyHash: `recovery-${id}`
+      });
+    }
+
+    async function createRequest(sessionId, songName, artist, identity = guest) {
+      const id = await call(submissions, 'create', {
+        session_id: sessionId,
+        song_name: songName,
+        artist,
+        normalized_key: `${songName.toLowerCase()}|${artist.toLowerCase()}`
+      });
+      await call(submissions, 'recordRequester', id, sessionId, identity, 'Sam', 'request', null);
+      return id;
+    }
+
+    before(async () => {
+      db = await openMigratedStorage(backend);
+      sessions = createSessionRepository(db);
+      submissions = createSubmissionRepository(db);
+      settings = createSettingsRepository(db);
+      guests = createGuestRepository(db);
+      images = createImageRepository(db);
+      access = createAccessRepository(db);
+      webhooks = createWebhookRepository(db);
+      playedTracks = createPlayedTrackRepository(db);
+      bans = createBanRepository(db);
+      policies = createPolicyRepository(db);
+      libraries = createLibraryRepository(db);
+      enrichmentJobs = createEnrichmentJobRepository(db);
+    });
+
+    after(() => closeStorage(db));
+
+    describe('sessions', () => {
+      it('creates and finds sessions', async () => {
+        await createSession('ABC123');
+        assert.strictEqual(await call(sessions, 'exists', 'ABC123'), true);
+        assert.strictEqual(await call(sessions, 'exists', 'NOPE00'), false);
+
+        const session = await call(sessions, 'findById', 'ABC123');
+        assert.strictEqual(session.name, 'Party ABC123');
+        assert.strictEqual(session.is_active, 1);
+        assert.ok((await call(sessions, 'listActive')).some(row => row.id === 'ABC123'));
+      });
+
+      it('claims only sessions without credentials', async () => {
+        await call(db, 'run', 'INSERT INTO sessions (id, name) VALUES (?, ?)', ['OLD001', 'Before secrets']);
+        assert.strictEqual(await call(sessions, 'claim', 'OLD001', 'admin-new', 'recovery-new'), true);
+        assert.strictEqual(await call(sessions, 'claim', 'OLD001', 'admin-other', 'recovery-other'), false);
+        assert.strictEqual((await call(sessions, 'findById', 'OLD001')).admin_secret_hash, 'admin-new');
+      });
+
+      it('updates request intake', async () => {
+        const closesAt = timestamp(DAY);
+        await call(sessions, 'updateIntake', 'ABC123', { requestStatus: 'paused', opensAt: null, closesAt });
+        const session = await call(sessions, 'findById', 'ABC123');
+        assert.strictEqual(session.request_status, 'paused');
+        assert.strictEqual(session.closes_at, closesAt);
+        assert.ok(session.last_activity_at);
+      });
+
+      it('finds sessions idle since a cutoff', async () => {
+        await createSession('IDLE01');
+        await createSession('BUSY01');
+        await createSession('SOON01');
+        const longAgo = timestamp(-60 * DAY);
+        await call(db, 'run', "UPDATE sessions SET created_at = ?, last_activity_at = NULL WHERE id IN ('IDLE01', 'BUSY01', 'SOON01')", [longAgo]);
+        await call(db, 'run', 'UPDATE sessions SET opens_at = ? WHERE id = ?', [timestamp(DAY), 'SOON01']);
+        await createRequest('BUSY01', 'Recent', 'Guest Favourite');
+
+        const idle = (await call(sessions, 'findIdleSince', timestamp(-30 * DAY))).map(row => row.id);
+        assert.ok(idle.includes('IDLE01'));
+        assert.ok(!idle.includes('BUSY01'));
+        assert.ok(!idle.includes('SOON01'));
+        assert.ok(!idle.includes('ABC123'));
+      });
+
+      it('archives a session and everything in it under a new ID', async () => {
+        await createSession('ARCH01');
+        const submissionId = await createRequest('ARCH01', 'Archived Song', 'Old Band');
+        await call(db, 'run', 'INSERT INTO guest_bans (session_id, guest_id) VALUES (?, ?)', ['ARCH01', 'guest-9']);
+        await call(guests, 'saveTracker', 'ARCH01', guest.guestId, 'hash-arch01');
+        await call(access, 'createInvite', { sessionId: 'ARCH01', tokenHash: 'invite-arch01', role: 'dj', label: 'Alex' });
+        const webhookId = await call(webhooks, 'createWebhook', {
+          sessionId: 'ARCH01', url: 'https://example.com/hook', format: 'json', events: ['session.cleared'], secret: 'whsec_arch01'
+        });
+        await call(webhooks, 'queueDelivery', { webhookId, sessionId: 'ARCH01', event: 'session.cleared', body: '{}', nextAttemptAt: Date.now() });
+        await call(playedTracks, 'record', { sessionId: 'ARCH01', songName: 'Archived Song', artist: 'Old Band', submissionId, matchScore: 1, source: 'api' });
+
+        const session = await call(sessions, 'findById', 'ARCH01');
+        await call(sessions, 'archive', session, 'ARCH01-archived');
+
+        assert.strictEqual(await call(sessions, 'exists', 'ARCH01'), false);
+        const archived = await call(sessions, 'findById', 'ARCH01-archived');
+        assert.strictEqual(archived.short_code, 'ARCH01');
+        assert.strictEqual(archived.is_active, 0);
+        assert.strictEqual(archived.request_status, 'closed');
+        assert.ok(archived.archived_at);
+        assert.strictEqual((await call(submissions, 'findById', submissionId)).session_id, 'ARCH01-archived');
+        assert.strictEqual((await call(submissions, 'listRequesters', 'ARCH01-archived')).length, 1);
+        const ban = await call(db, 'get', 'SELECT session_id FROM guest_bans WHERE guest_id = ?', ['guest-9']);
+        assert.strictEqual(ban.session_id, 'ARCH01-archived');
+        assert.strictEqual((await call(guests, 'findTracker', 'hash-arch01')).session_id, 'ARCH01-archived');
+        assert.strictEqual((await call(access, 'listInvites', 'ARCH01-archived')).length, 1);
+        assert.strictEqual((await call(webhooks, 'listWebhooks', 'ARCH01-archived')).length, 1);
+        assert.strictEqual((await call(webhooks, 'listDeliveries', 'ARCH01-archived', null, 10)).length, 1);
+        assert.strictEqual((await call(playedTracks, 'findLatest', 'ARCH01-archived')).submission_id, submissionId);
+
+        const found = await call(sessions, 'findArchived', 'ARCH01', 'admin-ARCH01', 'wrong');
+        assert.strictEqual(found.id, 'ARCH01-archived');
+        assert.strictEqual(await call(sessions, 'findArchived', 'ARCH01', 'wrong', 'wrong'), undefined);
+      });
+    });
+
+    describe('submissions', () => {
+      before(() => createSession('SUBS01'));
+
+      it('finds an open duplicate by normalized key or track', async () => {
+        const id = await call(submissions, 'create', {
+          session_id: 'SUBS01',
+          song_name: 'Mr. Brightside',
+          artist: 'The Killers',
+          normalized_key: 'mr brightside|killers',
+          track_provider: 'spotify',
+          track_id: 'sp-1',
+          spotify_id: 'sp-1'
+        });
+        await call(submissions, 'recordRequester', id, 'SUBS01', guest, 'Sam', 'request', null);
+
+        assert.strictEqual((await call(submissions, 'findOpenDuplicate', 'SUBS01', null, 'mr brightside|killers')).id, id);
+        assert.strictEqual((await call(submissions, 'findOpenDuplicate', 'SUBS01', { provider: 'spotify', id: 'sp-1' }, 'other|key')).id, id);
+        assert.strictEqual(await call(submissions, 'findOpenDuplicate', 'SUBS01', null, 'other|key'), undefined);
+      });
+
+      it('records each guest once per request', async () => {
+        const duplicate = await call(submissions, 'findOpenDuplicate', 'SUBS01', null, 'mr brightside|killers');
+        assert.strictEqual(await call(submissions, 'recordRequester', duplicate.id, 'SUBS01', guest, 'Sam', 'upvote', null), false);
+        assert.strictEqual(await call(submissions, 'recordRequester', duplicate.id, 'SUBS01', otherGuest, 'Alex', 'upvote', null), true);
+        await call(submissions, 'incrementRequestCount', duplicate.id);
+
+        const queue = await call(submissions, 'listQueue', 'SUBS01', otherGuest.guestId);
+        assert.strictEqual(queue[0].request_count, 2);
+        assert.ok(queue[0].requested_by_me);
+        assert.ok(await call(submissions, 'findUpvotable', 'SUBS01', duplicate.id));
+      });
+
+      it('counts open requests, per guest, per artist and recently', async () => {
+        await createRequest('SUBS01', 'Somebody Told Me', 'The Killers');
+
+        assert.strictEqual(await call(submissions, 'countOpen', 'SUBS01'), 2);
+        assert.strictEqual(await call(submissions, 'countOpenForGuest', 'SUBS01', guest.guestId), 2);
+        assert.strictEqual(await call(submissions, 'countOpenForGuest', 'SUBS01', otherGuest.guestId), 0);
+        assert.strictEqual(await call(submissions, 'countForArtist', 'SUBS01', 'killers'), 1);
+        assert.strictEqual(await call(submissions, 'countForArtist', 'SUBS01', 'the killers'), 1);
+        assert.strictEqual(await call(submissions, 'countForArtist', 'SUBS01', 'brightside'), 0);
+
+        // Two requests for Mr. Brightside put it ahead of the newer single request
+        const [newest, oldest] = await call(submissions, 'listBySession', 'SUBS01', 'newest');
+        assert.deepStrictEqual(await call(submissions, 'listWaitingIds', 'SUBS01'), [oldest.id, newest.id]);
+        await call(submissions, 'setStatus', 'SUBS01', newest.id, 'up-next', null);
+        assert.deepStrictEqual(await call(submissions, 'listWaitingIds', 'SUBS01'), [newest.id, oldest.id]);
+        await call(submissions, 'setStatus', 'SUBS01', newest.id, 'pending', null);
+
+        const recent = await call(submissions, 'countRecentRequests', 'SUBS01', guest, timestamp(-60 * 60 * 1000));
+        assert.strictEqual(recent.guest_count, 2);
+        assert.strictEqual(recent.ip_count, 2);
+        assert.match(recent.guest_oldest, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      });
+
+      it('sets statuses with their timestamps and reject reason', async () => {
+        const [newest, oldest] = await call(submissions, 'listBySession', 'SUBS01', 'newest');
+        assert.ok(newest.id > oldest.id);
+
+        assert.strictEqual(await call(submissions, 'setStatus', 'SUBS01', oldest.id, 'now-playing', null), true);
+        assert.ok((await call(submissions, 'findById', oldest.id)).now_playing_at);
+        assert.deepStrictEqual(await call(submissions, 'listNowPlayingIds', 'SUBS01', newest.id), [oldest.id]);
+
+        await call(submissions, 'setStatus', 'SUBS01', newest.id, 'rejected', 'Not tonight');
+        const rejected = await call(submissions, 'findById', newest.id);
+        assert.strictEqual(rejected.reject_reason, 'Not tonight');
+        assert.strictEqual(await call(submissions, 'setStatus', 'OTHER1', newest.id, 'pending', null), false);
+
+        const mine = await call(submissions, 'listGuestRequests', 'SUBS01', guest.guestId);
+        assert.deepStrictEqual(mine.map(row => row.status), ['rejected', 'now-playing']);
+
+        await call(submissions, 'markPlayed', [oldest.id]);
+        const played = await call(submissions, 'findById', oldest.id);
+        assert.strictEqual(played.status, 'played');
+        assert.ok(played.played_at);
+      });
+
+      it('settles an interpreted request on a candidate or the typed text', async () => {
+        await createSession('INTR01');
+        const id = await call(submissions, 'create', {
+          session_id: 'INTR01',
+          song_name: 'Sweet Caroline',
+          artist: 'Neil Diamond',
+          original_song_name: 'sweet caroline by neil diamon',
+          original_artist: '?',
+          normalized_key: 'sweet caroline by neil diamon|',
+          track_provider: 'local',
+          track_id: '7',
+          bpm: 127
+        });
+
+        assert.strictEqual(await call(submissions, 'settleInterpretation', 'INTR01', id, null), true);
+        let row = await call(submissions, 'findById', id);
+        assert.deepStrictEqual(
+          [row.song_name, row.artist, row.track_id, row.bpm, row.interpretation_status],
+          ['sweet caroline by neil diamon', '?', null, null, 'dismissed']
+        );
+
+        await call(submissions, 'settleInterpretation', 'INTR01', id, { songName: 'Sweet Caroline', artist: 'Neil Diamond', provider: 'spotify', trackId: 'sp-7' });
+        row = await call(submissions, 'findById', id);
+        assert.deepStrictEqual(
+          [row.song_name, row.track_provider, row.spotify_id, row.interpretation_status],
+          ['Sweet Caroline', 'spotify', 'sp-7', 'confirmed']
+        );
+        assert.strictEqual(await call(submissions, 'settleInterpretation', 'OTHER1', id, null), false);
+      });
+
+      it('only marks pending requests as played on import', async () => {
+        const id = await createRequest('SUBS01', 'Human', 'The Killers');
+        const [rejected] = await call(submissions, 'listBySession', 'SUBS01', 'newest')
+          .then(rows => rows.filter(row => row.status === 'rejected'));
+        assert.strictEqual(await call(submissions, 'markPendingPlayed', 'SUBS01', [id, rejected.id]), 1);
+      });
+
+      it('deletes a session\'s requests with their requesters and jobs', async () => {
+        const [submission] = await call(submissions, 'listBySession', 'SUBS01', 'oldest');
+        await call(db, 'run', 'INSERT INTO enrichment_jobs (submission_id, session_id, next_attempt_at) VALUES (?, ?, ?)', [submission.id, 'SUBS01', Date.now()]);
+
+        assert.strictEqual(await call(submissions, 'deleteBySession', 'SUBS01'), 3);
+        assert.deepStrictEqual(await call(submissions, 'listRequesters', 'SUBS01'), []);
+        const jobs = await call(db, 'get', 'SELECT COUNT(*) AS count FROM enrichment_jobs WHERE session_id = ?', ['SUBS01']);
+        assert.strictEqual(jobs.count, 0);
+      });
+
+      it('keeps each requester\'s form answers', async () => {
+        await createSession('SUBS02');
+        const id = await call(submissions, 'create', {
+          session_id: 'SUBS02',
+          song_name: 'September',
+          artist: 'Earth, Wind & Fire',
+          normalized_key: 'september|earth wind fire'
+        });
+        const answers = [{ id: 'dedication', label: 'Dedication', value: 'For Mum' }, { id: 'first-dance', label: 'First dance', value: true }];
+        await call(submissions, 'recordRequester', id, 'SUBS02', guest, 'Sam', 'request', answers);
+        await call(submissions, 'recordRequester', id, 'SUBS02', otherGuest, 'Alex', 'request', []);
+
+        const requesters = await call(submissions, 'listRequesters', 'SUBS02');
+        assert.deepStrictEqual(requesters.map(row => row.answers), [answers, []]);
+        const [first] = await call(submissions, 'listSubmissionRequesters', id);
+        assert.strictEqual(first.user_name, 'Sam');
+        assert.deepStrictEqual(first.answers, answers);
+        assert.deepStrictEqual(await call(submissions, 'listAnswers', [id]), [{ submission_id: id, user_name: 'Sam', answers }]);
+        assert.deepStrictEqual(await call(submissions, 'listAnswers', []), []);
+      });
+
+      it('finds the original requester and carries over imported ones', async () => {
+        await createSession('SUBS03');
+        const id = await createRequest('SUBS03', 'Dancing Queen', 'ABBA');
+        await call(submissions, 'recordRequester', id, 'SUBS03', otherGuest, 'Alex', 'upvote', null);
+
+        const requester = await call(submissions, 'findOriginalRequester', 'SUBS03', id);
+        assert.deepStrictEqual([requester.guest_id, requester.ip_hash, requester.user_name], ['guest-1', 'ip-1', 'Sam']);
+        assert.strictEqual(await call(submissions, 'findOriginalRequester', 'OTHER1', id), null);
+
+        const importedId = await call(submissions, 'create', { session_id: 'SUBS03', song_name: 'Waterloo', artist: 'ABBA', normalized_key: 'waterloo|abba' });
+        const answers = [{ id: 'dedication', label: 'Dedication', value: 'For Jo' }];
+        await call(submissions, 'importRequesters', importedId, 'SUBS03', [
+          { guestId: 'imported-1', userName: 'Jo', kind: 'request', answers, createdAt: timestamp(-DAY) },
+          { guestId: 'imported-2', userName: null, kind: 'upvote', answers: [], createdAt: timestamp() }
+        ]);
+        const imported = await call(submissions, 'listSubmissionRequesters', importedId);
+        assert.deepStrictEqual(imported.map(row => [row.user_name, row.kind, row.answers]), [['Jo', 'request', answers], [null, 'upvote', []]]);
+      });
+
+      it('lists playable requests and records looked-up and library data', async () => {
+        const [first, second] = await call(submissions, 'listBySession', 'SUBS03', 'oldest');
+        await call(submissions, 'setStatus', 'SUBS03', second.id, 'rejected', null);
+        assert.deepStrictEqual((await call(submissions, 'listPlayable', 'SUBS03')).map(row => row.id), [first.id]);
+
+        await call(submissions, 'recordEnrichment', first.id, {
+          metadata: { songName: 'Dancing Queen', artist: 'ABBA', bpm: 101, keyCamelot: '4B', keyRegular: 'A Major', provider: 'spotify', trackId: 'sp-9', metadataProvider: 'spotify' },
+          libraryTrack: null,
+          interpretation: null,
+          status: 'done'
+        });
+        let row = await call(submissions, 'findById', first.id);
+        assert.deepStrictEqual(
+          [row.bpm, row.key_camelot, row.spotify_id, row.spotify_fetched, row.enrichment_status],
+          [101, '4B', 'sp-9', 1, 'done']
+        );
+
+        const track = { id: 42, bpm: 100, key_camelot: '11B', key_regular: 'A Major', location: '/music/dq.mp3' };
+        await call(submissions, 'setLibraryMatch', first.id, track, { bpm: 100, keyCamelot: '11B', keyRegular: 'A Major' });
+        row = await call(submissions, 'findById', first.id);
+        assert.deepStrictEqual(
+          [row.library_track_id, row.library_location, row.bpm, row.key_camelot, row.metadata_provider],
+          [42, '/music/dq.mp3', 100, '11B', 'library']
+        );
+        assert.strictEqual(await call(submissions, 'countLibraryMatches', 'SUBS03'), 1);
+
+        // Losing the match drops the library's data, but not what a provider supplied
+        await call(submissions, 'setLibraryMatch', first.id, null, null);
+        row = await call(submissions, 'findById', first.id);
+        assert.deepStrictEqual([row.library_track_id, row.bpm, row.key_camelot, row.metadata_provider], [null, null, null, null]);
+        assert.strictEqual(await call(submissions, 'countLibraryMatches', 'SUBS03'), 0);
+      });
+    });
+
+    describe('bans', () => {
+      before(() => createSession('BANS01'));
+
+      it('bans a guest by ID, or with their network', async () => {
+        const guestBan = await call(bans, 'create', { sessionId: 'BANS01', guestId: 'guest-1', userName: 'Sam', reason: 'Spam' });
+        const networkBan = await call(bans, 'create', { sessionId: 'BANS01', guestId: 'guest-9', ipHash: 'ip-2' });
+
+        assert.strictEqual((await call(bans, 'findForGuest', 'BANS01', guest)).id, guestBan);
+        assert.strictEqual((await call(bans, 'findForGuest', 'BANS01', otherGuest)).id, networkBan);
+        assert.strictEqual(await call(bans, 'findForGuest', 'OTHER1', guest), null);
+
+        const list = await call(bans, 'list', 'BANS01');
+        assert.deepStrictEqual(list.map(row => [row.id, row.includes_ip]), [[networkBan, true], [guestBan, false]]);
+        assert.strictEqual(list[1].reason, 'Spam');
+        assert.strictEqual(list[0].guest_id, undefined);
+
+        assert.strictEqual(await call(bans, 'remove', 'OTHER1', guestBan), false);
+        assert.strictEqual(await call(bans, 'remove', 'BANS01', guestBan), true);
+        assert.strictEqual(await call(bans, 'findForGuest', 'BANS01', guest), null);
+      });
+    });
+
+    describe('policies', () => {
+      before(() => createSession('POLI01'));
+
+      it('keeps the do-not-play list', async () => {
+        const artistId = await call(policies, 'addDoNotPlay', 'POLI01', { artist: 'Nickelback', matchType: 'exact' });
+        await call(policies, 'addDoNotPlayEntries', 'POLI01', [{ track: 'Macarena', matchType: 'fuzzy' }]);
+
+        const oldest = await call(policies, 'listDoNotPlay', 'POLI01', 'oldest');
+        assert.deepStrictEqual(
+          oldest.map(row => [row.artist, row.track, row.match_type]),
+          [['Nickelback', null, 'exact'], [null, 'Macarena', 'fuzzy']]
+        );
+        assert.deepStrictEqual((await call(policies, 'listDoNotPlay', 'POLI01', 'newest')).map(row => row.track), ['Macarena', null]);
+
+        assert.strictEqual(await call(policies, 'removeDoNotPlay', 'OTHER1', artistId), false);
+        assert.strictEqual(await call(policies, 'removeDoNotPlay', 'POLI01', artistId), true);
+        assert.strictEqual((await call(policies, 'listDoNotPlay', 'POLI01', 'oldest')).length, 1);
+      });
+
+      it('logs blocked requests, newest first', async () => {
+        await call(policies, 'logBlocked', { sessionId: 'POLI01', songName: 'Macarena', artist: 'Los del Rio', rule: 'do-not-play', detail: 'Macarena (fuzzy)' });
+        const id = await call(policies, 'logBlocked', { sessionId: 'POLI01', songName: 'WAP', artist: 'Cardi B', userName: 'Sam', spotifyId: 'sp-1', rule: 'explicit', detail: 'Explicit track' });
+
+        const blocked = await call(policies, 'listBlocked', 'POLI01', 10);
+        assert.deepStrictEqual(blocked.map(row => [row.song_name, row.rule]), [['WAP', 'explicit'], ['Macarena', 'do-not-play']]);
+        assert.strictEqual(blocked[0].id, id);
+        assert.strictEqual(blocked[0].user_name, 'Sam');
+        assert.strictEqual((await call(policies, 'listBlocked', 'POLI01', 1)).length, 1);
+      });
+    });
+
+    describe('libraries', () => {
+      before(() => createSession('LIBR01'));
+
+      const tracks = [
+        { title: 'Levels', artist: 'Avicii', album: null, bpm: 126, keyCamelot: '8A', keyRegular: 'A Minor', isrc: 'SE4M51100001', location: '/music/levels.mp3' },
+        { title: 'Sandstorm', artist: 'Darude', album: 'Before the Storm', bpm: 136, keyCamelot: null, keyRegular: null, isrc: null, location: null }
+      ];
+
+      it('replaces the session\'s library and lists its tracks', async () => {
+        assert.strictEqual(await call(libraries, 'findBySession', 'LIBR01'), null);
+
+        const first = await call(libraries, 'replace', 'LIBR01', { fileName: 'old.csv', format: 'csv', tracks: tracks.slice(0, 1) });
+        const library = await call(libraries, 'replace', 'LIBR01', { fileName: 'rekordbox.xml', format: 'rekordbox', tracks });
+        assert.notStrictEqual(library.id, first.id);
+        assert.deepStrictEqual([library.file_name, library.format, library.track_count], ['rekordbox.xml', 'rekordbox', 2]);
+        assert.strictEqual((await call(libraries, 'findBySession', 'LIBR01')).id, library.id);
+
+        const stored = await call(libraries, 'listTracks', library.id);
+        assert.deepStrictEqual(stored.map(row => [row.title, row.bpm, row.key_camelot]).sort(), [['Levels', 126, '8A'], ['Sandstorm', 136, null]]);
+        assert.deepStrictEqual(await call(libraries, 'listTracks', first.id), []);
+      });
+
+      it('removes the library with its tracks', async () => {
+        const library = await call(libraries, 'findBySession', 'LIBR01');
+        assert.strictEqual(await call(libraries, 'remove', 'LIBR01'), true);
+        assert.strictEqual(await call(libraries, 'remove', 'LIBR01'), false);
+        assert.strictEqual(await call(libraries, 'findBySession', 'LIBR01'), null);
+        assert.deepStrictEqual(await call(libraries, 'listTracks', library.id), []);
+      });
+    });
+
+    describe('enrichment jobs', () => {
+      before(() => createSession('ENRI01'));
+
+      it('queues jobs for a session\'s requests and marks them queued', async () => {
+        const firstId = await createRequest('ENRI01', 'Levels', 'Avicii');
+        const secondId = await call(submissions, 'create', { session_id: 'ENRI01', song_name: 'Sandstorm', artist: 'Darude', normalized_key: 'sandstorm|darude', bpm: 136, key_camelot: '4A' });
+        const now = Date.now();
+
+        assert.strictEqual(await call(enrichmentJobs, 'queueJobs', { sessionId: 'ENRI01', missingOnly: true, applyPolicies: true, nextAttemptAt: now }), 1);
+        assert.strictEqual((await call(submissions, 'findById', firstId)).enrichment_status, 'queued');
+        assert.strictEqual((await call(submissions, 'findById', secondId)).enrichment_status, null);
+
+        // The queue is shared by every session
+        const due = (await call(enrichmentJobs, 'listDueJobs', now, 50)).filter(job => job.session_id === 'ENRI01');
+        assert.deepStrictEqual(due.map(job => [job.submission_id, job.status, job.apply_policies]), [[firstId, 'queued', 1]]);
+
+        assert.strictEqual(await call(enrichmentJobs, 'queueJobs', { sessionId: 'ENRI01', submissionId: secondId, nextAttemptAt: now + 60000 }), 1);
+        assert.deepStrictEqual(
+          (await call(enrichmentJobs, 'listDueJobs', now, 50)).filter(job => job.session_id === 'ENRI01').map(job => job.submission_id),
+          [firstId]
+        );
+      });
+
+      it('runs, retries and finishes jobs, and requeues interrupted ones', async () => {
+        const now = Date.now();
+        const dueJobs = () => call(enrichmentJobs, 'listDueJobs', now + 120000, 50).then(jobs => jobs.filter(job => job.session_id === 'ENRI01'));
+        const [job] = await dueJobs();
+
+        await call(enrichmentJobs, 'startJob', job.id);
+        assert.strictEqual((await dueJobs()).some(row => row.id === job.id), false);
+        await call(enrichmentJobs, 'requeueInterrupted');
+        let requeued = (await dueJobs()).find(row => row.id === job.id);
+        assert.deepStrictEqual([requeued.status, requeued.attempts], ['queued', 1]);
+
+        await call(enrichmentJobs, 'startJob', job.id);
+        await call(enrichmentJobs, 'retryJob', job.id, now + 30000, 'Rate limited');
+        requeued = (await dueJobs()).find(row => row.id === job.id);
+        assert.deepStrictEqual([requeued.attempts, requeued.last_error, Number(requeued.next_attempt_at)], [2, 'Rate limited', now + 30000]);
+
+        await call(enrichmentJobs, 'finishJob', job.id, 'failed', 'Not found');
+        assert.strictEqual((await dueJobs()).some(row => row.id === job.id), false);
+
+        const [other] = await dueJobs();
+        await call(enrichmentJobs, 'deleteJob', other.id);
+        assert.deepStrictEqual(await dueJobs(), []);
+      });
+    });
+
+    describe('guests', () => {
+      let submissionId;
+
+      before(async () => {
+        await createSession('GUES01');
+        submissionId = await createRequest('GUES01', 'Dreams', 'Fleetwood Mac');
+        await call(submissions, 'recordRequester', submissionId, 'GUES01', otherGuest, 'Alex', 'upvote', null);
+      });
+
+      function subscription(endpoint, guestId = guest.guestId) {
+        return { sessionId: 'GUES01', guestId, endpoint, p256dh: 'key', auth: 'auth' };
+      }
+
+      it('keeps one tracker per guest and session', async () => {
+        await call(guests, 'saveTracker', 'GUES01', guest.guestId, 'hash-1');
+        await call(guests, 'saveTracker', 'GUES01', guest.guestId, 'hash-1');
+
+        const tracker = await call(guests, 'findTracker', 'hash-1');
+        assert.strictEqual(tracker.session_id, 'GUES01');
+        assert.strictEqual(tracker.guest_id, guest.guestId);
+        assert.strictEqual(await call(guests, 'findTracker', 'hash-2'), null);
+      });
+
+      it('saves push subscriptions by endpoint', async () => {
+        await call(guests, 'savePushSubscription', subscription('https://push.example/1'));
+        await call(guests, 'savePushSubscription', { ...subscription('https://push.example/1'), p256dh: 'new-key' });
+        await call(guests, 'savePushSubscription', subscription('https://push.example/2'));
+        await call(guests, 'savePushSubscription', subscription('https://push.example/3', otherGuest.guestId));
+
+        assert.strictEqual(await call(guests, 'countPushSubscriptions', 'GUES01', guest.guestId, ''), 2);
+        assert.strictEqual(await call(guests, 'countPushSubscriptions', 'GUES01', guest.guestId, 'https://push.example/1'), 1);
+
+        // Only guests who requested the song get its notifications, not upvoters
+        const targets = await call(guests, 'listPushSubscriptionsForSubmission', submissionId);
+        assert.deepStrictEqual(targets.map(row => [row.endpoint, row.p256dh]), [
+          ['https://push.example/1', 'new-key'],
+          ['https://push.example/2', 'key']
+        ]);
+      });
+
+      it('deletes a guest\'s own subscription, or any when it\'s gone', async () => {
+        assert.strictEqual(await call(guests, 'deletePushSubscription', 'https://push.example/1', otherGuest.guestId), false);
+        assert.strictEqual(await call(guests, 'deletePushSubscription', 'https://push.example/1', guest.guestId), true);
+        assert.strictEqual(await call(guests, 'deletePushSubscription', 'https://push.example/3', null), true);
+        assert.strictEqual(await call(guests, 'countPushSubscriptions', 'GUES01', guest.guestId, ''), 1);
+      });
+    });
+
+    describe('images', () => {
+      before(() => createSession('IMGS01'));
+
+      const background = (id) => ({
+        id,
+        sessionId: 'IMGS01',
+        sourceType: 'image/png',
+        width: 800,
+        height: 600,
+        variants: [{ width: 640, height: 480 }, { width: 800, height: 600 }]
+      });
+
+      it('keeps one background per session and hands back the one it replaced', async () => {
+        assert.strictEqual(await call(images, 'findBackground', 'IMGS01'), null);
+        assert.strictEqual(await call(images, 'replaceBackground', background('image-1')), null);
+
+        const previous = await call(images, 'replaceBackground', background('image-2'));
+        assert.strictEqual(previous.id, 'image-1');
+        assert.deepStrictEqual(previous.variants, background('image-1').variants);
+
+        const current = await call(images, 'findBackground', 'IMGS01');
+        assert.strictEqual(current.id, 'image-2');
+        assert.strictEqual(current.source_type, 'image/png');
+        assert.deepStrictEqual(current.variants, [{ width: 640, height: 480 }, { width: 800, height: 600 }]);
+      });
+
+      it('deletes the background', async () => {
+        assert.strictEqual((await call(images, 'deleteBackground', 'IMGS01')).id, 'image-2');
+        assert.strictEqual(await call(images, 'deleteBackground', 'IMGS01'), null);
+        assert.strictEqual(await call(images, 'findBackground', 'IMGS01'), null);
+      });
+    });
+
+    describe('access', () => {
+      before(() => createSession('TEAM01'));
+
+      it('finds invites by token until they are revoked', async () => {
+        const djId = await call(access, 'createInvite', { sessionId: 'TEAM01', tokenHash: 'token-dj', role: 'dj', label: 'Alex' });
+        await call(access, 'createInvite', { sessionId: 'TEAM01', tokenHash: 'token-mod', role: 'moderator', label: 'Sam' });
+
+        const invite = await call(access, 'findActiveInvite', 'TEAM01', 'token-dj');
+        assert.strictEqual(invite.id, djId);
+        assert.strictEqual(invite.role, 'dj');
+        assert.strictEqual(invite.token_hash, undefined);
+        assert.strictEqual(await call(access, 'findActiveInvite', 'OTHER1', 'token-dj'), null);
+
+        await call(access, 'markInviteUsed', djId);
+        assert.ok((await call(access, 'findActiveInvite', 'TEAM01', 'token-dj')).last_used_at);
+        assert.strictEqual(await call(access, 'countActiveInvites', 'TEAM01'), 2);
+
+        const revoked = await call(access, 'revokeInvite', 'TEAM01', djId);
+        assert.ok(revoked.revoked_at);
+        assert.strictEqual(await call(access, 'revokeInvite', 'TEAM01', djId), null);
+        assert.strictEqual(await call(access, 'findActiveInvite', 'TEAM01', 'token-dj'), null);
+        assert.strictEqual(await call(access, 'countActiveInvites', 'TEAM01'), 1);
+        assert.deepStrictEqual((await call(access, 'listInvites', 'TEAM01')).map(row => row.label), ['Sam', 'Alex']);
+      });
+
+      it('keeps the audit log newest first', async () => {
+        await call(access, 'recordAudit', { sessionId: 'TEAM01', actorLabel: 'Owner', actorRole: 'owner', action: 'invite.created', summary: 'Invited Alex as DJ' });
+        await call(access, 'recordAudit', {
+          sessionId: 'TEAM01', actorLabel: 'Alex', actorRole: 'dj', inviteId: 1,
+          action: 'submission.status', summary: 'Rejected "Song" by Band', details: { submissionId: 7 }
+        });
+
+        const entries = await call(access, 'listAudit', 'TEAM01', 10);
+        assert.deepStrictEqual(entries.map(entry => entry.action), ['submission.status', 'invite.created']);
+        assert.deepStrictEqual(entries[0].details, { submissionId: 7 });
+        assert.strictEqual(entries[1].details, null);
+        assert.strictEqual((await call(access, 'listAudit', 'TEAM01', 1)).length, 1);
+      });
+    });
+
+    describe('webhooks', () => {
+      before(() => createSession('HOOK01'));
+
+      it('stores webhooks and lists the active ones subscribed to an event', async () => {
+        const slackId = await call(webhooks, 'createWebhook', {
+          sessionId: 'HOOK01', url: 'https://hooks.slack.com/x', format: 'slack', events: ['submission.created', 'session.cleared'], secret: 'whsec_1'
+        });
+        const jsonId = await call(webhooks, 'createWebhook', {
+          sessionId: 'HOOK01', url: 'https://example.com/hook', format: 'json', events: ['submission.created'], secret: 'whsec_2'
+        });
+
+        const slack = await call(webhooks, 'findWebhook', 'HOOK01', slackId);
+        assert.deepStrictEqual(slack.events, ['submission.created', 'session.cleared']);
+        assert.strictEqual(slack.is_active, 1);
+        assert.strictEqual(await call(webhooks, 'findWebhook', 'OTHER1', slackId), null);
+        assert.strictEqual(await call(webhooks, 'countWebhooks', 'HOOK01'), 2);
+
+        const subscribers = await call(webhooks, 'listSubscribers', 'HOOK01', 'submission.created');
+        assert.deepStrictEqual(subscribers.map(row => row.id), [slackId, jsonId]);
+        assert.strictEqual(subscribers[0].session_name, 'Party HOOK01');
+
+        assert.strictEqual(await call(webhooks, 'updateWebhook', 'HOOK01', slackId, {
+          url: 'https://hooks.slack.com/x', format: 'slack', events: ['session.cleared'], active: false
+        }), true);
+        assert.deepStrictEqual((await call(webhooks, 'listSubscribers', 'HOOK01', 'submission.created')).map(row => row.id), [jsonId]);
+        assert.deepStrictEqual(await call(webhooks, 'listSubscribers', 'HOOK01', 'session.cleared'), []);
+      });
+
+      it('queues deliveries until they are due, and keeps a log of attempts', async () => {
+        const [webhook] = await call(webhooks, 'listSubscribers', 'HOOK01', 'submission.created');
+        const now = Date.now();
+        const dueId = await call(webhooks, 'queueDelivery', { webhookId: webhook.id, sessionId: 'HOOK01', event: 'submission.created', body: '{"a":1}', nextAttemptAt: now });
+        const laterId = await call(webhooks, 'queueDelivery', { webhookId: webhook.id, sessionId: 'HOOK01', event: 'submission.created', body: '{"a":2}', nextAttemptAt: now + 60000 });
+
+        // The queue is shared by every session (ARCH01's delivery is due too)
+        const due = (await call(webhooks, 'listDueDeliveries', now, 10)).filter(row => row.session_id === 'HOOK01');
+        assert.deepStrictEqual(due.map(row => row.id), [dueId]);
+        assert.strictEqual(due[0].body, '{"a":1}');
+        assert.strictEqual(due[0].url, 'https://example.com/hook');
+        assert.strictEqual(due[0].secret, 'whsec_2');
+
+        assert.strictEqual(await call(webhooks, 'claimDelivery', dueId), true);
+        assert.strictEqual(await call(webhooks, 'claimDelivery', dueId), false);
+        await call(webhooks, 'requeueInterrupted');
+        assert.strictEqual(await call(webhooks, 'claimDelivery', dueId), true);
+        await call(webhooks, 'recordAttempt', dueId, { status: 'delivered', responseStatus: 204 });
+
+        const log = await call(webhooks, 'listDeliveries', 'HOOK01', webhook.id, 10);
+        assert.deepStrictEqual(log.map(row => [row.id, row.status]), [[laterId, 'queued'], [dueId, 'delivered']]);
+        assert.strictEqual(log[1].attempts, 2);
+        assert.strictEqual(log[1].response_status, 204);
+        assert.ok(log[1].delivered_at);
+        assert.strictEqual(log[1].body, undefined);
+      });
+
+      it('deletes a webhook with its deliveries', async () => {
+        const [webhook] = await call(webhooks, 'listSubscribers', 'HOOK01', 'submission.created');
+        assert.strictEqual(await call(webhooks, 'deleteWebhook', 'HOOK01', webhook.id), true);
+        assert.strictEqual(await call(webhooks, 'deleteWebhook', 'HOOK01', webhook.id), false);
+        assert.deepStrictEqual(await call(webhooks, 'listDeliveries', 'HOOK01', webhook.id, 10), []);
+        assert.strictEqual(await call(webhooks, 'countWebhooks', 'HOOK01'), 1);
+      });
+    });
+
+    describe('played tracks', () => {
+      before(() => createSession('PLAY01'));
+
+      it('keeps the history newest first, requested or not', async () => {
+        assert.strictEqual(await call(playedTracks, 'findLatest', 'PLAY01'), null);
+
+        const submissionId = await createRequest('PLAY01', 'Levels', 'Avicii');
+        const firstId = await call(playedTracks, 'record', { sessionId: 'PLAY01', songName: 'Levels', artist: 'Avicii', submissionId, matchScore: 0.92, source: 'api' });
+        await call(playedTracks, 'record', { sessionId: 'PLAY01', songName: 'Sandstorm', source: 'osc' });
+
+        const first = await call(playedTracks, 'findById', firstId);
+        assert.deepStrictEqual([first.submission_id, first.match_score, first.source], [submissionId, 0.92, 'api']);
+        assert.ok(first.played_at);
+
+        const latest = await call(playedTracks, 'findLatest', 'PLAY01');
+        assert.deepStrictEqual([latest.song_name, latest.artist, latest.submission_id, latest.match_score], ['Sandstorm', null, null, null]);
+        assert.deepStrictEqual((await call(playedTracks, 'list', 'PLAY01', 10)).map(row => row.song_name), ['Sandstorm', 'Levels']);
+        assert.strictEqual((await call(playedTracks, 'list', 'PLAY01', 1)).length, 1);
+      });
+    });
+
+    describe('settings', () => {
+      before(() => createSession('SETS01'));
+
+      it('writes the given settings and leaves the rest alone', async () => {
+        await call(settings, 'update', 'SETS01', { welcomeMessage: 'Hello', moderationRequired: true, requestsPerHour: undefined });
+        const row = await call(settings, 'get', 'SETS01');
+        assert.strictEqual(row.welcome_message, 'Hello');
+        assert.strictEqual(row.moderation_required, 1);
+        assert.strictEqual(row.limit_requests_per_hour, 10);
+        assert.strictEqual(row.subtitle_message, 'Submit your song below');
+      });
+
+      it('returns the provider chain, or null', async () => {
+        await call(settings, 'update', 'SETS01', { metadataProviders: 'local' });
+        assert.strictEqual(await call(settings, 'getProviderChain', 'SETS01'), 'local');
+        assert.strictEqual(await call(settings, 'getProviderChain', 'NOPE00'), null);
+        assert.strictEqual(await call(settings, 'get', 'NOPE00'), null);
+      });
+
+      it('rejects unknown settings', async () => {
+        await assert.rejects(call(settings, 'update', 'SETS01', { adminSecretHash: 'x' }), /Unknown setting/);
+      });
+    });
+  });
+});
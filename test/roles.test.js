@@ -0,0 +1,39 @@
+// lib/roles.js: what owners, DJs and moderators may do
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { hasPermission, listPermissions, canSetStatus, parseInvite } = require('../lib/roles');
+
+describe('permissions', () => {
+  it('gives each role its own and everything below it', () => {
+    assert.deepStrictEqual(listPermissions('moderator'), ['review']);
+    assert.deepStrictEqual(listPermissions('dj'), ['review', 'queue', 'guests', 'intake', 'library', 'reports']);
+    assert.deepStrictEqual(listPermissions('owner'), ['review', 'queue', 'guests', 'intake', 'library', 'reports', 'settings', 'clear', 'team']);
+    assert.deepStrictEqual(listPermissions('guest'), []);
+    assert.strictEqual(hasPermission('owner', 'unknown'), false);
+  });
+
+  it('lets moderators only approve and reject', () => {
+    assert.ok(canSetStatus('moderator', 'pending-review', 'pending'));
+    assert.ok(canSetStatus('moderator', 'pending-review', 'rejected'));
+    assert.ok(canSetStatus('moderator', 'pending', 'rejected'));
+    assert.ok(!canSetStatus('moderator', 'rejected', 'pending'));
+    assert.ok(!canSetStatus('moderator', 'now-playing', 'rejected'));
+    assert.ok(!canSetStatus('moderator', 'pending', 'now-playing'));
+    assert.ok(canSetStatus('dj', 'rejected', 'now-playing'));
+    assert.ok(!canSetStatus(null, 'pending-review', 'pending'));
+  });
+});
+
+describe('parseInvite', () => {
+  it('cleans up the name', () => {
+    assert.deepStrictEqual(parseInvite({ role: 'dj', label: '  Alex   (B2B) ', extra: true }), { role: 'dj', label: 'Alex (B2B)' });
+  });
+
+  it('explains what is wrong', () => {
+    assert.throws(() => parseInvite({ role: 'admin', label: 'Alex' }), /Role must be one of: owner, dj, moderator/);
+    assert.throws(() => parseInvite({ role: 'dj', label: ' ' }), /Give the invite a name/);
+    assert.throws(() => parseInvite({ role: 'dj', label: 'x'.repeat(41) }), /40 characters/);
+    assert.throws(() => parseInvite(null), /Role must be/);
+  });
+});
@@ -0,0 +1,250 @@
+// lib/webhooks: validating subscriptions, building and signing payloads, delivering with retries
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { backends, openMigratedStorage, closeStorage, call } = require('./helpers');
+const { createWebhookRepository } = require('../lib/repositories/webhooks');
+const { parseWebhook, parseAllowedHosts, postWebhook, signPayload, buildWebhookBody, createWebhookDispatcher } = require('../lib/webhooks');
+
+const session = { id: 'HOOKS1', name: 'Friday <Night>' };
+const submission = { id: 4, songName: '<!channel> @everyone', artist: 'Band', requestedBy: 'Sam', requestCount: 1, status: 'pending', bpm: null, key: null };
+
+describe('parseWebhook', () => {
+  it('cleans up a webhook and keeps events in the documented order', () => {
+    assert.deepStrictEqual(parseWebhook({ url: ' https://example.com/hook ', events: ['session.cleared', 'submission.created'] }), {
+      url: 'https://example.com/hook',
+      format: 'json',
+      events: ['submission.created', 'session.cleared'],
+      active: true
+    });
+    assert.strictEqual(parseWebhook({ url: 'https://example.com', format: 'discord', events: ['settings.updated'], active: false }).active, false);
+  });
+
+  it('explains what is wrong', () => {
+    assert.throws(() => parseWebhook({ events: ['session.cleared'] }), /Enter the URL/);
+    assert.throws(() => parseWebhook({ url: 'not a url', events: ['session.cleared'] }), /isn't valid/);
+    assert.throws(() => parseWebhook({ url: 'http://example.com', events: ['session.cleared'] }), /must start with https:\/\//);
+    assert.throws(() => parseWebhook({ url: 'ftp://example.com', events: ['session.cleared'] }, { allowHttp: true }), /https:\/\/ or http:\/\//);
+    assert.throws(() => parseWebhook({ url: 'https://example.com', format: 'teams', events: ['session.cleared'] }), /Format must be/);
+    assert.throws(() => parseWebhook({ url: 'https://example.com', events: [] }), /at least one event/);
+    assert.throws(() => parseWebhook({ url: 'https://example.com', events: ['submission.deleted'] }), /Unknown event "submission.deleted"/);
+    assert.strictEqual(parseWebhook({ url: 'http://hooks.example.com:8080', events: ['session.cleared'] }, { allowHttp: true }).url, 'http://hooks.example.com:8080');
+  });
+
+  it('refuses private and local addresses unless the deployment allows them', () => {
+    [
+      'https://127.0.0.1:6379/', 'https://localhost/hook', 'https://10.1.2.3/', 'https://172.20.0.1/', 'https://192.168.1.10/',
+      'https://169.254.169.254/latest/meta-data', 'https://0.0.0.0/', 'https://[::1]/', 'https://[fd00::1]/',
+      'https://[fe80::1]/', 'https://[::ffff:127.0.0.1]/', 'https://2130706433/'
+    ].forEach((url) => {
+      assert.throws(() => parseWebhook({ url, events: ['session.cleared'] }), /private or local addresses/, url);
+    });
+
+    const allowedHosts = parseAllowedHosts('hooks.internal, 10.0.0.0/8, ::1');
+    assert.strictEqual(parseWebhook({ url: 'https://10.1.2.3/hook', events: ['session.cleared'] }, { allowedHosts }).url, 'https://10.1.2.3/hook');
+    assert.strictEqual(parseWebhook({ url: 'https://[::1]/hook', events: ['session.cleared'] }, { allowedHosts }).url, 'https://[::1]/hook');
+    assert.throws(() => parseWebhook({ url: 'https://192.168.1.10/', events: ['session.cleared'] }, { allowedHosts }), /private or local/);
+    assert.throws(() => parseAllowedHosts('hooks.internal/24'), /isn't a CIDR range/);
+    assert.throws(() => parseAllowedHosts('10.0.0.0/33'), /isn't a CIDR range/);
+  });
+});
+
+describe('postWebhook', () => {
+  let receiver;
+  let url;
+  let received;
+
+  before(async () => {
+    received = 0;
+    receiver = http.createServer((req, res) => {
+      received++;
+      req.resume();
+      req.on('end', () => res.writeHead(204).end());
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  after(() => new Promise(resolve => receiver.close(resolve)));
+
+  it('does not connect to private addresses, by IP or by a hostname that resolves to one', async () => {
+    for (const target of [url, url.replace('127.0.0.1', 'localhost'), url.replace('127.0.0.1', '[::ffff:127.0.0.1]')]) {
+      await assert.rejects(postWebhook(target, '{}', {}), (error) => {
+        assert.strictEqual(error.code, 'BLOCKED_ADDRESS', target);
+        assert.strictEqual(error.retryable, false);
+        return true;
+      });
+    }
+    assert.strictEqual(received, 0);
+  });
+
+  it('delivers to internal hosts the deployment allows', async () => {
+    assert.strictEqual(await postWebhook(url, '{}', {}, parseAllowedHosts('127.0.0.1')), 204);
+    assert.strictEqual(await postWebhook(url.replace('127.0.0.1', 'localhost'), '{}', {}, parseAllowedHosts('localhost')), 204);
+    assert.strictEqual(received, 2);
+  });
+});
+
+describe('buildWebhookBody', () => {
+  it('wraps events in an envelope for JSON receivers', () => {
+    const createdAt = new Date('2026-01-02T03:04:05.000Z');
+    assert.deepStrictEqual(JSON.parse(buildWebhookBody('json', 'session.cleared', { deletedCount: 3 }, session, createdAt)), {
+      event: 'session.cleared',
+      sessionId: 'HOOKS1',
+      sessionName: 'Friday <Night>',
+      createdAt: '2026-01-02T03:04:05.000Z',
+      data: { deletedCount: 3 }
+    });
+  });
+
+  it('escapes Slack markup so guests cannot ping the channel', () => {
+    const body = JSON.parse(buildWebhookBody('slack', 'submission.created', { submission }, session));
+    assert.strictEqual(body.text, '*Friday &lt;Night&gt;* 🎵 New request: "&lt;!channel&gt; @everyone" by Band from Sam');
+  });
+
+  it('turns off Discord mentions and describes status changes', () => {
+    const body = JSON.parse(buildWebhookBody('discord', 'submission.status_changed', {
+      submission: { ...submission, songName: 'Song' }, from: 'pending', to: 'rejected', reason: 'Not tonight'
+    }, session));
+    assert.deepStrictEqual(body, {
+      username: 'DJQ',
+      content: '**Friday <Night>** ❌ Rejected: "Song" by Band (Not tonight)',
+      allowed_mentions: { parse: [] }
+    });
+  });
+});
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+    assert.strictEqual(signPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+  });
+});
+
+backends().slice(0, 1).forEach((backend) => {
+  describe('webhook dispatcher', () => {
+    let db;
+    let webhooks;
+    let clock;
+    let answers;
+    let sent;
+
+    // Deliver everything due; `send` answers with the next queued status (or throws an Error)
+    function makeDispatcher() {
+      return createWebhookDispatcher({
+        webhooks,
+        now: () => clock,
+        send: async (url, body, headers) => {
+          sent.push({ url, body, headers });
+          const answer = answers.shift();
+          if (answer instanceof Error) throw answer;
+          return answer;
+        }
+      });
+    }
+
+    function deliveries(webhookId) {
+      return call(webhooks, 'listDeliveries', session.id, webhookId, 10);
+    }
+
+    before(async () => {
+      db = await openMigratedStorage(backend);
+      webhooks = createWebhookRepository(db);
+      await call(db, 'run', 'INSERT INTO sessions (id, name) VALUES (?, ?)', [session.id, session.name]);
+    });
+
+    after(() => closeStorage(db));
+
+    it('sends signed deliveries to subscribed webhooks only', async () => {
+      clock = 1700000000000;
+      answers = [200];
+      sent = [];
+      const webhookId = await call(webhooks, 'createWebhook', {
+        sessionId: session.id, url: 'https://example.com/a', format: 'json', events: ['session.cleared'], secret: 'whsec_a'
+      });
+      await call(webhooks, 'createWebhook', {
+        sessionId: session.id, url: 'https://example.com/b', format: 'json', events: ['settings.updated'], secret: 'whsec_b'
+      });
+
+      const dispatcher = makeDispatcher();
+      assert.strictEqual(await call(dispatcher, 'dispatch', session.id, 'session.cleared', { deletedCount: 2 }), 1);
+      assert.strictEqual(await call(dispatcher, 'deliverDue'), 1);
+
+      assert.strictEqual(sent.length, 1);
+      const [{ url, body, headers }] = sent;
+      assert.strictEqual(url, 'https://example.com/a');
+      assert.strictEqual(JSON.parse(body).data.deletedCount, 2);
+      assert.strictEqual(headers['X-DJQ-Event'], 'session.cleared');
+      assert.strictEqual(headers['X-DJQ-Timestamp'], '1700000000');
+      assert.strictEqual(headers['X-DJQ-Signature'], signPayload('whsec_a', 1700000000, body));
+
+      const [delivery] = await deliveries(webhookId);
+      assert.strictEqual(delivery.status, 'delivered');
+      assert.strictEqual(delivery.response_status, 200);
+    });
+
+    it('retries network errors and 5xx answers with backoff, then gives up', async () => {
+      answers = [new Error('ECONNREFUSED'), 503, 429, 500, 502, 500];
+      sent = [];
+      const webhookId = await call(webhooks, 'createWebhook', {
+        sessionId: session.id, url: 'https://example.com/down', format: 'slack', events: ['submission.created'], secret: 'whsec_c'
+      });
+      const dispatcher = makeDispatcher();
+      await call(dispatcher, 'dispatch', session.id, 'submission.created', { submission });
+
+      await call(dispatcher, 'deliverDue');
+      let [delivery] = await deliveries(webhookId);
+      assert.strictEqual(delivery.status, 'queued');
+      assert.strictEqual(delivery.last_error, 'ECONNREFUSED');
+      assert.strictEqual(Number(delivery.next_attempt_at), clock + 30000);
+
+      // Not due yet
+      assert.strictEqual(await call(dispatcher, 'deliverDue'), 0);
+
+      for (const delay of [30000, 60000, 120000, 240000, 480000]) {
+        clock += delay;
+        assert.strictEqual(await call(dispatcher, 'deliverDue'), 1);
+      }
+      [delivery] = await deliveries(webhookId);
+      assert.strictEqual(delivery.status, 'failed');
+      assert.strictEqual(delivery.attempts, 6);
+      assert.strictEqual(delivery.response_status, 500);
+      assert.strictEqual(sent.length, 6);
+    });
+
+    it('fails other answers straight away', async () => {
+      answers = [410];
+      sent = [];
+      const webhookId = await call(webhooks, 'createWebhook', {
+        sessionId: session.id, url: 'https://example.com/gone', format: 'discord', events: ['submission.status_changed'], secret: 'whsec_d'
+      });
+      const dispatcher = makeDispatcher();
+      await call(dispatcher, 'dispatch', session.id, 'submission.status_changed', { submission, from: 'pending', to: 'played' });
+      assert.strictEqual(await call(dispatcher, 'deliverDue'), 1);
+
+      const [delivery] = await deliveries(webhookId);
+      assert.strictEqual(delivery.status, 'failed');
+      assert.strictEqual(delivery.attempts, 1);
+      assert.strictEqual(delivery.last_error, 'HTTP 410');
+    });
+
+    it('does not retry webhooks that point at private addresses', async () => {
+      // The settings.updated webhook from the first test gets the event too
+      const blocked = Object.assign(new Error('10.0.0.5 is on a private network'), { code: 'BLOCKED_ADDRESS', retryable: false });
+      answers = [blocked, blocked];
+      sent = [];
+      const webhookId = await call(webhooks, 'createWebhook', {
+        sessionId: session.id, url: 'https://internal.example.com', format: 'json', events: ['settings.updated'], secret: 'whsec_e'
+      });
+      const dispatcher = makeDispatcher();
+      await call(dispatcher, 'dispatch', session.id, 'settings.updated', { changed: ['welcomeMessage'], settings: {} });
+      await call(dispatcher, 'deliverDue');
+
+      const [delivery] = await deliveries(webhookId);
+      assert.strictEqual(delivery.status, 'failed');
+      assert.strictEqual(delivery.last_error, 'BLOCKED_ADDRESS');
+    });
+  });
+});